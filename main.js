@@ -9,11 +9,20 @@
  */
 
 import { registerSettings, MODULE_ID } from './src/settings.js';
-import { translateJournal, applyTranslationsWithMode, completeTranslation } from './src/translation-handlers.js';
+import { translateJournal, translateJournals, attemptBatchRestoration, cancelTranslationBatch, resumeQueuedBatches, notifyBatchMonitored } from './src/translation-handlers.js';
 import { showPageSelectionDialog, showBatchRestorationDialog, getJournalsInFolder, showFolderSelectionDialog } from './src/utils.js';
-import { hasIncompleteTranslations, findIncompleteTranslations, clearTranslationFlags, setTranslationCompletedFlags, getTranslationFlags } from './src/translation-flags.js';
-import { isBatchInQueue, addBatchToQueue, removeBatchFromQueue } from './src/batch-queue.js';
-import { pollBatchStatus, retrieveBatchResponse, processResults, assembleFinalResults } from './src/openai-batch.js';
+import { hasIncompleteTranslations, findIncompleteTranslations, findTranslationBatchPages, clearTranslationFlags } from './src/translation-flags.js';
+import { isBatchInQueue } from './src/batch-queue.js';
+import { estimateTranslationCost, renderCostEstimate } from './src/cost-estimate.js';
+import { openBatchMonitor } from './src/batch-monitor.js';
+import { openUsageReport } from './src/usage-report.js';
+import { openMemoryBrowser } from './src/memory-browser.js';
+// Built-in providers register themselves when imported
+import './src/openai-batch.js';
+import './src/azure-openai.js';
+import './src/anthropic-batch.js';
+import './src/deepl.js';
+import './src/local-llm.js';
 
 /**
  * Initialization hook to register module settings.
@@ -22,6 +31,18 @@ Hooks.on('init', () => {
     registerSettings();
 });
 
+/**
+ * Offers to resume the batches that were still running when the world was last closed.
+ * Only GMs are asked, since applying translations requires updating the journals.
+ */
+Hooks.on('ready', () => {
+    if (!game.user.isGM) return;
+    resumeQueuedBatches().catch(error => {
+        console.error("Journal Translator | Error resuming queued batches:", error);
+        ui.notifications.error(`Failed to resume queued translation batches: ${error.message}`);
+    });
+});
+
 /**
  * Adds the "Translate" option to the journal entry context menu.
  * This hook is triggered when the context menu for a journal entry is about to be displayed.
@@ -63,12 +84,17 @@ Hooks.on('getJournalEntryContextOptions', (application, options) => {
                     if (choice.action === 'restore') {
                         // Check if the selected batch is already being monitored
                         if (isBatchInQueue(choice.batchId)) {
-                            ui.notifications.info(`Batch ${choice.batchId} is already being monitored.`);
+                            notifyBatchMonitored(choice.batchId);
                             return;
                         }
                         
-                        // Attempt to restore the batch
-                        await attemptBatchRestoration(choice.batchId, incompletePages[choice.batchId]);
+                        // Attempt to restore the batch, including pages of other journals translated with it
+                        await attemptBatchRestoration(choice.batchId, findTranslationBatchPages(choice.batchId));
+                        return;
+                    }
+                    
+                    if (choice.action === 'cancelBatch') {
+                        await cancelTranslationBatch(choice.batchId, findTranslationBatchPages(choice.batchId));
                         return;
                     }
                     
@@ -94,10 +120,11 @@ Hooks.on('getJournalEntryContextOptions', (application, options) => {
                 return;
             }
 
-            // Show confirmation dialog with selected page count
+            // Show confirmation dialog with selected page count and the estimated tokens and cost
             const confirmed = await foundry.applications.api.DialogV2.confirm({
                 window: { title: "Translate Journal Entry" },
-                content: `<p>You are about to translate ${selectedPages.length} page(s). This translation may take several minutes depending on the journal size and OpenAI API speed. Do you want to continue?</p>`,
+                content: `<p>You are about to translate ${selectedPages.length} page(s). This translation may take several minutes depending on the journal size and OpenAI API speed. Do you want to continue?</p>`
+                    + renderCostEstimate(estimateTranslationCost(selectedPages)),
                 yes: { default: false }
             });
             if (confirmed) {
@@ -106,6 +133,71 @@ Hooks.on('getJournalEntryContextOptions', (application, options) => {
             }
         }
     });
+
+    // Add the "Cancel Translation Batch" option for journals with a batch in progress.
+    options.push({
+        name: "Cancel Translation Batch",
+        icon: '<i class="fas fa-ban"></i>',
+        condition: (clickedElement) => {
+            const journal = game.journal.get(clickedElement.dataset.entryId || clickedElement.dataset.documentId);
+            return !!journal && hasIncompleteTranslations(journal);
+        },
+        callback: async (clickedElement) => {
+            const journalId = clickedElement.dataset.entryId || clickedElement.dataset.documentId;
+            const journal = game.journal.get(journalId);
+
+            if (!journal) {
+                ui.notifications.error(`Could not process the selected journal entry.`);
+                return;
+            }
+
+            const incompletePages = findIncompleteTranslations(journal);
+            const batchIds = Object.keys(incompletePages);
+            if (batchIds.length === 0) {
+                ui.notifications.info(`No running translation batches found in "${journal.name}".`);
+                return;
+            }
+
+            const confirmed = await foundry.applications.api.DialogV2.confirm({
+                window: { title: "Cancel Translation Batch" },
+                content: `<p>Cancel ${batchIds.length} running translation batch${batchIds.length > 1 ? 'es' : ''} of "${journal.name}"? Requests that have not been processed yet will not be translated.</p>`,
+                yes: { default: false }
+            });
+            if (!confirmed) return;
+
+            for (const batchId of batchIds) {
+                await cancelTranslationBatch(batchId, findTranslationBatchPages(batchId));
+            }
+        }
+    });
+});
+
+/**
+ * Adds buttons that open the Batch Monitor and the Usage Report to the Journal directory header.
+ */
+Hooks.on('renderJournalDirectory', (application, html) => {
+    const headerActions = html.querySelector('.header-actions');
+    if (!headerActions || headerActions.querySelector('.journal-translator-batch-monitor')) return;
+
+    const monitorButton = document.createElement('button');
+    monitorButton.type = 'button';
+    monitorButton.classList.add('journal-translator-batch-monitor');
+    monitorButton.innerHTML = '<i class="fas fa-tasks"></i> Translation Batches';
+    monitorButton.addEventListener('click', () => openBatchMonitor());
+
+    const usageButton = document.createElement('button');
+    usageButton.type = 'button';
+    usageButton.classList.add('journal-translator-usage-report');
+    usageButton.innerHTML = '<i class="fas fa-coins"></i> Translation Usage';
+    usageButton.addEventListener('click', () => openUsageReport());
+
+    const memoryButton = document.createElement('button');
+    memoryButton.type = 'button';
+    memoryButton.classList.add('journal-translator-translation-memory');
+    memoryButton.innerHTML = '<i class="fas fa-database"></i> Translation Memory';
+    memoryButton.addEventListener('click', () => openMemoryBrowser());
+
+    headerActions.append(monitorButton, usageButton, memoryButton);
 });
 
 /**
@@ -130,7 +222,7 @@ Hooks.on('getJournalDirectoryFolderContext', (app, options) => {
 });
 
 /**
- * Shows the folder selection dialog and translates each selected journal+pages pair.
+ * Shows the folder selection dialog and translates the selected pages of all journals as one job.
  * @param {Folder} folder - The folder to translate journals from.
  */
 async function translateFolderJournals(folder) {
@@ -148,77 +240,14 @@ async function translateFolderJournals(folder) {
         return;
     }
 
-    for (const { journal, pages } of selections) {
-        if (pages.length === 0) continue;
-        ui.notifications.info(`Translating "${journal.name}"...`);
-        await translateJournal(journal, pages);
-    }
-}
+    const selectedPages = selections.flatMap(({ pages }) => pages);
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: { title: "Translate Folder" },
+        content: `<p>You are about to translate ${selectedPages.length} page(s) from "${folder.name}". Do you want to continue?</p>`
+            + renderCostEstimate(estimateTranslationCost(selectedPages)),
+        yes: { default: false }
+    });
+    if (!confirmed) return;
 
-/**
- * Attempts to restore and monitor an existing OpenAI batch
- * @param {string} batchId - The batch ID to restore
- * @param {Array} pages - The pages associated with this batch
- */
-async function attemptBatchRestoration(batchId, pages) {
-    try {
-        ui.notifications.info(`Attempting to restore batch ${batchId} with ${pages.length} pages...`);
-        
-        // Add batch to queue to prevent duplicates
-        addBatchToQueue(batchId);
-        
-        // Get API key
-        const apiKey = game.settings.get(MODULE_ID, "apiKey");
-        if (!apiKey || apiKey.trim() === "") {
-            ui.notifications.error("OpenAI API Key is missing. Please enter your API key in the module settings.");
-            removeBatchFromQueue(batchId);
-            return;
-        }
-        
-        // Check batch status and wait for completion if needed
-        ui.notifications.info(`Checking batch ${batchId} status...`);
-        const completedBatch = await pollBatchStatus(batchId, apiKey);
-        
-        if (completedBatch.status === 'completed') {
-            // Process the results
-            ui.notifications.info(`Batch ${batchId} completed! Processing results...`);
-            
-            const resultsResponse = await retrieveBatchResponse(completedBatch, apiKey);
-            const translationsMap = await processResults(resultsResponse);
-            const finalTranslations = assembleFinalResults(translationsMap, pages.length);
-            
-            if (finalTranslations && finalTranslations.length > 0) {
-                // Apply translations using the same logic as translateJournal
-                const journal = pages[0].parent; // Get journal from first page
-                const translationMode = game.settings.get(MODULE_ID, "translationMode");
-                
-                await applyTranslationsWithMode(journal, pages, finalTranslations, translationMode);
-                await completeTranslation(pages);
-                
-                ui.notifications.info(`Successfully restored and applied translations from batch ${batchId}!`);
-            } else {
-                ui.notifications.warn(`Batch ${batchId} completed but no translations were retrieved.`);
-            }
-            
-        } else if (completedBatch.status === 'failed') {
-            ui.notifications.error(`Batch ${batchId} failed. Clearing flags so you can retry.`);
-            for (const page of pages) {
-                await clearTranslationFlags(page);
-            }
-        } else if (completedBatch.status === 'cancelled') {
-            ui.notifications.warn(`Batch ${batchId} was cancelled. Clearing flags so you can retry.`);
-            for (const page of pages) {
-                await clearTranslationFlags(page);
-            }
-        } else {
-            ui.notifications.warn(`Batch ${batchId} is in unexpected status: ${completedBatch.status}`);
-        }
-        
-    } catch (error) {
-        console.error(`Journal Translator | Error restoring batch ${batchId}:`, error);
-        ui.notifications.error(`Failed to restore batch ${batchId}: ${error.message}`);
-    } finally {
-        // Always remove from queue when done (success or failure)
-        removeBatchFromQueue(batchId);
-    }
+    await translateJournals(selections);
 }
@@ -0,0 +1,301 @@
+/**
+ * Anthropic Message Batches API provider for the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { registerProvider, pollUntilFinished, getSystemPrompt } from './translation-providers.js';
+import { fetchWithRetry, readErrorMessage } from './http-retry.js';
+
+const ANTHROPIC_API_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_API_VERSION = "2023-06-01";
+
+/**
+ * Translation provider backed by the Anthropic Message Batches API.
+ * Batches are reported with the OpenAI status vocabulary so restoration and the
+ * translation handlers treat them like any other batch.
+ * @type {import('./translation-providers.js').TranslationProvider}
+ */
+export const anthropicBatchProvider = {
+    id: "anthropic-batch",
+    label: "Anthropic Message Batches API",
+    validate: validateAnthropicSettings,
+    submit: (textsToTranslate) => createMessageBatch(textsToTranslate),
+    poll: (batchId) => pollUntilFinished(batchId, () => fetchMessageBatch(batchId)),
+    getStatus: (batchId) => fetchMessageBatch(batchId),
+    fetchResults: (completedBatch) => fetchMessageBatchResults(completedBatch),
+    fetchErrors: (completedBatch) => fetchMessageBatchErrors(completedBatch),
+    cancel: (batchId) => cancelMessageBatch(batchId),
+    batchLimits: { maxRequests: 100000, maxBytes: 256 * 1024 * 1024 },
+    getModel: () => game.settings.get(MODULE_ID, "anthropicModel")?.trim()
+};
+
+/**
+ * Checks that the API key and model are configured.
+ * @returns {string|null} An error message, or null when the settings are valid.
+ */
+function validateAnthropicSettings() {
+    if (!game.settings.get(MODULE_ID, "anthropicApiKey")?.trim()) {
+        return "Anthropic API Key is missing. Please enter your API key in the module settings.";
+    }
+    if (!game.settings.get(MODULE_ID, "anthropicModel")?.trim()) {
+        return "Anthropic model is missing. Please enter the model name in the module settings.";
+    }
+    return null;
+}
+
+/**
+ * Builds the headers sent with every Anthropic request.
+ * The API only accepts requests from a browser when direct browser access is acknowledged.
+ * @returns {Object} The request headers.
+ */
+function getAnthropicHeaders() {
+    return {
+        "x-api-key": game.settings.get(MODULE_ID, "anthropicApiKey").trim(),
+        "anthropic-version": ANTHROPIC_API_VERSION,
+        "anthropic-dangerous-direct-browser-access": "true"
+    };
+}
+
+/**
+ * Builds the Messages API parameters used to translate a single text.
+ * Anthropic takes the system prompt as a separate parameter rather than as a message.
+ * @param {string} text - The HTML content to translate.
+ * @returns {Object} The message parameters.
+ */
+export function buildMessageParams(text) {
+    const customPrompt = game.settings.get(MODULE_ID, "customPrompt");
+    const systemPrompt = getSystemPrompt();
+
+    return {
+        model: game.settings.get(MODULE_ID, "anthropicModel").trim(),
+        max_tokens: game.settings.get(MODULE_ID, "anthropicMaxTokens"),
+        system: systemPrompt,
+        messages: [
+            {
+                role: "user",
+                content: `${customPrompt}\n\n---\n\n${text}`
+            }
+        ]
+    };
+}
+
+/**
+ * Creates a message batch with one request per text.
+ * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
+ * @returns {Promise<Object>} The created batch, normalized to the OpenAI status vocabulary.
+ */
+async function createMessageBatch(textsToTranslate) {
+    ui.notifications.info("Creating translation batch job...");
+    const response = await fetchWithRetry(`${ANTHROPIC_API_URL}/messages/batches`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...getAnthropicHeaders()
+        },
+        body: JSON.stringify({
+            requests: textsToTranslate.map((text, index) => ({
+                custom_id: `request-${index}`, // A unique ID to map requests to results.
+                params: buildMessageParams(text)
+            }))
+        })
+    }, { idempotent: false });
+
+    if (!response.ok) {
+        throw new Error(`Batch Creation Failed: ${await readErrorMessage(response)}`);
+    }
+    const messageBatch = normalizeMessageBatch(await response.json());
+    console.log("Journal Translator | Batch job created. Batch ID:", messageBatch.id);
+    return messageBatch;
+}
+
+/**
+ * Fetches the current state of a message batch.
+ * @param {string} batchId - The ID of the message batch.
+ * @returns {Promise<Object>} The batch, normalized to the OpenAI status vocabulary.
+ */
+async function fetchMessageBatch(batchId) {
+    const response = await fetchWithRetry(`${ANTHROPIC_API_URL}/messages/batches/${batchId}`, {
+        headers: getAnthropicHeaders()
+    });
+
+    if (!response.ok) {
+        const message = await readErrorMessage(response);
+        ui.notifications.error(`Failed to poll batch status: ${message}`);
+        throw new Error(`Polling Error: ${message}`);
+    }
+    return normalizeMessageBatch(await response.json());
+}
+
+/**
+ * Asks Anthropic to cancel a message batch. The batch moves to `canceling` and ends once
+ * the requests that are already running finish.
+ * @param {string} batchId - The ID of the message batch to cancel.
+ * @returns {Promise<Object>} The batch, normalized to the OpenAI status vocabulary.
+ */
+async function cancelMessageBatch(batchId) {
+    const response = await fetchWithRetry(`${ANTHROPIC_API_URL}/messages/batches/${batchId}/cancel`, {
+        method: "POST",
+        headers: getAnthropicHeaders()
+    });
+
+    if (!response.ok) {
+        throw new Error(`Batch Cancellation Failed: ${await readErrorMessage(response)}`);
+    }
+    return normalizeMessageBatch(await response.json());
+}
+
+/**
+ * Adds the OpenAI-style `status` and `request_counts` to a message batch.
+ * An ended batch counts as completed when at least one request succeeded; otherwise it is
+ * cancelled or failed depending on why its requests did not succeed.
+ * @param {Object} messageBatch - The message batch returned by the API.
+ * @returns {Object} The message batch with `status` and `request_counts` added.
+ */
+export function normalizeMessageBatch(messageBatch) {
+    const { processing = 0, succeeded = 0, errored = 0, canceled = 0, expired = 0 } = messageBatch.request_counts ?? {};
+
+    let status;
+    if (messageBatch.processing_status === "in_progress") {
+        status = "in_progress";
+    } else if (messageBatch.processing_status === "canceling") {
+        status = "cancelling";
+    } else if (succeeded > 0) {
+        status = "completed";
+    } else if (canceled > 0) {
+        status = "cancelled";
+    } else {
+        status = "failed";
+    }
+
+    return {
+        ...messageBatch,
+        status,
+        request_counts: {
+            total: processing + succeeded + errored + canceled + expired,
+            completed: succeeded,
+            failed: errored + expired
+        }
+    };
+}
+
+/**
+ * Downloads the results of an ended message batch and reads them line by line as they arrive.
+ * @param {Object} completedBatch - The ended message batch.
+ * @returns {Promise<Map<string, string>>} A map of custom IDs to translated texts.
+ */
+async function fetchMessageBatchResults(completedBatch) {
+    ui.notifications.info("Downloading translated content...");
+    return readMessageBatchResults(await downloadMessageBatchResults(completedBatch));
+}
+
+/**
+ * Collects the errors of the requests in an ended message batch that did not succeed.
+ * Errors are part of the results file, so it is only downloaded again when some requests failed.
+ * @param {Object} completedBatch - The ended message batch.
+ * @returns {Promise<Map<string, import('./translation-providers.js').RequestError>>} A map of custom IDs to request errors.
+ */
+async function fetchMessageBatchErrors(completedBatch) {
+    const { completed, total } = completedBatch.request_counts;
+    if (completed === total) {
+        return new Map();
+    }
+    return readMessageBatchErrors(await downloadMessageBatchResults(completedBatch));
+}
+
+/**
+ * Requests the results file of an ended message batch.
+ * @param {Object} completedBatch - The ended message batch.
+ * @returns {Promise<Response>} The streaming results response.
+ */
+async function downloadMessageBatchResults(completedBatch) {
+    const response = await fetchWithRetry(completedBatch.results_url, {
+        headers: getAnthropicHeaders()
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to download results: ${await readErrorMessage(response)}`);
+    }
+    return response;
+}
+
+/**
+ * Reads the JSONL results stream of a message batch. Requests that did not succeed are skipped.
+ * @param {Response} resultsResponse - The streaming results response.
+ * @returns {Promise<Map<string, string>>} A map of custom IDs to translated texts, with a `usage` map of custom IDs to token usage.
+ */
+export async function readMessageBatchResults(resultsResponse) {
+    const translationsMap = new Map();
+    translationsMap.usage = new Map();
+
+    await readResultLines(resultsResponse, ({ custom_id: customId, result }) => {
+        if (result.type !== "succeeded") {
+            console.error(`Journal Translator | Request ${customId} ${result.type}:`, result.error?.error?.message ?? result.type);
+            return;
+        }
+        const translatedText = result.message.content
+            .filter(block => block.type === "text")
+            .map(block => block.text)
+            .join("");
+        translationsMap.set(customId, translatedText);
+        if (result.message.usage) {
+            translationsMap.usage.set(customId, {
+                promptTokens: result.message.usage.input_tokens ?? 0,
+                completionTokens: result.message.usage.output_tokens ?? 0,
+                model: result.message.model ?? null
+            });
+        }
+    });
+
+    return translationsMap;
+}
+
+/**
+ * Reads the JSONL results stream of a message batch and keeps only the requests that did not succeed.
+ * Errored requests carry the API error; expired and canceled requests use their result type as code.
+ * @param {Response} resultsResponse - The streaming results response.
+ * @returns {Promise<Map<string, import('./translation-providers.js').RequestError>>} A map of custom IDs to request errors.
+ */
+export async function readMessageBatchErrors(resultsResponse) {
+    const errorsMap = new Map();
+
+    await readResultLines(resultsResponse, ({ custom_id: customId, result }) => {
+        if (result.type === "succeeded") return;
+        const apiError = result.error?.error;
+        errorsMap.set(customId, {
+            code: apiError?.type ?? result.type,
+            message: apiError?.message ?? `The request was ${result.type} before it could be processed.`
+        });
+    });
+
+    return errorsMap;
+}
+
+/**
+ * Streams a JSONL response and passes each parsed line to a callback.
+ * @param {Response} response - The streaming response.
+ * @param {Function} onResult - Called with every parsed line.
+ * @returns {Promise<void>}
+ */
+async function readResultLines(response, onResult) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    const consumeLine = (line) => {
+        if (!line.trim()) return;
+        onResult(JSON.parse(line));
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(consumeLine);
+    }
+    consumeLine(buffer + decoder.decode());
+}
+
+registerProvider(anthropicBatchProvider);
@@ -0,0 +1,83 @@
+/**
+ * Azure OpenAI Batch API provider for the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { registerProvider } from './translation-providers.js';
+import { submitBatch, pollBatchStatus, fetchBatchStatus, fetchBatchTranslations, fetchBatchErrors, cancelBatchJob } from './openai-batch.js';
+
+/**
+ * Translation provider backed by an Azure OpenAI resource. It reuses the OpenAI batch steps,
+ * but routes them through the resource URL with an `api-key` header and `api-version` parameter.
+ * Batch deployments cannot serve direct requests, so this provider always uses batches.
+ * @type {import('./translation-providers.js').TranslationProvider}
+ */
+export const azureOpenAIProvider = {
+    id: "azure-openai-batch",
+    label: "Azure OpenAI Batch API",
+    validate: validateAzureSettings,
+    submit: (textsToTranslate) => submitBatch(textsToTranslate, getAzureConnection()),
+    poll: (batchId) => pollBatchStatus(batchId, getAzureConnection()),
+    getStatus: (batchId) => fetchBatchStatus(batchId, getAzureConnection()),
+    fetchResults: (completedBatch) => fetchBatchTranslations(completedBatch, getAzureConnection()),
+    fetchErrors: (completedBatch) => fetchBatchErrors(completedBatch, getAzureConnection()),
+    cancel: (batchId) => cancelBatchJob(batchId, getAzureConnection()),
+    batchLimits: { maxRequests: 100000, maxBytes: 200 * 1024 * 1024 },
+    getModel: () => game.settings.get(MODULE_ID, "azureDeployment")?.trim()
+};
+
+/**
+ * Checks that the Azure resource, key, deployment and API version are configured.
+ * @returns {string|null} An error message, or null when the settings are valid.
+ */
+function validateAzureSettings() {
+    const endpoint = game.settings.get(MODULE_ID, "azureEndpoint")?.trim();
+    if (!endpoint) {
+        return "Azure OpenAI endpoint is missing. Please enter your resource URL in the module settings.";
+    }
+    if (getUrlProtocol(endpoint) !== "https:") {
+        return `Azure OpenAI endpoint "${endpoint}" is not a valid https URL.`;
+    }
+    if (!game.settings.get(MODULE_ID, "azureApiKey")?.trim()) {
+        return "Azure OpenAI API Key is missing. Please enter your API key in the module settings.";
+    }
+    if (!game.settings.get(MODULE_ID, "azureDeployment")?.trim()) {
+        return "Azure OpenAI deployment name is missing. Please enter the name of your batch deployment in the module settings.";
+    }
+    if (!game.settings.get(MODULE_ID, "azureApiVersion")?.trim()) {
+        return "Azure OpenAI API version is missing. Please enter it in the module settings.";
+    }
+    return null;
+}
+
+/**
+ * Gets the protocol of a URL. `new URL` is used rather than `URL.parse`, which older browsers lack.
+ * @param {string} url - The URL.
+ * @returns {string|null} The protocol, e.g. "https:", or null if the text is not a URL.
+ */
+function getUrlProtocol(url) {
+    try {
+        return new URL(url).protocol;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Builds the connection for the configured Azure OpenAI resource.
+ * Azure serves the batch routes under `/openai` and uses the deployment name in place of the model.
+ * @returns {import('./openai-batch.js').BatchApiConnection} The Azure connection.
+ */
+function getAzureConnection() {
+    const endpoint = game.settings.get(MODULE_ID, "azureEndpoint").trim().replace(/\/+$/, "");
+    const apiVersion = encodeURIComponent(game.settings.get(MODULE_ID, "azureApiVersion").trim());
+
+    return {
+        url: (route) => `${endpoint}/openai${route}?api-version=${apiVersion}`,
+        headers: { "api-key": game.settings.get(MODULE_ID, "azureApiKey").trim() },
+        chatCompletionsRoute: "/chat/completions",
+        model: game.settings.get(MODULE_ID, "azureDeployment").trim()
+    };
+}
+
+registerProvider(azureOpenAIProvider);
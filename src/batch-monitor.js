@@ -0,0 +1,264 @@
+/**
+ * Batch Monitor window for the Journal Translator module.
+ */
+
+import { getProvider, getJobShards, getJobStatus } from './translation-providers.js';
+import { findAllTranslationBatches } from './translation-flags.js';
+import { isBatchInQueue, getBatchLease } from './batch-queue.js';
+import { attemptBatchRestoration, cancelTranslationBatch, clearTranslationBatch, notifyBatchMonitored } from './translation-handlers.js';
+import { escapeText } from './utils.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+// The single monitor window, created the first time it is opened
+let batchMonitor = null;
+
+/**
+ * Lists every translation batch found in page flags across all journals, with its remote
+ * status and progress, and lets the user restore, cancel or clear it.
+ * The content is plain HTML built in `_renderHTML`, like the module's dialogs.
+ */
+export class BatchMonitor extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "journal-translator-batch-monitor",
+        window: {
+            title: "Translation Batch Monitor",
+            icon: "fas fa-tasks",
+            resizable: true
+        },
+        position: {
+            width: 760,
+            height: "auto"
+        },
+        actions: {
+            refresh: BatchMonitor.#onRefresh,
+            restore: BatchMonitor.#onRestore,
+            cancel: BatchMonitor.#onCancel,
+            clear: BatchMonitor.#onClear
+        }
+    };
+
+    /**
+     * Collects the batches and fetches the remote status of each of them.
+     * @returns {Promise<{batches: Array<Object>}>} The render context.
+     */
+    async _prepareContext() {
+        const batches = findAllTranslationBatches();
+        return { batches: await Promise.all(batches.map(describeBatch)) };
+    }
+
+    /**
+     * Builds the window content.
+     * @param {{batches: Array<Object>}} context - The render context.
+     * @returns {Promise<string>} The HTML content.
+     */
+    async _renderHTML(context) {
+        const body = context.batches.length === 0
+            ? `<p style="margin: 12px 0;">No translation batches are waiting for results.</p>`
+            : `
+                <table style="width: 100%; border-collapse: collapse;">
+                    <thead>
+                        <tr style="text-align: left;">
+                            <th>Journal</th>
+                            <th>Pages</th>
+                            <th>Status</th>
+                            <th style="width: 140px;">Progress</th>
+                            <th>Age</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${context.batches.map(renderBatchRow).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        return `
+            <div style="max-height: 500px; overflow-y: auto;">
+                ${body}
+            </div>
+            <div style="margin-top: 8px; text-align: right;">
+                <button type="button" data-action="refresh"><i class="fas fa-sync"></i> Refresh</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Replaces the window content with the rendered HTML.
+     * @param {string} result - The HTML returned by `_renderHTML`.
+     * @param {HTMLElement} content - The content element of the window.
+     */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Re-renders the window with fresh statuses.
+     */
+    static async #onRefresh() {
+        await this.render();
+    }
+
+    /**
+     * Restores the batch of the clicked row and applies its results once it finishes.
+     * @param {PointerEvent} event - The click event.
+     * @param {HTMLElement} target - The clicked button.
+     */
+    static async #onRestore(event, target) {
+        const batch = findBatch(target.dataset.batchId);
+        if (!batch) return this.render();
+        if (isBatchInQueue(batch.batchId)) {
+            notifyBatchMonitored(batch.batchId);
+            return;
+        }
+
+        const restoration = attemptBatchRestoration(batch.batchId, batch.pages);
+        this.render();
+        await restoration;
+        await this.render();
+    }
+
+    /**
+     * Cancels the batch of the clicked row on the provider's side after confirmation.
+     * @param {PointerEvent} event - The click event.
+     * @param {HTMLElement} target - The clicked button.
+     */
+    static async #onCancel(event, target) {
+        const batch = findBatch(target.dataset.batchId);
+        if (!batch) return this.render();
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Cancel Translation Batch" },
+            content: `<p>Cancel batch ${escapeText(batch.batchId)}? Requests that have not been processed yet will not be translated.</p>`,
+            yes: { default: false }
+        });
+        if (!confirmed) return;
+
+        await cancelTranslationBatch(batch.batchId, batch.pages);
+        await this.render();
+    }
+
+    /**
+     * Clears the page flags of the clicked row's batch after confirmation.
+     * @param {PointerEvent} event - The click event.
+     * @param {HTMLElement} target - The clicked button.
+     */
+    static async #onClear(event, target) {
+        const batch = findBatch(target.dataset.batchId);
+        if (!batch) return this.render();
+
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Clear Translation Batch" },
+            content: `<p>Forget batch ${escapeText(batch.batchId)} and let its ${batch.pages.length} page(s) be translated again? The batch is not cancelled and keeps running on the provider's side.</p>`,
+            yes: { default: false }
+        });
+        if (!confirmed) return;
+
+        await clearTranslationBatch(batch.batchId, batch.pages);
+        await this.render();
+    }
+}
+
+/**
+ * Opens the Batch Monitor, or brings it to the front if it is already open.
+ * @returns {BatchMonitor} The monitor window.
+ */
+export function openBatchMonitor() {
+    batchMonitor ??= new BatchMonitor();
+    batchMonitor.render({ force: true });
+    return batchMonitor;
+}
+
+/**
+ * Finds a batch from the page flags by its ID.
+ * @param {string} batchId - The batch ID.
+ * @returns {Object|undefined} The batch with its pages, or undefined if no page references it anymore.
+ */
+function findBatch(batchId) {
+    return findAllTranslationBatches().find(batch => batch.batchId === batchId);
+}
+
+/**
+ * Adds the remote status and the display details to a batch found in page flags.
+ * Batches whose provider is missing or not configured are shown with an unknown status.
+ * @param {{batchId: string, provider: string, shards: Array|null, startedAt: number, pages: Array}} batch - The batch from the page flags.
+ * @returns {Promise<Object>} The batch with `providerLabel`, `journals`, `status`, `requestCounts`, `statusError`, `monitored` and `monitoredBy`.
+ */
+async function describeBatch(batch) {
+    const provider = getProvider(batch.provider);
+    const journals = [...new Set(batch.pages.map(page => page.parent?.name ?? "Unknown journal"))];
+    let remoteBatch = null;
+    let statusError = null;
+
+    if (typeof provider?.getStatus === 'function' && !provider.validate()) {
+        try {
+            remoteBatch = await getJobStatus(provider, getJobShards(batch.batchId, batch.shards, batch.pages.length));
+        } catch (error) {
+            console.error(`Journal Translator | Could not fetch the status of batch ${batch.batchId}:`, error);
+            statusError = error.message;
+        }
+    }
+
+    return {
+        ...batch,
+        providerLabel: provider?.label ?? batch.provider ?? "Unknown provider",
+        journals,
+        status: remoteBatch?.status ?? "unknown",
+        requestCounts: remoteBatch?.request_counts ?? null,
+        statusError,
+        monitored: isBatchInQueue(batch.batchId),
+        monitoredBy: game.users?.get(getBatchLease(batch.batchId)?.userId)?.name ?? null
+    };
+}
+
+/**
+ * Builds the table row of a batch.
+ * @param {Object} batch - The described batch.
+ * @returns {string} The row HTML.
+ */
+function renderBatchRow(batch) {
+    const { completed = 0, total = 0 } = batch.requestCounts ?? {};
+    const progress = total > 0
+        ? `<progress value="${completed}" max="${total}" style="width: 100%;"></progress>
+           <div style="font-size: 11px; color: #666;">${completed}/${total} requests</div>`
+        : `<span style="color: #666;">—</span>`;
+
+    const monitoredText = batch.monitored
+        ? `<div style="font-size: 11px; color: green;">● Monitored${batch.monitoredBy ? ` by ${escapeText(batch.monitoredBy)}` : ''}</div>`
+        : '';
+    const statusTitle = batch.statusError ? ` title="${escapeText(batch.statusError)}"` : '';
+    const shardText = batch.shards?.length > 1 ? ` · split into ${batch.shards.length} batches` : '';
+    const batchId = escapeText(batch.batchId);
+
+    return `
+        <tr style="border-top: 1px solid #ccc;">
+            <td style="padding: 4px;">
+                <strong>${escapeText(batch.journals.join(', '))}</strong>
+                <div style="font-size: 11px; color: #666;">${escapeText(batch.providerLabel)} · ${batchId}${shardText}</div>
+            </td>
+            <td style="padding: 4px;">${batch.pages.length}</td>
+            <td style="padding: 4px;"${statusTitle}>${escapeText(batch.status)}${monitoredText}</td>
+            <td style="padding: 4px;">${progress}</td>
+            <td style="padding: 4px;">${formatAge(batch.startedAt)}</td>
+            <td style="padding: 4px; white-space: nowrap;">
+                <button type="button" data-action="restore" data-batch-id="${batchId}" title="Restore"${batch.monitored ? ' disabled' : ''}><i class="fas fa-undo"></i></button>
+                <button type="button" data-action="cancel" data-batch-id="${batchId}" title="Cancel"><i class="fas fa-ban"></i></button>
+                <button type="button" data-action="clear" data-batch-id="${batchId}" title="Clear"><i class="fas fa-eraser"></i></button>
+            </td>
+        </tr>
+    `;
+}
+
+/**
+ * Formats how long ago a batch was started.
+ * @param {number} [startedAt] - Timestamp in milliseconds, missing for batches started by older versions.
+ * @returns {string} A short age such as "5 min", "3 h" or "2 d".
+ */
+function formatAge(startedAt) {
+    if (!startedAt) return "Unknown";
+    const minutes = Math.floor((Date.now() - startedAt) / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} h`;
+    return `${Math.floor(hours / 24)} d`;
+}
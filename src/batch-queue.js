@@ -1,55 +1,262 @@
 /**
  * Batch queue manager for tracking active OpenAI batch operations.
+ * The queue is stored in a world setting so every connected client sees which batches are
+ * being monitored, and by whom. Each entry is a lease that its client renews with a heartbeat;
+ * a lease that is not renewed expires, so batches of closed browsers can be reclaimed.
  */
 
 import { MODULE_ID } from './settings.js';
 
-// Global batch queue to track active batches
-const activeBatches = new Set();
+// World setting holding the leases, keyed by batch ID
+const QUEUE_SETTING = "batchQueue";
+
+// How often this client renews its leases, and how long a lease lives without renewal
+const HEARTBEAT_INTERVAL = 30000;
+const LEASE_DURATION = 120000;
+
+// Identifies this browser tab, so two tabs of the same user do not both monitor a batch
+const clientId = foundry.utils.randomID();
+
+// Batches whose lease is held by this client
+const ownedBatches = new Set();
+
+// Writes of the queue setting run one after another, so concurrent updates are not lost
+let pendingWrite = Promise.resolve();
+let heartbeatTimer = null;
+
+// Abort controllers of the local polling loops, keyed by batch ID
+const pollingControllers = new Map();
 
 /**
- * Adds a batch ID to the active monitoring queue
+ * @typedef {Object} BatchLease
+ * @property {string|null} userId - The ID of the user whose client monitors the batch.
+ * @property {string} clientId - The ID of the browser tab that monitors the batch.
+ * @property {number} heartbeat - When the lease was last renewed, in milliseconds since the epoch.
+ * @property {number} expiresAt - When the lease expires unless it is renewed.
+ */
+
+/**
+ * Adds a batch ID to the active monitoring queue by taking its lease. A batch monitored by
+ * another client is left alone unless that client stopped renewing its lease.
  * @param {string} batchId - The OpenAI batch ID to monitor
+ * @returns {Promise<boolean>} True if this client now monitors the batch
  */
-export function addBatchToQueue(batchId) {
-    if (batchId) {
-        activeBatches.add(batchId);
+export async function addBatchToQueue(batchId) {
+    if (!batchId) return false;
+
+    let acquired = false;
+    await updateQueue(queue => {
+        const lease = queue[batchId];
+        if (isLeaseLive(lease) && lease.clientId !== clientId) return;
+        queue[batchId] = createLease();
+        acquired = true;
+    });
+
+    if (acquired) {
+        ownedBatches.add(batchId);
+        startHeartbeat();
         console.log(`Journal Translator | Added batch ${batchId} to monitoring queue`);
     }
+    return acquired;
 }
 
 /**
- * Removes a batch ID from the active monitoring queue
+ * Removes a batch ID from the active monitoring queue by releasing its lease.
+ * Leases held by other clients are left alone.
  * @param {string} batchId - The OpenAI batch ID to stop monitoring
+ * @returns {Promise<void>}
  */
-export function removeBatchFromQueue(batchId) {
-    if (batchId && activeBatches.has(batchId)) {
-        activeBatches.delete(batchId);
-        console.log(`Journal Translator | Removed batch ${batchId} from monitoring queue`);
-    }
+export async function removeBatchFromQueue(batchId) {
+    if (!batchId || !ownedBatches.delete(batchId)) return;
+
+    await updateQueue(queue => {
+        if (queue[batchId]?.clientId === clientId) {
+            delete queue[batchId];
+        }
+    });
+    console.log(`Journal Translator | Removed batch ${batchId} from monitoring queue`);
 }
 
 /**
- * Checks if a batch ID is currently being monitored
+ * Checks if a batch ID is currently being monitored by any connected client
  * @param {string} batchId - The OpenAI batch ID to check
- * @returns {boolean} True if the batch is in the active queue
+ * @returns {boolean} True if the batch has a lease that has not expired
  */
 export function isBatchInQueue(batchId) {
-    return batchId && activeBatches.has(batchId);
+    return !!batchId && isLeaseLive(readQueue()[batchId]);
+}
+
+/**
+ * Checks if this client holds the lease of a batch. Results are only applied while it does,
+ * so a batch restored by two clients at once is applied only once.
+ * @param {string} batchId - The OpenAI batch ID to check
+ * @returns {boolean} True if this client monitors the batch
+ */
+export function isBatchMonitoredHere(batchId) {
+    if (!ownedBatches.has(batchId)) return false;
+    // Without a stored lease the world setting could not be written, so the local state counts
+    const lease = readQueue()[batchId];
+    return !lease || lease.clientId === clientId;
+}
+
+/**
+ * Gets the lease of a batch that is being monitored
+ * @param {string} batchId - The OpenAI batch ID
+ * @returns {BatchLease|null} The lease, or null if no client monitors the batch
+ */
+export function getBatchLease(batchId) {
+    const lease = readQueue()[batchId];
+    return isLeaseLive(lease) ? lease : null;
 }
 
 /**
  * Gets all currently active batch IDs
- * @returns {Array<string>} Array of active batch IDs
+ * @returns {Array<string>} Array of batch IDs monitored by any connected client
  */
 export function getActiveBatches() {
-    return Array.from(activeBatches);
+    return Object.entries(readQueue())
+        .filter(([, lease]) => isLeaseLive(lease))
+        .map(([batchId]) => batchId);
 }
 
 /**
  * Clears all batches from the queue (useful for cleanup)
+ * @returns {Promise<void>}
  */
-export function clearBatchQueue() {
-    activeBatches.clear();
+export async function clearBatchQueue() {
+    ownedBatches.clear();
+    stopHeartbeat();
+    await updateQueue(queue => {
+        for (const batchId of Object.keys(queue)) {
+            delete queue[batchId];
+        }
+    });
     console.log(`Journal Translator | Cleared all batches from monitoring queue`);
-}
\ No newline at end of file
+}
+
+/**
+ * Renews every lease held by this client. Leases taken over by another client in the meantime
+ * are given up; the heartbeat stops once this client holds no lease.
+ * @returns {Promise<void>}
+ */
+export async function renewLeases() {
+    await updateQueue(queue => {
+        for (const batchId of ownedBatches) {
+            const lease = queue[batchId];
+            if (lease && lease.clientId !== clientId) {
+                ownedBatches.delete(batchId);
+                console.log(`Journal Translator | Batch ${batchId} is now monitored by another client`);
+            } else {
+                queue[batchId] = createLease();
+            }
+        }
+    });
+    if (ownedBatches.size === 0) {
+        stopHeartbeat();
+    }
+}
+
+/**
+ * Reads the stored leases
+ * @returns {Object<string, BatchLease>} The leases keyed by batch ID
+ */
+function readQueue() {
+    return game.settings.get(MODULE_ID, QUEUE_SETTING) ?? {};
+}
+
+/**
+ * Changes the stored leases. Updates are serialized, and each one reads the queue again,
+ * so it sees the changes of the previous ones and of other clients.
+ * @param {Function} change - (queue) => void. Modifies a copy of the leases in place.
+ * @returns {Promise<void>}
+ */
+function updateQueue(change) {
+    pendingWrite = pendingWrite.then(async () => {
+        const queue = { ...readQueue() };
+        change(queue);
+        try {
+            await game.settings.set(MODULE_ID, QUEUE_SETTING, queue);
+        } catch (error) {
+            // Users who may not change world settings still monitor their own batches locally
+            console.warn(`Journal Translator | Could not update the batch queue:`, error);
+        }
+    });
+    return pendingWrite;
+}
+
+/**
+ * Creates a lease for this client, valid for the lease duration from now
+ * @returns {BatchLease} The lease
+ */
+function createLease() {
+    const now = Date.now();
+    return { userId: game.user?.id ?? null, clientId, heartbeat: now, expiresAt: now + LEASE_DURATION };
+}
+
+/**
+ * Checks if a lease exists and has not expired
+ * @param {BatchLease} [lease] - The lease
+ * @returns {boolean} True if the lease is still valid
+ */
+function isLeaseLive(lease) {
+    return !!lease && lease.expiresAt > Date.now();
+}
+
+/**
+ * Starts renewing the leases of this client, unless it already does
+ */
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(renewLeases, HEARTBEAT_INTERVAL);
+}
+
+/**
+ * Stops renewing leases
+ */
+function stopHeartbeat() {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+}
+
+/**
+ * Registers a local polling loop for a batch so it can be stopped later
+ * @param {string} batchId - The batch ID being polled
+ * @returns {AbortController} The controller whose signal aborts when polling is stopped
+ */
+export function startBatchPolling(batchId) {
+    const controller = new AbortController();
+    if (!pollingControllers.has(batchId)) {
+        pollingControllers.set(batchId, new Set());
+    }
+    pollingControllers.get(batchId).add(controller);
+    return controller;
+}
+
+/**
+ * Unregisters a polling loop once it has finished
+ * @param {string} batchId - The batch ID that was polled
+ * @param {AbortController} controller - The controller returned by startBatchPolling
+ */
+export function finishBatchPolling(batchId, controller) {
+    const controllers = pollingControllers.get(batchId);
+    if (!controllers) return;
+    controllers.delete(controller);
+    if (controllers.size === 0) {
+        pollingControllers.delete(batchId);
+    }
+}
+
+/**
+ * Stops every local polling loop that is currently waiting for a batch.
+ * Loops started afterwards are not affected.
+ * @param {string} batchId - The batch ID to stop polling
+ */
+export function stopBatchPolling(batchId) {
+    const controllers = pollingControllers.get(batchId);
+    if (!controllers) return;
+    for (const controller of controllers) {
+        controller.abort();
+    }
+    pollingControllers.delete(batchId);
+    console.log(`Journal Translator | Stopped polling batch ${batchId}`);
+}
@@ -0,0 +1,388 @@
+/**
+ * Block-level updates of translated pages for the Journal Translator module.
+ * The top-level blocks of a page are numbered with a data attribute in the request, and the
+ * provider keeps the numbers on their translations. When a page is completed, a hash of each
+ * of its source blocks is stored, so once the original is edited only the changed blocks are
+ * sent, and their translations are spliced into the existing translation. The other blocks of
+ * the translation are kept as they are, including fixes made to them by hand.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { getTranslationFlags } from './translation-flags.js';
+import { getTitledContents } from './page-titles.js';
+import { hashText, getSettingsHash } from './stale-translations.js';
+
+// Attribute numbering the top-level blocks of a page, kept by the provider on their translations
+const BLOCK_ATTRIBUTE = "data-translation-block";
+
+// Class of the rule between the original and the translation in the append and prepend modes
+const SEPARATOR_CLASS = "journal-translator-separator";
+
+// Rule between the original and the translation in the append and prepend modes
+export const SEPARATOR = `<hr class="${SEPARATOR_CLASS}" style="margin: 1em 0;">`;
+
+// Modes that keep the original next to its translation, so the translation can be updated block by block
+const BLOCK_MODES = ["new", "append", "prepend"];
+
+// Number of hex digits kept of the hash of each block, enough to tell the blocks of a page apart
+const BLOCK_HASH_LENGTH = 16;
+
+/**
+ * The source blocks of a page, stored when its translation is completed.
+ * @typedef {Object} BlockMap
+ * @property {string} mode - The translation mode the translation was applied with.
+ * @property {string[]} hashes - The shortened hash of each top-level block of the original.
+ */
+
+/**
+ * A translated page that is updated block by block.
+ * @typedef {Object} BlockUpdate
+ * @property {string} mode - The translation mode the existing translation was applied with.
+ * @property {JournalEntryPage} target - The page holding the translation: the translated page
+ *   in the new mode, or the page itself in the append and prepend modes.
+ * @property {Node[]} source - The nodes of the original.
+ * @property {Element[]} sourceBlocks - The top-level blocks of the original.
+ * @property {Node[]} leading - Nodes of the translation before its first numbered block, kept as they are.
+ * @property {Map<number, Node[]>} groups - The nodes of the existing translation of each block, by block number.
+ * @property {Array<number|null>} blockMatches - For each source block, the block of the existing
+ *   translation it keeps, or null if the block is sent.
+ */
+
+/**
+ * Gets the content to send for each page. Pages updated block by block send their changed
+ * blocks; the other pages send their content with its blocks numbered, preceded by their titles.
+ * @param {Array} pages - The pages to translate, in request order.
+ * @param {Function} getJournal - (page) => JournalEntry. Finds the journal a page belongs to.
+ * @param {Array<Array<number|null>|null>} [blockMatches] - The block matches of each page, see planBlockUpdate.
+ *   Defaults to the matches stored in the page flags when the job was sent.
+ * @returns {string[]} The content of each page.
+ */
+export function getRequestContents(pages, getJournal, blockMatches = pages.map(page => getTranslationFlags(page).blockMatches)) {
+    const numbered = BLOCK_MODES.includes(game.settings.get(MODULE_ID, "translationMode"));
+    const wholePages = pages.filter((page, index) => !blockMatches[index]);
+    const titledContents = getTitledContents(wholePages, getJournal, page => numbered ? numberBlocks(getSourceContent(page)) : getSourceContent(page));
+
+    let wholeIndex = 0;
+    return pages.map((page, index) => {
+        if (!blockMatches[index]) return titledContents[wholeIndex++];
+        const update = getBlockUpdate(page, blockMatches[index]);
+        return update ? getChangedBlocks(update) : "";
+    });
+}
+
+/**
+ * Gets the original content of a page. A page translated in the append or prepend mode also holds
+ * its translation, which is left out so it is neither sent nor kept when the page is translated
+ * whole again. The sides are told apart by the mode the translation was applied with, or by the
+ * current mode for pages translated before it was stored.
+ * @param {JournalEntryPage} page - The page.
+ * @returns {string} The HTML of the original.
+ */
+export function getSourceContent(page) {
+    const html = page.text?.content ?? "";
+    if (!html.includes(SEPARATOR_CLASS)) return html;
+    const mode = getTranslationFlags(page).blockMap?.mode ?? game.settings.get(MODULE_ID, "translationMode");
+    return toHtml(getSourceNodes(html, mode));
+}
+
+/**
+ * Works out which blocks of a translated page have to be sent again. A page is only updated
+ * block by block if its translation is completed, was made with the current settings and
+ * still carries the block numbers; otherwise it is translated whole.
+ * @param {JournalEntryPage} page - The page to translate.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translates it.
+ * @returns {Promise<Array<number|null>|null>} For each source block, the block of the existing translation
+ *   it keeps, or null if the block changed. Null if the page is translated whole.
+ */
+export async function planBlockUpdate(page, provider) {
+    const flags = getTranslationFlags(page);
+    if (!flags.completed || !flags.blockMap || flags.settingsHash !== await getSettingsHash(provider)) return null;
+
+    const update = getBlockParts(page, flags.blockMap.mode);
+    if (!update) return null;
+
+    const hashes = await hashBlocks(update.sourceBlocks);
+    return alignBlocks(flags.blockMap.hashes, hashes).map(index => index !== null && update.groups.has(index) ? index : null);
+}
+
+/**
+ * Reads the original and the existing translation of a page that is updated block by block.
+ * @param {JournalEntryPage} page - The page.
+ * @param {Array<number|null>} blockMatches - The block matches of the page, see planBlockUpdate.
+ * @returns {BlockUpdate|null} The update, or null if the page or its translation changed so the matches no longer apply.
+ */
+export function getBlockUpdate(page, blockMatches) {
+    const update = getBlockParts(page, getTranslationFlags(page).blockMap?.mode);
+    if (!update || update.sourceBlocks.length !== blockMatches.length) return null;
+    if (blockMatches.some(index => index !== null && !update.groups.has(index))) return null;
+    return { ...update, blockMatches };
+}
+
+/**
+ * Splices the translations of the changed blocks into the existing translation of a page.
+ * @param {BlockUpdate} update - The update.
+ * @param {string} translation - The translation of the changed blocks, see getRequestContents.
+ * @returns {string|null} The new content of the target page, or null if a changed block is missing
+ *   from the translation, e.g. because the provider dropped its number.
+ */
+export function spliceBlockTranslation(update, translation) {
+    const received = groupBlocks(parseNodes(translation ?? "")).groups;
+    const nodes = [...update.leading];
+
+    for (const [index, match] of update.blockMatches.entries()) {
+        const group = match !== null ? update.groups.get(match) : received.get(index);
+        if (!group) return null;
+        nodes.push(...group.map(node => renumberBlock(node, index)));
+    }
+
+    const translated = toHtml(nodes);
+    switch (update.mode) {
+        case "append":
+            return toHtml(update.source) + SEPARATOR + translated;
+        case "prepend":
+            return translated + SEPARATOR + toHtml(update.source);
+        default:
+            return translated;
+    }
+}
+
+/**
+ * Hashes the source blocks of a page whose translation was applied, to be stored with the page.
+ * @param {JournalEntryPage} page - The page, with the translation applied.
+ * @param {string} mode - The translation mode the translation was applied with.
+ * @returns {Promise<BlockMap|null>} The block map, or null if the page cannot be updated block by block.
+ */
+export async function getBlockMap(page, mode) {
+    if (!BLOCK_MODES.includes(mode)) return null;
+    const sourceBlocks = getElementBlocks(getSourceNodes(page.text?.content ?? "", mode));
+    if (!sourceBlocks?.length) return null;
+    return { mode, hashes: await hashBlocks(sourceBlocks) };
+}
+
+/**
+ * Lines up the blocks of the original as it was translated with the blocks it has now, keeping
+ * the longest sequence of unchanged blocks in order.
+ * @param {string[]} oldHashes - The hashes of the blocks when the page was translated.
+ * @param {string[]} newHashes - The hashes of the blocks now.
+ * @returns {Array<number|null>} For each block now, the index of the same block when the page was translated,
+ *   or null if it is new or changed.
+ */
+export function alignBlocks(oldHashes, newHashes) {
+    // lengths[i][j] is the length of the longest common sequence of oldHashes from i and newHashes from j
+    const lengths = Array.from({ length: oldHashes.length + 1 }, () => new Array(newHashes.length + 1).fill(0));
+    for (let i = oldHashes.length - 1; i >= 0; i--) {
+        for (let j = newHashes.length - 1; j >= 0; j--) {
+            lengths[i][j] = oldHashes[i] === newHashes[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const matches = new Array(newHashes.length).fill(null);
+    let i = 0;
+    let j = 0;
+    while (i < oldHashes.length && j < newHashes.length) {
+        if (oldHashes[i] === newHashes[j]) {
+            matches[j++] = i++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return matches;
+}
+
+/**
+ * Numbers the top-level blocks of some HTML. Content with text outside of blocks is returned
+ * unchanged, since its translation could not be lined up with it.
+ * @param {string} html - The HTML.
+ * @returns {string} The HTML with each top-level element numbered.
+ */
+function numberBlocks(html) {
+    const nodes = parseNodes(html);
+    const blocks = getElementBlocks(nodes);
+    if (!blocks) return html;
+    blocks.forEach((block, index) => block.setAttribute(BLOCK_ATTRIBUTE, index));
+    return toHtml(nodes);
+}
+
+/**
+ * Builds the request of a page updated block by block: its changed blocks, numbered by their position.
+ * @param {BlockUpdate} update - The update.
+ * @returns {string} The HTML of the changed blocks.
+ */
+function getChangedBlocks(update) {
+    return update.sourceBlocks
+        .map((block, index) => {
+            if (update.blockMatches[index] !== null) return "";
+            const copy = block.cloneNode(true);
+            copy.setAttribute(BLOCK_ATTRIBUTE, index);
+            return copy.outerHTML;
+        })
+        .join("");
+}
+
+/**
+ * Reads the original and the existing translation of a page translated with the given mode.
+ * @param {JournalEntryPage} page - The page.
+ * @param {string} mode - The translation mode the existing translation was applied with.
+ * @returns {Omit<BlockUpdate, 'blockMatches'>|null} The parts of the update, or null if the page
+ *   has no translation with numbered blocks.
+ */
+function getBlockParts(page, mode) {
+    if (!BLOCK_MODES.includes(mode)) return null;
+    const target = mode === "new" ? findTranslatedPage(page) : page;
+    if (!target?.text?.content) return null;
+
+    const source = getSourceNodes(page.text?.content ?? "", mode);
+    const translation = mode === "new" ? parseNodes(target.text.content) : getTranslationNodes(page.text.content, mode);
+    const sourceBlocks = getElementBlocks(source);
+    if (!sourceBlocks || !translation) return null;
+
+    const { leading, groups } = groupBlocks(translation);
+    if (groups.size === 0) return null;
+    return { mode, target, source, sourceBlocks, leading, groups };
+}
+
+/**
+ * Finds the page a page was translated into with the new mode.
+ * @param {JournalEntryPage} page - The original page.
+ * @returns {JournalEntryPage|null} The most recent translated page, or null if there is none.
+ */
+function findTranslatedPage(page) {
+    let translatedPage = null;
+    for (const journal of game.journal) {
+        for (const candidate of journal.pages) {
+            if (candidate.getFlag?.(MODULE_ID, "translationSourceUuid") === page.uuid) {
+                translatedPage = candidate;
+            }
+        }
+    }
+    return translatedPage;
+}
+
+/**
+ * Gets the nodes of the original of a page. In the append and prepend modes this is the part
+ * on the other side of the separator from the translation.
+ * @param {string} html - The content of the page.
+ * @param {string} mode - The translation mode.
+ * @returns {Node[]} The nodes of the original.
+ */
+function getSourceNodes(html, mode) {
+    const nodes = parseNodes(html);
+    const separator = findSeparator(nodes, mode);
+    if (separator === -1) return nodes;
+    return mode === "append" ? nodes.slice(0, separator) : nodes.slice(separator + 1);
+}
+
+/**
+ * Gets the nodes of the translation of a page translated in the append or prepend mode.
+ * @param {string} html - The content of the page.
+ * @param {string} mode - The translation mode.
+ * @returns {Node[]|null} The nodes of the translation, or null if the page has no separator.
+ */
+function getTranslationNodes(html, mode) {
+    const nodes = parseNodes(html);
+    const separator = findSeparator(nodes, mode);
+    if (separator === -1) return null;
+    return mode === "append" ? nodes.slice(separator + 1) : nodes.slice(0, separator);
+}
+
+/**
+ * Finds the separator between the original and the translation. Appended translations follow
+ * the first separator and prepended ones precede the last, should the original contain one.
+ * @param {Node[]} nodes - The nodes of the page.
+ * @param {string} mode - The translation mode.
+ * @returns {number} The index of the separator, or -1 if there is none.
+ */
+function findSeparator(nodes, mode) {
+    const isSeparator = node => node.nodeType === Node.ELEMENT_NODE && node.classList.contains(SEPARATOR_CLASS);
+    if (mode === "append") return nodes.findIndex(isSeparator);
+    if (mode === "prepend") return nodes.findLastIndex(isSeparator);
+    return -1;
+}
+
+/**
+ * Groups the nodes of a translation by the number of the block they translate. Nodes without a
+ * number belong to the block before them, e.g. when the provider split a paragraph in two.
+ * @param {Node[]} nodes - The nodes of the translation.
+ * @returns {{leading: Node[], groups: Map<number, Node[]>}} The nodes before the first numbered block, and the
+ *   nodes of each block.
+ */
+function groupBlocks(nodes) {
+    const leading = [];
+    const groups = new Map();
+    let current = leading;
+
+    for (const node of nodes) {
+        const number = node.nodeType === Node.ELEMENT_NODE ? node.getAttribute(BLOCK_ATTRIBUTE) : null;
+        if (number !== null && /^\d+$/.test(number)) {
+            const index = Number(number);
+            if (!groups.has(index)) groups.set(index, []);
+            current = groups.get(index);
+        }
+        current.push(node);
+    }
+
+    return { leading, groups };
+}
+
+/**
+ * Gets the top-level elements of some content, the blocks that are numbered.
+ * @param {Node[]} nodes - The nodes of the content.
+ * @returns {Element[]|null} The elements, or null if there is text outside of them.
+ */
+function getElementBlocks(nodes) {
+    if (nodes.some(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim())) return null;
+    return nodes.filter(node => node.nodeType === Node.ELEMENT_NODE);
+}
+
+/**
+ * Hashes blocks without their numbers.
+ * @param {Element[]} blocks - The blocks.
+ * @returns {Promise<string[]>} The shortened hash of each block.
+ */
+function hashBlocks(blocks) {
+    return Promise.all(blocks.map(async block => {
+        const copy = block.cloneNode(true);
+        copy.removeAttribute(BLOCK_ATTRIBUTE);
+        return (await hashText(copy.outerHTML)).slice(0, BLOCK_HASH_LENGTH);
+    }));
+}
+
+/**
+ * Copies a node of a translation with the number of the block it now translates.
+ * @param {Node} node - The node.
+ * @param {number} index - The number of the block.
+ * @returns {Node} The copy.
+ */
+function renumberBlock(node, index) {
+    const copy = node.cloneNode(true);
+    if (copy.nodeType === Node.ELEMENT_NODE && copy.hasAttribute(BLOCK_ATTRIBUTE)) {
+        copy.setAttribute(BLOCK_ATTRIBUTE, index);
+    }
+    return copy;
+}
+
+/**
+ * Parses HTML into its top-level nodes.
+ * @param {string} html - The HTML.
+ * @returns {Node[]} The nodes.
+ */
+function parseNodes(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return [...template.content.childNodes];
+}
+
+/**
+ * Converts nodes back to HTML.
+ * @param {Node[]} nodes - The nodes.
+ * @returns {string} The HTML.
+ */
+function toHtml(nodes) {
+    const template = document.createElement("template");
+    template.content.append(...nodes.map(node => node.cloneNode(true)));
+    return template.innerHTML;
+}
@@ -0,0 +1,171 @@
+/**
+ * Token and cost estimates shown before a translation starts, for the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { getActiveProvider, shouldTranslateImmediately, estimateTokenCount, getRequestPrompt } from './translation-providers.js';
+import { getChunkSize, splitIntoChunks } from './page-chunks.js';
+import { getTitledContents } from './page-titles.js';
+import { escapeText } from './utils.js';
+
+// Date suffix of a model snapshot, e.g. `-2024-08-06` or `-20250929`
+const SNAPSHOT_DATE_PATTERN = /-\d{4}-?\d{2}-?\d{2}$/;
+
+/**
+ * Price of a model, in US dollars per million tokens.
+ * @typedef {Object} ModelPrice
+ * @property {number} input - The price of input (prompt) tokens.
+ * @property {number} output - The price of output (completion) tokens.
+ */
+
+/**
+ * Estimated size and cost of translating a set of pages.
+ * @typedef {Object} CostEstimate
+ * @property {Array<{name: string, inputTokens: number, outputTokens: number, cost: number|null}>} pages - The estimate of each page.
+ * @property {number} inputTokens - The input tokens of all pages.
+ * @property {number} outputTokens - The expected output tokens of all pages.
+ * @property {number|null} cost - The cost of all pages in US dollars, or null if the model has no price.
+ * @property {string} model - The model the pages would be translated with.
+ * @property {boolean} batch - Whether the pages would be sent as a batch, which gets the batch discount.
+ * @property {number} discount - The batch discount in percent applied to the cost.
+ */
+
+/**
+ * Parses the `model=input/output` pairs of the `modelPrices` setting. Invalid entries are ignored.
+ * @param {string} value - The setting value, with pairs separated by commas or new lines,
+ *   e.g. `gpt-4o=2.50/10.00, claude-sonnet-4-5=3/15`.
+ * @returns {Map<string, ModelPrice>} The price keyed by model name.
+ */
+export function parseModelPrices(value) {
+    const prices = new Map();
+    for (const entry of String(value ?? "").split(/[,\n]/)) {
+        const [model, price] = entry.split("=").map(part => part.trim());
+        const [input, output] = (price ?? "").split("/").map(part => Number(part.trim()));
+        if (model && Number.isFinite(input) && Number.isFinite(output) && input >= 0 && output >= 0) {
+            prices.set(model, { input, output });
+        }
+    }
+    return prices;
+}
+
+/**
+ * Looks up the price of a model. Providers report dated snapshots such as `gpt-4o-2024-08-06`
+ * or `claude-sonnet-4-5-20250929`, which use the price of the model they belong to.
+ * @param {Map<string, ModelPrice>} prices - The prices returned by parseModelPrices.
+ * @param {string} model - The model name.
+ * @returns {ModelPrice|null} The price, or null if the model is not listed.
+ */
+export function findModelPrice(prices, model) {
+    if (!model) return null;
+    return prices.get(model) ?? prices.get(model.replace(SNAPSHOT_DATE_PATTERN, "")) ?? null;
+}
+
+/**
+ * Calculates the cost of tokens used with a model from the `modelPrices` setting.
+ * @param {string} model - The model that handled the requests.
+ * @param {number} inputTokens - The input tokens.
+ * @param {number} outputTokens - The output tokens.
+ * @param {boolean} batch - Whether the requests ran as a batch, which gets the batch discount.
+ * @returns {number|null} The cost in US dollars, or null if the model has no price.
+ */
+export function calculateCost(model, inputTokens, outputTokens, batch) {
+    const price = findModelPrice(parseModelPrices(game.settings.get(MODULE_ID, "modelPrices")), model);
+    if (!price) return null;
+    const discount = batch ? Number(game.settings.get(MODULE_ID, "batchDiscount")) || 0 : 0;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6 * (1 - discount / 100);
+}
+
+/**
+ * Estimates the input and expected output tokens of translating pages, and their cost with the
+ * configured provider. Input counts the page HTML with its title headings plus the system and
+ * custom prompts sent with every request, including each chunk of a split page. The translation
+ * is expected to be about as long as the original.
+ * @param {Array} pages - The pages to translate.
+ * @param {import('./translation-providers.js').TranslationProvider} [provider] - The provider to estimate for. Defaults to the active provider.
+ * @returns {CostEstimate} The estimate.
+ */
+export function estimateTranslationCost(pages, provider = getActiveProvider()) {
+    const promptLength = getRequestPrompt().length;
+    const chunkSize = getChunkSize(provider);
+    const model = provider.getModel?.() || provider.id;
+
+    const pageChunks = getTitledContents(pages, page => page.parent).map(content => splitIntoChunks(content, chunkSize));
+    const batch = !shouldTranslateImmediately(provider, pageChunks.flat());
+    const discount = batch ? Number(game.settings.get(MODULE_ID, "batchDiscount")) || 0 : 0;
+    const priceTokens = (inputTokens, outputTokens) => calculateCost(model, inputTokens, outputTokens, batch);
+
+    const pageEstimates = pages.map((page, index) => {
+        const chunks = pageChunks[index];
+        const contentLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        const inputTokens = estimateTokenCount(contentLength + promptLength * chunks.length);
+        const outputTokens = estimateTokenCount(contentLength);
+        return { name: page.name, inputTokens, outputTokens, cost: priceTokens(inputTokens, outputTokens) };
+    });
+
+    const inputTokens = pageEstimates.reduce((sum, page) => sum + page.inputTokens, 0);
+    const outputTokens = pageEstimates.reduce((sum, page) => sum + page.outputTokens, 0);
+    return {
+        pages: pageEstimates,
+        inputTokens,
+        outputTokens,
+        cost: priceTokens(inputTokens, outputTokens),
+        model,
+        batch,
+        discount
+    };
+}
+
+/**
+ * Builds the HTML of an estimate for a confirmation dialog: a table with the tokens and cost of
+ * each page and the totals, followed by the model and discount the cost is based on.
+ * @param {CostEstimate} estimate - The estimate.
+ * @returns {string} The HTML.
+ */
+export function renderCostEstimate(estimate) {
+    const hasCost = estimate.cost !== null;
+    const costCell = (cost) => hasCost ? `<td style="text-align: right;">${formatCost(cost)}</td>` : '';
+    const rows = estimate.pages.map(page => `
+        <tr>
+            <td>${escapeText(page.name)}</td>
+            <td style="text-align: right;">${page.inputTokens.toLocaleString()}</td>
+            <td style="text-align: right;">${page.outputTokens.toLocaleString()}</td>
+            ${costCell(page.cost)}
+        </tr>`).join('');
+
+    const pricing = hasCost
+        ? `Estimated cost: <strong>${formatCost(estimate.cost)}</strong> with ${estimate.model}${estimate.discount > 0 ? ` including the ${estimate.discount}% batch discount` : ''}.`
+        : `No price is configured for ${estimate.model}. Add it to the model price table in the module settings to see the cost.`;
+
+    return `
+        <div style="max-height: 200px; overflow-y: auto; margin: 8px 0;">
+            <table style="width: 100%; font-size: 12px;">
+                <thead>
+                    <tr>
+                        <th style="text-align: left;">Page</th>
+                        <th style="text-align: right;">Input tokens</th>
+                        <th style="text-align: right;">Output tokens</th>
+                        ${hasCost ? '<th style="text-align: right;">Cost</th>' : ''}
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr>
+                        <th style="text-align: left;">Total</th>
+                        <th style="text-align: right;">${estimate.inputTokens.toLocaleString()}</th>
+                        <th style="text-align: right;">${estimate.outputTokens.toLocaleString()}</th>
+                        ${hasCost ? `<th style="text-align: right;">${formatCost(estimate.cost)}</th>` : ''}
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+        <p style="font-size: 12px; color: #666;">${pricing} Token counts are estimated from the page length.</p>`;
+}
+
+/**
+ * Formats a cost in US dollars, keeping small amounts readable.
+ * @param {number} cost - The cost.
+ * @returns {string} The formatted cost, e.g. `$1.25` or `$0.0042`.
+ */
+export function formatCost(cost) {
+    return `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+}
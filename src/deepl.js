@@ -0,0 +1,164 @@
+/**
+ * DeepL provider for the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { registerProvider } from './translation-providers.js';
+
+const DEEPL_PRO_API_URL = "https://api.deepl.com/v2";
+const DEEPL_FREE_API_URL = "https://api-free.deepl.com/v2";
+
+// DeepL target language codes keyed by the English language names used in custom prompts
+const DEEPL_LANGUAGE_CODES = {
+    "arabic": "AR",
+    "bulgarian": "BG",
+    "chinese": "ZH",
+    "czech": "CS",
+    "danish": "DA",
+    "dutch": "NL",
+    "english": "EN-US",
+    "american english": "EN-US",
+    "british english": "EN-GB",
+    "estonian": "ET",
+    "finnish": "FI",
+    "french": "FR",
+    "german": "DE",
+    "greek": "EL",
+    "hungarian": "HU",
+    "indonesian": "ID",
+    "italian": "IT",
+    "japanese": "JA",
+    "korean": "KO",
+    "latvian": "LV",
+    "lithuanian": "LT",
+    "norwegian": "NB",
+    "polish": "PL",
+    "portuguese": "PT-PT",
+    "european portuguese": "PT-PT",
+    "brazilian portuguese": "PT-BR",
+    "romanian": "RO",
+    "russian": "RU",
+    "slovak": "SK",
+    "slovenian": "SL",
+    "spanish": "ES",
+    "swedish": "SV",
+    "turkish": "TR",
+    "ukrainian": "UK"
+};
+
+/**
+ * Translation provider backed by the DeepL text API. DeepL handles HTML markup natively
+ * and supports glossaries, so the system and custom prompts are not sent; the custom prompt
+ * is only used to find the target language.
+ * @type {import('./translation-providers.js').TranslationProvider}
+ */
+export const deepLProvider = {
+    id: "deepl",
+    label: "DeepL",
+    validate: validateDeepLSettings,
+    translate: (text) => translateWithDeepL(text)
+};
+
+/**
+ * Checks that the API key is set and the target language can be determined.
+ * @returns {string|null} An error message, or null when the settings are valid.
+ */
+function validateDeepLSettings() {
+    if (!game.settings.get(MODULE_ID, "deeplApiKey")?.trim()) {
+        return "DeepL API Key is missing. Please enter your API key in the module settings.";
+    }
+    if (!getTargetLanguage()) {
+        return "Could not determine the DeepL target language from the custom prompt. Please set the DeepL Target Language in the module settings.";
+    }
+    if (game.settings.get(MODULE_ID, "deeplGlossaryId")?.trim() && !game.settings.get(MODULE_ID, "deeplSourceLanguage")?.trim()) {
+        return "DeepL glossaries require a source language. Please set the DeepL Source Language in the module settings.";
+    }
+    return null;
+}
+
+/**
+ * Gets the DeepL target language, preferring the explicit setting over the custom prompt.
+ * @returns {string|null} The DeepL language code, or null if it cannot be determined.
+ */
+function getTargetLanguage() {
+    const configured = game.settings.get(MODULE_ID, "deeplTargetLanguage")?.trim();
+    if (configured) return configured.toUpperCase();
+    return resolveDeepLTargetLanguage(game.settings.get(MODULE_ID, "customPrompt") ?? "");
+}
+
+/**
+ * Finds the target language in a prompt such as "Translate to Polish." and maps it to a DeepL code.
+ * @param {string} prompt - The custom translation prompt.
+ * @returns {string|null} The DeepL language code, or null if no known language follows "to" or "into".
+ */
+export function resolveDeepLTargetLanguage(prompt) {
+    const matches = prompt.toLowerCase().matchAll(/\b(?:to|into)\s+((?:american|british|european|brazilian)\s+)?([a-z]+)/g);
+    for (const [, qualifier = "", language] of matches) {
+        const code = DEEPL_LANGUAGE_CODES[`${qualifier}${language}`] ?? DEEPL_LANGUAGE_CODES[language];
+        if (code) return code;
+    }
+    return null;
+}
+
+/**
+ * Gets the API base URL. Free API keys end in ":fx" and use a separate host.
+ * @param {string} apiKey - The DeepL API key.
+ * @returns {string} The API base URL without a trailing slash.
+ */
+function getApiUrl(apiKey) {
+    const customUrl = game.settings.get(MODULE_ID, "deeplApiUrl")?.trim();
+    if (customUrl) return customUrl.replace(/\/+$/, "");
+    return apiKey.endsWith(":fx") ? DEEPL_FREE_API_URL : DEEPL_PRO_API_URL;
+}
+
+/**
+ * Translates a single HTML text with DeepL.
+ * @param {string} text - The HTML content to translate.
+ * @returns {Promise<string>} The translated HTML.
+ */
+async function translateWithDeepL(text) {
+    const apiKey = game.settings.get(MODULE_ID, "deeplApiKey").trim();
+    const sourceLanguage = game.settings.get(MODULE_ID, "deeplSourceLanguage")?.trim();
+    const glossaryId = game.settings.get(MODULE_ID, "deeplGlossaryId")?.trim();
+
+    const body = {
+        text: [text],
+        target_lang: getTargetLanguage(),
+        tag_handling: "html"
+    };
+    if (sourceLanguage) body.source_lang = sourceLanguage.toUpperCase();
+    if (glossaryId) body.glossary_id = glossaryId;
+
+    const response = await fetch(`${getApiUrl(apiKey)}/translate`, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            "Authorization": `DeepL-Auth-Key ${apiKey}`
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        throw new Error(await getDeepLErrorMessage(response));
+    }
+    const { translations } = await response.json();
+    return translations[0].text;
+}
+
+/**
+ * Builds a readable error message for a failed DeepL request.
+ * @param {Response} response - The failed response.
+ * @returns {Promise<string>} The error message.
+ */
+async function getDeepLErrorMessage(response) {
+    if (response.status === 456) {
+        return "DeepL quota exceeded. Your character limit for this billing period has been reached.";
+    }
+    if (response.status === 429) {
+        return "DeepL rate limit reached. Please wait a moment and try again.";
+    }
+    const errorData = await response.json().catch(() => ({}));
+    return `DeepL request failed (${response.status}): ${errorData.message ?? response.statusText}`;
+}
+
+registerProvider(deepLProvider);
@@ -0,0 +1,165 @@
+/**
+ * Retry policy and error reporting for provider HTTP requests in the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+
+// Responses that mean the provider is rate limiting or temporarily unavailable
+const TRANSIENT_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Responses that mean the provider did not process the request, so even a request that creates something can be sent again
+const UNPROCESSED_STATUS_CODES = [408, 429];
+
+// Exponential backoff used when the provider does not say how long to wait
+const BASE_RETRY_DELAY = 1000;
+const MAX_BACKOFF_DELAY = 60000;
+
+// Upper bound for waits requested by the provider, so a bad header cannot stall a job for hours
+const MAX_REQUESTED_DELAY = 600000;
+
+/**
+ * Sends a request and retries it while it fails transiently: rate limits (429), server errors
+ * (5xx), timeouts and network errors. The wait between attempts follows the `Retry-After` or
+ * `x-ratelimit-*` headers when the provider sends them, and exponential backoff with jitter
+ * otherwise. The number of consecutive retries comes from the `transientFailureRetries` setting.
+ * Requests that are not idempotent, such as creating a batch, are only retried on 408 and 429:
+ * after a server error or a dropped connection the provider may already have created the batch,
+ * and sending it again would create and bill a second one.
+ * @param {string} url - The URL to request.
+ * @param {RequestInit} [init] - The fetch options. The body must be reusable, e.g. a string or FormData.
+ * @param {Object} [options]
+ * @param {boolean} [options.idempotent=true] - Whether sending the request twice has the same effect as sending it once.
+ * @returns {Promise<Response>} The first response that is not a transient failure, or the last
+ *   response once the retries are used up. Callers check `response.ok` as with a plain fetch.
+ * @throws {TypeError} The network error of the last attempt if the provider could not be reached.
+ */
+export async function fetchWithRetry(url, init, { idempotent = true } = {}) {
+    const maxRetries = game.settings.get(MODULE_ID, "transientFailureRetries") ?? 0;
+    const retriedStatusCodes = idempotent ? TRANSIENT_STATUS_CODES : UNPROCESSED_STATUS_CODES;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await fetch(url, init);
+        } catch (error) {
+            if (!idempotent || attempt >= maxRetries) throw error;
+            await waitBeforeRetry(getBackoffDelay(attempt), `the request failed (${error.message})`, attempt, maxRetries);
+            continue;
+        }
+
+        if (!retriedStatusCodes.includes(response.status) || attempt >= maxRetries) {
+            return response;
+        }
+        const delay = getRequestedDelay(response.headers) ?? getBackoffDelay(attempt);
+        await waitBeforeRetry(delay, `the provider answered with HTTP ${response.status}`, attempt, maxRetries);
+    }
+}
+
+/**
+ * Reads how long the provider asked us to wait from the response headers.
+ * `Retry-After` (seconds or an HTTP date) and `retry-after-ms` take precedence. Otherwise the
+ * reset time of every exhausted `x-ratelimit-*` limit is used, e.g. `x-ratelimit-reset-tokens: 6m0s`
+ * when `x-ratelimit-remaining-tokens` is 0.
+ * @param {Headers} [headers] - The response headers.
+ * @returns {number|null} The delay in milliseconds, or null if the headers do not say.
+ */
+export function getRequestedDelay(headers) {
+    if (!headers) return null;
+
+    const retryAfterMs = Number.parseFloat(headers.get("retry-after-ms"));
+    if (Number.isFinite(retryAfterMs)) return clampDelay(retryAfterMs);
+
+    const retryAfter = headers.get("retry-after");
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (Number.isFinite(seconds)) return clampDelay(seconds * 1000);
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return clampDelay(date - Date.now());
+    }
+
+    const resets = ["requests", "tokens"]
+        .filter(limit => headers.get(`x-ratelimit-remaining-${limit}`) === "0")
+        .map(limit => parseResetDuration(headers.get(`x-ratelimit-reset-${limit}`)))
+        .filter(delay => delay !== null);
+    return resets.length > 0 ? clampDelay(Math.max(...resets)) : null;
+}
+
+/**
+ * Parses a rate limit reset duration as sent by OpenAI, such as `20ms`, `1s` or `6m0s`.
+ * Plain numbers are read as seconds.
+ * @param {string|null} value - The header value.
+ * @returns {number|null} The duration in milliseconds, or null if it cannot be read.
+ */
+export function parseResetDuration(value) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return Number(value) * 1000;
+
+    const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+    const parts = [...value.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+    if (parts.length === 0) return null;
+    return parts.reduce((total, [, amount, unit]) => total + Number(amount) * units[unit], 0);
+}
+
+/**
+ * Computes an exponential backoff delay with jitter. Half of the delay is fixed and half is
+ * random, so clients that failed together do not retry together.
+ * @param {number} attempt - The number of retries already made, starting at 0.
+ * @returns {number} The delay in milliseconds.
+ */
+export function getBackoffDelay(attempt) {
+    const delay = Math.min(BASE_RETRY_DELAY * 2 ** attempt, MAX_BACKOFF_DELAY);
+    return delay / 2 + Math.random() * delay / 2;
+}
+
+/**
+ * Reads the error message of a failed response. Providers normally answer with a JSON error body,
+ * but proxies and gateways may answer with plain text or HTML, or with no body at all.
+ * @param {Response} response - The failed response.
+ * @returns {Promise<string>} The `error.message` of a JSON body, else the text of the body, else the HTTP status.
+ */
+export async function readErrorMessage(response) {
+    // The body can only be read once, so keep a copy for the text fallback
+    const copy = typeof response.clone === "function" ? response.clone() : response;
+    try {
+        const errorData = await response.json();
+        const message = errorData?.error?.message ?? errorData?.message;
+        if (message) {
+            return message;
+        }
+    } catch {
+        // The body is not JSON
+    }
+    try {
+        const text = (await copy.text())?.trim();
+        if (text) {
+            return text;
+        }
+    } catch {
+        // The body could not be read
+    }
+    return `HTTP ${response.status ?? "error"} ${response.statusText ?? ""}`.trim();
+}
+
+/**
+ * Keeps a delay requested by the provider within sensible bounds.
+ * @param {number} delay - The requested delay in milliseconds.
+ * @returns {number} The delay, between 0 and the maximum requested delay.
+ */
+function clampDelay(delay) {
+    return Math.min(Math.max(delay, 0), MAX_REQUESTED_DELAY);
+}
+
+/**
+ * Tells the user a request is being retried and waits.
+ * @param {number} delay - The delay in milliseconds.
+ * @param {string} reason - Why the request is retried.
+ * @param {number} attempt - The number of retries already made, starting at 0.
+ * @param {number} maxRetries - The number of retries allowed.
+ * @returns {Promise<void>}
+ */
+function waitBeforeRetry(delay, reason, attempt, maxRetries) {
+    const seconds = Math.ceil(delay / 1000);
+    console.warn(`Journal Translator | Retrying because ${reason} (retry ${attempt + 1} of ${maxRetries}).`);
+    ui.notifications.warn(`The translation provider is busy. Retrying in ${seconds} second(s)...`);
+    return new Promise(resolve => setTimeout(resolve, delay));
+}
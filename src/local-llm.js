@@ -0,0 +1,134 @@
+/**
+ * Local LLM provider for the Journal Translator module.
+ * Supports Ollama's `/api/chat` endpoint and OpenAI-compatible servers such as llama.cpp.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { registerProvider } from './translation-providers.js';
+import { buildTranslationMessages } from './openai-batch.js';
+import { streamChatCompletion } from './openai-chat.js';
+
+/**
+ * Translation provider for a self-hosted model. Local servers have no batch API,
+ * so pages are always translated immediately.
+ * @type {import('./translation-providers.js').TranslationProvider}
+ */
+export const localLLMProvider = {
+    id: "local-llm",
+    label: "Local LLM (Ollama / llama.cpp)",
+    validate: validateLocalSettings,
+    translate: (text, options = {}) => translateWithLocalModel(text, options.onProgress),
+    getConcurrency: () => game.settings.get(MODULE_ID, "localLlmConcurrency"),
+    getModel: () => game.settings.get(MODULE_ID, "localLlmModel")?.trim()
+};
+
+/**
+ * Checks that the endpoint and model are configured.
+ * @returns {string|null} An error message, or null when the settings are valid.
+ */
+function validateLocalSettings() {
+    const endpoint = game.settings.get(MODULE_ID, "localLlmEndpoint")?.trim();
+    if (!endpoint) {
+        return "Local LLM endpoint is missing. Please enter the server URL in the module settings.";
+    }
+    if (!/^https?:$/.test(getUrlProtocol(endpoint))) {
+        return `Local LLM endpoint "${endpoint}" is not a valid URL.`;
+    }
+    if (!game.settings.get(MODULE_ID, "localLlmModel")?.trim()) {
+        return "Local LLM model is missing. Please enter the model name in the module settings.";
+    }
+    return null;
+}
+
+/**
+ * Gets the protocol of a URL. `new URL` is used rather than `URL.parse`, which older browsers lack.
+ * @param {string} url - The URL.
+ * @returns {string|null} The protocol, e.g. "https:", or null if the text is not a URL.
+ */
+function getUrlProtocol(url) {
+    try {
+        return new URL(url).protocol;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Checks whether an endpoint uses Ollama's native chat API rather than the OpenAI-compatible one.
+ * @param {string} endpoint - The configured endpoint URL.
+ * @returns {boolean} True for Ollama `/api/chat` endpoints.
+ */
+export function isOllamaEndpoint(endpoint) {
+    return new URL(endpoint).pathname.replace(/\/+$/, "").endsWith("/api/chat");
+}
+
+/**
+ * Translates a single text with the configured local model, streaming the response.
+ * @param {string} text - The HTML content to translate.
+ * @param {Function} [onProgress] - Called with the translated text received so far.
+ * @returns {Promise<string>} The translated text.
+ */
+async function translateWithLocalModel(text, onProgress) {
+    const endpoint = game.settings.get(MODULE_ID, "localLlmEndpoint").trim();
+    const body = {
+        model: game.settings.get(MODULE_ID, "localLlmModel").trim(),
+        messages: buildTranslationMessages(text)
+    };
+
+    if (!isOllamaEndpoint(endpoint)) {
+        return streamChatCompletion(endpoint, {}, body, onProgress);
+    }
+
+    const response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, stream: true })
+    });
+
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(`Translation Request Failed: ${errorData.error}`);
+    }
+    return readOllamaChatStream(response, onProgress);
+}
+
+/**
+ * Reads Ollama's newline-delimited JSON chat stream.
+ * @param {Response} response - The streaming response.
+ * @param {Function} [onProgress] - Called with the text received so far after every chunk.
+ * @returns {Promise<string>} The concatenated message content.
+ */
+export async function readOllamaChatStream(response, onProgress) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let content = "";
+
+    const consumeLine = (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+            throw new Error(`Translation Request Failed: ${chunk.error}`);
+        }
+        if (chunk.message?.content) {
+            content += chunk.message.content;
+            onProgress?.(content);
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(consumeLine);
+    }
+    consumeLine(buffer + decoder.decode());
+
+    return content;
+}
+
+registerProvider(localLLMProvider);
+
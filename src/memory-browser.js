@@ -0,0 +1,157 @@
+/**
+ * Translation Memory window for the Journal Translator module.
+ */
+
+import { getMemoryEntries, deleteMemoryEntries, clearTranslationMemory, getTextPreview } from './translation-memory.js';
+import { escapeText } from './utils.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+// The single memory window, created the first time it is opened
+let memoryBrowser = null;
+
+/**
+ * Lists the translations stored in the translation memory, most recently used first, and lets
+ * the user remove single entries or purge the whole memory. The content is plain HTML built in
+ * `_renderHTML`, like the Batch Monitor.
+ */
+export class MemoryBrowser extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "journal-translator-translation-memory",
+        window: {
+            title: "Translation Memory",
+            icon: "fas fa-database",
+            resizable: true
+        },
+        position: {
+            width: 760,
+            height: "auto"
+        },
+        actions: {
+            refresh: MemoryBrowser.#onRefresh,
+            deleteEntry: MemoryBrowser.#onDeleteEntry,
+            clearAll: MemoryBrowser.#onClearAll
+        }
+    };
+
+    /**
+     * Reads the memory entries.
+     * @returns {Promise<{entries: Array<import('./translation-memory.js').MemoryEntry>}>} The render context.
+     */
+    async _prepareContext() {
+        return { entries: getMemoryEntries() };
+    }
+
+    /**
+     * Builds the window content.
+     * @param {{entries: Array<import('./translation-memory.js').MemoryEntry>}} context - The render context.
+     * @returns {Promise<string>} The HTML content.
+     */
+    async _renderHTML(context) {
+        const { entries } = context;
+        const body = entries.length === 0
+            ? `<p style="margin: 12px 0;">The translation memory is empty.</p>`
+            : `
+                <p style="margin: 8px 0;">
+                    ${entries.length} translation(s) stored, reused ${entries.reduce((sum, entry) => sum + entry.hits, 0)} time(s).
+                </p>
+                <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+                    <thead>
+                        <tr style="text-align: left;">
+                            <th>Source</th>
+                            <th>Translation</th>
+                            <th>Model</th>
+                            <th>Last used</th>
+                            <th style="text-align: right;">Reused</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(renderEntryRow).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        return `
+            <div style="max-height: 500px; overflow-y: auto;">
+                ${body}
+            </div>
+            <div style="margin-top: 8px; text-align: right;">
+                <button type="button" data-action="clearAll"${entries.length === 0 ? ' disabled' : ''}><i class="fas fa-trash"></i> Clear All</button>
+                <button type="button" data-action="refresh"><i class="fas fa-sync"></i> Refresh</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Replaces the window content with the rendered HTML.
+     * @param {string} result - The HTML returned by `_renderHTML`.
+     * @param {HTMLElement} content - The content element of the window.
+     */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Re-renders the window with the latest entries.
+     */
+    static async #onRefresh() {
+        await this.render();
+    }
+
+    /**
+     * Removes the entry of the clicked row.
+     * @param {PointerEvent} event - The click event.
+     * @param {HTMLElement} target - The clicked button, carrying the entry key.
+     */
+    static async #onDeleteEntry(event, target) {
+        await deleteMemoryEntries([target.dataset.key]);
+        await this.render();
+    }
+
+    /**
+     * Removes every entry after confirmation.
+     */
+    static async #onClearAll() {
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+            window: { title: "Clear Translation Memory" },
+            content: `<p>Remove all ${getMemoryEntries().length} stored translation(s)? Their text will be sent to the provider again the next time it is translated.</p>`,
+            yes: { default: false }
+        });
+        if (!confirmed) return;
+
+        await clearTranslationMemory();
+        ui.notifications.info("Cleared the translation memory.");
+        await this.render();
+    }
+}
+
+/**
+ * Opens the Translation Memory window, or brings it to the front if it is already open.
+ * @returns {MemoryBrowser} The memory window.
+ */
+export function openMemoryBrowser() {
+    memoryBrowser ??= new MemoryBrowser();
+    memoryBrowser.render({ force: true });
+    return memoryBrowser;
+}
+
+/**
+ * Builds the table row of one memory entry.
+ * @param {import('./translation-memory.js').MemoryEntry} entry - The entry.
+ * @returns {string} The row HTML.
+ */
+function renderEntryRow(entry) {
+    return `
+        <tr style="border-top: 1px solid #ccc; vertical-align: top;">
+            <td style="padding: 4px;">${escapeText(entry.preview)}</td>
+            <td style="padding: 4px;">${escapeText(getTextPreview(entry.translation))}</td>
+            <td style="padding: 4px;">${escapeText(entry.model)}</td>
+            <td style="padding: 4px;">${new Date(entry.lastUsedAt).toLocaleDateString()}</td>
+            <td style="padding: 4px; text-align: right;">${entry.hits}</td>
+            <td style="padding: 4px; white-space: nowrap;">
+                <button type="button" data-action="deleteEntry" data-key="${entry.key}" title="Remove"><i class="fas fa-trash"></i></button>
+            </td>
+        </tr>
+    `;
+}
@@ -1,87 +1,131 @@
 /**
-
  * OpenAI Batch API functionality for the Journal Translator module.
  */
 
 import { MODULE_ID } from './settings.js';
+import { registerProvider, pollUntilFinished, getSystemPrompt } from './translation-providers.js';
+import { streamChatCompletion } from './openai-chat.js';
+import { fetchWithRetry } from './http-retry.js';
+
+const OPENAI_API_URL = "https://api.openai.com/v1";
+
+/**
+ * Describes where and how the batch steps talk to an OpenAI-style Batch API.
+ * OpenAI and Azure OpenAI share the request and response formats but differ in routes and authentication.
+ * @typedef {Object} BatchApiConnection
+ * @property {Function} url - (route: string) => string. Builds the full URL for a route such as `/files` or `/batches/{id}`.
+ * @property {Object} headers - Authentication headers sent with every request.
+ * @property {string} chatCompletionsRoute - The chat completions route referenced inside the batch file.
+ * @property {string} model - The model (or Azure deployment) used for every request in the batch.
+ */
 
 /**
- * Sends multiple journal contents to the OpenAI Batch API for translation.
- * This involves uploading a file, creating a batch job, polling for its completion,
- * and then downloading and processing the results.
+ * Translation provider backed by the OpenAI Batch API.
+ * @type {import('./translation-providers.js').TranslationProvider}
+ */
+export const openAIBatchProvider = {
+    id: "openai-batch",
+    label: "OpenAI Batch API",
+    validate: () => getApiKey() ? null : "OpenAI API Key is missing. Please enter your API key in the module settings.",
+    submit: (textsToTranslate) => submitBatch(textsToTranslate, getOpenAIConnection()),
+    poll: (batchId) => pollBatchStatus(batchId, getOpenAIConnection()),
+    getStatus: (batchId) => fetchBatchStatus(batchId, getOpenAIConnection()),
+    fetchResults: (completedBatch) => fetchBatchTranslations(completedBatch, getOpenAIConnection()),
+    fetchErrors: (completedBatch) => fetchBatchErrors(completedBatch, getOpenAIConnection()),
+    cancel: (batchId) => cancelBatchJob(batchId, getOpenAIConnection()),
+    batchLimits: { maxRequests: 50000, maxBytes: 200 * 1024 * 1024 },
+    getModel: () => game.settings.get(MODULE_ID, "modelVersion"),
+    translate: (text, options = {}) => translateImmediately(text, getOpenAIConnection(), options.onProgress, options.onUsage)
+};
+
+/**
+ * Reads the OpenAI API key from the module settings.
+ * @returns {string} The trimmed API key, or an empty string when it is not set.
+ */
+function getApiKey() {
+    return game.settings.get(MODULE_ID, "apiKey")?.trim() ?? "";
+}
+
+/**
+ * Builds the connection for the public OpenAI API from the module settings.
+ * @returns {BatchApiConnection} The OpenAI connection.
+ */
+function getOpenAIConnection() {
+    return {
+        url: (route) => `${OPENAI_API_URL}${route}`,
+        headers: { "Authorization": `Bearer ${getApiKey()}` },
+        chatCompletionsRoute: "/v1/chat/completions",
+        model: game.settings.get(MODULE_ID, "modelVersion")
+    };
+}
+
+/**
+ * Uploads the texts as a batch file and creates a batch job for them.
  * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
- * @param {Object} options - Optional configuration object.
- * @param {Function} options.onBatchCreated - Callback function called with batchId when batch is created but before waiting for completion.
- * @return {Promise<{batchId: string, translations: string[]}>} - An object containing the batch ID and translated text strings.
+ * @param {BatchApiConnection} connection - The API to submit the batch to.
+ * @returns {Promise<Object>} The created batch job object.
  */
-export async function callOpenAIBatch(textsToTranslate, options = {}) {
-    const apiKey = game.settings.get(MODULE_ID, "apiKey");
-    if (!apiKey || apiKey.trim() === "") {
-        ui.notifications.error("OpenAI API Key is missing. Please enter your API key in the module settings.");
-        return { batchId: null, translations: [] };
-    }
+export async function submitBatch(textsToTranslate, connection) {
+    const batchFile = prepareBatch(textsToTranslate, connection);
 
-    try {
-        const batchFile = prepareBatch(textsToTranslate);
-
-        const fileUploadResponse = await uploadBatchFile(batchFile, apiKey);
-        const { id: fileId } = await fileUploadResponse.json();
-        console.log("Journal Translator | Batch file uploaded. File ID:", fileId);
-
-        const batchJob = await createBatchJob(fileId, apiKey);
-        
-        // Call the onBatchCreated callback if provided, after batch is created but before waiting for completion
-        if (options.onBatchCreated && typeof options.onBatchCreated === 'function') {
-            try {
-                await options.onBatchCreated(batchJob.id);
-            } catch (callbackError) {
-                console.warn("Journal Translator | onBatchCreated callback failed:", callbackError);
-                // Continue processing even if callback fails
-            }
+    const fileUploadResponse = await uploadBatchFile(batchFile, connection);
+    const { id: fileId } = await fileUploadResponse.json();
+    console.log("Journal Translator | Batch file uploaded. File ID:", fileId);
+
+    return createBatchJob(fileId, connection);
+}
+
+/**
+ * Translates a single text through the Chat Completions API, streaming the response.
+ * @param {string} text - The HTML content to translate.
+ * @param {BatchApiConnection} connection - The API to send the request to.
+ * @param {Function} [onProgress] - Called with the translated text received so far.
+ * @param {Function} [onUsage] - Called with the token usage of the request.
+ * @returns {Promise<string>} The translated text.
+ */
+async function translateImmediately(text, connection, onProgress, onUsage) {
+    return streamChatCompletion(connection.url("/chat/completions"), connection.headers, {
+        model: connection.model,
+        messages: buildTranslationMessages(text)
+    }, onProgress, onUsage);
+}
+
+/**
+ * Builds the chat messages used to translate a single text, combining the system prompt,
+ * the custom prompt and the page content.
+ * @param {string} text - The HTML content to translate.
+ * @returns {Array<{role: string, content: string}>} The chat messages.
+ */
+export function buildTranslationMessages(text) {
+    const customPrompt = game.settings.get(MODULE_ID, "customPrompt");
+    const systemPrompt = getSystemPrompt();
+
+    return [
+        {
+            role: "system",
+            content: systemPrompt
+        },
+        {
+            role: "user",
+            content: `${customPrompt}\n\n---\n\n${text}`
         }
-        
-        const completedBatch = await waitForBatchCompletion(batchJob, apiKey);
-        const resultsResponse = await retrieveBatchResponse(completedBatch, apiKey);
-
-        const translationsMap = await processResults(resultsResponse);
-        const finalTranslations = assembleFinalResults(translationsMap, textsToTranslate.length);
-        
-        ui.notifications.info("All translations completed successfully!");
-        return { batchId: batchJob.id, translations: finalTranslations };
-
-    } catch (error) {
-        console.error("Journal Translator | A critical error occurred during batch translation:", error);
-        ui.notifications.error(`Batch translation failed: ${error.message}`);
-        return { batchId: null, translations: [] }; // Return an empty result on failure to prevent downstream errors.
-    }
+    ];
 }
 
 /**
  * Prepares the batch file for OpenAI API.
  * @param {string[]} textsToTranslate - Array of texts to translate.
+ * @param {BatchApiConnection} connection - The API the batch is prepared for.
  * @returns {File} The batch file ready for upload.
  */
-function prepareBatch(textsToTranslate) {
-    const customPrompt = game.settings.get(MODULE_ID, "customPrompt");
-    const modelVersion = game.settings.get(MODULE_ID, "modelVersion");
-    const systemPrompt = game.settings.get(MODULE_ID, "systemPrompt");
-    
+function prepareBatch(textsToTranslate, connection) {
     const batchRequests = textsToTranslate.map((text, index) => ({
         custom_id: `request-${index}`, // A unique ID to map requests to results.
         method: "POST",
-        url: "/v1/chat/completions",
+        url: connection.chatCompletionsRoute,
         body: {
-            model: modelVersion,
-            messages: [
-                {
-                    role: "system",
-                    content: systemPrompt
-                },
-                {
-                    role: "user",
-                    content: `${customPrompt}\n\n---\n\n${text}`
-                }
-            ]
+            model: connection.model,
+            messages: buildTranslationMessages(text)
         }
     }));
 
@@ -94,18 +138,18 @@ function prepareBatch(textsToTranslate) {
 /**
  * Uploads the batch file to OpenAI.
  * @param {File} batchFile - The batch file to upload.
- * @param {string} apiKey - The OpenAI API key.
+ * @param {BatchApiConnection} connection - The API to upload to.
  * @returns {Promise<Response>} The upload response.
  */
-async function uploadBatchFile(batchFile, apiKey) {
+async function uploadBatchFile(batchFile, connection) {
     ui.notifications.info("Uploading translation batch file...");
     const formData = new FormData();
     formData.append("purpose", "batch");
     formData.append("file", batchFile);
 
-    const fileUploadResponse = await fetch("https://api.openai.com/v1/files", {
+    const fileUploadResponse = await fetchWithRetry(connection.url("/files"), {
         method: "POST",
-        headers: { "Authorization": `Bearer ${apiKey}` },
+        headers: connection.headers,
         body: formData
     });
 
@@ -119,23 +163,23 @@ async function uploadBatchFile(batchFile, apiKey) {
 /**
  * Creates a batch job on OpenAI.
  * @param {string} fileId - The uploaded file ID.
- * @param {string} apiKey - The OpenAI API key.
+ * @param {BatchApiConnection} connection - The API to create the batch on.
  * @returns {Promise<Object>} The batch job object.
  */
-async function createBatchJob(fileId, apiKey) {
+async function createBatchJob(fileId, connection) {
     ui.notifications.info("Creating translation batch job...");
-    const createBatchResponse = await fetch("https://api.openai.com/v1/batches", {
+    const createBatchResponse = await fetchWithRetry(connection.url("/batches"), {
         method: "POST",
         headers: {
             "Content-Type": "application/json",
-            "Authorization": `Bearer ${apiKey}`
+            ...connection.headers
         },
         body: JSON.stringify({
             input_file_id: fileId,
-            endpoint: "/v1/chat/completions",
+            endpoint: connection.chatCompletionsRoute,
             completion_window: "24h" // We must set it to 24h because of OpenAI limitations. The script doesn't wait for more than 1 hour though.
         })
-    });
+    }, { idempotent: false });
 
     if (!createBatchResponse.ok) {
         const errorData = await createBatchResponse.json();
@@ -147,52 +191,73 @@ async function createBatchJob(fileId, apiKey) {
 }
 
 /**
- * Waits for batch completion.
- * @param {Object} batchJob - The batch job object.
- * @param {string} apiKey - The OpenAI API key.
- * @returns {Promise<Object>} The completed batch object.
+ * Downloads and reads the output file of a finished batch.
+ * Batches in which every request failed have no output file, so nothing is downloaded for them.
+ * @param {Object} completedBatch - The completed batch object.
+ * @param {BatchApiConnection} connection - The API to download from.
+ * @returns {Promise<Map<string, string>>} A map of custom IDs to translated texts.
  */
-async function waitForBatchCompletion(batchJob, apiKey) {
-    ui.notifications.info("Processing translations... This may take a few minutes up to an hour.");
-    const completedBatch = await pollBatchStatus(batchJob.id, apiKey);
-
-    if (completedBatch.status !== 'completed') {
-        ui.notifications.error(`Batch job failed with status: ${completedBatch.status}`);
-    } else {
-        ui.notifications.info(`Batch job completed successfully!`);
+export async function fetchBatchTranslations(completedBatch, connection) {
+    if (!completedBatch.output_file_id) {
+        console.warn(`Journal Translator | Batch ${completedBatch.id} has no output file.`);
+        return new Map();
     }
-    return completedBatch;
+    return processResults(await retrieveBatchResponse(completedBatch, connection));
+}
+
+/**
+ * Downloads and reads the error file of a finished batch, if it has one.
+ * @param {Object} completedBatch - The completed batch object.
+ * @param {BatchApiConnection} connection - The API to download from.
+ * @returns {Promise<Map<string, import('./translation-providers.js').RequestError>>} A map of custom IDs to request errors.
+ */
+export async function fetchBatchErrors(completedBatch, connection) {
+    if (!completedBatch.error_file_id) {
+        return new Map();
+    }
+    return processErrors(await downloadBatchFile(completedBatch.error_file_id, connection));
 }
 
 /**
  * Retrieves the batch response from OpenAI.
  * @param {Object} completedBatch - The completed batch object.
- * @param {string} apiKey - The OpenAI API key.
+ * @param {BatchApiConnection} connection - The API to download from.
  * @returns {Promise<Response>} The results response.
  */
-export async function retrieveBatchResponse(completedBatch, apiKey) {
+export async function retrieveBatchResponse(completedBatch, connection) {
     ui.notifications.info("Downloading translated content...");
-    const resultsFileId = completedBatch.output_file_id;
-    const resultsResponse = await fetch(`https://api.openai.com/v1/files/${resultsFileId}/content`, {
-        headers: { "Authorization": `Bearer ${apiKey}` }
+    return downloadBatchFile(completedBatch.output_file_id, connection);
+}
+
+/**
+ * Downloads the content of a batch output or error file.
+ * @param {string} fileId - The ID of the file.
+ * @param {BatchApiConnection} connection - The API to download from.
+ * @returns {Promise<Response>} The file response.
+ */
+async function downloadBatchFile(fileId, connection) {
+    const response = await fetchWithRetry(connection.url(`/files/${fileId}/content`), {
+        headers: connection.headers
     });
 
-    if (!resultsResponse.ok) {
-        const errorData = await resultsResponse.json();
+    if (!response.ok) {
+        const errorData = await response.json();
         throw new Error(`Failed to download results: ${errorData.error.message}`);
     }
-    return resultsResponse;
+    return response;
 }
 
 /**
- * Processes the results from the batch response.
+ * Processes the results from the batch response. The token usage of each request is kept in
+ * the `usage` map of the result, so it can be recorded in the usage ledger.
  * @param {Response} resultsResponse - The results response.
- * @returns {Promise<Map>} A map of translations.
+ * @returns {Promise<Map>} A map of translations, with a `usage` map of custom IDs to token usage.
  */
 export async function processResults(resultsResponse) {
     const resultsContent = await resultsResponse.text();
     const resultsLines = resultsContent.trim().split("\n");
     const translationsMap = new Map();
+    translationsMap.usage = new Map();
 
     for (const line of resultsLines) {
         const result = JSON.parse(line);
@@ -202,6 +267,14 @@ export async function processResults(resultsResponse) {
             console.error(`Journal Translator | Error in request ${customId}:`, result.response.body.error.message);
             continue; // Skip this failed result.
         }
+        const { usage, model } = result.response.body;
+        if (usage) {
+            translationsMap.usage.set(customId, {
+                promptTokens: usage.prompt_tokens ?? 0,
+                completionTokens: usage.completion_tokens ?? 0,
+                model: model ?? null
+            });
+        }
         const translatedText = result.response.body.choices[0].message.content;
         translationsMap.set(customId, translatedText);
     }
@@ -209,70 +282,75 @@ export async function processResults(resultsResponse) {
 }
 
 /**
- * Assembles the final results from the translations map.
- * @param {Map} translationsMap - The map of translations.
- * @param {number} originalLength - The original number of texts.
- * @returns {string[]} The final translations array.
+ * Processes the error file of a batch. Each line holds either the failed API response
+ * or an error the batch itself reported for the request, such as an expired request.
+ * @param {Response} errorsResponse - The error file response.
+ * @returns {Promise<Map<string, import('./translation-providers.js').RequestError>>} A map of custom IDs to request errors.
  */
-export function assembleFinalResults(translationsMap, originalLength) {
-    const finalTranslations = [];
-    for (let i = 0; i < originalLength; i++) {
-        const customId = `request-${i}`;
-        if (translationsMap.has(customId)) {
-            finalTranslations.push(translationsMap.get(customId));
-        } else {
-            // If a specific translation failed, push an empty string to maintain order.
-            finalTranslations.push("");
-            console.warn(`Journal Translator | No result found for ${customId}.`);
-        }
+export async function processErrors(errorsResponse) {
+    const errorsContent = await errorsResponse.text();
+    const errorsMap = new Map();
+
+    for (const line of errorsContent.trim().split("\n")) {
+        if (!line.trim()) continue;
+        const result = JSON.parse(line);
+        const error = result.response?.body?.error ?? result.error ?? {};
+        const statusCode = result.response?.status_code;
+        errorsMap.set(result.custom_id, {
+            code: error.code ?? error.type ?? (statusCode ? `http_${statusCode}` : "unknown_error"),
+            message: error.message ?? "The request failed without an error message."
+        });
     }
-    return finalTranslations;
+    return errorsMap;
 }
 
 /**
  * Polls the OpenAI API for the status of a batch job until it's completed or failed.
  * @param {string} batchId - The ID of the batch job to poll.
- * @param {string} apiKey - The OpenAI API key.
+ * @param {BatchApiConnection} connection - The API that runs the batch.
  * @returns {Promise<object>} The final batch job object from the API.
  */
-export async function pollBatchStatus(batchId, apiKey) {
-    const pollingDelay = game.settings.get(MODULE_ID, "pollingDelay") * 1000; // Convert seconds to milliseconds
-    const maxAttempts = game.settings.get(MODULE_ID, "maxPollingAttempts");
-
-    for (let attempts = 0; attempts < maxAttempts; attempts++) {
-        const response = await fetch(`https://api.openai.com/v1/batches/${batchId}`, {
-            headers: { "Authorization": `Bearer ${apiKey}` }
-        });
-
-        if (!response.ok) {
-            // This handles errors in the polling request itself.
-            const errorData = await response.json();
-            ui.notifications.error(`Failed to poll batch status: ${errorData.error.message}`);
-            throw new Error(`Polling Error: ${errorData.error.message}`);
-        }
+export async function pollBatchStatus(batchId, connection) {
+    return pollUntilFinished(batchId, () => fetchBatchStatus(batchId, connection));
+}
 
-        const batchStatus = await response.json();
+/**
+ * Fetches the current status of a batch job.
+ * @param {string} batchId - The ID of the batch job.
+ * @param {BatchApiConnection} connection - The API that runs the batch.
+ * @returns {Promise<object>} The batch job object from the API.
+ */
+export async function fetchBatchStatus(batchId, connection) {
+    const response = await fetchWithRetry(connection.url(`/batches/${batchId}`), {
+        headers: connection.headers
+    });
 
-        // If the job is finished (completed, failed, or cancelled), return the status object.
-        if (['completed', 'failed', 'cancelled'].includes(batchStatus.status)) {
-            return batchStatus;
-        }
+    if (!response.ok) {
+        // This handles errors in the polling request itself.
+        const errorData = await response.json();
+        ui.notifications.error(`Failed to poll batch status: ${errorData.error.message}`);
+        throw new Error(`Polling Error: ${errorData.error.message}`);
+    }
+    return response.json();
+}
 
-        // Show progress if request counts are available
-        let progressMessage = `Batch job is still processing... (${batchStatus.status})`;
-        if (batchStatus.request_counts) {
-            const { completed = 0, total = 0 } = batchStatus.request_counts;
-            if (total > 0) {
-                progressMessage = `Batch job is still processing... (${completed}/${total} requests completed)`;
-            }
-        }
-        ui.notifications.info(progressMessage);
+/**
+ * Asks OpenAI to cancel a batch job. The batch moves to `cancelling` and then to `cancelled`.
+ * @param {string} batchId - The ID of the batch job to cancel.
+ * @param {BatchApiConnection} connection - The API that runs the batch.
+ * @returns {Promise<object>} The batch job object returned by the API.
+ */
+export async function cancelBatchJob(batchId, connection) {
+    const response = await fetchWithRetry(connection.url(`/batches/${batchId}/cancel`), {
+        method: "POST",
+        headers: connection.headers
+    });
 
-        // Wait before the next poll.
-        await new Promise(resolve => setTimeout(resolve, pollingDelay));
+    if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(`Batch Cancellation Failed: ${errorData.error.message}`);
     }
-    
-    // If the loop finishes without the job completing, throw a timeout error.
-    const timeoutMinutes = Math.round((maxAttempts * pollingDelay) / 60000);
-    throw new Error(`Batch job timed out after ${timeoutMinutes} minutes.`);
+    return response.json();
 }
+
+registerProvider(openAIBatchProvider);
@@ -0,0 +1,97 @@
+/**
+ * Streaming Chat Completions client for the Journal Translator module.
+ * Works with any server that implements the OpenAI `/chat/completions` streaming format.
+ */
+
+import { readErrorMessage } from './http-retry.js';
+
+/**
+ * Sends a streaming chat completion request and collects the generated text.
+ * @param {string} url - The full chat completions endpoint URL.
+ * @param {Object} headers - Request headers, including authentication.
+ * @param {Object} body - The request body. `stream: true` is added automatically.
+ * @param {Function} [onProgress] - Called with the text received so far after every streamed chunk.
+ * @param {Function} [onUsage] - Called with the token usage of the request. When given, the server is
+ *   asked to include the usage in the last chunk of the stream.
+ * @returns {Promise<string>} The complete generated text.
+ */
+export async function streamChatCompletion(url, headers, body, onProgress, onUsage) {
+    const usageOptions = onUsage ? { stream_options: { include_usage: true } } : {};
+    const response = await fetch(url, {
+        method: "POST",
+        headers: {
+            "Content-Type": "application/json",
+            ...headers
+        },
+        body: JSON.stringify({ ...body, stream: true, ...usageOptions })
+    });
+
+    if (!response.ok) {
+        throw new Error(`Translation Request Failed: ${await readErrorMessage(response)}`);
+    }
+    return readChatCompletionStream(response, onProgress, onUsage);
+}
+
+/**
+ * Reads a server-sent events stream of chat completion chunks.
+ * @param {Response} response - The streaming response.
+ * @param {Function} [onProgress] - Called with the text received so far after every chunk.
+ * @param {Function} [onUsage] - Called with the token usage if the stream reports it.
+ * @returns {Promise<string>} The concatenated content of all chunks.
+ */
+export async function readChatCompletionStream(response, onProgress, onUsage) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    let content = "";
+
+    const consumeLine = (line) => {
+        const chunk = parseStreamLine(line);
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) {
+            content += delta;
+            onProgress?.(content);
+        }
+        // The usage comes in a final chunk without choices
+        if (chunk?.usage) {
+            onUsage?.({
+                promptTokens: chunk.usage.prompt_tokens ?? 0,
+                completionTokens: chunk.usage.completion_tokens ?? 0,
+                model: chunk.model ?? null
+            });
+        }
+    };
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        // Events can be split across chunks, so keep the trailing partial line for the next read.
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        lines.forEach(consumeLine);
+    }
+    consumeLine(buffer + decoder.decode());
+
+    return content;
+}
+
+/**
+ * Parses a single server-sent events line into a chat completion chunk.
+ * @param {string} line - One line of the event stream.
+ * @returns {Object|null} The chunk, or null for comments, keep-alives and the final `[DONE]` marker.
+ */
+function parseStreamLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) return null;
+
+    const payload = trimmed.slice("data:".length).trim();
+    if (payload === "[DONE]") return null;
+
+    const chunk = JSON.parse(payload);
+    if (chunk.error) {
+        throw new Error(`Translation Request Failed: ${chunk.error.message}`);
+    }
+    return chunk;
+}
@@ -0,0 +1,233 @@
+/**
+ * Splitting of long pages into several requests for the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+
+// Headings start a new chunk once the current one is half full, so a section stays with its heading
+const HEADING_TAGS = ['H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+// Blocks whose children can be split into several chunks, each wrapped in a copy of the block that is merged back when joining
+const CONTAINER_TAGS = ['SECTION', 'ARTICLE', 'ASIDE', 'DIV', 'BLOCKQUOTE', 'UL', 'OL', 'TABLE', 'THEAD', 'TBODY'];
+
+/**
+ * Reads the chunk size for the model of a provider from the `pageChunkSizes` setting.
+ * The setting holds `model=characters` pairs such as `gpt-4o=40000, llama3.1=6000`;
+ * `*` applies to every model that is not listed.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translates the pages.
+ * @returns {number} The maximum number of characters per request, or 0 if pages are not split.
+ */
+export function getChunkSize(provider) {
+    const chunkSizes = parseChunkSizes(game.settings.get(MODULE_ID, "pageChunkSizes"));
+    const model = provider.getModel?.() || provider.id;
+    return chunkSizes.get(model) ?? chunkSizes.get("*") ?? 0;
+}
+
+/**
+ * Parses the `model=characters` pairs of the `pageChunkSizes` setting. Invalid entries are ignored.
+ * @param {string} value - The setting value, with pairs separated by commas or new lines.
+ * @returns {Map<string, number>} The chunk size keyed by model name.
+ */
+export function parseChunkSizes(value) {
+    const chunkSizes = new Map();
+    for (const entry of String(value ?? "").split(/[,\n]/)) {
+        const [model, size] = entry.split("=").map(part => part.trim());
+        if (model && size && Number.isFinite(Number(size)) && Number(size) >= 0) {
+            chunkSizes.set(model, Number(size));
+        }
+    }
+    return chunkSizes;
+}
+
+/**
+ * A chunk of a page.
+ * @typedef {Object} PageChunk
+ * @property {string} html - The HTML of the chunk.
+ * @property {number} continues - How many containers of the previous chunk this chunk continues, e.g. 2
+ *   for the second part of a table split between the rows of its body, or 0 if it starts with new blocks.
+ */
+
+/**
+ * Splits the HTML of a page into chunks of at most `chunkSize` characters on block-level
+ * boundaries: top-level sections, headings, paragraphs and tables. Containers that are too
+ * large on their own, such as a long table or section, are split between their children and
+ * each part is wrapped in a copy of the container. A single paragraph longer than the chunk
+ * size is kept whole, since it cannot be split without breaking its markup.
+ * @param {string} html - The page content.
+ * @param {number} chunkSize - The maximum number of characters per chunk, or 0 to keep the page whole.
+ * @returns {string[]} The chunks in page order. A page that fits is returned unchanged as the only chunk.
+ */
+export function splitIntoChunks(html, chunkSize) {
+    return splitPage(html, chunkSize).map(chunk => chunk.html);
+}
+
+/**
+ * Splits the content of several pages into chunks.
+ * @param {string[]} texts - The content of each page.
+ * @param {number} chunkSize - The maximum number of characters per chunk, or 0 to keep pages whole.
+ * @returns {{chunks: string[], chunkCounts: number[], continuations: number[]}} The chunks of all pages in order,
+ *   how many chunks each page has, and how many containers each chunk continues, see PageChunk.
+ */
+export function chunkTexts(texts, chunkSize) {
+    const pageChunks = texts.map(text => splitPage(text, chunkSize));
+    return {
+        chunks: pageChunks.flat().map(chunk => chunk.html),
+        chunkCounts: pageChunks.map(chunks => chunks.length),
+        continuations: pageChunks.flat().map(chunk => chunk.continues)
+    };
+}
+
+/**
+ * Joins the translated chunks of each page back together, in order. The parts of a container
+ * that was split are merged back into one element, so a split table or list is one again. A page
+ * is only translated if all its chunks are; otherwise it is reported as failed with the error of
+ * its first failed chunk.
+ * @param {{translations: string[], failedIndices: number[], errors: Array}} results - The results of each chunk.
+ * @param {number[]} chunkCounts - How many chunks each page has, as returned by chunkTexts.
+ * @param {number[]} [continuations] - How many containers each chunk continues, as returned by chunkTexts.
+ *   Chunks are joined as they are when missing.
+ * @returns {{translations: string[], failedIndices: number[], errors: Array}} The results of each page.
+ */
+export function joinChunks({ translations, failedIndices = [], errors = [] }, chunkCounts, continuations = []) {
+    const pageResults = { translations: [], failedIndices: [], errors: [] };
+    let offset = 0;
+
+    chunkCounts.forEach((count, pageIndex) => {
+        const indices = Array.from({ length: count }, (_, index) => offset + index);
+        const failed = indices.filter(index => failedIndices.includes(index) || !translations[index]?.trim());
+        offset += count;
+
+        pageResults.translations.push(failed.length > 0 ? '' : mergeChunks(
+            indices.map(index => translations[index]),
+            indices.map(index => continuations[index] ?? 0)
+        ));
+        pageResults.errors.push(failed.map(index => errors[index]).find(error => error) ?? null);
+        if (failed.length > 0) {
+            pageResults.failedIndices.push(pageIndex);
+        }
+    });
+
+    return pageResults;
+}
+
+/**
+ * Splits the HTML of a page into chunks, see splitIntoChunks.
+ * @param {string} html - The page content.
+ * @param {number} chunkSize - The maximum number of characters per chunk, or 0 to keep the page whole.
+ * @returns {PageChunk[]} The chunks in page order.
+ */
+function splitPage(html, chunkSize) {
+    if (!(chunkSize > 0) || html.length <= chunkSize) {
+        return [{ html, continues: 0 }];
+    }
+
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return packBlocks(template.content.childNodes, chunkSize);
+}
+
+/**
+ * Joins the translated chunks of a page. Chunks that continue containers of the previous chunk
+ * are parsed and their children moved into those containers; other chunks are joined as they are.
+ * @param {string[]} translations - The translation of each chunk.
+ * @param {number[]} continuations - How many containers each chunk continues.
+ * @returns {string} The translation of the page.
+ */
+function mergeChunks(translations, continuations) {
+    if (!continuations.some(continues => continues > 0)) {
+        return translations.join('');
+    }
+
+    const template = document.createElement("template");
+    template.innerHTML = translations[0];
+    translations.slice(1).forEach((translation, index) => {
+        const chunk = document.createElement("template");
+        chunk.innerHTML = translation;
+        appendContinuation(template.content, [...chunk.content.childNodes], continuations[index + 1]);
+    });
+    return template.innerHTML;
+}
+
+/**
+ * Appends the nodes of a chunk to the content joined so far. When the chunk continues a container,
+ * the children of its copy of the container are moved into the last element of the content instead,
+ * as long as the provider kept both tags.
+ * @param {ParentNode} parent - The content joined so far, or the container being continued.
+ * @param {Node[]} nodes - The nodes of the chunk at this level.
+ * @param {number} depth - How many containers the nodes continue.
+ */
+function appendContinuation(parent, nodes, depth) {
+    const first = nodes.findIndex(node => node.nodeType === Node.ELEMENT_NODE);
+    const target = parent.lastElementChild;
+
+    if (depth > 0 && first >= 0 && target?.localName === nodes[first].localName) {
+        appendContinuation(target, [...nodes.slice(0, first), ...nodes[first].childNodes], depth - 1);
+        nodes = nodes.slice(first + 1);
+    }
+    parent.append(...nodes);
+}
+
+/**
+ * Packs consecutive blocks into chunks of at most `chunkSize` characters.
+ * @param {NodeList} nodes - The blocks to pack.
+ * @param {number} chunkSize - The maximum number of characters per chunk.
+ * @returns {PageChunk[]} The chunks.
+ */
+function packBlocks(nodes, chunkSize) {
+    const chunks = [];
+    let current = "";
+
+    for (const node of nodes) {
+        const html = serializeNode(node);
+        const startsSection = HEADING_TAGS.includes(node.nodeName) && current.length >= chunkSize / 2;
+        if (current && (current.length + html.length > chunkSize || startsSection)) {
+            chunks.push({ html: current, continues: 0 });
+            current = "";
+        }
+
+        if (html.length > chunkSize && CONTAINER_TAGS.includes(node.nodeName) && node.hasChildNodes()) {
+            chunks.push(...splitContainer(node, chunkSize));
+        } else {
+            current += html;
+        }
+    }
+
+    if (current) chunks.push({ html: current, continues: 0 });
+    return chunks;
+}
+
+/**
+ * Splits a container between its children, wrapping each part in a copy of the container's tags.
+ * Every part after the first continues the container, and the containers its first child continues.
+ * @param {Element} element - The container.
+ * @param {number} chunkSize - The maximum number of characters per chunk.
+ * @returns {PageChunk[]} The chunks.
+ */
+function splitContainer(element, chunkSize) {
+    const closingTag = `</${element.localName}>`;
+    const openingTag = element.outerHTML.slice(0, element.outerHTML.length - element.innerHTML.length - closingTag.length);
+    const innerSize = Math.max(chunkSize - openingTag.length - closingTag.length, 1);
+    return packBlocks(element.childNodes, innerSize).map((chunk, index) => ({
+        html: openingTag + chunk.html + closingTag,
+        continues: index === 0 ? 0 : chunk.continues + 1
+    }));
+}
+
+/**
+ * Converts a node back to HTML.
+ * @param {Node} node - An element, text or comment node.
+ * @returns {string} The HTML of the node.
+ */
+function serializeNode(node) {
+    switch (node.nodeType) {
+        case Node.ELEMENT_NODE:
+            return node.outerHTML;
+        case Node.COMMENT_NODE:
+            return `<!--${node.data}-->`;
+        default: {
+            const container = document.createElement("div");
+            container.append(node.cloneNode());
+            return container.innerHTML;
+        }
+    }
+}
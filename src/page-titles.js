@@ -0,0 +1,151 @@
+/**
+ * Translation of journal and page titles for the Journal Translator module.
+ * The titles travel in the same request as the page content, as headings marked with a class,
+ * so they are translated in the same batch and survive chunking, retries and batch restoration.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { escapeText } from './utils.js';
+
+// Classes of the headings that carry the titles of a page and its journal in a request
+const PAGE_TITLE_CLASS = "journal-translator-page-title";
+const JOURNAL_TITLE_CLASS = "journal-translator-journal-title";
+
+// Told to the provider with every request, so it keeps the headings that carry the titles
+export const TITLE_INSTRUCTION = `The headings with the classes ${JOURNAL_TITLE_CLASS} and ${PAGE_TITLE_CLASS} are the titles of the journal and page: translate them, but keep the headings and their classes.`;
+
+// Opening tags of first-level headings, with their attributes
+const H1_PATTERN = /<h1\b([^>]*)>/gi;
+
+// Matches a title heading in a translation, whatever other attributes the provider added to it
+const TITLE_HEADING_PATTERN = new RegExp(
+    `\\s*<(h[1-6])\\b[^>]*\\bclass="[^"]*\\b(${PAGE_TITLE_CLASS}|${JOURNAL_TITLE_CLASS})\\b[^"]*"[^>]*>([\\s\\S]*?)</\\1>\\s*`,
+    "gi"
+);
+
+/**
+ * The translated names of a journal and of the pages applied to it.
+ * @typedef {Object} TranslatedNames
+ * @property {string|null} [journalName] - The translated name of the journal, or null if it was not translated.
+ * @property {Array<string|null>} [pageNames] - The translated name of each page, or null where it was not translated.
+ */
+
+/**
+ * Gets the content to send for each page: its HTML preceded by its title. The first page of
+ * each journal also carries the title of the journal.
+ * @param {Array} pages - The pages to translate, in request order.
+ * @param {Function} getJournal - (page) => JournalEntry. Finds the journal a page belongs to.
+ * @param {Function} [getContent] - (page) => string. Gets the HTML of a page. Defaults to its content.
+ * @returns {string[]} The content of each page with its titles.
+ */
+export function getTitledContents(pages, getJournal, getContent = page => page.text.content) {
+    const journalsWithTitle = new Set();
+    return pages.map(page => {
+        const journal = getJournal(page);
+        const journalName = journal && !journalsWithTitle.has(journal) ? getOriginalName(journal) : null;
+        journalsWithTitle.add(journal);
+        return addTitles(getContent(page), getOriginalName(page), journalName);
+    });
+}
+
+/**
+ * Takes the translated titles out of the translation of a page. If the provider dropped the
+ * title headings, the translation is returned unchanged and the names are null.
+ * @param {string} html - The translation of a page, as returned for the content of getTitledContents.
+ * @returns {{content: string, pageName: string|null, journalName: string|null}} The translation without
+ *   the titles, and the translated titles.
+ */
+export function extractTitles(html) {
+    const titles = { content: html ?? "", pageName: null, journalName: null };
+    if (!html) return titles;
+
+    titles.content = html.replace(TITLE_HEADING_PATTERN, (match, tag, titleClass, title) => {
+        const name = getText(title);
+        if (titleClass.toLowerCase() === PAGE_TITLE_CLASS) {
+            titles.pageName ??= name || null;
+        } else {
+            titles.journalName ??= name || null;
+        }
+        return "";
+    });
+    return titles;
+}
+
+/**
+ * Marks the title headings of a translation again if the provider dropped their classes. The titles
+ * come first in the content sent, so when the translation has as many `<h1>` headings as the content,
+ * its first ones are the titles.
+ * @param {string} source - The content sent, see getTitledContents.
+ * @param {string} translation - The translation.
+ * @returns {string} The translation with its titles marked. It is returned unchanged if it kept the classes,
+ *   or if its headings do not match those of the content, e.g. because the provider dropped a title.
+ */
+export function restoreTitleClasses(source, translation) {
+    const titleClasses = [...source.matchAll(TITLE_HEADING_PATTERN)].map(match => match[2]);
+    if (!translation || titleClasses.length === 0 || translation.search(TITLE_HEADING_PATTERN) !== -1) {
+        return translation;
+    }
+    if ((source.match(H1_PATTERN) ?? []).length !== (translation.match(H1_PATTERN) ?? []).length) {
+        return translation;
+    }
+
+    let index = 0;
+    return translation.replace(H1_PATTERN, (match, attributes) => {
+        const titleClass = titleClasses[index++];
+        if (!titleClass) return match;
+        return /\bclass="/i.test(attributes)
+            ? `<h1${attributes.replace(/\bclass="/i, `class="${titleClass} `)}>`
+            : `<h1 class="${titleClass}"${attributes}>`;
+    });
+}
+
+/**
+ * Gets the name a journal or page had before it was renamed with its translated title. Documents
+ * translated in place keep it in a flag, so translating them again does not apply the name template
+ * to a name it already produced, e.g. "[PL] [PL] Name".
+ * @param {JournalEntry|JournalEntryPage} document - The journal or page.
+ * @returns {string} The original name.
+ */
+export function getOriginalName(document) {
+    return document.getFlag?.(MODULE_ID, "translationOriginalName") || document.name;
+}
+
+/**
+ * Names a translated journal or page with the `titleTemplate` setting.
+ * @param {string} originalName - The name of the original journal or page.
+ * @param {string|null} translatedName - The translated name, or null if it was not translated.
+ * @returns {string} The name, with the original name standing in for a missing translation.
+ */
+export function formatTranslatedName(originalName, translatedName) {
+    const template = game.settings.get(MODULE_ID, "titleTemplate") || "{translatedName}";
+    const language = game.settings.get(MODULE_ID, "targetLanguageLabel") || game.settings.get(MODULE_ID, "deeplTargetLanguage") || "";
+    const name = template
+        .replaceAll("{translatedName}", translatedName || originalName)
+        .replaceAll("{originalName}", originalName)
+        .replaceAll("{lang}", language)
+        .trim();
+    return name || originalName;
+}
+
+/**
+ * Puts the titles in front of the content of a page.
+ * @param {string} content - The page HTML.
+ * @param {string} pageName - The name of the page.
+ * @param {string|null} journalName - The name of the journal, or null if another page carries it.
+ * @returns {string} The content with its titles.
+ */
+function addTitles(content, pageName, journalName) {
+    const journalTitle = journalName ? `<h1 class="${JOURNAL_TITLE_CLASS}">${escapeText(journalName)}</h1>` : "";
+    return `${journalTitle}<h1 class="${PAGE_TITLE_CLASS}">${escapeText(pageName)}</h1>${content}`;
+}
+
+/**
+ * Gets the text of an HTML fragment, without its tags and entities.
+ * @param {string} html - The fragment.
+ * @returns {string} The trimmed text.
+ */
+function getText(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content.textContent.trim();
+}
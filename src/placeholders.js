@@ -0,0 +1,137 @@
+/**
+ * Placeholder protection for the Journal Translator module.
+ * Enrichers such as @UUID[...]{...}, inline rolls, document IDs and the patterns configured in
+ * the settings are replaced with numbered tokens before pages are sent, so the provider cannot
+ * translate or "fix" them, and are put back into the translations afterwards.
+ */
+
+import { MODULE_ID } from './settings.js';
+
+// Told to the provider with every request, so it keeps the tokens in the translation
+export const PLACEHOLDER_INSTRUCTION = "Keep placeholders such as ⟦0⟧ exactly as they are and where they belong in the sentence.";
+
+// Token standing in for protected text in a request, e.g. ⟦3⟧; spaces the provider added inside are tolerated
+const TOKEN_PATTERN = /⟦\s*(\d+)\s*⟧/g;
+
+// Enrichers such as @UUID[...], @Check[...] or @Embed[...], with their optional label
+const ENRICHER_PATTERN = /@\w+\[[^\]]*\](?:\{[^}]*\})?/;
+
+// Inline rolls such as [[/r 1d20+5]] or [[/r 2d6[fire]]]{Damage}, with their optional label
+const INLINE_ROLL_PATTERN = /\[\[.*?\]\](?!\])(?:\{[^}]*\})?/;
+
+// Document UUIDs and IDs outside of enrichers, e.g. Actor.abcdEFGH12345678 or Compendium.dnd5e.items.Item.abcdEFGH12345678
+const DOCUMENT_ID_PATTERN = /\bCompendium(?:\.[\w-]+){2,3}\.[A-Za-z0-9]{16}\b|\b[A-Z][A-Za-z]*\.[A-Za-z0-9]{16}\b(?:\.[A-Z][A-Za-z]*\.[A-Za-z0-9]{16}\b)*/;
+
+// Splits an enricher or inline roll into its part up to the opening brace of the label, and the label
+const LABEL_PATTERN = /^(@\w+\[[^\]]*\]\{|\[\[.*\]\]\{)([^}]*)\}$/s;
+
+/**
+ * How the tokens of a text did not survive the translation.
+ * @typedef {Object} PlaceholderIssue
+ * @property {string[]} lost - The protected texts whose token is missing from the translation.
+ * @property {string[]} duplicated - The protected texts whose token appears more than once.
+ */
+
+/**
+ * Replaces the protected parts of each text with numbered tokens. Tokens are numbered within each
+ * text in order, so the same text is always protected the same way, e.g. when a batch is restored.
+ * Unless link labels are kept, the label of an enricher or inline roll stays between two tokens
+ * so it is translated.
+ * @param {string[]} texts - The texts to protect.
+ * @returns {{texts: string[], placeholders: string[][]}} The protected texts, and the text each token
+ *   of each of them stands for.
+ */
+export function protectPlaceholders(texts) {
+    const pattern = getProtectedPattern();
+    const translateLabels = game.settings.get(MODULE_ID, "translateLinkLabels") ?? true;
+    const placeholders = texts.map(() => []);
+
+    const protectedTexts = texts.map((text, index) => {
+        if (!text) return text;
+        const tokens = placeholders[index];
+        const addToken = protectedText => `⟦${tokens.push(protectedText) - 1}⟧`;
+
+        return text.replace(pattern, match => {
+            const label = translateLabels ? LABEL_PATTERN.exec(match) : null;
+            return label ? addToken(label[1]) + label[2] + addToken("}") : addToken(match);
+        });
+    });
+
+    return { texts: protectedTexts, placeholders };
+}
+
+/**
+ * Puts the protected text back in place of the tokens of each translation. A token the provider
+ * repeated is restored each time it appears.
+ * @param {string[]} translations - The translations, with tokens.
+ * @param {string[][]} placeholders - The text each token stands for, see protectPlaceholders.
+ * @returns {{translations: string[], issues: Array<PlaceholderIssue|null>}} The restored translations, and for
+ *   each of them the tokens that were lost or duplicated, or null if every token appears once.
+ */
+export function restorePlaceholders(translations, placeholders) {
+    const issues = [];
+
+    const restored = translations.map((translation, index) => {
+        const tokens = placeholders[index] ?? [];
+        if (!translation || tokens.length === 0) {
+            issues.push(null);
+            return translation;
+        }
+
+        const counts = tokens.map(() => 0);
+        const text = translation.replace(TOKEN_PATTERN, (match, number) => {
+            const tokenIndex = Number(number);
+            if (tokenIndex >= tokens.length) return match;
+            counts[tokenIndex]++;
+            return tokens[tokenIndex];
+        });
+
+        const lost = tokens.filter((token, tokenIndex) => counts[tokenIndex] === 0);
+        const duplicated = tokens.filter((token, tokenIndex) => counts[tokenIndex] > 1);
+        issues.push(lost.length > 0 || duplicated.length > 0 ? { lost, duplicated } : null);
+        return text;
+    });
+
+    return { translations: restored, issues };
+}
+
+/**
+ * Tells the user which pages lost or repeated protected text in their translation, so they can be
+ * checked against the original. The details are written to the console.
+ * @param {Array} pages - The pages, in the order of the issues.
+ * @param {Array<PlaceholderIssue|null>} issues - The issues of each page, see restorePlaceholders.
+ */
+export function reportPlaceholderIssues(pages, issues) {
+    const affectedPages = pages.filter((page, index) => issues[index]);
+    if (affectedPages.length === 0) return;
+
+    pages.forEach((page, index) => {
+        if (!issues[index]) return;
+        const { lost, duplicated } = issues[index];
+        console.log(`Journal Translator | Protected text of page "${page.name}" changed in the translation. Lost: ${lost.join(", ") || "none"}. Duplicated: ${duplicated.join(", ") || "none"}.`);
+    });
+    const pageNames = affectedPages.map(page => `"${page.name}"`).join(", ");
+    ui.notifications.warn(`Enrichers, rolls or IDs were lost or duplicated in the translation of ${affectedPages.length} page(s): ${pageNames}. Please check them against the original.`);
+}
+
+/**
+ * Builds the pattern of the text to protect from the built-in patterns and the `protectedPatterns`
+ * setting. An invalid setting is ignored with a warning.
+ * @returns {RegExp} The global pattern.
+ */
+function getProtectedPattern() {
+    const sources = [ENRICHER_PATTERN.source, INLINE_ROLL_PATTERN.source, DOCUMENT_ID_PATTERN.source];
+    const custom = (game.settings.get(MODULE_ID, "protectedPatterns") ?? "").trim();
+
+    if (custom) {
+        try {
+            if (new RegExp(custom).test("")) throw new Error("it matches empty text");
+            sources.unshift(custom);
+        } catch (error) {
+            console.log(`Journal Translator | Ignoring invalid protected pattern "${custom}": ${error.message}`);
+            ui.notifications.warn(`The Protected Patterns setting is not a valid regular expression and is ignored: ${error.message}`);
+        }
+    }
+
+    return new RegExp(sources.map(source => `(?:${source})`).join("|"), "g");
+}
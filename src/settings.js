@@ -2,12 +2,25 @@
  * Module settings configuration for the Journal Translator module.
  */
 
+import { getProviderChoices, DEFAULT_PROVIDER_ID } from './translation-providers.js';
+
 const MODULE_ID = "foundry-translation";
 
 /**
  * Register all module settings.
  */
 export function registerSettings() {
+    // Register the setting for the translation provider
+    game.settings.register(MODULE_ID, "translationProvider", {
+        name: "Translation Provider",
+        hint: "Choose which translation service processes your journals.",
+        scope: "client",
+        config: true,
+        type: String,
+        choices: getProviderChoices(),
+        default: DEFAULT_PROVIDER_ID
+    });
+
     // Register the setting for the OpenAI API Key
     game.settings.register(MODULE_ID, "apiKey", {
         name: "OpenAI API Key",
@@ -44,6 +57,239 @@ export function registerSettings() {
         default: "new"
     });
 
+    // Register the settings for the names of translated journals and pages
+    game.settings.register(MODULE_ID, "titleTemplate", {
+        name: "Translated Name Template",
+        hint: "How translated journals and pages are named in every mode. {translatedName} is the translated title, {originalName} the original title and {lang} the Target Language Label, e.g. \"{translatedName} [{lang}]\".",
+        scope: "client",
+        config: true,
+        type: String,
+        default: "{translatedName}"
+    });
+
+    game.settings.register(MODULE_ID, "targetLanguageLabel", {
+        name: "Target Language Label",
+        hint: "Used for {lang} in the Translated Name Template, e.g. \"EN\". When empty, the DeepL Target Language is used.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    // Register the settings for the Azure OpenAI provider
+    game.settings.register(MODULE_ID, "azureEndpoint", {
+        name: "Azure OpenAI Endpoint",
+        hint: "URL of your Azure OpenAI resource, e.g. https://my-resource.openai.azure.com.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "azureApiKey", {
+        name: "Azure OpenAI API Key",
+        hint: "One of the keys of your Azure OpenAI resource.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "azureDeployment", {
+        name: "Azure OpenAI Deployment",
+        hint: "Name of a Global Batch deployment in your resource. It is used instead of the OpenAI model version.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "azureApiVersion", {
+        name: "Azure OpenAI API Version",
+        hint: "The api-version sent with every Azure request. It must support the Batch API.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: String,
+        default: "2024-10-21"
+    });
+
+    // Register the settings for the Anthropic provider
+    game.settings.register(MODULE_ID, "anthropicApiKey", {
+        name: "Anthropic API Key",
+        hint: "Your Anthropic API key for the Message Batches API.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "anthropicModel", {
+        name: "Anthropic Model",
+        hint: "The Claude model used for translations, e.g. claude-sonnet-4-5.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: "claude-sonnet-4-5"
+    });
+
+    game.settings.register(MODULE_ID, "anthropicMaxTokens", {
+        name: "Anthropic Max Tokens",
+        hint: "Maximum length of each translated page in tokens. Pages whose translation exceeds it are cut off.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        default: 8192
+    });
+
+    // Register the settings for the DeepL provider
+    game.settings.register(MODULE_ID, "deeplApiKey", {
+        name: "DeepL API Key",
+        hint: "Your DeepL API key. Free API keys (ending in :fx) are detected automatically.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "deeplTargetLanguage", {
+        name: "DeepL Target Language",
+        hint: "DeepL language code to translate into (e.g., PL, DE, EN-GB). Leave empty to detect it from the custom prompt, e.g. 'Translate to Polish.'",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "deeplSourceLanguage", {
+        name: "DeepL Source Language",
+        hint: "DeepL language code of the original text (e.g., EN). Leave empty to let DeepL detect it. Required when using a glossary.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "deeplGlossaryId", {
+        name: "DeepL Glossary ID",
+        hint: "ID of a DeepL glossary to apply, for consistent names and game terms. Leave empty to translate without a glossary.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: ""
+    });
+
+    game.settings.register(MODULE_ID, "deeplApiUrl", {
+        name: "DeepL API URL",
+        hint: "Leave empty to use the official DeepL API. Set this to route requests through a proxy, e.g. https://my-proxy.example.com/v2.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: String,
+        default: ""
+    });
+
+    // Register the settings for the local LLM provider
+    game.settings.register(MODULE_ID, "localLlmEndpoint", {
+        name: "Local LLM Endpoint",
+        hint: "Chat endpoint of your local server, e.g. http://localhost:11434/api/chat for Ollama or http://localhost:8080/v1/chat/completions for llama.cpp. Ollama must allow requests from Foundry through OLLAMA_ORIGINS.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: "http://localhost:11434/api/chat"
+    });
+
+    game.settings.register(MODULE_ID, "localLlmModel", {
+        name: "Local LLM Model",
+        hint: "Name of the model loaded on your local server (e.g., llama3.1, qwen2.5:14b).",
+        scope: "client",
+        config: true,
+        type: String,
+        default: "llama3.1"
+    });
+
+    game.settings.register(MODULE_ID, "localLlmConcurrency", {
+        name: "Local LLM Concurrent Requests",
+        hint: "How many pages are sent to the local server at the same time. Keep this low unless your server is configured for parallel requests.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        range: {
+            min: 1,
+            max: 8,
+            step: 1
+        },
+        default: 1
+    });
+
+    // Register the setting for choosing between batch and immediate processing
+    game.settings.register(MODULE_ID, "processingMode", {
+        name: "Processing Mode",
+        hint: "Batch is cheaper but can take up to an hour. Immediate streams each page right away. Automatic uses immediate processing for small jobs only.",
+        scope: "client",
+        config: true,
+        type: String,
+        choices: {
+            "batch": "Batch",
+            "immediate": "Immediate",
+            "auto": "Automatic by Size"
+        },
+        default: "batch"
+    });
+
+    // Register the setting for the automatic processing mode size limit
+    game.settings.register(MODULE_ID, "immediateModeThreshold", {
+        name: "Immediate Mode Size Limit (characters)",
+        hint: "In automatic processing mode, jobs with at most this many characters of page content are translated immediately instead of in a batch.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        range: {
+            min: 1000,
+            max: 100000,
+            step: 1000
+        },
+        default: 10000
+    });
+
+    game.settings.register(MODULE_ID, "batchTokenLimit", {
+        name: "Batch Token Limit",
+        hint: "Estimated number of prompt tokens sent in a single batch. Larger jobs are split into several batches. Set it to the enqueued token limit of your account for the selected model, or 0 for no limit.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        default: 2000000
+    });
+
+    game.settings.register(MODULE_ID, "pageChunkSizes", {
+        name: "Page Chunk Size per Model (characters)",
+        hint: "Pages longer than this are split between sections, headings, paragraphs and tables into several requests, and the translated parts are joined again. Enter model=characters pairs separated by commas, e.g. 'gpt-4o=40000, llama3.1=6000'. '*' applies to every other model. 0 keeps pages whole.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: String,
+        default: "*=40000"
+    });
+
+    game.settings.register(MODULE_ID, "failedRequestRetries", {
+        name: "Retries for Failed Pages",
+        hint: "How many times pages that come back without a translation are resubmitted before they are reported as failed. Set to 0 to disable retries.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        range: {
+            min: 0,
+            max: 5,
+            step: 1
+        },
+        default: 2
+    });
+
     // Register the setting for the OpenAI model version
     game.settings.register(MODULE_ID, "modelVersion", {
         name: "OpenAI Model Version",
@@ -98,6 +344,88 @@ export function registerSettings() {
         default: 120
     });
 
+    game.settings.register(MODULE_ID, "transientFailureRetries", {
+        name: "Retries for Rate Limits and Server Errors",
+        hint: "How many times in a row a request is retried when the provider is rate limiting (HTTP 429) or temporarily unavailable (HTTP 5xx) before the translation gives up. Waits follow the provider's Retry-After headers, or grow exponentially when it sends none.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        range: {
+            min: 0,
+            max: 10,
+            step: 1
+        },
+        default: 5
+    });
+
+    game.settings.register(MODULE_ID, "modelPrices", {
+        name: "Model Prices (USD per million tokens)",
+        hint: "Used for the cost estimate shown before translating. Enter model=input/output prices separated by commas, e.g. 'gpt-4o=2.50/10.00'. Use the deployment name for Azure OpenAI.",
+        scope: "client",
+        config: true,
+        type: String,
+        default: "gpt-4o=2.50/10.00, gpt-4o-mini=0.15/0.60, gpt-4.1=2.00/8.00, gpt-4.1-mini=0.40/1.60, claude-sonnet-4-5=3.00/15.00, claude-haiku-4-5=1.00/5.00"
+    });
+
+    game.settings.register(MODULE_ID, "batchDiscount", {
+        name: "Batch Discount (%)",
+        hint: "Discount on the model prices for translations sent as a batch.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        range: {
+            min: 0,
+            max: 100,
+            step: 5
+        },
+        default: 50
+    });
+
+    game.settings.register(MODULE_ID, "useTranslationMemory", {
+        name: "Use Translation Memory",
+        hint: "Reuse earlier translations of the same text with the same prompts and model instead of sending it again. Entries can be inspected and removed in the Translation Memory window of the Journal directory.",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, "translationMemorySize", {
+        name: "Translation Memory Size",
+        hint: "The most translations kept in the translation memory of the world. When it is full, the translations reused least recently are removed.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: Number,
+        range: {
+            min: 100,
+            max: 20000,
+            step: 100
+        },
+        default: 2000
+    });
+
+    game.settings.register(MODULE_ID, "translateLinkLabels", {
+        name: "Translate Link Labels",
+        hint: "Send the labels of enrichers and inline rolls, such as the 'Goblin' of @UUID[...]{Goblin}, for translation. The enrichers, rolls and document IDs themselves are always kept as they are.",
+        scope: "client",
+        config: true,
+        type: Boolean,
+        default: true
+    });
+
+    game.settings.register(MODULE_ID, "protectedPatterns", {
+        name: "Protected Patterns",
+        hint: "A regular expression matching further text that is kept as it is, e.g. '\\{\\{[^}]*\\}\\}' for Handlebars expressions. Combine several patterns with |. Leave empty to protect only enrichers, inline rolls and document IDs.",
+        scope: "client",
+        config: true,
+        group: "advanced",
+        type: String,
+        default: ""
+    });
+
     game.settings.register(MODULE_ID, "enableFolderMenu", {
         name: "Enable Folder Translate Menu",
         hint: "Show a 'Translate All' option when right-clicking a journal folder.",
@@ -115,6 +443,30 @@ export function registerSettings() {
         type: Boolean,
         default: true
     });
+
+    // Shared by all clients: which batches are being monitored, and by whom (see batch-queue.js)
+    game.settings.register(MODULE_ID, "batchQueue", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
+
+    // Shared by all clients: the tokens and cost of every translation run (see usage-ledger.js)
+    game.settings.register(MODULE_ID, "usageLedger", {
+        scope: "world",
+        config: false,
+        type: Array,
+        default: []
+    });
+
+    // Shared by all clients: earlier translations keyed by a hash of their source (see translation-memory.js)
+    game.settings.register(MODULE_ID, "translationMemory", {
+        scope: "world",
+        config: false,
+        type: Object,
+        default: {}
+    });
 }
 
 export { MODULE_ID };
@@ -0,0 +1,94 @@
+/**
+ * Stale translation detection for the Journal Translator module.
+ * When a page is translated, a hash of its content and one of the translation settings are
+ * stored in its flags. A translated page whose content or settings no longer match is outdated
+ * and is offered for translation again.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { getActiveProvider } from './translation-providers.js';
+import { getTranslationFlags } from './translation-flags.js';
+
+// Settings besides the prompts and model that change what a provider returns
+const PROVIDER_SETTINGS = {
+    deepl: ["deeplTargetLanguage", "deeplSourceLanguage", "deeplGlossaryId"]
+};
+
+/**
+ * Why a translated page is outdated: its content was edited after the translation, or the
+ * translation settings have changed since.
+ * @typedef {"source"|"settings"} OutdatedReason
+ */
+
+/**
+ * Gets everything besides the text that decides how a provider translates: the provider, its
+ * model, the system and custom prompts and the provider's own language settings.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider.
+ * @returns {string[]} The settings, in a fixed order.
+ */
+export function getTranslationSettings(provider) {
+    return [
+        provider.id,
+        provider.getModel?.() || provider.id,
+        game.settings.get(MODULE_ID, "systemPrompt") ?? "",
+        game.settings.get(MODULE_ID, "customPrompt") ?? "",
+        ...(PROVIDER_SETTINGS[provider.id] ?? []).map(key => game.settings.get(MODULE_ID, key) ?? "")
+    ];
+}
+
+/**
+ * Hashes a text.
+ * @param {string} text - The text.
+ * @returns {Promise<string>} The SHA-256 hash as hex.
+ */
+export async function hashText(text) {
+    const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Hashes the translation settings of a provider.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider.
+ * @returns {Promise<string>} The hash.
+ */
+export function getSettingsHash(provider) {
+    return hashText(getTranslationSettings(provider).join("\u0000"));
+}
+
+/**
+ * Hashes the content of a page as it is now. After a translation in place this is the content
+ * with the translation applied, so only later edits change it.
+ * @param {JournalEntryPage} page - The page.
+ * @returns {Promise<string>} The hash.
+ */
+export function getSourceHash(page) {
+    return hashText(page.text?.content ?? "");
+}
+
+/**
+ * Finds the translated pages that are outdated.
+ * Pages translated before hashes were stored are never outdated, since there is nothing to compare.
+ * @param {JournalEntryPage[]} pages - The pages to check.
+ * @returns {Promise<Map<JournalEntryPage, OutdatedReason>>} Why each outdated page is outdated.
+ */
+export async function findOutdatedPages(pages) {
+    const outdated = new Map();
+    let settingsHash = null;
+
+    for (const page of pages) {
+        const flags = getTranslationFlags(page);
+        if (!flags.completed || !flags.sourceHash) continue;
+
+        if (await getSourceHash(page) !== flags.sourceHash) {
+            outdated.set(page, "source");
+            continue;
+        }
+        if (!flags.settingsHash) continue;
+        settingsHash ??= await getSettingsHash(getActiveProvider());
+        if (flags.settingsHash !== settingsHash) {
+            outdated.set(page, "settings");
+        }
+    }
+
+    return outdated;
+}
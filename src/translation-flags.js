@@ -9,15 +9,30 @@ import { MODULE_ID } from './settings.js';
  * @param {JournalEntryPage} page - The page to set flags on
  * @param {string} batchId - The OpenAI batch ID
  * @param {number} batchIndex - The position of this page in the batch (0-based)
+ * @param {string} providerId - The ID of the translation provider that owns the batch
+ * @param {Array<{batchId: string, offset: number, count: number}>|null} [shards] - The batches of a job split into several batches
+ * @param {number} [chunkCount] - The number of requests the page was split into, starting at batchIndex
+ * @param {Array<number|null>|null} [requestIndices] - The batch request that translates each chunk, or null for chunks taken
+ *   from the translation memory. Null when each chunk has its own request, starting at batchIndex.
+ * @param {Array<number|null>|null} [blockMatches] - For a page that only sends its changed blocks, the block of the
+ *   existing translation each source block keeps. Null when the page is translated whole.
  * @returns {Promise<void>}
  */
-export async function setTranslationStartedFlags(page, batchId, batchIndex) {
+export async function setTranslationStartedFlags(page, batchId, batchIndex, providerId, shards = null, chunkCount = 1, requestIndices = null, blockMatches = null) {
     await page.update({
         [`flags.${MODULE_ID}`]: {
             translationBatchId: batchId,
             translationBatchIndex: batchIndex,
+            translationProvider: providerId,
+            translationShards: shards,
+            translationChunkCount: chunkCount,
+            translationRequestIndices: requestIndices,
+            translationBlockMatches: blockMatches,
+            translationJournalId: page.parent?.id ?? null,
             translationQueued: true,
-            translationCompleted: false
+            translationCompleted: false,
+            translationError: null,
+            translationStartedAt: Date.now()
         }
     });
 }
@@ -25,12 +40,31 @@ export async function setTranslationStartedFlags(page, batchId, batchIndex) {
 /**
  * Updates translation flags when translation is completed
  * @param {JournalEntryPage} page - The page to update flags on
+ * @param {{sourceHash?: string|null, settingsHash?: string|null, blockMap?: Object|null}} [hashes] - The hashes of the page
+ *   content and the translation settings at completion, used to tell when the translation is outdated, and the hashes
+ *   of the source blocks, used to send only the changed blocks next time
  * @returns {Promise<void>}
  */
-export async function setTranslationCompletedFlags(page) {
+export async function setTranslationCompletedFlags(page, { sourceHash = null, settingsHash = null, blockMap = null } = {}) {
     await page.update({
         [`flags.${MODULE_ID}.translationCompleted`]: true,
-        [`flags.${MODULE_ID}.translationQueued`]: false
+        [`flags.${MODULE_ID}.translationQueued`]: false,
+        [`flags.${MODULE_ID}.translationSourceHash`]: sourceHash,
+        [`flags.${MODULE_ID}.translationSettingsHash`]: settingsHash,
+        [`flags.${MODULE_ID}.translationBlockMap`]: blockMap,
+        [`flags.${MODULE_ID}.translationBlockMatches`]: null
+    });
+}
+
+/**
+ * Stores why the last translation of a page failed
+ * @param {JournalEntryPage} page - The page to set the flag on
+ * @param {{code: string, message: string}} error - The error reported for the page's request
+ * @returns {Promise<void>}
+ */
+export async function setTranslationErrorFlag(page, error) {
+    await page.update({
+        [`flags.${MODULE_ID}.translationError`]: { code: error.code, message: error.message }
     });
 }
 
@@ -43,8 +77,19 @@ export function getTranslationFlags(page) {
     return {
         batchId: page.getFlag(MODULE_ID, "translationBatchId"),
         batchIndex: page.getFlag(MODULE_ID, "translationBatchIndex"),
+        provider: page.getFlag(MODULE_ID, "translationProvider"),
+        shards: page.getFlag(MODULE_ID, "translationShards") ?? null,
+        chunkCount: page.getFlag(MODULE_ID, "translationChunkCount") ?? 1,
+        requestIndices: page.getFlag(MODULE_ID, "translationRequestIndices") ?? null,
+        blockMatches: page.getFlag(MODULE_ID, "translationBlockMatches") ?? null,
+        journalId: page.getFlag(MODULE_ID, "translationJournalId"),
         queued: page.getFlag(MODULE_ID, "translationQueued"),
-        completed: page.getFlag(MODULE_ID, "translationCompleted")
+        completed: page.getFlag(MODULE_ID, "translationCompleted"),
+        sourceHash: page.getFlag(MODULE_ID, "translationSourceHash") ?? null,
+        settingsHash: page.getFlag(MODULE_ID, "translationSettingsHash") ?? null,
+        blockMap: page.getFlag(MODULE_ID, "translationBlockMap") ?? null,
+        error: page.getFlag(MODULE_ID, "translationError"),
+        startedAt: page.getFlag(MODULE_ID, "translationStartedAt")
     };
 }
 
@@ -56,8 +101,19 @@ export function getTranslationFlags(page) {
 export async function clearTranslationFlags(page) {
     await page.unsetFlag(MODULE_ID, "translationBatchId");
     await page.unsetFlag(MODULE_ID, "translationBatchIndex");
+    await page.unsetFlag(MODULE_ID, "translationProvider");
+    await page.unsetFlag(MODULE_ID, "translationShards");
+    await page.unsetFlag(MODULE_ID, "translationChunkCount");
+    await page.unsetFlag(MODULE_ID, "translationRequestIndices");
+    await page.unsetFlag(MODULE_ID, "translationBlockMatches");
+    await page.unsetFlag(MODULE_ID, "translationJournalId");
     await page.unsetFlag(MODULE_ID, "translationQueued");
     await page.unsetFlag(MODULE_ID, "translationCompleted");
+    await page.unsetFlag(MODULE_ID, "translationSourceHash");
+    await page.unsetFlag(MODULE_ID, "translationSettingsHash");
+    await page.unsetFlag(MODULE_ID, "translationBlockMap");
+    await page.unsetFlag(MODULE_ID, "translationError");
+    await page.unsetFlag(MODULE_ID, "translationStartedAt");
 }
 
 /**
@@ -91,4 +147,34 @@ export function findIncompleteTranslations(journal) {
 export function hasIncompleteTranslations(journal) {
     const incompletePages = findIncompleteTranslations(journal);
     return Object.keys(incompletePages).length > 0;
-}
\ No newline at end of file
+}
+
+/**
+ * Finds the pages waiting for a batch across all journals in the world, since a folder
+ * translation sends the pages of several journals in one batch
+ * @param {string} batchId - The batch ID
+ * @returns {Array} The pages flagged with the batch
+ */
+export function findTranslationBatchPages(batchId) {
+    return findAllTranslationBatches().find(batch => batch.batchId === batchId)?.pages ?? [];
+}
+
+/**
+ * Finds every batch that pages across all journals in the world are still waiting for
+ * @returns {Array<{batchId: string, provider: string, shards: Array|null, startedAt: number, pages: Array}>} The batches, oldest first
+ */
+export function findAllTranslationBatches() {
+    const batches = new Map();
+
+    for (const journal of game.journal) {
+        for (const [batchId, pages] of Object.entries(findIncompleteTranslations(journal))) {
+            if (!batches.has(batchId)) {
+                const flags = getTranslationFlags(pages[0]);
+                batches.set(batchId, { batchId, provider: flags.provider, shards: flags.shards, startedAt: flags.startedAt, pages: [] });
+            }
+            batches.get(batchId).pages.push(...pages);
+        }
+    }
+
+    return [...batches.values()].sort((a, b) => (a.startedAt ?? 0) - (b.startedAt ?? 0));
+}
@@ -3,63 +3,316 @@
  */
 
 import { MODULE_ID } from './settings.js';
-import { callOpenAIBatch } from './openai-batch.js';
-import { createPageUpdates, createTranslatedPagesData } from './utils.js';
-import { setTranslationStartedFlags, setTranslationCompletedFlags } from './translation-flags.js';
-import { addBatchToQueue, removeBatchFromQueue } from './batch-queue.js';
+import { callTranslationProvider, getProvider, getActiveProvider, shouldTranslateImmediately, translateTextsImmediately, retryFailedTranslations, assembleFinalResults, assembleFinalErrors, assembleFinalUsage, addTokenUsage, hasPartialResults, getJobShards, waitForJob, cancelJob, fetchJobResults, fetchJobErrors } from './translation-providers.js';
+import { createPageUpdates, createTranslatedPagesData, showTranslationErrorReport, showTranslationReview, escapeText } from './utils.js';
+import { setTranslationStartedFlags, setTranslationCompletedFlags, clearTranslationFlags, setTranslationErrorFlag, getTranslationFlags, findAllTranslationBatches } from './translation-flags.js';
+import { getChunkSize, chunkTexts, joinChunks } from './page-chunks.js';
+import { addBatchToQueue, removeBatchFromQueue, isBatchInQueue, isBatchMonitoredHere, getBatchLease, stopBatchPolling } from './batch-queue.js';
+import { recordUsage } from './usage-ledger.js';
+import { extractTitles, formatTranslatedName, getOriginalName } from './page-titles.js';
+import { getSourceHash, getSettingsHash } from './stale-translations.js';
+import { SEPARATOR, getRequestContents, planBlockUpdate, getBlockUpdate, spliceBlockTranslation, getBlockMap } from './block-map.js';
+import { protectPlaceholders, restorePlaceholders, reportPlaceholderIssues } from './placeholders.js';
+import { checkTranslations, getSoundTranslations } from './translation-validation.js';
+import { lookupTranslationMemory, fillFromTranslationMemory, rememberTranslations, deduplicateRequests, expandRequestResults } from './translation-memory.js';
 
 /**
- * Translates selected pages from a journal entry using batch processing.
+ * Translates selected pages from a journal entry using batch processing, or immediately
+ * when the processing mode setting allows it.
  * @param {JournalEntry} journal - The journal entry to translate.
  * @param {Array} selectedPages - Array of selected page objects to translate. If not provided, all pages with content will be used.
  * @return {Promise<void>} - Resolves when the translation is complete.
  */
 export async function translateJournal(journal, selectedPages = null) {
-    const translationMode = game.settings.get(MODULE_ID, "translationMode");
-    
     // Use selected pages or default to all pages with content
     const pagesToTranslate = selectedPages || journal.pages.filter(page => page.text && page.text.content);
-    const pageContents = pagesToTranslate.map(page => page.text.content);
 
-    if (pageContents.length === 0) {
+    if (pagesToTranslate.length === 0) {
         ui.notifications.warn(`No pages selected for translation in "${journal.name}".`);
         return;
     }
 
-    ui.notifications.info(`Translating ${pageContents.length} pages in batch...`);
-    
-    // Call OpenAI batch API and get both batch ID and translations
-    const { batchId, translations: translatedContents } = await callOpenAIBatch(pageContents, {
-        onBatchCreated: async (createdBatchId) => {
-            // Set initial flags on all pages being translated and add to queue immediately after batch creation
-            addBatchToQueue(createdBatchId);
-            
-            for (let i = 0; i < pagesToTranslate.length; i++) {
-                await setTranslationStartedFlags(pagesToTranslate[i], createdBatchId, i);
-            }
-            console.log(`Journal Translator | Set translation flags for ${pagesToTranslate.length} pages with batch ID: ${createdBatchId}`);
+    await translatePages([{ journal, pages: pagesToTranslate }], `"${journal.name}"`);
+}
+
+/**
+ * Translates selected pages of several journals as one job, so a whole folder is sent as a
+ * single batch (or a few shards) instead of one batch per journal. The results are applied
+ * to each journal as soon as the shared job finishes.
+ * @param {Array<{journal: JournalEntry, pages: Array}>} selections - The journals and the pages selected in each of them.
+ * @return {Promise<void>} - Resolves when the translation is complete.
+ */
+export async function translateJournals(selections) {
+    const journalSelections = selections.filter(({ pages }) => pages.length > 0);
+    if (journalSelections.length === 0) {
+        ui.notifications.warn("No pages selected for translation.");
+        return;
+    }
+
+    const pageCount = journalSelections.reduce((sum, { pages }) => sum + pages.length, 0);
+    ui.notifications.info(`Translating ${pageCount} page(s) from ${journalSelections.length} journal(s) in one job...`);
+    await translatePages(journalSelections, `${journalSelections.length} journal(s)`);
+}
+
+/**
+ * Translates the pages of one or more journals as one job and applies the results to each journal.
+ * @param {Array<{journal: JournalEntry, pages: Array}>} journalSelections - The journals and their pages to translate.
+ * @param {string} label - Describes the job in notifications, e.g. the quoted journal name.
+ * @return {Promise<void>}
+ */
+async function translatePages(journalSelections, label) {
+    const selectedPages = journalSelections.flatMap(({ pages }) => pages);
+    const pageJournals = new Map(journalSelections.flatMap(({ journal, pages }) => pages.map(page => [page, journal])));
+    const provider = getActiveProvider();
+
+    // Translated pages whose original was edited only send their changed blocks. Pages that only
+    // lost blocks have nothing to send and are updated right away.
+    const plannedMatches = await Promise.all(selectedPages.map(page => planBlockUpdate(page, provider)));
+    const unchanged = plannedMatches.map(matches => matches?.every(match => match !== null) ?? false);
+    const unchangedPages = selectedPages.filter((page, index) => unchanged[index]);
+    if (unchangedPages.length > 0) {
+        const failures = await applyBlockUpdates(unchangedPages, plannedMatches.filter((matches, index) => unchanged[index]), [], provider);
+        for (const { journal } of journalSelections) {
+            await reportFailedPages(journal, failures.filter(({ page }) => pageJournals.get(page) === journal));
         }
-    });
+    }
+    const pagesToTranslate = selectedPages.filter((page, index) => !unchanged[index]);
+    const blockMatches = plannedMatches.filter((matches, index) => !unchanged[index]);
+    if (pagesToTranslate.length === 0) return;
+
+    // The titles of the pages and journals are translated along with the content, while
+    // enrichers, inline rolls and IDs are replaced with tokens the provider keeps as they are
+    const requestContents = getRequestContents(pagesToTranslate, page => pageJournals.get(page), blockMatches);
+    const { texts: pageContents, placeholders } = protectPlaceholders(requestContents);
+
+    // Pages too long for the model are sent as several requests
+    const { chunks, chunkCounts, continuations } = chunkTexts(pageContents, getChunkSize(provider));
+    // Chunks translated before are taken from the translation memory, and chunks repeated in the job are sent once
+    const remembered = await lookupTranslationMemory(chunks, provider);
+    const { requests, requestIndices } = deduplicateRequests(chunks, remembered);
+    const rememberedCount = remembered.filter(translation => translation !== null).length;
+    if (rememberedCount > 0) {
+        ui.notifications.info(`Reusing ${rememberedCount} translation(s) from the translation memory.`);
+    }
+
+    const immediate = shouldTranslateImmediately(provider, requests);
+    const { batchId, translations: receivedContents, errors: receivedErrors, usage: receivedUsage } = requests.length === 0
+        ? { batchId: null, translations: [], errors: [], usage: [] }
+        : immediate
+            ? await translateTextsImmediately(requests, { provider })
+            : await translateInBatch(pagesToTranslate, requests, chunkCounts, requestIndices, blockMatches, provider);
+    const sent = receivedContents?.length > 0;
+
+    // Requests that came back empty get another chance before the chunks of each page are joined again
+    const requestResults = sent
+        ? await retryFailedTranslations(requests, receivedContents, provider, receivedErrors, receivedUsage)
+        : { translations: [], failedIndices: [], errors: [] };
+    await rememberTranslations(provider, requests, getSoundTranslations(requests, requestResults.translations));
+    const chunkResults = sent || requests.length === 0
+        ? expandRequestResults(requestResults, requestIndices, remembered)
+        : { translations: [], failedIndices: [], errors: [] };
+    const { translations: joinedContents, failedIndices, errors } = joinChunks(chunkResults, chunkCounts, continuations);
+    const { translations: restoredContents, issues: placeholderIssues } = restorePlaceholders(joinedContents, placeholders);
+    // Fences and preambles are removed, and translations that look broken are held back for review
+    const { translations: translatedContents, problems } = checkTranslations(requestContents, restoredContents);
+
+    // The run is recorded by the client that applies it, even if no page could be translated
+    if (sent && (!batchId || isBatchMonitoredHere(batchId))) {
+        await recordJobUsage(pagesToTranslate, chunkCounts, chunkResults, provider, batchId, page => pageJournals.get(page));
+    }
 
     // If we didn't get any translations, stop here (also catches all-empty arrays from failed batches)
-    const hasAnyTranslations = translatedContents?.some(t => t && t.trim() !== '');
+    const hasAnyTranslations = translatedContents.some(t => t && t.trim() !== '');
     if (!hasAnyTranslations) {
-        ui.notifications.warn(`No translations received for "${journal.name}".`);
+        ui.notifications.warn(`No translations received for ${label}.`);
         if (batchId) {
-            removeBatchFromQueue(batchId);
+            await removeBatchFromQueue(batchId);
         }
         return;
     }
 
-    await applyTranslationsWithMode(journal, pagesToTranslate, translatedContents, translationMode);
-    await completeTranslation(pagesToTranslate);
+    // Immediate translations and jobs taken from the translation memory have no batch,
+    // so the page indices are only recorded now, right before applying
+    if (!batchId) {
+        for (let i = 0; i < pagesToTranslate.length; i++) {
+            await setTranslationStartedFlags(pagesToTranslate[i], null, i, provider.id, null, null, null, blockMatches[i]);
+        }
+    }
+
+    // Another client may have restored the batch in the meantime; only one of them applies it
+    if (batchId && !isBatchMonitoredHere(batchId)) {
+        ui.notifications.info(`Batch ${batchId} is being applied by another client.`);
+        return;
+    }
+
+    reportPlaceholderIssues(pagesToTranslate, placeholderIssues);
+    await applyJobResults(pagesToTranslate, translatedContents, failedIndices, errors, provider, page => pageJournals.get(page), problems);
     
     // Remove batch from queue when translation is complete
     if (batchId) {
-        removeBatchFromQueue(batchId);
+        await removeBatchFromQueue(batchId);
     }
 }
 
+/**
+ * Applies the results of a job to the journals its pages belong to, one journal at a time:
+ * the translated titles are taken out of the translations, the translations are applied with
+ * the configured mode, or spliced into the existing translation for pages that only sent their
+ * changed blocks, successful pages are marked as completed and failed pages are reported.
+ * Translations that look broken are only applied if the user accepts them in a review.
+ * @param {Array} pages - The pages of the job, in request order.
+ * @param {string[]} translations - The translation of each page with its titles, in request order.
+ * @param {number[]} failedIndices - The request indices of the pages without a translation.
+ * @param {Array<RequestError|null>} errors - The error of each request, in request order.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translated the pages.
+ * @param {Function} getJournal - (page) => JournalEntry. Finds the journal a page belongs to.
+ * @param {Array<string[]|null>} [problems] - The problems found in each translation, see checkTranslations.
+ * @returns {Promise<void>}
+ */
+async function applyJobResults(pages, translations, failedIndices, errors, provider, getJournal, problems = []) {
+    const translationMode = game.settings.get(MODULE_ID, "translationMode");
+    const journalIndices = new Map();
+    pages.forEach((page, index) => {
+        const journal = getJournal(page);
+        if (!journalIndices.has(journal)) journalIndices.set(journal, []);
+        journalIndices.get(journal).push(index);
+    });
+
+    const titledTranslations = translations.map(extractTitles);
+
+    for (const [journal, indices] of journalIndices) {
+        const failures = indices
+            .filter(index => failedIndices.includes(index))
+            .map(index => ({ page: pages[index], error: errors[index] }));
+        const heldBackIndices = await reviewHeldBackPages(journal, indices.filter(index => problems[index] && !failedIndices.includes(index)), pages, titledTranslations, problems);
+        failures.push(...heldBackIndices.map(index => ({
+            page: pages[index],
+            error: { code: "suspicious_translation", message: problems[index].join(" ") }
+        })));
+
+        const blockMatches = new Map(indices.map(index => [index, getTranslationFlags(pages[index]).blockMatches]));
+        const blockIndices = indices.filter(index => blockMatches.get(index) && !failedIndices.includes(index) && !heldBackIndices.includes(index));
+        const wholeIndices = indices.filter(index => !blockMatches.get(index) && !heldBackIndices.includes(index));
+
+        if (wholeIndices.length > 0) {
+            const names = {
+                journalName: wholeIndices.map(index => titledTranslations[index].journalName).find(name => name) ?? null,
+                pageNames: wholeIndices.map(index => titledTranslations[index].pageName)
+            };
+            await applyTranslationsWithMode(journal, wholeIndices.map(index => pages[index]), wholeIndices.map(index => titledTranslations[index].content), translationMode, names);
+            await completeTranslation(wholeIndices.filter(index => !failedIndices.includes(index)).map(index => pages[index]), provider, translationMode);
+        }
+        if (blockIndices.length > 0) {
+            failures.push(...await applyBlockUpdates(
+                blockIndices.map(index => pages[index]),
+                blockIndices.map(index => blockMatches.get(index)),
+                blockIndices.map(index => translations[index]),
+                provider
+            ));
+        }
+        await reportFailedPages(journal, failures);
+    }
+}
+
+/**
+ * Shows the user the translations of a journal that look broken, so they can be applied anyway.
+ * @param {JournalEntry} journal - The journal the pages belong to.
+ * @param {number[]} indices - The request indices of the pages whose translation looks broken.
+ * @param {Array} pages - The pages of the job, in request order.
+ * @param {Array<{content: string}>} titledTranslations - The translation of each page without its titles.
+ * @param {Array<string[]|null>} problems - The problems found in each translation.
+ * @returns {Promise<number[]>} The request indices of the pages that stay held back.
+ */
+async function reviewHeldBackPages(journal, indices, pages, titledTranslations, problems) {
+    if (indices.length === 0) return [];
+
+    const approved = await showTranslationReview(journal, indices.map(index => ({
+        page: pages[index],
+        problems: problems[index],
+        translation: titledTranslations[index].content
+    })));
+    return indices.filter(index => !approved.includes(pages[index]));
+}
+
+/**
+ * Splices the translations of the changed blocks of pages into their existing translations,
+ * and marks the pages as completed. A page whose original or translation changed since the
+ * job was sent so that its blocks no longer line up is returned as failed; its block map is
+ * cleared with its flags, so it is translated whole the next time.
+ * @param {Array} pages - The pages updated block by block.
+ * @param {Array<Array<number|null>>} blockMatches - The block matches of each page, see planBlockUpdate.
+ * @param {string[]} translations - The translation of the changed blocks of each page.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translated the pages.
+ * @returns {Promise<Array<{page: JournalEntryPage, error: RequestError}>>} The pages that could not be updated.
+ */
+async function applyBlockUpdates(pages, blockMatches, translations, provider) {
+    const failures = [];
+    let updatedCount = 0;
+
+    for (const [index, page] of pages.entries()) {
+        const update = getBlockUpdate(page, blockMatches[index]);
+        const content = update ? spliceBlockTranslation(update, translations[index]) : null;
+        if (content === null) {
+            failures.push({ page, error: { code: "block_mismatch", message: "The translated blocks could not be lined up with the page. It will be translated whole the next time." } });
+            continue;
+        }
+        await update.target.update({ "text.content": content });
+        await completeTranslation([page], provider, update.mode);
+        updatedCount++;
+    }
+
+    if (updatedCount > 0) {
+        ui.notifications.info(`Updated the changed blocks of ${updatedCount} page(s).`);
+    }
+    return failures;
+}
+
+/**
+ * Submits the page contents as a provider batch and waits for the results.
+ * Pages are flagged with the batch ID as soon as the batch is created so it can be restored later.
+ * @param {Array} pagesToTranslate - The pages being translated.
+ * @param {string[]} requests - The HTML content of each request, see deduplicateRequests.
+ * @param {number[]} chunkCounts - The number of chunks of each page.
+ * @param {Array<number|null>} requestIndices - The request of each chunk, or null for chunks taken from the translation memory.
+ * @param {Array<Array<number|null>|null>} blockMatches - The block matches of each page that only sends its changed blocks, see planBlockUpdate.
+ * @param {TranslationProvider} provider - The provider to submit the batch to.
+ * @returns {Promise<{batchId: string, translations: string[]}>} The batch ID and the translation of each request.
+ */
+async function translateInBatch(pagesToTranslate, requests, chunkCounts, requestIndices, blockMatches, provider) {
+    const splitInfo = requests.length > pagesToTranslate.length ? ` (split into ${requests.length} requests)` : '';
+    ui.notifications.info(`Translating ${pagesToTranslate.length} pages in batch${splitInfo}...`);
+
+    // Call the configured provider and get both batch ID and translations
+    let queuedBatchId = null;
+    const result = await callTranslationProvider(requests, {
+        provider,
+        onBatchCreated: async (createdBatchId, shards) => {
+            // Set initial flags on all pages being translated and add to queue immediately after batch creation
+            await addBatchToQueue(createdBatchId);
+            queuedBatchId = createdBatchId;
+            
+            // Only jobs split into several batches need their shards to be restored
+            const storedShards = shards?.length > 1 ? shards : null;
+            let batchIndex = 0;
+            for (let i = 0; i < pagesToTranslate.length; i++) {
+                // Only pages whose chunks do not map one to one onto requests need their requests to be restored
+                const pageRequests = requestIndices.slice(batchIndex, batchIndex + chunkCounts[i]);
+                const ownRequests = pageRequests.every((requestIndex, chunk) => requestIndex === batchIndex + chunk);
+                await setTranslationStartedFlags(pagesToTranslate[i], createdBatchId, batchIndex, provider.id, storedShards, chunkCounts[i], ownRequests ? null : pageRequests, blockMatches[i]);
+                batchIndex += chunkCounts[i];
+            }
+            console.log(`Journal Translator | Set translation flags for ${pagesToTranslate.length} pages with batch ID: ${createdBatchId}`);
+        }
+    });
+
+    // A job that failed after it was created comes back without its ID. Its lease is released so the
+    // heartbeat stops renewing it; the page flags stay, so the batch can still be restored later.
+    if (queuedBatchId && !result.batchId) {
+        await removeBatchFromQueue(queuedBatchId);
+    }
+    return result;
+}
+
 /**
  * Handles the append mode for translating journal pages by adding translated content
  * after the original content with a horizontal rule separator.
@@ -69,18 +322,22 @@ export async function translateJournal(journal, selectedPages = null) {
  * @param {Object} journal - The journal object containing the pages to be updated
  * @param {Array} pagesToTranslate - Array of page objects that need translation
  * @param {Array} translatedContents - Array of translated content strings corresponding to the pages
+ * @param {TranslatedNames} [names] - The translated names of the journal and the pages
  * @returns {Promise<void>} A promise that resolves when the operation is complete
  * @description Creates page updates by appending translated content to original content,
- *              separated by a horizontal rule. Updates the journal's embedded documents
- *              and displays appropriate notification messages based on the result.
+ *              separated by a horizontal rule. Updates the journal's embedded documents, renames
+ *              the journal and pages whose names were translated, and displays appropriate
+ *              notification messages based on the result.
  */
-export async function handleAppendMode(journal, pagesToTranslate, translatedContents) {
+export async function handleAppendMode(journal, pagesToTranslate, translatedContents, names = {}) {
     const pageUpdates = createPageUpdates(pagesToTranslate, translatedContents, (original, translated) => 
-        original + '<hr style="margin: 1em 0;">' + translated
+        original + SEPARATOR + translated,
+        names.pageNames
     );
     
     if (pageUpdates.length > 0) {
         await journal.updateEmbeddedDocuments("JournalEntryPage", pageUpdates);
+        await renameJournal(journal, names.journalName);
         ui.notifications.info(`Successfully appended translations to "${journal.name}".`);
     } else {
         ui.notifications.warn(`No pages were updated for "${journal.name}".`);
@@ -97,16 +354,19 @@ export async function handleAppendMode(journal, pagesToTranslate, translatedCont
  * @param {Object} journal - The journal document to update
  * @param {Array} pagesToTranslate - Array of pages that need translation
  * @param {Array} translatedContents - Array of translated content corresponding to the pages
+ * @param {TranslatedNames} [names] - The translated names of the journal and the pages
  * @returns {Promise<void>} Promise that resolves when the operation is complete
  * @throws {Error} Throws error if journal update fails
  */
-async function handlePrependMode(journal, pagesToTranslate, translatedContents) {
+async function handlePrependMode(journal, pagesToTranslate, translatedContents, names = {}) {
     const pageUpdates = createPageUpdates(pagesToTranslate, translatedContents, (original, translated) => 
-        translated + '<hr style="margin: 1em 0;">' + original
+        translated + SEPARATOR + original,
+        names.pageNames
     );
     
     if (pageUpdates.length > 0) {
         await journal.updateEmbeddedDocuments("JournalEntryPage", pageUpdates);
+        await renameJournal(journal, names.journalName);
         ui.notifications.info(`Successfully prepended translations to "${journal.name}".`);
     } else {
         ui.notifications.warn(`No pages were updated for "${journal.name}".`);
@@ -121,16 +381,19 @@ async function handlePrependMode(journal, pagesToTranslate, translatedContents)
  * @param {Object} journal - The journal document to update
  * @param {Array} pagesToTranslate - Array of journal pages that need translation
  * @param {Array} translatedContents - Array of translated content corresponding to the pages
+ * @param {TranslatedNames} [names] - The translated names of the journal and the pages
  * @returns {Promise<void>} Promise that resolves when the replacement operation is complete
- * @description Creates page updates by replacing original content with translations, then updates the journal's embedded documents. Shows success notification if pages were updated, or warning if no updates occurred.
+ * @description Creates page updates by replacing original content with translations, then updates the journal's embedded documents. The journal and pages whose names were translated are renamed. Shows success notification if pages were updated, or warning if no updates occurred.
  */
-export async function handleReplaceMode(journal, pagesToTranslate, translatedContents) {
+export async function handleReplaceMode(journal, pagesToTranslate, translatedContents, names = {}) {
     const pageUpdates = createPageUpdates(pagesToTranslate, translatedContents, (original, translated) => 
-        translated
+        translated,
+        names.pageNames
     );
     
     if (pageUpdates.length > 0) {
         await journal.updateEmbeddedDocuments("JournalEntryPage", pageUpdates);
+        await renameJournal(journal, names.journalName);
         ui.notifications.info(`Successfully replaced original with translations in "${journal.name}".`);
     } else {
         ui.notifications.warn(`No pages were updated for "${journal.name}".`);
@@ -139,21 +402,22 @@ export async function handleReplaceMode(journal, pagesToTranslate, translatedCon
 
 /**
  * Handles the creation of a new journal entry with translated content.
- * Creates a new journal with the suffix "(Translated)" containing all translated pages.
+ * Creates a new journal named with the name template, containing all translated pages.
  * 
  * @async
  * @function handleNewJournalMode
  * @param {JournalEntry} journal - The original journal entry to translate from
  * @param {Array} pagesToTranslate - Array of pages that need to be translated
  * @param {Array} translatedContents - Array of translated content corresponding to the pages
+ * @param {TranslatedNames} [names] - The translated names of the journal and the pages
  * @returns {Promise<void>} Promise that resolves when the new journal is created or warns if no translations were made
  * @throws {Error} Throws an error if journal creation fails
  */
-export async function handleNewJournalMode(journal, pagesToTranslate, translatedContents) {
-    const translatedPagesData = createTranslatedPagesData(pagesToTranslate, translatedContents);
+export async function handleNewJournalMode(journal, pagesToTranslate, translatedContents, names = {}) {
+    const translatedPagesData = createTranslatedPagesData(pagesToTranslate, translatedContents, names.pageNames);
     
     if (translatedPagesData.length > 0) {
-        const translatedJournalName = `${journal.name} (Translated)`;
+        const translatedJournalName = formatTranslatedName(getOriginalName(journal), names.journalName);
         const newEntryData = {
             name: translatedJournalName,
             pages: translatedPagesData,
@@ -173,31 +437,396 @@ export async function handleNewJournalMode(journal, pagesToTranslate, translated
  * @param {Array} pages - The pages to apply translations to
  * @param {Array} translations - The translated content
  * @param {string} mode - The translation mode (append, prepend, replace, new)
+ * @param {TranslatedNames} [names] - The translated names of the journal and the pages
  */
-export async function applyTranslationsWithMode(journal, pages, translations, mode) {
+export async function applyTranslationsWithMode(journal, pages, translations, mode, names = {}) {
     switch (mode) {
         case 'append':
-            await handleAppendMode(journal, pages, translations);
+            await handleAppendMode(journal, pages, translations, names);
             break;
         case 'prepend':
-            await handlePrependMode(journal, pages, translations);
+            await handlePrependMode(journal, pages, translations, names);
             break;
         case 'replace':
-            await handleReplaceMode(journal, pages, translations);
+            await handleReplaceMode(journal, pages, translations, names);
             break;
         case 'new':
         default:
-            await handleNewJournalMode(journal, pages, translations);
+            await handleNewJournalMode(journal, pages, translations, names);
             break;
     }
 }
 
 /**
- * Completes the translation process by marking pages as completed
+ * Renames a journal translated in place with the name template, if its name was translated.
+ * The original name is kept in a flag, as the template is applied to it again on the next run.
+ * @param {JournalEntry} journal - The journal
+ * @param {string|null} [journalName] - The translated name of the journal
+ * @returns {Promise<void>}
+ */
+async function renameJournal(journal, journalName) {
+    if (!journalName) return;
+    const originalName = getOriginalName(journal);
+    await journal.update({
+        name: formatTranslatedName(originalName, journalName),
+        [`flags.${MODULE_ID}.translationOriginalName`]: originalName
+    });
+}
+
+/**
+ * Tells the user which pages could not be translated and why. Their progress flags are
+ * cleared so they are offered again the next time the journal is translated, while the
+ * error is kept on the page. The report dialog is not awaited so the run can finish.
+ * @param {JournalEntry} journal - The journal the pages belong to
+ * @param {Array<{page: JournalEntryPage, error: RequestError}>} failures - The pages without a translation after all retries
+ */
+export async function reportFailedPages(journal, failures) {
+    if (failures.length === 0) return;
+
+    for (const { page, error } of failures) {
+        await clearTranslationFlags(page);
+        await setTranslationErrorFlag(page, error);
+    }
+    const pageNames = failures.map(({ page }) => `"${page.name}"`).join(", ");
+    ui.notifications.error(`${failures.length} page(s) of "${journal.name}" could not be translated: ${pageNames}. You can translate them again later.`);
+    showTranslationErrorReport(journal, failures);
+}
+
+/**
+ * Completes the translation process by marking pages as completed. The hashes of their content
+ * as it is now and of the translation settings are stored, so later changes mark them outdated,
+ * along with the hashes of their blocks so edits can be translated block by block. Pages whose
+ * content was replaced get no content hash: their original is gone, so translating them again
+ * would translate the translation, and they are never offered as outdated.
  * @param {Array} pages - The pages to mark as completed
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translated them
+ * @param {string} [mode] - The translation mode the translations were applied with
+ */
+export async function completeTranslation(pages, provider, mode) {
+    const settingsHash = await getSettingsHash(provider);
+    for (const page of pages) {
+        const sourceHash = mode === "replace" ? null : await getSourceHash(page);
+        await setTranslationCompletedFlags(page, { sourceHash, settingsHash, blockMap: await getBlockMap(page, mode) });
+    }
+}
+
+/**
+ * Attempts to restore and monitor an existing translation batch
+ * @param {string} batchId - The batch ID to restore
+ * @param {Array} pages - The pages associated with this batch
+ */
+export async function attemptBatchRestoration(batchId, pages) {
+    try {
+        // Take the batch's lease so no other client restores it at the same time
+        if (!await addBatchToQueue(batchId)) {
+            notifyBatchMonitored(batchId);
+            return;
+        }
+
+        ui.notifications.info(`Attempting to restore batch ${batchId} with ${pages.length} pages...`);
+        
+        // Use the provider that created the batch, even if the setting has changed since
+        const { provider: providerId, shards: storedShards } = getTranslationFlags(pages[0]);
+        // Pages are ordered by their position in the batch, which may span several journals.
+        // A page split into chunks takes several consecutive requests.
+        const batchPages = pages
+            .map(page => ({ page, ...getTranslationFlags(page) }))
+            .sort((a, b) => a.batchIndex - b.batchIndex);
+        const jobSize = Math.max(...batchPages.map(({ batchIndex, chunkCount }) => batchIndex + chunkCount));
+        // Chunks taken from the translation memory were not sent, and repeated chunks share one request
+        const requestIndices = getJobRequestIndices(batchPages, jobSize);
+        const requestCount = Math.max(-1, ...requestIndices.filter(index => index !== null)) + 1;
+        const provider = getProvider(providerId) ?? getActiveProvider();
+        const configError = provider.validate();
+        if (configError) {
+            ui.notifications.error(configError);
+            await removeBatchFromQueue(batchId);
+            return;
+        }
+        
+        // Check batch status and wait for completion if needed. A job split into several
+        // batches is only applied once all of them have finished.
+        ui.notifications.info(`Checking batch ${batchId} status...`);
+        const completedBatch = await waitForJob(provider, getJobShards(batchId, storedShards, requestCount));
+        
+        if (!isBatchMonitoredHere(batchId)) {
+            ui.notifications.info(`Batch ${batchId} is being applied by another client.`);
+            return;
+        }
+
+        const partial = hasPartialResults(completedBatch);
+        if (completedBatch.status === 'completed' || partial) {
+            // Process the results, including those of a batch that stopped early
+            if (partial) {
+                const { completed, total } = completedBatch.request_counts;
+                ui.notifications.warn(`Batch ${batchId} ${completedBatch.status} after ${completed} of ${total} requests finished. Applying the finished translations...`);
+            } else {
+                ui.notifications.info(`Batch ${batchId} completed! Processing results...`);
+            }
+            
+            const translationsMap = await fetchJobResults(provider, completedBatch);
+            const receivedTranslations = assembleFinalResults(translationsMap, requestCount);
+            const receivedErrors = assembleFinalErrors(await fetchJobErrors(provider, completedBatch), receivedTranslations);
+            const receivedUsage = assembleFinalUsage(translationsMap, requestCount);
+            
+            if (receivedTranslations && receivedTranslations.length > 0) {
+                // Resubmit requests that came back empty, using their source content in batch order,
+                // then join the chunks of each page again. Requests of pages deleted since the batch
+                // was created are skipped, and chunks that were not sent are taken from the translation memory.
+                const chunkResults = expandRequestResults({ translations: receivedTranslations, errors: receivedErrors, usage: receivedUsage }, requestIndices);
+                const requests = collectPageRequests(batchPages, chunkResults, getChunkSize(provider));
+                requests.translations = await fillFromTranslationMemory(requests.chunks, requests.translations, provider);
+                const retried = await retryFailedTranslations(requests.chunks, requests.translations, provider, requests.errors, requests.usage);
+                await rememberTranslations(provider, requests.chunks, getSoundTranslations(requests.chunks, retried.translations));
+                const { translations: joinedContents, failedIndices, errors } = joinChunks(retried, requests.chunkCounts, requests.continuations);
+                const { translations: restoredContents, issues } = restorePlaceholders(joinedContents, requests.placeholders);
+                const { translations, problems } = checkTranslations(requests.sources, restoredContents);
+                await recordJobUsage(batchPages.map(({ page }) => page), requests.chunkCounts, { usage: retried.usage, sent: requests.sent }, provider, batchId, getPageJournal);
+
+                // Apply translations to each journal using the same logic as translateJournal
+                reportPlaceholderIssues(batchPages.map(({ page }) => page), issues);
+                await applyJobResults(batchPages.map(({ page }) => page), translations, failedIndices, errors, provider, getPageJournal, problems);
+                
+                ui.notifications.info(`Successfully restored and applied translations from batch ${batchId}!`);
+            } else {
+                ui.notifications.warn(`Batch ${batchId} completed but no translations were retrieved.`);
+            }
+            
+        } else if (completedBatch.status === 'failed') {
+            ui.notifications.error(`Batch ${batchId} failed. Clearing flags so you can retry.`);
+            for (const page of pages) {
+                await clearTranslationFlags(page);
+            }
+        } else if (completedBatch.status === 'cancelled') {
+            ui.notifications.warn(`Batch ${batchId} was cancelled. Clearing flags so you can retry.`);
+            for (const page of pages) {
+                await clearTranslationFlags(page);
+            }
+        } else if (completedBatch.status === 'expired') {
+            ui.notifications.warn(`Batch ${batchId} expired before any page was translated. Clearing flags so you can retry.`);
+            for (const page of pages) {
+                await clearTranslationFlags(page);
+            }
+        } else {
+            ui.notifications.warn(`Batch ${batchId} is in unexpected status: ${completedBatch.status}`);
+        }
+        
+    } catch (error) {
+        console.error(`Journal Translator | Error restoring batch ${batchId}:`, error);
+        ui.notifications.error(`Failed to restore batch ${batchId}: ${error.message}`);
+    } finally {
+        // Always remove from queue when done (success or failure)
+        await removeBatchFromQueue(batchId);
+    }
+}
+
+/**
+ * Finds the batch request of each chunk of a restored batch. Pages flagged before requests could
+ * be shared or taken from the translation memory have one request per chunk, starting at their batch index.
+ * @param {Array<{batchIndex: number, chunkCount: number, requestIndices: Array<number|null>|null}>} batchPages - The pages in batch order.
+ * @param {number} jobSize - The number of chunks of the job.
+ * @returns {Array<number|null>} The request of each chunk, or null for chunks that were not sent or whose page was deleted.
+ */
+function getJobRequestIndices(batchPages, jobSize) {
+    const requestIndices = Array.from({ length: jobSize }, () => null);
+    for (const { batchIndex, chunkCount, requestIndices: pageRequests } of batchPages) {
+        for (let chunk = 0; chunk < chunkCount; chunk++) {
+            requestIndices[batchIndex + chunk] = pageRequests ? pageRequests[chunk] ?? null : batchIndex + chunk;
+        }
+    }
+    return requestIndices;
+}
+
+/**
+ * Lines up the source content of each chunk of a restored batch with its result. The chunks
+ * of a page are split again from its content and titles, protected as when it was sent; if they no longer match the chunks sent, e.g.
+ * because the chunk size setting changed, the page is treated as one request that holds its
+ * joined translation, so it is retried whole if any of its chunks failed.
+ * @param {Array<{page: JournalEntryPage, batchIndex: number, chunkCount: number}>} batchPages - The pages in batch order.
+ * @param {{translations: string[], errors: Array, usage: Array, sent: boolean[]}} results - The results of each chunk of the batch,
+ *   see expandRequestResults.
+ * @param {number} chunkSize - The current chunk size for the provider.
+ * @returns {{chunks: string[], translations: string[], errors: Array, usage: Array, sent: boolean[], chunkCounts: number[], continuations: number[], sources: string[], placeholders: string[][]}}
+ *   The requests of the pages, in order, the content of each page before it was protected, and its protected text, see protectPlaceholders.
+ */
+function collectPageRequests(batchPages, { translations, errors, usage, sent }, chunkSize) {
+    const sources = getRequestContents(batchPages.map(({ page }) => page), getPageJournal);
+    const { texts: contents, placeholders } = protectPlaceholders(sources);
+    const requests = { chunks: [], translations: [], errors: [], usage: [], sent: [], chunkCounts: [], continuations: [], sources, placeholders };
+
+    for (const [index, { batchIndex, chunkCount }] of batchPages.entries()) {
+        const content = contents[index];
+        const { chunks, continuations } = chunkTexts([content], chunkCount === 1 ? 0 : chunkSize);
+        const pageTranslations = translations.slice(batchIndex, batchIndex + chunkCount);
+        const pageErrors = errors.slice(batchIndex, batchIndex + chunkCount);
+        const pageUsage = usage.slice(batchIndex, batchIndex + chunkCount);
+        const pageSent = sent.slice(batchIndex, batchIndex + chunkCount);
+
+        if (chunks.length === chunkCount) {
+            requests.chunks.push(...chunks);
+            requests.translations.push(...pageTranslations);
+            requests.errors.push(...pageErrors);
+            requests.usage.push(...pageUsage);
+            requests.sent.push(...pageSent);
+            requests.chunkCounts.push(chunkCount);
+            requests.continuations.push(...continuations);
+        } else {
+            const { translations: [joined], errors: [error] } = joinChunks({ translations: pageTranslations, errors: pageErrors }, [chunkCount]);
+            requests.chunks.push(content);
+            requests.translations.push(joined);
+            requests.errors.push(error);
+            requests.usage.push(pageUsage.reduce(addTokenUsage, null));
+            requests.sent.push(pageSent.some(chunkSent => chunkSent));
+            requests.chunkCounts.push(1);
+            requests.continuations.push(0);
+        }
+    }
+
+    return requests;
+}
+
+/**
+ * Records the tokens a job used in the usage ledger, with one entry per journal. Chunks that were
+ * not sent to the provider, because they were taken from the translation memory or shared a request
+ * with an identical chunk, are not counted as requests.
+ * @param {Array} pages - The pages of the job, in request order.
+ * @param {number[]} chunkCounts - The number of chunks of each page.
+ * @param {{usage?: Array<TokenUsage|null>, sent?: boolean[]}} results - The tokens of each chunk, including retries,
+ *   and whether it counts as a request sent.
+ * @param {TranslationProvider} provider - The provider that translated the pages.
+ * @param {string|null} batchId - The ID of the batch, or null for immediate translations.
+ * @param {Function} getJournal - (page) => JournalEntry. Finds the journal a page belongs to.
+ * @returns {Promise<void>}
  */
-export async function completeTranslation(pages) {
+async function recordJobUsage(pages, chunkCounts, { usage = [], sent }, provider, batchId, getJournal) {
+    const chunkJournals = pages.flatMap((page, index) => new Array(chunkCounts[index]).fill(getJournal(page)));
+    const sentIndices = chunkJournals.map((journal, index) => index).filter(index => sent?.[index] ?? true);
+    await recordUsage({
+        provider,
+        batchId,
+        journals: sentIndices.map(index => chunkJournals[index]),
+        usage: sentIndices.map(index => usage[index] ?? null)
+    });
+}
+
+/**
+ * Tells the user that a batch is already being monitored, and by whom.
+ * @param {string} batchId - The batch ID.
+ */
+export function notifyBatchMonitored(batchId) {
+    const owner = game.users?.get(getBatchLease(batchId)?.userId)?.name;
+    ui.notifications.info(owner
+        ? `Batch ${batchId} is already being monitored by ${owner}.`
+        : `Batch ${batchId} is already being monitored.`);
+}
+
+/**
+ * Finds the journal a page flagged with a batch belongs to, as recorded when the batch was created.
+ * @param {JournalEntryPage} page - The page.
+ * @returns {JournalEntry} The owning journal.
+ */
+function getPageJournal(page) {
+    const { journalId } = getTranslationFlags(page);
+    return (journalId && game.journal.get(journalId)) || page.parent;
+}
+
+/**
+ * Cancels a running batch on the provider's side. Local polling of the batch stops right away;
+ * the page flags are only cleared once the provider reports the batch as cancelled, so a batch
+ * that finished before the cancellation took effect can still be restored.
+ * @param {string} batchId - The ID of the batch to cancel
+ * @param {Array} pages - The pages flagged with this batch
+ * @returns {Promise<boolean>} True if the batch was cancelled and its flags cleared
+ */
+export async function cancelTranslationBatch(batchId, pages) {
+    const { provider: providerId, shards: storedShards } = getTranslationFlags(pages[0]);
+    const shards = getJobShards(batchId, storedShards, pages.length);
+    const provider = getProvider(providerId) ?? getActiveProvider();
+    if (typeof provider.cancel !== 'function') {
+        ui.notifications.warn(`Batches of ${provider.label} cannot be cancelled.`);
+        return false;
+    }
+    const configError = provider.validate();
+    if (configError) {
+        ui.notifications.error(configError);
+        return false;
+    }
+
+    ui.notifications.info(`Cancelling batch ${batchId}...`);
+    shards.forEach(shard => stopBatchPolling(shard.batchId));
+    await removeBatchFromQueue(batchId);
+
+    try {
+        let batch = await cancelJob(provider, shards);
+        if (batch.status !== 'cancelled') {
+            // Cancellation takes a while; wait until the provider confirms it
+            batch = await waitForJob(provider, shards);
+        }
+
+        if (batch.status !== 'cancelled') {
+            ui.notifications.warn(`Batch ${batchId} ended with status "${batch.status}" before it could be cancelled. You can still restore it.`);
+            return false;
+        }
+        if (batch.shards.some(shard => shard.batch.status === 'completed')) {
+            ui.notifications.warn(`Part of batch ${batchId} completed before it could be cancelled. Restore it to apply the finished pages.`);
+            return false;
+        }
+
+        for (const page of pages) {
+            await clearTranslationFlags(page);
+        }
+        ui.notifications.info(`Batch ${batchId} was cancelled.`);
+        return true;
+    } catch (error) {
+        console.error(`Journal Translator | Error cancelling batch ${batchId}:`, error);
+        ui.notifications.error(`Failed to cancel batch ${batchId}: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Forgets a batch locally: stops polling it and clears the flags of its pages so they can be
+ * translated again. The batch itself keeps running on the provider's side.
+ * @param {string} batchId - The ID of the batch to clear
+ * @param {Array} pages - The pages flagged with this batch
+ * @returns {Promise<void>}
+ */
+export async function clearTranslationBatch(batchId, pages) {
+    const { shards } = getTranslationFlags(pages[0]);
+    getJobShards(batchId, shards, pages.length).forEach(shard => stopBatchPolling(shard.batchId));
+    await removeBatchFromQueue(batchId);
     for (const page of pages) {
-        await setTranslationCompletedFlags(page);
+        await clearTranslationFlags(page);
     }
+    ui.notifications.info(`Cleared batch ${batchId} from ${pages.length} page(s).`);
+}
+
+/**
+ * Offers to resume monitoring of every batch that pages across the world are still waiting for.
+ * The polling loops do not survive a reload, so this runs when the world loads.
+ * Batches are restored side by side, since each of them may take hours to finish.
+ * @returns {Promise<void>}
+ */
+export async function resumeQueuedBatches() {
+    const batches = findAllTranslationBatches().filter(batch => !isBatchInQueue(batch.batchId));
+    if (batches.length === 0) return;
+
+    const batchList = batches.map(batch => {
+        const journals = [...new Set(batch.pages.map(page => page.parent?.name))].join(', ');
+        return `<li><strong>${escapeText(journals)}</strong> - ${batch.pages.length} page(s) <span style="font-size: 11px; color: #666;">(${escapeText(batch.batchId)})</span></li>`;
+    }).join('');
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: { title: "Resume Translation Batches" },
+        content: `
+            <p>${batches.length} translation batch(es) were still running when the world was last closed:</p>
+            <ul>${batchList}</ul>
+            <p>Resume monitoring them and apply the translations once they finish?</p>
+        `,
+        yes: { default: true }
+    });
+    if (!confirmed) return;
+
+    console.log(`Journal Translator | Resuming ${batches.length} translation batch(es).`);
+    await Promise.all(batches.map(batch => attemptBatchRestoration(batch.batchId, batch.pages)));
 }
@@ -0,0 +1,316 @@
+/**
+ * Translation memory for the Journal Translator module.
+ * Translations are remembered by a hash of the text sent together with the prompts, provider and
+ * model, so text translated before is not sent and paid for again. The title headings are left out
+ * of the text, so a page is found again after it or its journal is renamed; a page translated from
+ * the memory keeps its name. The memory is stored in a world setting, so every GM of the world
+ * benefits from it. It holds at most the number of entries set in `translationMemorySize` and
+ * MAX_MEMORY_CHARACTERS of text; the entries reused least recently are removed first.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { hashText, getTranslationSettings } from './stale-translations.js';
+import { extractTitles } from './page-titles.js';
+
+// World setting holding the memory entries, keyed by hash
+const MEMORY_SETTING = "translationMemory";
+
+// Number of characters of the source text kept to show the entry in the Translation Memory window
+const PREVIEW_LENGTH = 120;
+
+// Number of entries kept when the size setting is missing
+const DEFAULT_MEMORY_SIZE = 2000;
+
+// Characters of text the memory holds at most. Every write sends the whole setting to every
+// client, so long pages must not let it grow without bound however few entries there are.
+const MAX_MEMORY_CHARACTERS = 2000000;
+
+// Writes of the memory setting run one after another, so entries of concurrent runs are not lost
+let pendingWrite = Promise.resolve();
+
+// Reuses since the memory was last written, keyed by entry. Every write sends the whole memory to
+// every client, so they are stored with the next write instead of on each lookup.
+const pendingHits = new Map();
+
+/**
+ * One remembered translation.
+ * @typedef {Object} MemoryEntry
+ * @property {string} key - The hash of the text, prompts, provider and model.
+ * @property {string} provider - The ID of the provider that translated the text.
+ * @property {string} model - The model that translated the text.
+ * @property {string} preview - The beginning of the source text, without markup.
+ * @property {string} translation - The translated HTML.
+ * @property {number} createdAt - When the translation was stored, in milliseconds since the epoch.
+ * @property {number} lastUsedAt - When the translation was last stored or reused.
+ * @property {number} hits - How many times the translation was reused instead of sending the text.
+ */
+
+/**
+ * Looks texts up in the translation memory. Reused entries are counted, and the counts are stored
+ * the next time the memory is written.
+ * @param {string[]} texts - The texts to translate.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that would translate them.
+ * @returns {Promise<Array<string|null>>} The remembered translation of each text, or null if there is none
+ *   or the memory is turned off.
+ */
+export async function lookupTranslationMemory(texts, provider) {
+    if (!game.settings.get(MODULE_ID, "useTranslationMemory") || texts.length === 0) {
+        return texts.map(() => null);
+    }
+
+    const memory = getStoredMemory();
+    const keys = await Promise.all(texts.map(text => getMemoryKey(extractTitles(text).content, provider)));
+    const remembered = keys.map(key => memory[key]?.translation ?? null);
+
+    const reusedKeys = keys.filter((key, index) => remembered[index] !== null);
+    if (reusedKeys.length > 0) {
+        console.log(`Journal Translator | Reusing ${reusedKeys.length} of ${texts.length} translation(s) from the translation memory`);
+        const now = Date.now();
+        for (const key of reusedKeys) {
+            pendingHits.set(key, { hits: (pendingHits.get(key)?.hits ?? 0) + 1, lastUsedAt: now });
+        }
+    }
+    return remembered;
+}
+
+/**
+ * Fills the translations that came back empty from the translation memory, e.g. the requests of a
+ * restored batch that were not sent because they had been translated before.
+ * @param {string[]} texts - The texts sent.
+ * @param {string[]} translations - The translation of each text.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translated them.
+ * @returns {Promise<string[]>} The translations, with remembered ones in place of empty ones.
+ */
+export async function fillFromTranslationMemory(texts, translations, provider) {
+    const missingIndices = texts.map((text, index) => index).filter(index => !translations[index]?.trim());
+    const remembered = await lookupTranslationMemory(missingIndices.map(index => texts[index]), provider);
+
+    const filled = [...translations];
+    missingIndices.forEach((index, position) => {
+        if (remembered[position] !== null) filled[index] = remembered[position];
+    });
+    return filled;
+}
+
+/**
+ * Stores the translations of texts in the translation memory, without their title headings.
+ * Empty translations are skipped.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translated the texts.
+ * @param {string[]} texts - The texts sent.
+ * @param {string[]} translations - The translation of each text.
+ * @returns {Promise<void>}
+ */
+export async function rememberTranslations(provider, texts, translations) {
+    if (!game.settings.get(MODULE_ID, "useTranslationMemory")) return;
+
+    const indices = texts.map((text, index) => index).filter(index => translations[index]?.trim());
+    if (indices.length === 0) return;
+
+    const bodies = indices.map(index => extractTitles(texts[index]).content);
+    const keys = await Promise.all(bodies.map(body => getMemoryKey(body, provider)));
+    const model = provider.getModel?.() || provider.id;
+    const now = Date.now();
+    await updateMemory(entries => {
+        indices.forEach((index, position) => {
+            const existing = entries[keys[position]];
+            entries[keys[position]] = {
+                key: keys[position],
+                provider: provider.id,
+                model,
+                preview: getTextPreview(bodies[position]),
+                translation: extractTitles(translations[index]).content,
+                createdAt: existing?.createdAt ?? now,
+                lastUsedAt: now,
+                hits: existing?.hits ?? 0
+            };
+        });
+    });
+    console.log(`Journal Translator | Stored ${indices.length} translation(s) in the translation memory`);
+}
+
+/**
+ * Works out which texts to send: texts found in the translation memory are not sent, and texts
+ * repeated within the job are sent once.
+ * @param {string[]} texts - The texts of the job.
+ * @param {Array<string|null>} remembered - The remembered translation of each text, see lookupTranslationMemory.
+ * @returns {{requests: string[], requestIndices: Array<number|null>}} The texts to send, and for each text of
+ *   the job the index of the request that translates it, or null if it is remembered.
+ */
+export function deduplicateRequests(texts, remembered) {
+    const requests = [];
+    const requestByText = new Map();
+    const requestIndices = texts.map((text, index) => {
+        if (remembered[index] !== null && remembered[index] !== undefined) return null;
+        if (!requestByText.has(text)) {
+            requestByText.set(text, requests.length);
+            requests.push(text);
+        }
+        return requestByText.get(text);
+    });
+    return { requests, requestIndices };
+}
+
+/**
+ * Spreads the results of the requests sent back over the texts of the job. Remembered texts get
+ * their remembered translation, and texts sent once for several places share the result.
+ * The tokens of a request are only counted for the first text it translates.
+ * @param {{translations: string[], failedIndices?: number[], errors?: Array, usage?: Array}} results - The results of each request.
+ * @param {Array<number|null>} requestIndices - The request of each text, see deduplicateRequests.
+ * @param {Array<string|null>} [remembered] - The remembered translation of each text.
+ * @returns {{translations: string[], failedIndices: number[], errors: Array, usage: Array, sent: boolean[]}} The results of
+ *   each text, and whether the text counts as a request sent to the provider.
+ */
+export function expandRequestResults({ translations = [], failedIndices = [], errors = [], usage = [] }, requestIndices, remembered = []) {
+    const expanded = { translations: [], failedIndices: [], errors: [], usage: [], sent: [] };
+    const counted = new Set();
+
+    requestIndices.forEach((requestIndex, index) => {
+        if (requestIndex === null || requestIndex === undefined) {
+            expanded.translations.push(remembered[index] ?? '');
+            expanded.errors.push(null);
+            expanded.usage.push(null);
+            expanded.sent.push(false);
+            return;
+        }
+
+        const first = !counted.has(requestIndex);
+        counted.add(requestIndex);
+        expanded.translations.push(translations[requestIndex] ?? '');
+        expanded.errors.push(errors[requestIndex] ?? null);
+        expanded.usage.push(first ? usage[requestIndex] ?? null : null);
+        expanded.sent.push(first);
+        if (failedIndices.includes(requestIndex)) {
+            expanded.failedIndices.push(index);
+        }
+    });
+
+    return expanded;
+}
+
+/**
+ * Gets every entry of the translation memory
+ * @returns {MemoryEntry[]} The entries, most recently used first
+ */
+export function getMemoryEntries() {
+    const entries = { ...getStoredMemory() };
+    applyPendingHits(entries);
+    return Object.values(entries).sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+/**
+ * Removes entries from the translation memory
+ * @param {string[]} keys - The keys of the entries to remove
+ * @returns {Promise<void>}
+ */
+export async function deleteMemoryEntries(keys) {
+    await updateMemory(entries => {
+        for (const key of keys) delete entries[key];
+    });
+    console.log(`Journal Translator | Removed ${keys.length} entry(ies) from the translation memory`);
+}
+
+/**
+ * Removes every entry from the translation memory
+ * @returns {Promise<void>}
+ */
+export async function clearTranslationMemory() {
+    await updateMemory(entries => {
+        for (const key of Object.keys(entries)) delete entries[key];
+    });
+    console.log(`Journal Translator | Cleared the translation memory`);
+}
+
+/**
+ * Gets the beginning of the text of some HTML
+ * @param {string} html - The HTML
+ * @returns {string} Up to PREVIEW_LENGTH characters of its text
+ */
+export function getTextPreview(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    const text = template.content.textContent.replace(/\s+/g, " ").trim();
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * Hashes a text together with everything else that decides its translation, see getTranslationSettings.
+ * @param {string} text - The text to translate.
+ * @param {import('./translation-providers.js').TranslationProvider} provider - The provider that translates it.
+ * @returns {Promise<string>} The SHA-256 hash as hex.
+ */
+function getMemoryKey(text, provider) {
+    return hashText([...getTranslationSettings(provider), text].join("\u0000"));
+}
+
+/**
+ * Gets the stored memory
+ * @returns {Object<string, MemoryEntry>} The entries keyed by hash
+ */
+function getStoredMemory() {
+    return game.settings.get(MODULE_ID, MEMORY_SETTING) ?? {};
+}
+
+/**
+ * Adds the reuses that were not stored yet to the entries.
+ * @param {Object<string, MemoryEntry>} entries - The entries keyed by hash, changed in place
+ */
+function applyPendingHits(entries) {
+    for (const [key, { hits, lastUsedAt }] of pendingHits) {
+        if (!entries[key]) continue;
+        entries[key] = { ...entries[key], hits: entries[key].hits + hits, lastUsedAt: Math.max(entries[key].lastUsedAt, lastUsedAt) };
+    }
+}
+
+/**
+ * Removes the entries reused least recently once the memory holds more than `translationMemorySize` entries
+ * or more than MAX_MEMORY_CHARACTERS of text
+ * @param {Object<string, MemoryEntry>} entries - The entries keyed by hash, changed in place
+ */
+function evictLeastRecentlyUsed(entries) {
+    const maxEntries = game.settings.get(MODULE_ID, "translationMemorySize") ?? DEFAULT_MEMORY_SIZE;
+    const keys = Object.keys(entries).sort((a, b) => entries[a].lastUsedAt - entries[b].lastUsedAt);
+    let characters = keys.reduce((sum, key) => sum + getEntryLength(entries[key]), 0);
+
+    let evicted = 0;
+    while (evicted < keys.length && (keys.length - evicted > maxEntries || characters > MAX_MEMORY_CHARACTERS)) {
+        characters -= getEntryLength(entries[keys[evicted]]);
+        delete entries[keys[evicted]];
+        evicted++;
+    }
+    if (evicted > 0) {
+        console.log(`Journal Translator | Removed ${evicted} entry(ies) reused least recently from the full translation memory`);
+    }
+}
+
+/**
+ * Gets the number of characters of text an entry takes in the memory
+ * @param {MemoryEntry} entry - The entry
+ * @returns {number} The length of its translation and preview
+ */
+function getEntryLength(entry) {
+    return (entry.translation?.length ?? 0) + (entry.preview?.length ?? 0);
+}
+
+/**
+ * Changes the stored memory. Updates are serialized, and each one reads the memory again,
+ * so it sees the changes of the previous ones and of other clients. The reuses counted since
+ * the last write are stored with it, and the memory is kept within its size.
+ * @param {Function} change - (entries) => void. Modifies a copy of the entries in place.
+ * @returns {Promise<void>}
+ */
+function updateMemory(change) {
+    pendingWrite = pendingWrite.then(async () => {
+        const entries = { ...getStoredMemory() };
+        applyPendingHits(entries);
+        pendingHits.clear();
+        change(entries);
+        evictLeastRecentlyUsed(entries);
+        try {
+            await game.settings.set(MODULE_ID, MEMORY_SETTING, entries);
+        } catch (error) {
+            // Users who may not change world settings still translate, their translations are only not remembered
+            console.warn(`Journal Translator | Could not update the translation memory:`, error);
+        }
+    });
+    return pendingWrite;
+}
@@ -0,0 +1,787 @@
+/**
+ * Translation provider registry for the Journal Translator module.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { startBatchPolling, finishBatchPolling } from './batch-queue.js';
+import { TITLE_INSTRUCTION } from './page-titles.js';
+import { PLACEHOLDER_INSTRUCTION } from './placeholders.js';
+
+/**
+ * A translation backend. Batch providers process a list of texts as one remote job through
+ * `submit`, `poll`, `fetchResults` and `cancel`; immediate providers only implement `translate`.
+ * Statuses returned by `poll` and `cancel` use the OpenAI batch vocabulary
+ * (`completed`, `failed`, `cancelled`, ...) so callers can treat every provider alike.
+ * @typedef {Object} TranslationProvider
+ * @property {string} id - Unique identifier stored in settings and page flags.
+ * @property {string} label - Human readable name shown in the settings menu.
+ * @property {Function} validate - () => string|null. Returns an error message when the provider is not configured.
+ * @property {Function} [submit] - (texts: string[]) => Promise<{id: string}>. Creates the remote job.
+ * @property {Function} [poll] - (batchId: string) => Promise<Object>. Resolves with the job once it reaches a terminal status.
+ * @property {Function} [getStatus] - (batchId: string) => Promise<Object>. Fetches the job once without waiting for it to finish.
+ * @property {Function} [fetchResults] - (batch: Object) => Promise<Map<string, string>>. Maps `request-N` IDs to translated texts.
+ *   The map may carry a `usage` map of `request-N` IDs to the TokenUsage of each request.
+ * @property {Function} [fetchErrors] - (batch: Object) => Promise<Map<string, RequestError>>. Maps `request-N` IDs to the reason they failed.
+ * @property {Function} [cancel] - (batchId: string) => Promise<Object>. Requests cancellation of the remote job.
+ * @property {Function} [translate] - (text: string, options: {onProgress?: Function, onUsage?: Function}) => Promise<string>.
+ *   Translates a single text right away, calling `onUsage` with its TokenUsage if the provider reports it.
+ *   Providers without it always use batches.
+ * @property {Function} [getConcurrency] - () => number. How many immediate translations may run in parallel. Defaults to 1.
+ * @property {BatchLimits} [batchLimits] - Limits of a single batch. Larger jobs are split into several batches.
+ * @property {Function} [getModel] - () => string. The configured model, used to look up per-model settings. Defaults to the provider ID.
+ */
+
+/**
+ * Limits of a single provider batch.
+ * @typedef {Object} BatchLimits
+ * @property {number} maxRequests - Maximum number of requests in one batch.
+ * @property {number} maxBytes - Maximum size of one batch, in bytes of request data.
+ */
+
+/**
+ * One provider batch of a job that was split to respect the batch limits.
+ * A job that fits in a single batch has one shard covering all its texts.
+ * @typedef {Object} BatchShard
+ * @property {string} batchId - The ID of the provider batch.
+ * @property {number} offset - The index of the first text of the shard within the job.
+ * @property {number} count - The number of texts in the shard.
+ */
+
+/**
+ * Tokens used by one or more requests, as reported by the provider.
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - The input tokens.
+ * @property {number} completionTokens - The output tokens.
+ * @property {string|null} model - The model that handled the requests, as reported by the provider.
+ * @property {{promptTokens: number, completionTokens: number}} [immediate] - The part of the tokens used by requests
+ *   resent immediately while the job ran as a batch, which do not get the batch discount.
+ */
+
+/**
+ * Why a single request of a job failed.
+ * @typedef {Object} RequestError
+ * @property {string} code - Short machine readable reason, e.g. `context_length_exceeded`.
+ * @property {string} message - Human readable description from the provider.
+ */
+
+// Reported for requests that failed without the provider saying why
+const MISSING_RESULT_ERROR = {
+    code: "missing_result",
+    message: "The provider returned no translation for this page."
+};
+
+const DEFAULT_PROVIDER_ID = "openai-batch";
+
+// Batch statuses after which a batch no longer changes
+const TERMINAL_BATCH_STATUSES = ['completed', 'failed', 'cancelled', 'expired'];
+
+// Terminal statuses of batches that stopped early but may still hold the results of finished requests.
+// A job split into several batches is failed when one of them failed, while the others may have completed.
+const PARTIAL_BATCH_STATUSES = ['expired', 'cancelled', 'failed'];
+
+// Rough number of characters per token, used to estimate the size of a batch before sending it
+const CHARACTERS_PER_TOKEN = 4;
+
+// Space taken by the request envelope around each text (custom ID, model, roles...)
+const REQUEST_OVERHEAD_BYTES = 512;
+
+// Registered providers keyed by their ID
+const providers = new Map();
+
+/**
+ * Registers a translation provider so it can be selected in the module settings.
+ * @param {TranslationProvider} provider - The provider to register
+ */
+export function registerProvider(provider) {
+    if (!provider?.id) {
+        throw new Error("Translation providers must have an id.");
+    }
+    providers.set(provider.id, provider);
+}
+
+/**
+ * Gets a registered provider by its ID
+ * @param {string} providerId - The provider ID
+ * @returns {TranslationProvider|undefined} The provider, or undefined if it is not registered
+ */
+export function getProvider(providerId) {
+    return providers.get(providerId);
+}
+
+/**
+ * Gets the provider selected in the module settings, falling back to the default provider
+ * when the configured one is not registered.
+ * @returns {TranslationProvider} The active provider
+ */
+export function getActiveProvider() {
+    const providerId = game.settings.get(MODULE_ID, "translationProvider");
+    return providers.get(providerId) ?? providers.get(DEFAULT_PROVIDER_ID);
+}
+
+/**
+ * Builds the choices object for the provider setting.
+ * @returns {Object<string, string>} Map of provider IDs to labels
+ */
+export function getProviderChoices() {
+    const choices = {};
+    for (const provider of providers.values()) {
+        choices[provider.id] = provider.label;
+    }
+    return choices;
+}
+
+/**
+ * Sends multiple journal contents to a translation provider.
+ * This submits the job, waits for it to finish and assembles the results in input order.
+ * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
+ * @param {Object} options - Optional configuration object.
+ * @param {TranslationProvider} options.provider - Provider to use. Defaults to the active provider.
+ * @param {Function} options.onBatchCreated - Callback function called with the batch ID and the shards of the job when all
+ *   batches are created but before waiting for completion. The batch ID of a job split into several batches is the ID of its first batch.
+ * @return {Promise<{batchId: string, translations: string[], errors: Array<RequestError|null>, usage: Array<TokenUsage|null>}>} - An object
+ *   containing the batch ID, translated text strings, the error of each request that failed and the tokens each request used.
+ */
+export async function callTranslationProvider(textsToTranslate, options = {}) {
+    const provider = options.provider ?? getActiveProvider();
+    const configError = provider.validate();
+    if (configError) {
+        ui.notifications.error(configError);
+        return { batchId: null, translations: [] };
+    }
+
+    try {
+        const { id: batchId, shards } = await submitJob(provider, textsToTranslate);
+
+        // Call the onBatchCreated callback if provided, after batch is created but before waiting for completion
+        if (options.onBatchCreated && typeof options.onBatchCreated === 'function') {
+            try {
+                await options.onBatchCreated(batchId, shards);
+            } catch (callbackError) {
+                console.warn("Journal Translator | onBatchCreated callback failed:", callbackError);
+                // Continue processing even if callback fails
+            }
+        }
+
+        const completedJob = await waitForBatchCompletion(provider, batchId, shards);
+        const translationsMap = await fetchJobResults(provider, completedJob);
+        const finalTranslations = assembleFinalResults(translationsMap, textsToTranslate.length);
+        const errors = assembleFinalErrors(await fetchJobErrors(provider, completedJob), finalTranslations);
+        const usage = assembleFinalUsage(translationsMap, textsToTranslate.length);
+
+        if (completedJob.status === 'completed') {
+            ui.notifications.info("All translations completed successfully!");
+        }
+        return { batchId, translations: finalTranslations, errors, usage };
+
+    } catch (error) {
+        console.error("Journal Translator | A critical error occurred during batch translation:", error);
+        ui.notifications.error(`Batch translation failed: ${error.message}`);
+        return { batchId: null, translations: [] }; // Return an empty result on failure to prevent downstream errors.
+    }
+}
+
+/**
+ * Decides whether a job should skip the batch queue and be translated immediately,
+ * based on the processing mode setting and the total size of the texts.
+ * @param {TranslationProvider} provider - The provider that will handle the job.
+ * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
+ * @returns {boolean} True if the texts should be translated immediately.
+ */
+export function shouldTranslateImmediately(provider, textsToTranslate) {
+    if (typeof provider.translate !== 'function') return false;
+    if (typeof provider.submit !== 'function') return true;
+
+    const processingMode = game.settings.get(MODULE_ID, "processingMode");
+    if (processingMode === 'immediate') return true;
+    if (processingMode === 'auto') {
+        const totalCharacters = textsToTranslate.reduce((sum, text) => sum + text.length, 0);
+        return totalCharacters <= game.settings.get(MODULE_ID, "immediateModeThreshold");
+    }
+    return false;
+}
+
+/**
+ * Translates texts without creating a batch, streaming each response into a progress notification.
+ * Texts are sent one at a time unless the provider allows more concurrent requests.
+ * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
+ * @param {Object} options - Optional configuration object.
+ * @param {TranslationProvider} options.provider - Provider to use. Defaults to the active provider.
+ * @return {Promise<{batchId: null, translations: string[], errors: Array<RequestError|null>, usage: Array<TokenUsage|null>}>} - The translated
+ *   texts in input order. Failed texts are empty strings and have an error at the same index.
+ */
+export async function translateTextsImmediately(textsToTranslate, options = {}) {
+    const provider = options.provider ?? getActiveProvider();
+    const configError = provider.validate();
+    if (configError) {
+        ui.notifications.error(configError);
+        return { batchId: null, translations: [] };
+    }
+
+    const translations = new Array(textsToTranslate.length).fill("");
+    const errors = new Array(textsToTranslate.length).fill(null);
+    const usage = new Array(textsToTranslate.length).fill(null);
+    const concurrency = Math.max(1, provider.getConcurrency?.() ?? 1);
+    let nextIndex = 0;
+
+    // Each worker keeps taking the next untranslated text until none are left
+    const worker = async () => {
+        while (nextIndex < textsToTranslate.length) {
+            const index = nextIndex++;
+            ({ translation: translations[index], error: errors[index], usage: usage[index] } = await translateSingleText(provider, textsToTranslate, index));
+        }
+    };
+    const workerCount = Math.min(concurrency, textsToTranslate.length);
+    await Promise.all(Array.from({ length: workerCount }, worker));
+
+    return { batchId: null, translations, errors, usage };
+}
+
+/**
+ * Translates one text immediately and shows its streaming progress.
+ * @param {TranslationProvider} provider - The provider to use.
+ * @param {string[]} textsToTranslate - All texts of the job, used for the progress label.
+ * @param {number} index - The index of the text to translate.
+ * @returns {Promise<{translation: string, error: RequestError|null, usage: TokenUsage|null}>} The translated text, or an empty string and
+ *   the error if the request failed, and the tokens used if the provider reported them.
+ */
+async function translateSingleText(provider, textsToTranslate, index) {
+    const text = textsToTranslate[index];
+    const label = `Translating page ${index + 1} of ${textsToTranslate.length}...`;
+    const progress = ui.notifications.info(label, { progress: true });
+    let usage = null;
+
+    try {
+        const translation = await provider.translate(text, {
+            // The translation is roughly as long as the source, which is close enough for a progress bar
+            onProgress: (partial) => progress?.update({ pct: Math.min(partial.length / text.length, 0.99), message: label }),
+            onUsage: (reported) => { usage = reported; }
+        });
+        return { translation, error: null, usage };
+    } catch (error) {
+        console.error(`Journal Translator | Immediate translation of request-${index} failed:`, error);
+        ui.notifications.error(`Translation failed: ${error.message}`);
+        return { translation: "", error: { code: "request_failed", message: error.message }, usage };
+    } finally {
+        progress?.update({ pct: 1 });
+    }
+}
+
+/**
+ * Resubmits texts whose translation came back empty, up to the retry count from the settings.
+ * Each round sends only the texts that are still missing, either as immediate calls or as a
+ * follow-up batch depending on the processing mode. All results are returned together so they
+ * can be applied at once.
+ * @param {string[]} textsToTranslate - The source texts of the whole job, in request order.
+ * @param {string[]} translations - The translations received so far, in request order.
+ * @param {TranslationProvider} provider - The provider that handled the job.
+ * @param {Array<RequestError|null>} [errors] - The errors received so far, in request order.
+ * @param {Array<TokenUsage|null>} [usage] - The tokens used so far, in request order.
+ * @returns {Promise<{translations: string[], failedIndices: number[], errors: Array<RequestError|null>, usage: Array<TokenUsage|null>}>}
+ *   The merged translations, the indices that still failed, the latest error of each request and the tokens
+ *   each request used over all attempts.
+ */
+export async function retryFailedTranslations(textsToTranslate, translations, provider, errors = [], usage = []) {
+    const maxRetries = game.settings.get(MODULE_ID, "failedRequestRetries");
+    const mergedTranslations = textsToTranslate.map((text, index) => translations[index] ?? "");
+    const mergedErrors = textsToTranslate.map((text, index) => errors[index] ?? null);
+    const mergedUsage = textsToTranslate.map((text, index) => usage[index] ?? null);
+    let failedIndices = findFailedIndices(mergedTranslations);
+
+    for (let attempt = 1; attempt <= maxRetries && failedIndices.length > 0; attempt++) {
+        ui.notifications.info(`Retrying ${failedIndices.length} failed translation(s) (attempt ${attempt} of ${maxRetries})...`);
+        const retryTexts = failedIndices.map(index => textsToTranslate[index]);
+
+        try {
+            const retried = await resubmitTexts(retryTexts, provider);
+            failedIndices.forEach((index, retryIndex) => {
+                // Retries are billed whether they succeed or not
+                mergedUsage[index] = addTokenUsage(mergedUsage[index], retried.usage?.[retryIndex]);
+                const translation = retried.translations[retryIndex];
+                if (translation?.trim()) {
+                    mergedTranslations[index] = translation;
+                    mergedErrors[index] = null;
+                } else if (retried.errors[retryIndex]) {
+                    mergedErrors[index] = retried.errors[retryIndex];
+                }
+            });
+        } catch (error) {
+            console.error(`Journal Translator | Retry attempt ${attempt} failed:`, error);
+            failedIndices.forEach(index => {
+                mergedErrors[index] = { code: "retry_failed", message: error.message };
+            });
+        }
+        failedIndices = findFailedIndices(mergedTranslations);
+    }
+
+    // Every failed request gets a reason, even if the provider did not give one
+    failedIndices.forEach(index => {
+        mergedErrors[index] ??= MISSING_RESULT_ERROR;
+    });
+    return { translations: mergedTranslations, failedIndices, errors: mergedErrors, usage: mergedUsage };
+}
+
+/**
+ * Finds the indices of translations that are missing or empty.
+ * @param {string[]} translations - The translations in request order.
+ * @returns {number[]} The indices without a usable translation.
+ */
+function findFailedIndices(translations) {
+    const failedIndices = [];
+    translations.forEach((translation, index) => {
+        if (!translation || translation.trim() === "") failedIndices.push(index);
+    });
+    return failedIndices;
+}
+
+/**
+ * Sends texts to the provider once more, immediately or as a follow-up batch.
+ * @param {string[]} retryTexts - The texts to translate again.
+ * @param {TranslationProvider} provider - The provider to use.
+ * @returns {Promise<{translations: string[], errors: Array<RequestError|null>, usage: Array<TokenUsage|null>}>} The translations, errors
+ *   and token usage in the order of `retryTexts`.
+ */
+async function resubmitTexts(retryTexts, provider) {
+    if (shouldTranslateImmediately(provider, retryTexts)) {
+        const results = await translateTextsImmediately(retryTexts, { provider });
+        const usage = results.usage?.map(requestUsage => requestUsage && {
+            ...requestUsage,
+            immediate: { promptTokens: requestUsage.promptTokens, completionTokens: requestUsage.completionTokens }
+        });
+        return { ...results, usage };
+    }
+
+    const { id: batchId, shards } = await submitJob(provider, retryTexts);
+    console.log("Journal Translator | Follow-up batch created. Batch ID:", batchId);
+    const completedJob = await waitForBatchCompletion(provider, batchId, shards);
+    const translationsMap = await fetchJobResults(provider, completedJob);
+    const translations = assembleFinalResults(translationsMap, retryTexts.length);
+    const errors = assembleFinalErrors(await fetchJobErrors(provider, completedJob), translations);
+    return { translations, errors, usage: assembleFinalUsage(translationsMap, retryTexts.length) };
+}
+
+/**
+ * Waits for all batches of a job to finish. Jobs that stopped early are accepted too when some of
+ * their requests finished, so the translations that were already paid for are not lost.
+ * @param {TranslationProvider} provider - The provider that owns the batches.
+ * @param {string} batchId - The ID of the job, used in error messages.
+ * @param {BatchShard[]} shards - The batches of the job.
+ * @returns {Promise<Object>} The finished job, see waitForJob.
+ * @throws {Error} If the job finished without any results to fetch.
+ */
+async function waitForBatchCompletion(provider, batchId, shards) {
+    ui.notifications.info("Processing translations... This may take a few minutes up to an hour.");
+    const completedJob = await waitForJob(provider, shards);
+
+    if (hasPartialResults(completedJob)) {
+        const { completed, total } = completedJob.request_counts;
+        ui.notifications.warn(`Batch job ${completedJob.status} after ${completed} of ${total} requests finished. Applying the finished translations...`);
+        return completedJob;
+    }
+    if (completedJob.status !== 'completed') {
+        ui.notifications.error(`Batch job failed with status: ${completedJob.status}`);
+        throw new Error(`Batch ${batchId} finished with status: ${completedJob.status}`);
+    }
+    ui.notifications.info(`Batch job completed successfully!`);
+    return completedJob;
+}
+
+/**
+ * Checks whether a batch stopped before all its requests ran but still has results to fetch.
+ * @param {Object} batch - The finished batch or job, using the OpenAI status vocabulary.
+ * @returns {boolean} True if the batch did not complete but some of its requests did.
+ */
+export function hasPartialResults(batch) {
+    return PARTIAL_BATCH_STATUSES.includes(batch.status) && (batch.request_counts?.completed ?? 0) > 0;
+}
+
+/**
+ * Estimates how many tokens a text takes from its length. Providers tokenize differently,
+ * so this is only meant for sizing batches and cost estimates.
+ * @param {number} characters - The number of characters.
+ * @returns {number} The estimated number of tokens.
+ */
+export function estimateTokenCount(characters) {
+    return Math.ceil(characters / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Gets the system prompt sent with every request: the `systemPrompt` setting followed by the
+ * instructions the module relies on to take the translation apart again. They are added here
+ * rather than to the setting, so a customized prompt cannot lose them, and changing them does not
+ * outdate pages translated with the default prompt, see getTranslationSettings.
+ * @returns {string} The system prompt.
+ */
+export function getSystemPrompt() {
+    const systemPrompt = (game.settings.get(MODULE_ID, "systemPrompt") ?? "").trim();
+    return [systemPrompt, TITLE_INSTRUCTION, PLACEHOLDER_INSTRUCTION].filter(part => part).join("\n\n");
+}
+
+/**
+ * Gets the prompt text sent with every request besides the content: the system prompt, and the
+ * custom prompt with the separator the providers put before the content. Used to size requests.
+ * @returns {string} The prompt text.
+ */
+export function getRequestPrompt() {
+    const customPrompt = game.settings.get(MODULE_ID, "customPrompt") ?? "";
+    return `${getSystemPrompt()}${customPrompt}\n\n---\n\n`;
+}
+
+/**
+ * Splits a job into groups of texts that each fit in a single batch of the provider.
+ * Sizes are estimated from the texts and prompts, since the exact request format is up to the provider.
+ * The token limit comes from the `batchTokenLimit` setting, as it depends on the account.
+ * @param {TranslationProvider} provider - The provider that will handle the job.
+ * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
+ * @returns {Array<{offset: number, count: number}>} The groups in job order. A job that fits in one batch has a single group.
+ */
+export function splitIntoShards(provider, textsToTranslate) {
+    const { maxRequests = Infinity, maxBytes = Infinity } = provider.batchLimits ?? {};
+    const maxTokens = Number(game.settings.get(MODULE_ID, "batchTokenLimit")) || Infinity;
+    const encoder = new TextEncoder();
+    const prompt = getRequestPrompt();
+    const promptBytes = encoder.encode(prompt).length;
+
+    const shards = [];
+    let current = null;
+    textsToTranslate.forEach((text, index) => {
+        const bytes = encoder.encode(text).length + promptBytes + REQUEST_OVERHEAD_BYTES;
+        const tokens = estimateTokenCount(text.length + prompt.length);
+        const fits = current
+            && current.count < maxRequests
+            && current.bytes + bytes <= maxBytes
+            && current.tokens + tokens <= maxTokens;
+
+        if (!fits) {
+            // A single text larger than the limits still gets its own batch and fails there with the provider's error
+            current = { offset: index, count: 0, bytes: 0, tokens: 0 };
+            shards.push(current);
+        }
+        current.count++;
+        current.bytes += bytes;
+        current.tokens += tokens;
+    });
+
+    return shards.map(({ offset, count }) => ({ offset, count }));
+}
+
+/**
+ * Submits a job as one or more batches, splitting it when it exceeds the provider's batch limits.
+ * If one of the batches cannot be created, the ones already created are cancelled so they are not billed.
+ * @param {TranslationProvider} provider - The provider to submit to.
+ * @param {string[]} textsToTranslate - Array of HTML contents of journal pages.
+ * @returns {Promise<{id: string, shards: BatchShard[]}>} The job ID, which is the ID of its first batch, and its batches.
+ */
+export async function submitJob(provider, textsToTranslate) {
+    const groups = splitIntoShards(provider, textsToTranslate);
+    if (groups.length > 1) {
+        ui.notifications.info(`The job is too large for a single batch and will be split into ${groups.length} batches.`);
+    }
+
+    const shards = [];
+    try {
+        for (const { offset, count } of groups) {
+            const batchJob = await provider.submit(textsToTranslate.slice(offset, offset + count));
+            shards.push({ batchId: batchJob.id, offset, count });
+        }
+    } catch (error) {
+        if (shards.length > 0 && typeof provider.cancel === 'function') {
+            console.warn(`Journal Translator | Cancelling ${shards.length} batch(es) of a job that could not be submitted completely.`);
+            await Promise.allSettled(shards.map(shard => provider.cancel(shard.batchId)));
+        }
+        throw error;
+    }
+    return { id: shards[0].batchId, shards };
+}
+
+/**
+ * Gets the batches of a job from its ID and the shards stored in the page flags.
+ * Jobs started before batches were split, or that fit in one batch, have no stored shards.
+ * @param {string} batchId - The ID of the job.
+ * @param {BatchShard[]|null} shards - The shards stored in the page flags.
+ * @param {number} count - The number of texts in the job.
+ * @returns {BatchShard[]} The batches of the job.
+ */
+export function getJobShards(batchId, shards, count) {
+    return shards?.length > 0 ? shards : [{ batchId, offset: 0, count }];
+}
+
+/**
+ * Waits until every batch of a job reaches a terminal status. The batches are polled side by side.
+ * @param {TranslationProvider} provider - The provider that owns the batches.
+ * @param {BatchShard[]} shards - The batches of the job.
+ * @returns {Promise<Object>} The job, see combineShardBatches.
+ */
+export async function waitForJob(provider, shards) {
+    const batches = await Promise.all(shards.map(shard => provider.poll(shard.batchId)));
+    return combineShardBatches(shards, batches);
+}
+
+/**
+ * Fetches the current state of every batch of a job without waiting for them to finish.
+ * @param {TranslationProvider} provider - The provider that owns the batches.
+ * @param {BatchShard[]} shards - The batches of the job.
+ * @returns {Promise<Object>} The job, see combineShardBatches.
+ */
+export async function getJobStatus(provider, shards) {
+    const batches = await Promise.all(shards.map(shard => provider.getStatus(shard.batchId)));
+    return combineShardBatches(shards, batches);
+}
+
+/**
+ * Requests cancellation of every batch of a job. Batches of a split job that already finished
+ * cannot be cancelled anymore; their state is fetched instead.
+ * @param {TranslationProvider} provider - The provider that owns the batches.
+ * @param {BatchShard[]} shards - The batches of the job.
+ * @returns {Promise<Object>} The job, see combineShardBatches.
+ * @throws {Error} The error of the first batch if none of the batches could be cancelled.
+ */
+export async function cancelJob(provider, shards) {
+    const results = await Promise.allSettled(shards.map(shard => provider.cancel(shard.batchId)));
+    const rejected = results.filter(result => result.status === 'rejected');
+    if (rejected.length === results.length) {
+        throw rejected[0].reason;
+    }
+    if (rejected.length > 0) {
+        return waitForJob(provider, shards);
+    }
+    return combineShardBatches(shards, results.map(result => result.value));
+}
+
+/**
+ * Combines the batches of a job into one batch-like object, so callers can treat a split job
+ * like a single batch. The job is completed once all its batches are; otherwise it takes the status
+ * of its first batch that is still running, or else of its first batch that did not complete.
+ * A job with a single batch keeps all the fields of that batch.
+ * @param {BatchShard[]} shards - The batches of the job.
+ * @param {Object[]} batches - The provider batch of each shard, in the same order.
+ * @returns {Object} The job with `status`, summed `request_counts` and `shards` holding each shard with its `batch`.
+ */
+function combineShardBatches(shards, batches) {
+    const shardBatches = shards.map((shard, index) => ({ ...shard, batch: batches[index] }));
+    if (shards.length === 1) {
+        return { ...batches[0], shards: shardBatches };
+    }
+
+    const unfinished = batches.find(batch => !TERMINAL_BATCH_STATUSES.includes(batch.status));
+    const incomplete = batches.find(batch => batch.status !== 'completed');
+    const requestCounts = { total: 0, completed: 0, failed: 0 };
+    for (const batch of batches) {
+        requestCounts.total += batch.request_counts?.total ?? 0;
+        requestCounts.completed += batch.request_counts?.completed ?? 0;
+        requestCounts.failed += batch.request_counts?.failed ?? 0;
+    }
+
+    return {
+        id: shards[0].batchId,
+        status: (unfinished ?? incomplete)?.status ?? 'completed',
+        request_counts: requestCounts,
+        shards: shardBatches
+    };
+}
+
+/**
+ * Downloads the translations of every batch of a finished job that has results, keyed by their
+ * position in the whole job. Batches that failed without results are skipped, so their requests
+ * come back as missing and can be retried.
+ * @param {TranslationProvider} provider - The provider that owns the batches.
+ * @param {Object} job - The finished job returned by waitForJob.
+ * @returns {Promise<Map<string, string>>} A map of `request-N` IDs of the job to translated texts, with a `usage`
+ *   map of the same IDs to the tokens each request used.
+ */
+export async function fetchJobResults(provider, job) {
+    const translationsMap = new Map();
+    translationsMap.usage = new Map();
+    for (const { offset, batch } of job.shards) {
+        if (batch.status !== 'completed' && !hasPartialResults(batch)) continue;
+        const shardTranslations = await provider.fetchResults(batch);
+        for (const [customId, translation] of shardTranslations) {
+            translationsMap.set(offsetCustomId(customId, offset), translation);
+        }
+        for (const [customId, usage] of shardTranslations.usage ?? []) {
+            translationsMap.usage.set(offsetCustomId(customId, offset), usage);
+        }
+    }
+    return translationsMap;
+}
+
+/**
+ * Collects the per-request errors of every batch of a finished job, keyed by their position in the whole job.
+ * @param {TranslationProvider} provider - The provider that owns the batches.
+ * @param {Object} job - The finished job returned by waitForJob.
+ * @returns {Promise<Map<string, RequestError>>} A map of `request-N` IDs of the job to request errors.
+ */
+export async function fetchJobErrors(provider, job) {
+    const errorsMap = new Map();
+    for (const { offset, batch } of job.shards) {
+        for (const [customId, error] of await fetchRequestErrors(provider, batch)) {
+            errorsMap.set(offsetCustomId(customId, offset), error);
+        }
+    }
+    return errorsMap;
+}
+
+/**
+ * Moves a `request-N` ID of a shard to its position in the whole job.
+ * @param {string} customId - The custom ID within the shard.
+ * @param {number} offset - The index of the first text of the shard within the job.
+ * @returns {string} The custom ID within the job.
+ */
+function offsetCustomId(customId, offset) {
+    const index = Number(customId.replace("request-", ""));
+    return Number.isInteger(index) ? `request-${index + offset}` : customId;
+}
+
+/**
+ * Polls a batch until it reaches a terminal status, showing progress between polls.
+ * The delay and number of attempts come from the polling settings; transient failures of a
+ * single status request are retried by the provider's fetch before they reach this loop. The loop can be
+ * stopped early with stopBatchPolling, e.g. when the batch is being cancelled.
+ * @param {string} batchId - The ID of the batch, used to stop the loop.
+ * @param {Function} fetchStatus - async () => Object. Fetches the batch once and returns it using the OpenAI status vocabulary.
+ * @returns {Promise<object>} The final batch object.
+ * @throws {Error} If polling was stopped or the batch is still running after the maximum number of attempts.
+ */
+export async function pollUntilFinished(batchId, fetchStatus) {
+    const pollingDelay = game.settings.get(MODULE_ID, "pollingDelay") * 1000; // Convert seconds to milliseconds
+    const maxAttempts = game.settings.get(MODULE_ID, "maxPollingAttempts");
+    const controller = startBatchPolling(batchId);
+
+    try {
+        for (let attempts = 0; attempts < maxAttempts; attempts++) {
+            const batchStatus = await fetchStatus();
+            if (controller.signal.aborted) break;
+
+            // If the job is finished (completed, failed, cancelled or expired), return the status object.
+            if (TERMINAL_BATCH_STATUSES.includes(batchStatus.status)) {
+                return batchStatus;
+            }
+
+            // Show progress if request counts are available
+            let progressMessage = `Batch job is still processing... (${batchStatus.status})`;
+            if (batchStatus.request_counts) {
+                const { completed = 0, total = 0 } = batchStatus.request_counts;
+                if (total > 0) {
+                    progressMessage = `Batch job is still processing... (${completed}/${total} requests completed)`;
+                }
+            }
+            ui.notifications.info(progressMessage);
+
+            // Wait before the next poll, waking up early if polling is stopped. The jitter keeps
+            // several batches started together from polling at the same moment.
+            await waitForNextPoll(pollingDelay * (0.9 + Math.random() * 0.2), controller.signal);
+            if (controller.signal.aborted) break;
+        }
+    } finally {
+        finishBatchPolling(batchId, controller);
+    }
+
+    if (controller.signal.aborted) {
+        throw new Error(`Stopped waiting for batch ${batchId} because it is being cancelled.`);
+    }
+    // If the loop finishes without the job completing, throw a timeout error.
+    const timeoutMinutes = Math.round((maxAttempts * pollingDelay) / 60000);
+    throw new Error(`Batch job timed out after ${timeoutMinutes} minutes.`);
+}
+
+/**
+ * Waits for the polling delay or until the signal aborts, whichever comes first.
+ * @param {number} delay - The delay in milliseconds.
+ * @param {AbortSignal} signal - Signal that ends the wait early.
+ * @returns {Promise<void>}
+ */
+function waitForNextPoll(delay, signal) {
+    return new Promise(resolve => {
+        const timeout = setTimeout(resolve, delay);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timeout);
+            resolve();
+        }, { once: true });
+    });
+}
+
+/**
+ * Assembles the final results from the translations map.
+ * @param {Map} translationsMap - The map of translations.
+ * @param {number} originalLength - The original number of texts.
+ * @returns {string[]} The final translations array.
+ */
+export function assembleFinalResults(translationsMap, originalLength) {
+    const finalTranslations = [];
+    for (let i = 0; i < originalLength; i++) {
+        const customId = `request-${i}`;
+        if (translationsMap.has(customId)) {
+            finalTranslations.push(translationsMap.get(customId));
+        } else {
+            // If a specific translation failed, push an empty string to maintain order.
+            finalTranslations.push("");
+            console.warn(`Journal Translator | No result found for ${customId}.`);
+        }
+    }
+    return finalTranslations;
+}
+
+/**
+ * Fetches the per-request errors of a finished batch. Failing to get them is not fatal,
+ * since the translations that did succeed can still be applied.
+ * @param {TranslationProvider} provider - The provider that owns the batch.
+ * @param {Object} completedBatch - The finished batch object.
+ * @returns {Promise<Map<string, RequestError>>} A map of custom IDs to request errors.
+ */
+export async function fetchRequestErrors(provider, completedBatch) {
+    if (typeof provider.fetchErrors !== 'function') return new Map();
+    try {
+        return await provider.fetchErrors(completedBatch);
+    } catch (error) {
+        console.warn("Journal Translator | Could not download the batch error details:", error);
+        return new Map();
+    }
+}
+
+/**
+ * Orders the request errors like the translations. Requests without a translation
+ * that the provider reported no error for get a generic missing result error.
+ * @param {Map<string, RequestError>} errorsMap - The map of custom IDs to request errors.
+ * @param {string[]} translations - The assembled translations.
+ * @returns {Array<RequestError|null>} The error of each request, or null for requests that succeeded.
+ */
+export function assembleFinalErrors(errorsMap, translations) {
+    return translations.map((translation, index) => {
+        if (translation?.trim()) return null;
+        return errorsMap.get(`request-${index}`) ?? MISSING_RESULT_ERROR;
+    });
+}
+
+/**
+ * Orders the token usage of a results map like the translations.
+ * @param {Map} translationsMap - The map of translations, with the `usage` map reported by the provider, if any.
+ * @param {number} originalLength - The original number of texts.
+ * @returns {Array<TokenUsage|null>} The tokens each request used, or null where the provider did not report them.
+ */
+export function assembleFinalUsage(translationsMap, originalLength) {
+    return Array.from({ length: originalLength }, (_, index) => translationsMap.usage?.get(`request-${index}`) ?? null);
+}
+
+/**
+ * Adds up the tokens of two usages, including the part used by immediate requests. The model of
+ * the first one that reports it is kept.
+ * @param {TokenUsage|null} [total] - The usage so far.
+ * @param {TokenUsage|null} [usage] - The usage to add.
+ * @returns {TokenUsage|null} The combined usage, or null if neither is known.
+ */
+export function addTokenUsage(total, usage) {
+    if (!total || !usage) return total ?? usage ?? null;
+    const combined = {
+        promptTokens: total.promptTokens + usage.promptTokens,
+        completionTokens: total.completionTokens + usage.completionTokens,
+        model: total.model ?? usage.model
+    };
+    if (total.immediate || usage.immediate) {
+        combined.immediate = {
+            promptTokens: (total.immediate?.promptTokens ?? 0) + (usage.immediate?.promptTokens ?? 0),
+            completionTokens: (total.immediate?.completionTokens ?? 0) + (usage.immediate?.completionTokens ?? 0)
+        };
+    }
+    return combined;
+}
+
+export { DEFAULT_PROVIDER_ID };
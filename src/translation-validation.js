@@ -0,0 +1,215 @@
+/**
+ * Structural validation of translations for the Journal Translator module.
+ * Before a translation is written, it is compared with the content that was sent: fences and
+ * preambles the provider wrapped around the HTML are removed, and translations that look
+ * truncated, lost images, tables or secret sections, or are not a translation at all are held
+ * back for review.
+ */
+
+import { extractTitles, restoreTitleClasses } from './page-titles.js';
+
+// Code fence wrapped around the whole translation, e.g. ```html ... ```
+const FENCE_PATTERN = /^\s*```[\w-]*[ \t]*\r?\n([\s\S]*?)\r?\n\s*```\s*$/;
+
+// First line of chat before the HTML, e.g. "Here is the translation:" or "Sure, here you go:"
+const PREAMBLE_PATTERN = /^\s*((?:here(?:'s| is| are)|below is|sure|certainly|of course)\b[^<\n]*|[^<`\n]*:)[ \t]*\r?\n/i;
+
+// Start of a reply in which the provider declines to translate
+const REFUSAL_PATTERN = /^\s*(?:I'm sorry|I am sorry|I apologi[sz]e|I can(?:no|')t|I'm unable|I am unable|As an AI)\b/i;
+
+// Opening and closing tags, with the slash of self-closing ones
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)\b[^>]*?(\/?)>/g;
+
+// Elements that never have a closing tag
+const VOID_ELEMENTS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+// Elements whose number does not change in a translation. Secret sections hold what only the GM sees.
+const COUNTED_ELEMENTS = {
+    "images": "img",
+    "tables": "table",
+    "headings": "h1, h2, h3, h4, h5, h6",
+    "links": "a",
+    "secret sections": "section.secret"
+};
+
+// Shortest original, in characters of text, whose length is compared with its translation
+const MIN_RATIO_LENGTH = 200;
+
+// Range of plausible lengths of a translation, as a share of the length of the original
+const LENGTH_RATIO_RANGE = [0.33, 3];
+
+/**
+ * Cleans and validates the translation of each page or request. Translations that came back empty
+ * are left for the retries and failure report.
+ * @param {string[]} sources - The content sent for each page, see getRequestContents, or each request.
+ * @param {string[]} translations - The translation of each of them.
+ * @returns {{translations: string[], problems: Array<string[]|null>}} The cleaned translations, and the problems
+ *   found in each of them, or null if it looks fine.
+ */
+export function checkTranslations(sources, translations) {
+    const problems = [];
+
+    const cleaned = translations.map((translation, index) => {
+        if (!translation || !sources[index]) {
+            problems.push(null);
+            return translation;
+        }
+
+        const { translation: cleanedTranslation, fixes } = cleanTranslation(sources[index], translation);
+        if (fixes.length > 0) {
+            console.log(`Journal Translator | Cleaned translation ${index}: ${fixes.join(", ")}.`);
+        }
+        const found = validateTranslation(sources[index], cleanedTranslation);
+        problems.push(found.length > 0 ? found : null);
+        return cleanedTranslation;
+    });
+
+    return { translations: cleaned, problems };
+}
+
+/**
+ * Cleans the translation of each request and leaves out those that look broken, so they are not
+ * stored in the translation memory and the page is sent again when it is translated again.
+ * @param {string[]} texts - The texts sent.
+ * @param {string[]} translations - The translation of each text.
+ * @returns {string[]} The cleaned translations, empty where a translation looks broken.
+ */
+export function getSoundTranslations(texts, translations) {
+    const { translations: cleaned, problems } = checkTranslations(texts, translations);
+    return cleaned.map((translation, index) => problems[index] ? "" : translation);
+}
+
+/**
+ * Removes what providers commonly wrap around the HTML: a preamble line such as "Here is the
+ * translation:" before content that starts with a tag, and a code fence around the whole translation.
+ * Title headings whose class the provider dropped are marked again, see restoreTitleClasses.
+ * @param {string} source - The content that was sent.
+ * @param {string} translation - The translation.
+ * @returns {{translation: string, fixes: string[]}} The cleaned translation, and what was removed.
+ */
+export function cleanTranslation(source, translation) {
+    const fixes = [];
+    let cleaned = translation;
+
+    const preamble = source.trimStart().startsWith("<") ? PREAMBLE_PATTERN.exec(cleaned) : null;
+    if (preamble) {
+        cleaned = cleaned.slice(preamble[0].length);
+        fixes.push(`removed the preamble "${preamble[1].trim()}"`);
+    }
+
+    const fence = FENCE_PATTERN.exec(cleaned);
+    if (fence) {
+        cleaned = fence[1];
+        fixes.push("removed the code fence");
+    }
+
+    const titled = restoreTitleClasses(source, cleaned);
+    if (titled !== cleaned) {
+        cleaned = titled;
+        fixes.push("restored the classes of the title headings");
+    }
+
+    return { translation: cleaned, fixes };
+}
+
+/**
+ * Compares the structure of a translation with the content that was sent. The titles of the page
+ * and journal are left out, since the provider may drop them.
+ * @param {string} source - The content that was sent.
+ * @param {string} translation - The cleaned translation.
+ * @returns {string[]} The problems found, empty if the translation looks fine.
+ */
+export function validateTranslation(source, translation) {
+    const original = extractTitles(source).content;
+    const translated = extractTitles(translation).content;
+    const originalText = getText(original);
+    const translatedText = getText(translated);
+    const problems = [];
+
+    if (REFUSAL_PATTERN.test(translatedText) && !REFUSAL_PATTERN.test(originalText)) {
+        problems.push("The provider declined to translate the page.");
+    }
+    if (translated.includes("```")) {
+        problems.push("The translation contains a code fence.");
+    }
+    if (original.trimStart().startsWith("<") && !translated.trimStart().startsWith("<")) {
+        problems.push(`The translation starts with text that is not in the original: "${translated.trim().split("<")[0].slice(0, 80)}".`);
+    }
+    if (original.trimEnd().endsWith(">") && !translated.trimEnd().endsWith(">")) {
+        problems.push(`The translation ends with text that is not in the original: "${translated.trim().split(">").pop().slice(-80)}".`);
+    }
+
+    const unbalancedTags = findUnbalancedTags(original, translated);
+    if (unbalancedTags.length > 0) {
+        problems.push(`The translation has unclosed or extra tags, e.g. because it was cut off: ${unbalancedTags.map(tag => `<${tag}>`).join(", ")}.`);
+    }
+
+    const originalCounts = countElements(original);
+    const translatedCounts = countElements(translated);
+    for (const name of Object.keys(COUNTED_ELEMENTS)) {
+        if (originalCounts[name] !== translatedCounts[name]) {
+            problems.push(`The translation has ${translatedCounts[name]} ${name} where the original has ${originalCounts[name]}.`);
+        }
+    }
+
+    if (originalText.length >= MIN_RATIO_LENGTH) {
+        const ratio = translatedText.length / originalText.length;
+        if (ratio < LENGTH_RATIO_RANGE[0] || ratio > LENGTH_RATIO_RANGE[1]) {
+            problems.push(`The translation is ${Math.round(ratio * 100)}% as long as the original.`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Finds the tags that are opened and closed a different number of times in the translation than
+ * in the original.
+ * @param {string} original - The original HTML.
+ * @param {string} translated - The translated HTML.
+ * @returns {string[]} The names of the tags.
+ */
+function findUnbalancedTags(original, translated) {
+    const originalBalance = getTagBalance(original);
+    const translatedBalance = getTagBalance(translated);
+    const tags = new Set([...originalBalance.keys(), ...translatedBalance.keys()]);
+    return [...tags].filter(tag => (originalBalance.get(tag) ?? 0) !== (translatedBalance.get(tag) ?? 0));
+}
+
+/**
+ * Counts how many more times each tag is opened than closed.
+ * @param {string} html - The HTML.
+ * @returns {Map<string, number>} The balance of each tag that is not a void element.
+ */
+function getTagBalance(html) {
+    const balance = new Map();
+    for (const [, closing, name, selfClosing] of html.matchAll(TAG_PATTERN)) {
+        const tag = name.toLowerCase();
+        if (VOID_ELEMENTS.has(tag) || selfClosing) continue;
+        balance.set(tag, (balance.get(tag) ?? 0) + (closing ? -1 : 1));
+    }
+    return balance;
+}
+
+/**
+ * Counts the elements whose number should not change in a translation.
+ * @param {string} html - The HTML.
+ * @returns {Object<string, number>} The count of each kind of element in COUNTED_ELEMENTS.
+ */
+function countElements(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return Object.fromEntries(Object.entries(COUNTED_ELEMENTS)
+        .map(([name, selector]) => [name, template.content.querySelectorAll(selector).length]));
+}
+
+/**
+ * Gets the text of some HTML, without its tags.
+ * @param {string} html - The HTML.
+ * @returns {string} The trimmed text.
+ */
+function getText(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content.textContent.trim();
+}
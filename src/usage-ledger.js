@@ -0,0 +1,244 @@
+/**
+ * Usage ledger for the Journal Translator module.
+ * Every translation run adds one entry per journal with the tokens the provider reported, so
+ * the spend can be split per month, journal and user. The ledger is stored in a world setting
+ * so the runs of every GM end up in the same place.
+ */
+
+import { MODULE_ID } from './settings.js';
+import { addTokenUsage } from './translation-providers.js';
+import { calculateCost } from './cost-estimate.js';
+
+// World setting holding the ledger entries, oldest first
+const LEDGER_SETTING = "usageLedger";
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = ["Date", "User", "Journal", "Provider", "Model", "Batch ID", "Requests", "Prompt tokens", "Completion tokens", "Cost (USD)"];
+
+// Writes of the ledger setting run one after another, so entries of concurrent runs are not lost
+let pendingWrite = Promise.resolve();
+
+/**
+ * One translation run of a journal.
+ * @typedef {Object} UsageEntry
+ * @property {number} timestamp - When the run finished, in milliseconds since the epoch.
+ * @property {string|null} userId - The ID of the user whose client applied the run.
+ * @property {string} userName - The name of the user at the time of the run.
+ * @property {string|null} journalId - The ID of the journal the pages belong to.
+ * @property {string} journalName - The name of the journal at the time of the run.
+ * @property {string|null} batchId - The ID of the batch, or null for immediate translations.
+ * @property {string} provider - The ID of the provider.
+ * @property {string} model - The model that handled the requests.
+ * @property {number} requests - The number of requests sent for the journal, without retries.
+ * @property {number} promptTokens - The input tokens of all requests, including retries.
+ * @property {number} completionTokens - The output tokens of all requests, including retries.
+ * @property {number|null} cost - The cost in US dollars at the prices of the time, or null if the model had no price.
+ */
+
+/**
+ * Totals of the entries that share a month, journal or user.
+ * @typedef {Object} UsageTotal
+ * @property {string} key - The month (`YYYY-MM`), journal ID or user ID.
+ * @property {string} label - The name shown in the report.
+ * @property {number} runs - The number of entries.
+ * @property {number} promptTokens - The input tokens of all entries.
+ * @property {number} completionTokens - The output tokens of all entries.
+ * @property {number} cost - The cost of the priced entries in US dollars.
+ * @property {number} unpriced - The number of entries whose model had no price.
+ */
+
+/**
+ * Records the tokens used by a translation run, with one ledger entry per journal.
+ * The cost is calculated now, so later price changes do not rewrite past spend.
+ * @param {Object} run - The run.
+ * @param {import('./translation-providers.js').TranslationProvider} run.provider - The provider that translated the pages.
+ * @param {string|null} [run.batchId] - The ID of the batch, or null for immediate translations.
+ * @param {JournalEntry[]} run.journals - The journal of each request, in request order.
+ * @param {Array<import('./translation-providers.js').TokenUsage|null>} [run.usage] - The tokens of each request, in request order.
+ * @returns {Promise<UsageEntry[]>} The recorded entries.
+ */
+export async function recordUsage({ provider, batchId = null, journals, usage = [] }) {
+    const journalRuns = new Map();
+    journals.forEach((journal, index) => {
+        const journalRun = journalRuns.get(journal) ?? { requests: 0, usage: null };
+        journalRun.requests++;
+        journalRun.usage = addTokenUsage(journalRun.usage, usage?.[index]);
+        journalRuns.set(journal, journalRun);
+    });
+
+    const timestamp = Date.now();
+    const entries = [...journalRuns].map(([journal, journalRun]) => {
+        const model = journalRun.usage?.model ?? (provider.getModel?.() || provider.id);
+        const promptTokens = journalRun.usage?.promptTokens ?? 0;
+        const completionTokens = journalRun.usage?.completionTokens ?? 0;
+        return {
+            timestamp,
+            userId: game.user?.id ?? null,
+            userName: game.user?.name ?? "Unknown user",
+            journalId: journal?.id ?? null,
+            journalName: journal?.name ?? "Unknown journal",
+            batchId,
+            provider: provider.id,
+            model,
+            requests: journalRun.requests,
+            promptTokens,
+            completionTokens,
+            cost: calculateRunCost(model, journalRun.usage, !!batchId)
+        };
+    });
+
+    await updateLedger(ledger => ledger.push(...entries));
+    console.log(`Journal Translator | Recorded usage of ${entries.length} journal(s) in the usage ledger`);
+    return entries;
+}
+
+/**
+ * Gets every entry of the ledger
+ * @returns {UsageEntry[]} The entries, oldest first
+ */
+export function getUsageEntries() {
+    return game.settings.get(MODULE_ID, LEDGER_SETTING) ?? [];
+}
+
+/**
+ * Removes every entry from the ledger
+ * @returns {Promise<void>}
+ */
+export async function clearUsageLedger() {
+    await updateLedger(ledger => ledger.splice(0));
+    console.log(`Journal Translator | Cleared the usage ledger`);
+}
+
+/**
+ * Totals ledger entries per month, per journal and per user. Journals and users are shown with
+ * their current name, or with the name recorded at the time of the run if they were deleted since.
+ * @param {UsageEntry[]} entries - The entries to total.
+ * @returns {{months: UsageTotal[], journals: UsageTotal[], users: UsageTotal[], total: UsageTotal}} The totals,
+ *   months newest first and journals and users by cost, highest first.
+ */
+export function summarizeUsage(entries) {
+    const byCost = (a, b) => b.cost - a.cost || a.label.localeCompare(b.label);
+    return {
+        months: totalBy(entries, entry => [getUsageMonth(entry.timestamp), getUsageMonth(entry.timestamp)])
+            .sort((a, b) => b.key.localeCompare(a.key)),
+        journals: totalBy(entries, entry => [entry.journalId, game.journal?.get(entry.journalId)?.name ?? entry.journalName])
+            .sort(byCost),
+        users: totalBy(entries, entry => [entry.userId, game.users?.get(entry.userId)?.name ?? entry.userName])
+            .sort(byCost),
+        total: totalBy(entries, () => ["total", "Total"])[0] ?? createTotal("total", "Total")
+    };
+}
+
+/**
+ * Converts ledger entries to CSV, one row per entry.
+ * @param {UsageEntry[]} entries - The entries to export.
+ * @returns {string} The CSV content, with a header row.
+ */
+export function exportUsageCsv(entries) {
+    const rows = entries.map(entry => [
+        new Date(entry.timestamp).toISOString(),
+        entry.userName,
+        entry.journalName,
+        entry.provider,
+        entry.model,
+        entry.batchId ?? "",
+        entry.requests,
+        entry.promptTokens,
+        entry.completionTokens,
+        entry.cost === null ? "" : entry.cost.toFixed(6)
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(escapeCsvValue).join(",")).join("\n");
+}
+
+/**
+ * Gets the month of a timestamp in the local time zone
+ * @param {number} timestamp - Milliseconds since the epoch
+ * @returns {string} The month as `YYYY-MM`
+ */
+export function getUsageMonth(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Groups entries and adds up each group.
+ * @param {UsageEntry[]} entries - The entries to total.
+ * @param {Function} getGroup - (entry) => [key, label]. Finds the group of an entry.
+ * @returns {UsageTotal[]} The totals in the order the groups first appear.
+ */
+function totalBy(entries, getGroup) {
+    const totals = new Map();
+    for (const entry of entries) {
+        const [key, label] = getGroup(entry);
+        if (!totals.has(key)) totals.set(key, createTotal(key, label));
+        const total = totals.get(key);
+        total.runs++;
+        total.promptTokens += entry.promptTokens;
+        total.completionTokens += entry.completionTokens;
+        if (entry.cost === null) {
+            total.unpriced++;
+        } else {
+            total.cost += entry.cost;
+        }
+    }
+    return [...totals.values()];
+}
+
+/**
+ * Creates an empty total
+ * @param {string} key - The key of the group
+ * @param {string} label - The name of the group
+ * @returns {UsageTotal} The total
+ */
+function createTotal(key, label) {
+    return { key, label, runs: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 };
+}
+
+/**
+ * Calculates the cost of the tokens of a run. In a batch job, only the tokens of requests that
+ * ran as a batch get the batch discount, not those of requests resent immediately
+ * @param {string} model - The model that handled the requests
+ * @param {import('./translation-providers.js').TokenUsage|null} usage - The tokens of the run
+ * @param {boolean} batch - Whether the run was a batch job
+ * @returns {number|null} The cost in US dollars, or null if the model has no price
+ */
+function calculateRunCost(model, usage, batch) {
+    const promptTokens = usage?.promptTokens ?? 0;
+    const completionTokens = usage?.completionTokens ?? 0;
+    if (!batch) return calculateCost(model, promptTokens, completionTokens, false);
+
+    const immediate = usage?.immediate ?? { promptTokens: 0, completionTokens: 0 };
+    const batchCost = calculateCost(model, promptTokens - immediate.promptTokens, completionTokens - immediate.completionTokens, true);
+    const immediateCost = calculateCost(model, immediate.promptTokens, immediate.completionTokens, false);
+    return batchCost === null ? null : batchCost + immediateCost;
+}
+
+/**
+ * Quotes a CSV value when it contains a separator, quote or line break
+ * @param {string|number} value - The value
+ * @returns {string} The CSV field
+ */
+function escapeCsvValue(value) {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+/**
+ * Changes the stored ledger. Updates are serialized, and each one reads the ledger again,
+ * so it sees the changes of the previous ones and of other clients.
+ * @param {Function} change - (ledger) => void. Modifies a copy of the entries in place.
+ * @returns {Promise<void>}
+ */
+function updateLedger(change) {
+    pendingWrite = pendingWrite.then(async () => {
+        const ledger = [...getUsageEntries()];
+        change(ledger);
+        try {
+            await game.settings.set(MODULE_ID, LEDGER_SETTING, ledger);
+        } catch (error) {
+            // Users who may not change world settings still translate, their runs are only logged
+            console.warn(`Journal Translator | Could not update the usage ledger:`, error);
+        }
+    });
+    return pendingWrite;
+}
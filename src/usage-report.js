@@ -0,0 +1,142 @@
+/**
+ * Usage Report window for the Journal Translator module.
+ */
+
+import { getUsageEntries, summarizeUsage, exportUsageCsv } from './usage-ledger.js';
+import { formatCost } from './cost-estimate.js';
+
+const { ApplicationV2 } = foundry.applications.api;
+
+// The single report window, created the first time it is opened
+let usageReport = null;
+
+/**
+ * Totals the spend recorded in the usage ledger per month, per journal and per user,
+ * and exports the ledger as CSV. The content is plain HTML built in `_renderHTML`, like the Batch Monitor.
+ */
+export class UsageReport extends ApplicationV2 {
+    static DEFAULT_OPTIONS = {
+        id: "journal-translator-usage-report",
+        window: {
+            title: "Translation Usage",
+            icon: "fas fa-coins",
+            resizable: true
+        },
+        position: {
+            width: 640,
+            height: "auto"
+        },
+        actions: {
+            refresh: UsageReport.#onRefresh,
+            exportCsv: UsageReport.#onExportCsv
+        }
+    };
+
+    /**
+     * Reads the ledger and totals its entries.
+     * @returns {Promise<{entryCount: number, summary: Object}>} The render context.
+     */
+    async _prepareContext() {
+        const entries = getUsageEntries();
+        return { entryCount: entries.length, summary: summarizeUsage(entries) };
+    }
+
+    /**
+     * Builds the window content.
+     * @param {{entryCount: number, summary: Object}} context - The render context.
+     * @returns {Promise<string>} The HTML content.
+     */
+    async _renderHTML(context) {
+        const { summary } = context;
+        const body = context.entryCount === 0
+            ? `<p style="margin: 12px 0;">No translation runs have been recorded yet.</p>`
+            : `
+                <p style="margin: 8px 0;">
+                    <strong>${formatCost(summary.total.cost)}</strong> spent on ${summary.total.runs} run(s),
+                    ${summary.total.promptTokens.toLocaleString()} input and ${summary.total.completionTokens.toLocaleString()} output tokens.
+                </p>
+                ${renderTotalsTable("Month", summary.months)}
+                ${renderTotalsTable("Journal", summary.journals)}
+                ${renderTotalsTable("User", summary.users)}
+                ${summary.total.unpriced > 0
+                    ? `<p style="font-size: 12px; color: #666;">${summary.total.unpriced} run(s) used a model without a price and are not included in the cost (marked with *).</p>`
+                    : ''}
+            `;
+
+        return `
+            <div style="max-height: 500px; overflow-y: auto;">
+                ${body}
+            </div>
+            <div style="margin-top: 8px; text-align: right;">
+                <button type="button" data-action="exportCsv"${context.entryCount === 0 ? ' disabled' : ''}><i class="fas fa-file-csv"></i> Export CSV</button>
+                <button type="button" data-action="refresh"><i class="fas fa-sync"></i> Refresh</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Replaces the window content with the rendered HTML.
+     * @param {string} result - The HTML returned by `_renderHTML`.
+     * @param {HTMLElement} content - The content element of the window.
+     */
+    _replaceHTML(result, content) {
+        content.innerHTML = result;
+    }
+
+    /**
+     * Re-renders the window with the latest ledger.
+     */
+    static async #onRefresh() {
+        await this.render();
+    }
+
+    /**
+     * Downloads every ledger entry as a CSV file.
+     */
+    static #onExportCsv() {
+        foundry.utils.saveDataToFile(exportUsageCsv(getUsageEntries()), "text/csv", "journal-translator-usage.csv");
+    }
+}
+
+/**
+ * Opens the Usage Report, or brings it to the front if it is already open.
+ * @returns {UsageReport} The report window.
+ */
+export function openUsageReport() {
+    usageReport ??= new UsageReport();
+    usageReport.render({ force: true });
+    return usageReport;
+}
+
+/**
+ * Builds the table of the totals of one grouping.
+ * @param {string} heading - The name of the grouping, e.g. "Month".
+ * @param {Array<import('./usage-ledger.js').UsageTotal>} totals - The totals to show.
+ * @returns {string} The table HTML.
+ */
+function renderTotalsTable(heading, totals) {
+    const rows = totals.map(total => `
+        <tr style="border-top: 1px solid #ccc;">
+            <td style="padding: 4px;">${total.label}</td>
+            <td style="padding: 4px; text-align: right;">${total.runs}</td>
+            <td style="padding: 4px; text-align: right;">${total.promptTokens.toLocaleString()}</td>
+            <td style="padding: 4px; text-align: right;">${total.completionTokens.toLocaleString()}</td>
+            <td style="padding: 4px; text-align: right;">${formatCost(total.cost)}${total.unpriced > 0 ? ' *' : ''}</td>
+        </tr>`).join('');
+
+    return `
+        <h3 style="margin: 12px 0 4px;">By ${heading.toLowerCase()}</h3>
+        <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+            <thead>
+                <tr>
+                    <th style="text-align: left;">${heading}</th>
+                    <th style="text-align: right;">Runs</th>
+                    <th style="text-align: right;">Input tokens</th>
+                    <th style="text-align: right;">Output tokens</th>
+                    <th style="text-align: right;">Cost</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
@@ -2,8 +2,18 @@
  * Utility functions for the Journal Translator module.
  */
 
+import { MODULE_ID } from './settings.js';
 import { getTranslationFlags, findIncompleteTranslations } from './translation-flags.js';
 import { isBatchInQueue } from './batch-queue.js';
+import { formatTranslatedName, getOriginalName } from './page-titles.js';
+import { findOutdatedPages } from './stale-translations.js';
+import { getSourceContent } from './block-map.js';
+
+// Status shown for translated pages that are outdated, by the reason they are outdated
+const OUTDATED_LABELS = {
+    source: "the page was edited since its translation",
+    settings: "translated with other settings"
+};
 
 /**
  * Shows a dialog for selecting which pages to translate from a journal entry.
@@ -12,12 +22,14 @@ import { isBatchInQueue } from './batch-queue.js';
  * @returns {Promise<Array>} Promise resolving to an array of selected page objects
  */
 export async function showPageSelectionDialog(journal) {
-    // Filter pages that have content and are not already translated/completed
+    // Filter pages that have content and are not already translated/completed,
+    // or whose translation is outdated
+    const outdatedPages = await findOutdatedPages(journal.pages.filter(page => page.text?.content));
     const pagesToTranslate = journal.pages.filter(page => {
         if (!page.text || !page.text.content) return false;
 
         const flags = getTranslationFlags(page);
-        return !flags.completed; // Only include pages that haven't been completed
+        return !flags.completed || outdatedPages.has(page);
     });
 
     if (pagesToTranslate.length === 0) {
@@ -36,6 +48,12 @@ export async function showPageSelectionDialog(journal) {
             statusIcon = '<i class="fas fa-clock" style="color: orange; margin-left: 8px;"></i>';
             statusText = ` (In Progress - Batch: ${flags.batchId})`;
             isDisabled = true;
+        } else if (outdatedPages.has(page)) {
+            statusIcon = '<i class="fas fa-history" style="color: #1f6feb; margin-left: 8px;"></i>';
+            statusText = ` (Outdated - ${OUTDATED_LABELS[outdatedPages.get(page)]})`;
+        } else if (flags.error) {
+            statusIcon = `<i class="fas fa-exclamation-triangle" style="color: #c00; margin-left: 8px;" title="${escapeText(flags.error.message)}"></i>`;
+            statusText = ` (Last attempt failed: ${escapeText(flags.error.code)})`;
         }
 
         const checkboxAttributes = isDisabled
@@ -128,43 +146,47 @@ export async function showPageSelectionDialog(journal) {
  * @param {Array} pagesToTranslate - Array of page objects to be translated
  * @param {Array} translatedContents - Array of translated content strings corresponding to pages
  * @param {Function} contentTransformer - Function that takes (originalContent, translatedContent) and returns the final content
- * @returns {Array} Array of update objects with _id and 'text.content' properties for database updates
+ * @param {Array<string|null>} [pageNames] - The translated name of each page, or null where the name was not translated
+ * @returns {Array} Array of update objects with _id and 'text.content' properties for database updates, plus 'name' for renamed pages
  * 
  * @example
  * const updates = createPageUpdates(pages, translations, (original, translated) => translated);
  * 
  * @description
- * Uses batch indices stored in page flags to properly map translations to pages, ensuring correct
- * reassembly even if pages were deleted during batch processing. Validates that translations are not empty,
+ * Translations are matched to pages by position, so both arrays must be in the same order. The batch index
+ * stored in the page flags is only shown in warnings, since it counts requests of the whole job rather than
+ * pages of one journal. Validates that translations are not empty,
  * transforms the content using the provided transformer function, and creates update objects suitable
- * for batch database operations. Skips pages with empty translations and shows warnings.
+ * for batch database operations. Pages with a translated name are renamed with the name template.
+ * Skips pages with empty translations and shows warnings.
  */
-export function createPageUpdates(pagesToTranslate, translatedContents, contentTransformer) {
+export function createPageUpdates(pagesToTranslate, translatedContents, contentTransformer, pageNames = []) {
     const pageUpdates = [];
     
-    for (const page of pagesToTranslate) {
-        const flags = getTranslationFlags(page);
-        const batchIndex = flags.batchIndex;
-        
-        if (batchIndex === undefined || batchIndex === null) {
-            console.warn(`Journal Translator | Page "${page.name}" has no batch index stored in flags. Skipping this page.`);
-            continue;
-        }
-        
-        const translatedContent = translatedContents[batchIndex];
+    for (const [index, page] of pagesToTranslate.entries()) {
+        const batchIndex = getTranslationFlags(page).batchIndex;
+        const translatedContent = translatedContents[index];
 
         if (!translatedContent || translatedContent.trim() === "") {
             ui.notifications.warn(`Translation returned empty for page "${page.name}" (batch index ${batchIndex}). Skipping this page.`);
             continue;
         }
 
-        const originalContent = page.text.content || "";
+        // A translation the page already holds is replaced rather than kept next to the new one
+        const originalContent = getSourceContent(page);
         const newContent = contentTransformer(originalContent, translatedContent);
         
-        pageUpdates.push({
+        const pageUpdate = {
             _id: page.id,
             'text.content': newContent
-        });
+        };
+        if (pageNames[index]) {
+            // The original name is kept, as the template is applied to it again on the next run
+            const originalName = getOriginalName(page);
+            pageUpdate.name = formatTranslatedName(originalName, pageNames[index]);
+            pageUpdate[`flags.${MODULE_ID}.translationOriginalName`] = originalName;
+        }
+        pageUpdates.push(pageUpdate);
     }
     
     return pageUpdates;
@@ -175,26 +197,21 @@ export function createPageUpdates(pagesToTranslate, translatedContents, contentT
  * 
  * @param {Array} pagesToTranslate - Array of original page objects to be translated
  * @param {Array} translatedContents - Array of translated content strings corresponding to each page
+ * @param {Array<string|null>} [pageNames] - The translated name of each page, or null where the name was not translated
  * @returns {Array} Array of translated page data objects with updated names and content
  * 
- * @description Uses batch indices stored in page flags to properly map translations to pages, ensuring correct
- * reassembly even if pages were deleted during batch processing. Creates new page objects with translated content.
+ * @description Translations are matched to pages by position, so both arrays must be in the same order.
+ * Creates new page objects with translated content. Each new page remembers the page it was translated from,
+ * so it can be updated block by block when the original is edited.
  * Pages with empty or invalid translations are skipped and a warning is displayed. The returned objects maintain
- * the original page structure but with translated content and modified names (appending "(Translated)").
+ * the original page structure but with translated content and names formatted with the name template.
  */
-export function createTranslatedPagesData(pagesToTranslate, translatedContents) {
+export function createTranslatedPagesData(pagesToTranslate, translatedContents, pageNames = []) {
     const translatedPagesData = [];
     
-    for (const page of pagesToTranslate) {
-        const flags = getTranslationFlags(page);
-        const batchIndex = flags.batchIndex;
-        
-        if (batchIndex === undefined || batchIndex === null) {
-            console.warn(`Journal Translator | Page "${page.name}" has no batch index stored in flags. Skipping this page.`);
-            continue;
-        }
-        
-        const translatedContent = translatedContents[batchIndex];
+    for (const [index, page] of pagesToTranslate.entries()) {
+        const batchIndex = getTranslationFlags(page).batchIndex;
+        const translatedContent = translatedContents[index];
 
         if (!translatedContent || translatedContent.trim() === "") {
             ui.notifications.warn(`Translation returned empty for page "${page.name}" (batch index ${batchIndex}). Skipping this page.`);
@@ -202,14 +219,15 @@ export function createTranslatedPagesData(pagesToTranslate, translatedContents)
         }
 
         translatedPagesData.push({
-            name: `${page.name} (Translated)`,
+            name: formatTranslatedName(getOriginalName(page), pageNames[index]),
             type: page.type,
             text: {
                 content: translatedContent,
                 format: page.text.format
             },
             sort: page.sort,
-            ownership: page.ownership
+            ownership: page.ownership,
+            flags: { [MODULE_ID]: { translationSourceUuid: page.uuid } }
         });
     }
     
@@ -259,7 +277,8 @@ export async function showBatchRestorationDialog(journal, incompletePages) {
         </div>
 
         <p style="margin-top: 12px; font-size: 13px; color: #666;">
-            Choose whether to attempt to restore an existing batch or start a completely new translation.
+            Choose whether to attempt to restore an existing batch, cancel it on the provider's side, or start a completely new translation.
+            Starting a new translation does not stop the old batch, which keeps running and is still billed.
         </p>
     `;
 
@@ -276,6 +295,15 @@ export async function showBatchRestorationDialog(journal, incompletePages) {
                     return { action: 'restore', batchId: selected?.value };
                 }
             },
+            {
+                action: "cancelBatch",
+                icon: "fas fa-ban",
+                label: "Cancel Selected Batch",
+                callback: (event, button, dialog) => {
+                    const selected = dialog.element.querySelector('input[name="selected-batch"]:checked');
+                    return { action: 'cancelBatch', batchId: selected?.value };
+                }
+            },
             {
                 action: "new",
                 icon: "fas fa-plus",
@@ -296,6 +324,110 @@ export async function showBatchRestorationDialog(journal, incompletePages) {
     return result ?? { action: 'cancel' };
 }
 
+/**
+ * Shows the pages of a journal that could not be translated, with the error reported for each.
+ *
+ * @param {JournalEntry} journal - The journal the pages belong to
+ * @param {Array<{page: JournalEntryPage, error: {code: string, message: string}}>} failures - The failed pages and their errors
+ * @returns {Promise<void>} Resolves when the dialog is closed
+ */
+export async function showTranslationErrorReport(journal, failures) {
+    const rows = failures.map(({ page, error }) => `
+        <div style="margin-bottom: 8px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px;">
+            <div style="font-weight: bold;">${page.name || 'Unnamed'}</div>
+            <div style="font-size: 12px; color: #c00; margin: 2px 0;">${escapeText(error.code)}</div>
+            <div style="font-size: 12px; color: #666;">${escapeText(error.message)}</div>
+        </div>
+    `).join('');
+
+    const content = `
+        <p>${failures.length} page${failures.length > 1 ? 's' : ''} of "${journal.name}" could not be translated:</p>
+        <div style="max-height: 300px; overflow-y: auto; margin: 8px 0;">
+            ${rows}
+        </div>
+        <p style="font-size: 12px; color: #666;">
+            The errors are saved on the pages and shown when you select pages to translate again.
+        </p>
+    `;
+
+    await foundry.applications.api.DialogV2.wait({
+        window: { title: "Translation Report" },
+        content,
+        buttons: [
+            {
+                action: "close",
+                icon: "fas fa-check",
+                label: "Close",
+                default: true
+            }
+        ],
+        rejectClose: false
+    });
+}
+
+/**
+ * Shows the translations of a journal that were held back because they look broken, with the
+ * problems found in each, and lets the user apply them anyway.
+ *
+ * @param {JournalEntry} journal - The journal the pages belong to
+ * @param {Array<{page: JournalEntryPage, problems: string[], translation: string}>} heldBack - The held back pages,
+ *   the problems found and their translations
+ * @returns {Promise<Array>} Promise resolving to the pages to apply anyway
+ */
+export async function showTranslationReview(journal, heldBack) {
+    const rows = heldBack.map(({ page, problems, translation }, index) => {
+        const preview = escapeText(translation.length > 300 ? `${translation.slice(0, 300)}...` : translation);
+        return `
+            <div style="margin-bottom: 8px; padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px;">
+                <label style="display: flex; align-items: center; cursor: pointer; font-weight: bold;">
+                    <input type="checkbox" data-page-index="${index}" style="margin-right: 8px;">
+                    ${page.name || 'Unnamed'}
+                </label>
+                <ul style="font-size: 12px; color: #c00; margin: 4px 0;">
+                    ${problems.map(problem => `<li>${escapeText(problem)}</li>`).join('')}
+                </ul>
+                <pre style="font-size: 11px; color: #666; white-space: pre-wrap; max-height: 80px; overflow-y: auto; margin: 0;">${preview}</pre>
+            </div>
+        `;
+    }).join('');
+
+    const content = `
+        <p>The translation of ${heldBack.length} page${heldBack.length > 1 ? 's' : ''} of "${journal.name}" looks broken and was held back:</p>
+        <div style="max-height: 300px; overflow-y: auto; margin: 8px 0;">
+            ${rows}
+        </div>
+        <p style="font-size: 12px; color: #666;">
+            Check the pages to apply anyway. The others are reported as failed and can be translated again.
+        </p>
+    `;
+
+    const approved = await foundry.applications.api.DialogV2.wait({
+        window: { title: `Review Translations - ${journal.name}` },
+        content,
+        buttons: [
+            {
+                action: "apply",
+                icon: "fas fa-check",
+                label: "Apply Checked",
+                callback: (event, button, dialog) => {
+                    const checkboxes = dialog.element.querySelectorAll('input[type="checkbox"]:checked');
+                    return [...checkboxes].map(cb => heldBack[parseInt(cb.dataset.pageIndex)].page);
+                }
+            },
+            {
+                action: "holdBack",
+                icon: "fas fa-ban",
+                label: "Apply None",
+                callback: () => []
+            }
+        ],
+        default: "holdBack",
+        rejectClose: false
+    });
+
+    return approved ?? [];
+}
+
 /**
  * Returns all journals inside a folder, optionally including those in subfolders.
  * @param {string} folderId - The ID of the folder to search.
@@ -316,7 +448,7 @@ export function getJournalsInFolder(folderId, recursive) {
 
 /**
  * Shows a scrollable selection dialog listing all journals and their pages from a folder.
- * Untranslated pages are pre-checked; completed pages are unchecked; in-progress pages are disabled.
+ * Untranslated and outdated pages are pre-checked; completed pages are unchecked; in-progress pages are disabled.
  *
  * @param {Folder} folder - The source folder (used for the dialog title).
  * @param {JournalEntry[]} journals - Journals to display.
@@ -335,11 +467,13 @@ export async function showFolderSelectionDialog(folder, journals) {
         return [];
     }
 
+    const outdatedPages = await findOutdatedPages(journalData.flatMap(({ pages }) => pages));
+
     const fieldsets = journalData.map(({ journal, pages }, jIndex) => {
         const pageRows = pages.map((page, pIndex) => {
             const flags = getTranslationFlags(page);
             const isDisabled = flags.queued && !flags.completed;
-            const isCompleted = flags.completed;
+            const isCompleted = flags.completed && !outdatedPages.has(page);
 
             const attrs = isDisabled
                 ? `disabled style="margin-right:6px;opacity:0.5;"`
@@ -353,7 +487,11 @@ export async function showFolderSelectionDialog(folder, journals) {
                 ? `<span style="margin-left:6px;font-size:11px;color:orange;">(in progress)</span>`
                 : isCompleted
                     ? `<span style="margin-left:6px;font-size:11px;color:#888;">(translated)</span>`
-                    : '';
+                    : outdatedPages.has(page)
+                        ? `<span style="margin-left:6px;font-size:11px;color:#1f6feb;">(outdated: ${OUTDATED_LABELS[outdatedPages.get(page)]})</span>`
+                        : flags.error
+                            ? `<span style="margin-left:6px;font-size:11px;color:#c00;" title="${escapeText(flags.error.message)}">(failed: ${escapeText(flags.error.code)})</span>`
+                            : '';
 
             return `
                 <div style="margin-bottom:4px;">
@@ -423,3 +561,12 @@ export async function showFolderSelectionDialog(folder, journals) {
 
     return selected ?? [];
 }
+
+/**
+ * Escapes text for use in HTML content and attributes, e.g. error messages quoted from a provider.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+export function escapeText(text) {
+    return String(text ?? "").replaceAll("&", "&amp;").replaceAll("<", "&lt;").replaceAll(">", "&gt;").replaceAll('"', "&quot;");
+}
@@ -0,0 +1,294 @@
+/**
+ * Tests for anthropic-batch.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { anthropicBatchProvider, normalizeMessageBatch, readMessageBatchResults, readMessageBatchErrors } from '../src/anthropic-batch.js';
+import { getProvider } from '../src/translation-providers.js';
+import { TITLE_INSTRUCTION } from '../src/page-titles.js';
+import { PLACEHOLDER_INSTRUCTION } from '../src/placeholders.js';
+
+// Builds a response whose body streams the given chunks
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => queue.length > 0
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined }
+      })
+    }
+  };
+}
+
+function succeededLine(customId, text) {
+  return JSON.stringify({
+    custom_id: customId,
+    result: { type: 'succeeded', message: { content: [{ type: 'text', text }] } }
+  }) + '\n';
+}
+
+const anthropicHeaders = {
+  'x-api-key': 'sk-ant-key',
+  'anthropic-version': '2023-06-01',
+  'anthropic-dangerous-direct-browser-access': 'true'
+};
+
+describe('anthropic-batch.js', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = {
+      anthropicApiKey: ' sk-ant-key ',
+      anthropicModel: 'claude-sonnet-4-5',
+      anthropicMaxTokens: 8192,
+      customPrompt: 'Translate to French',
+      systemPrompt: 'You are a translator',
+      pollingDelay: 30,
+      maxPollingAttempts: 120
+    };
+    game.settings.get.mockImplementation((moduleId, setting) => settings[setting]);
+  });
+
+  it('should register itself', () => {
+    expect(getProvider('anthropic-batch')).toBe(anthropicBatchProvider);
+  });
+
+  describe('validate', () => {
+    it('should accept a complete configuration', () => {
+      expect(anthropicBatchProvider.validate()).toBeNull();
+    });
+
+    it('should require the API key and model', () => {
+      settings.anthropicModel = '';
+      expect(anthropicBatchProvider.validate()).toBe('Anthropic model is missing. Please enter the model name in the module settings.');
+
+      settings.anthropicApiKey = '';
+      expect(anthropicBatchProvider.validate()).toBe('Anthropic API Key is missing. Please enter your API key in the module settings.');
+    });
+  });
+
+  describe('submit', () => {
+    it('should create a message batch with one request per text', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ id: 'msgbatch_123', processing_status: 'in_progress', request_counts: { processing: 2 } })
+      });
+
+      const batchJob = await anthropicBatchProvider.submit(['Hello', 'World']);
+
+      expect(fetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages/batches', expect.objectContaining({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...anthropicHeaders }
+      }));
+      const { requests } = JSON.parse(fetch.mock.calls[0][1].body);
+      expect(requests).toHaveLength(2);
+      expect(requests[1]).toEqual({
+        custom_id: 'request-1',
+        params: {
+          model: 'claude-sonnet-4-5',
+          max_tokens: 8192,
+          system: `You are a translator\n\n${TITLE_INSTRUCTION}\n\n${PLACEHOLDER_INSTRUCTION}`,
+          messages: [{ role: 'user', content: 'Translate to French\n\n---\n\nWorld' }]
+        }
+      });
+      expect(batchJob.id).toBe('msgbatch_123');
+      expect(batchJob.status).toBe('in_progress');
+    });
+
+    it('should throw with the API error message', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ type: 'error', error: { type: 'invalid_request_error', message: 'Bad model' } })
+      });
+
+      await expect(anthropicBatchProvider.submit(['Hello'])).rejects.toThrow('Batch Creation Failed: Bad model');
+    });
+
+    it('should not retry a server error, which may already have created the batch', async () => {
+      settings.transientFailureRetries = 3;
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 500,
+        headers: new Headers({ 'retry-after-ms': '0' }),
+        json: () => Promise.resolve({ type: 'error', error: { type: 'api_error', message: 'Internal server error' } })
+      });
+
+      await expect(anthropicBatchProvider.submit(['Hello'])).rejects.toThrow('Batch Creation Failed: Internal server error');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('normalizeMessageBatch', () => {
+    it('should map processing statuses to the OpenAI vocabulary', () => {
+      expect(normalizeMessageBatch({ processing_status: 'in_progress' }).status).toBe('in_progress');
+      expect(normalizeMessageBatch({ processing_status: 'canceling' }).status).toBe('cancelling');
+    });
+
+    it('should treat an ended batch with successful requests as completed', () => {
+      const batch = normalizeMessageBatch({
+        processing_status: 'ended',
+        request_counts: { processing: 0, succeeded: 3, errored: 1, canceled: 0, expired: 1 }
+      });
+
+      expect(batch.status).toBe('completed');
+      expect(batch.request_counts).toEqual({ total: 5, completed: 3, failed: 2 });
+    });
+
+    it('should treat ended batches without successful requests as cancelled or failed', () => {
+      expect(normalizeMessageBatch({
+        processing_status: 'ended',
+        request_counts: { processing: 0, succeeded: 0, errored: 1, canceled: 2, expired: 0 }
+      }).status).toBe('cancelled');
+      expect(normalizeMessageBatch({
+        processing_status: 'ended',
+        request_counts: { processing: 0, succeeded: 0, errored: 2, canceled: 0, expired: 0 }
+      }).status).toBe('failed');
+    });
+  });
+
+  describe('poll', () => {
+    it('should return the batch once it has ended', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({
+          id: 'msgbatch_123',
+          processing_status: 'ended',
+          request_counts: { processing: 0, succeeded: 1, errored: 0, canceled: 0, expired: 0 },
+          results_url: 'https://api.anthropic.com/v1/messages/batches/msgbatch_123/results'
+        })
+      });
+
+      const batch = await anthropicBatchProvider.poll('msgbatch_123');
+
+      expect(fetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages/batches/msgbatch_123', {
+        headers: anthropicHeaders
+      });
+      expect(batch.status).toBe('completed');
+    });
+
+    it('should report a polling error whose body is not JSON', async () => {
+      global.fetch.mockResolvedValueOnce(new Response('upstream connect error', { status: 502, statusText: 'Bad Gateway' }));
+
+      await expect(anthropicBatchProvider.poll('msgbatch_123')).rejects.toThrow('Polling Error: upstream connect error');
+      expect(ui.notifications.error).toHaveBeenCalledWith('Failed to poll batch status: upstream connect error');
+    });
+  });
+
+  describe('fetchResults', () => {
+    it('should stream the results file and map custom IDs to text', async () => {
+      const line = succeededLine('request-0', 'Bonjour');
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        line.slice(0, 20),
+        line.slice(20) + succeededLine('request-1', 'Monde')
+      ]));
+
+      const results = await anthropicBatchProvider.fetchResults({
+        results_url: 'https://api.anthropic.com/v1/messages/batches/msgbatch_123/results'
+      });
+
+      expect(fetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages/batches/msgbatch_123/results', {
+        headers: anthropicHeaders
+      });
+      expect(results.get('request-0')).toBe('Bonjour');
+      expect(results.get('request-1')).toBe('Monde');
+    });
+
+    it('should keep the token usage of each succeeded request', async () => {
+      const line = JSON.stringify({
+        custom_id: 'request-0',
+        result: {
+          type: 'succeeded',
+          message: { model: 'claude-sonnet-4-5-20250929', content: [{ type: 'text', text: 'Bonjour' }], usage: { input_tokens: 30, output_tokens: 12 } }
+        }
+      });
+
+      const results = await readMessageBatchResults(createStreamResponse([line, '\n', succeededLine('request-1', 'Monde')]));
+
+      expect(results.usage).toEqual(new Map([['request-0', { promptTokens: 30, completionTokens: 12, model: 'claude-sonnet-4-5-20250929' }]]));
+    });
+
+    it('should skip requests that did not succeed', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const errored = JSON.stringify({
+        custom_id: 'request-1',
+        result: { type: 'errored', error: { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } } }
+      });
+
+      const results = await readMessageBatchResults(createStreamResponse([
+        succeededLine('request-0', 'Bonjour'),
+        errored
+      ]));
+
+      expect(results.size).toBe(1);
+      expect(consoleError).toHaveBeenCalledWith('Journal Translator | Request request-1 errored:', 'Overloaded');
+      consoleError.mockRestore();
+    });
+  });
+
+  describe('fetchErrors', () => {
+    it('should collect errored, expired and canceled requests', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        succeededLine('request-0', 'Bonjour'),
+        JSON.stringify({
+          custom_id: 'request-1',
+          result: { type: 'errored', error: { type: 'error', error: { type: 'invalid_request_error', message: 'prompt is too long' } } }
+        }) + '\n',
+        JSON.stringify({ custom_id: 'request-2', result: { type: 'expired' } })
+      ]));
+
+      const errors = await anthropicBatchProvider.fetchErrors({
+        results_url: 'https://api.anthropic.com/v1/messages/batches/msgbatch_123/results',
+        request_counts: { total: 3, completed: 1, failed: 2 }
+      });
+
+      expect(errors.size).toBe(2);
+      expect(errors.get('request-1')).toEqual({ code: 'invalid_request_error', message: 'prompt is too long' });
+      expect(errors.get('request-2')).toEqual({ code: 'expired', message: 'The request was expired before it could be processed.' });
+    });
+
+    it('should not download the results again when every request succeeded', async () => {
+      const errors = await anthropicBatchProvider.fetchErrors({
+        results_url: 'https://api.anthropic.com/v1/messages/batches/msgbatch_123/results',
+        request_counts: { total: 2, completed: 2, failed: 0 }
+      });
+
+      expect(errors.size).toBe(0);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should ignore successful lines', async () => {
+      const errors = await readMessageBatchErrors(createStreamResponse([succeededLine('request-0', 'Bonjour')]));
+
+      expect(errors.size).toBe(0);
+    });
+  });
+
+  describe('cancel', () => {
+    it('should post to the cancel endpoint', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ id: 'msgbatch_123', processing_status: 'canceling' })
+      });
+
+      const batch = await anthropicBatchProvider.cancel('msgbatch_123');
+
+      expect(fetch).toHaveBeenCalledWith('https://api.anthropic.com/v1/messages/batches/msgbatch_123/cancel', {
+        method: 'POST',
+        headers: anthropicHeaders
+      });
+      expect(batch.status).toBe('cancelling');
+    });
+
+    it('should report the HTTP status when the error has no body', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(null, { status: 404, statusText: 'Not Found' }));
+
+      await expect(anthropicBatchProvider.cancel('msgbatch_123')).rejects.toThrow('Batch Cancellation Failed: HTTP 404 Not Found');
+    });
+  });
+});
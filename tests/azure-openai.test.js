@@ -0,0 +1,118 @@
+/**
+ * Tests for azure-openai.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { azureOpenAIProvider } from '../src/azure-openai.js';
+
+describe('azure-openai.js', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = {
+      azureEndpoint: 'https://my-resource.openai.azure.com/',
+      azureApiKey: 'azure-key',
+      azureDeployment: 'gpt-4o-batch',
+      azureApiVersion: '2024-10-21',
+      customPrompt: 'Translate to French',
+      systemPrompt: 'You are a translator',
+      pollingDelay: 30,
+      maxPollingAttempts: 120
+    };
+    game.settings.get.mockImplementation((moduleId, setting) => settings[setting]);
+  });
+
+  describe('validate', () => {
+    it('should accept a complete configuration', () => {
+      expect(azureOpenAIProvider.validate()).toBeNull();
+    });
+
+    it('should require the deployment name', () => {
+      settings.azureDeployment = '  ';
+
+      expect(azureOpenAIProvider.validate()).toBe('Azure OpenAI deployment name is missing. Please enter the name of your batch deployment in the module settings.');
+    });
+
+    it('should require the endpoint and API key', () => {
+      settings.azureApiKey = '';
+      expect(azureOpenAIProvider.validate()).toBe('Azure OpenAI API Key is missing. Please enter your API key in the module settings.');
+
+      settings.azureEndpoint = '';
+      expect(azureOpenAIProvider.validate()).toBe('Azure OpenAI endpoint is missing. Please enter your resource URL in the module settings.');
+    });
+
+    it('should reject endpoints that are not https URLs', () => {
+      settings.azureEndpoint = 'my-resource.openai.azure.com';
+
+      expect(azureOpenAIProvider.validate()).toBe('Azure OpenAI endpoint "my-resource.openai.azure.com" is not a valid https URL.');
+    });
+
+    it('should validate endpoints in browsers without URL.parse', () => {
+      const parse = URL.parse;
+      delete URL.parse;
+      try {
+        settings.azureEndpoint = 'not a url';
+        expect(azureOpenAIProvider.validate()).toBe('Azure OpenAI endpoint "not a url" is not a valid https URL.');
+        settings.azureEndpoint = 'https://my-resource.openai.azure.com';
+        expect(azureOpenAIProvider.validate()).toBeNull();
+      } finally {
+        URL.parse = parse;
+      }
+    });
+  });
+
+  describe('batch steps', () => {
+    it('should upload and create the batch through the Azure routes with the deployment as model', async () => {
+      let uploadedFile;
+      global.fetch
+        .mockImplementationOnce(async (url, options) => {
+          uploadedFile = options.body.get('file');
+          return { ok: true, json: () => Promise.resolve({ id: 'file-123' }) };
+        })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'batch-123' }) });
+
+      const batchJob = await azureOpenAIProvider.submit(['Hello']);
+
+      expect(fetch).toHaveBeenNthCalledWith(1, 'https://my-resource.openai.azure.com/openai/files?api-version=2024-10-21', expect.objectContaining({
+        method: 'POST',
+        headers: { 'api-key': 'azure-key' }
+      }));
+      expect(fetch).toHaveBeenNthCalledWith(2, 'https://my-resource.openai.azure.com/openai/batches?api-version=2024-10-21', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'api-key': 'azure-key' },
+        body: JSON.stringify({ input_file_id: 'file-123', endpoint: '/chat/completions', completion_window: '24h' })
+      });
+
+      const request = JSON.parse(uploadedFile.parts[0]);
+      expect(request.url).toBe('/chat/completions');
+      expect(request.body.model).toBe('gpt-4o-batch');
+      expect(batchJob).toEqual({ id: 'batch-123' });
+    });
+
+    it('should poll and download results through the Azure routes', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'batch-123', status: 'completed', output_file_id: 'file-out' }) })
+        .mockResolvedValueOnce({
+          ok: true,
+          text: () => Promise.resolve('{"custom_id": "request-0", "response": {"body": {"choices": [{"message": {"content": "Bonjour"}}]}}}')
+        });
+
+      const completedBatch = await azureOpenAIProvider.poll('batch-123');
+      const results = await azureOpenAIProvider.fetchResults(completedBatch);
+
+      expect(fetch).toHaveBeenNthCalledWith(1, 'https://my-resource.openai.azure.com/openai/batches/batch-123?api-version=2024-10-21', {
+        headers: { 'api-key': 'azure-key' }
+      });
+      expect(fetch).toHaveBeenNthCalledWith(2, 'https://my-resource.openai.azure.com/openai/files/file-out/content?api-version=2024-10-21', {
+        headers: { 'api-key': 'azure-key' }
+      });
+      expect(results.get('request-0')).toBe('Bonjour');
+    });
+
+    it('should not support immediate translation', () => {
+      expect(azureOpenAIProvider.translate).toBeUndefined();
+    });
+  });
+});
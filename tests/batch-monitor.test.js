@@ -0,0 +1,211 @@
+/**
+ * Tests for batch-monitor.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../src/translation-handlers.js', () => ({
+  attemptBatchRestoration: vi.fn().mockResolvedValue(),
+  cancelTranslationBatch: vi.fn().mockResolvedValue(true),
+  clearTranslationBatch: vi.fn().mockResolvedValue(),
+  notifyBatchMonitored: vi.fn()
+}));
+
+import { BatchMonitor } from '../src/batch-monitor.js';
+import { registerProvider } from '../src/translation-providers.js';
+import { attemptBatchRestoration, cancelTranslationBatch, clearTranslationBatch, notifyBatchMonitored } from '../src/translation-handlers.js';
+import { addBatchToQueue, clearBatchQueue } from '../src/batch-queue.js';
+
+// Builds a page flagged as waiting for the given batch
+function createPage(name, journal, batchId, batchIndex, startedAt) {
+  const flags = {
+    translationBatchId: batchId,
+    translationBatchIndex: batchIndex,
+    translationProvider: 'monitor-provider',
+    translationQueued: true,
+    translationCompleted: false,
+    translationStartedAt: startedAt
+  };
+  return { name, parent: journal, getFlag: vi.fn((moduleId, flagName) => flags[flagName]) };
+}
+
+describe('batch-monitor.js', () => {
+  let provider;
+  let journals;
+  let monitor;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    // The batch queue lives in a world setting
+    const storedSettings = {};
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    game.settings.set.mockImplementation(async (moduleId, key, value) => { storedSettings[key] = value; });
+    await clearBatchQueue();
+
+    provider = {
+      id: 'monitor-provider',
+      label: 'Monitor Provider',
+      validate: vi.fn(() => null),
+      getStatus: vi.fn(async (batchId) => ({
+        id: batchId,
+        status: 'in_progress',
+        request_counts: { total: 4, completed: 1, failed: 0 }
+      }))
+    };
+    registerProvider(provider);
+
+    const now = Date.now();
+    const chapters = { name: 'Chapters', pages: [] };
+    const appendix = { name: 'Appendix', pages: [] };
+    chapters.pages.push(
+      createPage('Chapter 1', chapters, 'batch-new', 0, now - 5 * 60000),
+      createPage('Chapter 2', chapters, 'batch-new', 1, now - 5 * 60000)
+    );
+    appendix.pages.push(createPage('Appendix A', appendix, 'batch-old', 0, now - 3 * 3600000));
+    journals = [chapters, appendix];
+    game.journal[Symbol.iterator] = () => journals[Symbol.iterator]();
+
+    monitor = new BatchMonitor();
+    monitor.render = vi.fn();
+  });
+
+  describe('_prepareContext', () => {
+    it('should list every batch across journals, oldest first, with its remote status', async () => {
+      const { batches } = await monitor._prepareContext();
+
+      expect(batches.map(batch => batch.batchId)).toEqual(['batch-old', 'batch-new']);
+      expect(batches[1]).toEqual(expect.objectContaining({
+        journals: ['Chapters'],
+        providerLabel: 'Monitor Provider',
+        status: 'in_progress',
+        requestCounts: { total: 4, completed: 1, failed: 0 },
+        monitored: false
+      }));
+      expect(batches[1].pages).toHaveLength(2);
+      expect(provider.getStatus).toHaveBeenCalledWith('batch-new');
+    });
+
+    it('should show an unknown status when the status request fails', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      provider.getStatus.mockRejectedValue(new Error('Polling Error: Not found'));
+
+      const { batches } = await monitor._prepareContext();
+
+      expect(batches[0].status).toBe('unknown');
+      expect(batches[0].statusError).toBe('Polling Error: Not found');
+      consoleError.mockRestore();
+    });
+
+    it('should not query providers that are not configured', async () => {
+      provider.validate.mockReturnValue('Monitor Provider is not configured.');
+
+      const { batches } = await monitor._prepareContext();
+
+      expect(provider.getStatus).not.toHaveBeenCalled();
+      expect(batches[0].status).toBe('unknown');
+    });
+  });
+
+  describe('_renderHTML', () => {
+    it('should render a row with journal, pages, status, progress and age for each batch', async () => {
+      await addBatchToQueue('batch-new');
+      const html = await monitor._renderHTML(await monitor._prepareContext());
+
+      expect(html).toContain('<strong>Chapters</strong>');
+      expect(html).toContain('<strong>Appendix</strong>');
+      expect(html).toContain('<progress value="1" max="4"');
+      expect(html).toContain('1/4 requests');
+      expect(html).toContain('5 min');
+      expect(html).toContain('3 h');
+      expect(html).toContain('● Monitored');
+      expect(html).not.toContain('● Monitored by');
+      expect(html).toContain('data-action="cancel" data-batch-id="batch-old"');
+    });
+
+    it('should show the status of all shards of a split job', async () => {
+      const shards = [
+        { batchId: 'batch-old', offset: 0, count: 1 },
+        { batchId: 'batch-old-2', offset: 1, count: 1 }
+      ];
+      journals[1].pages[0].getFlag.mockImplementation((moduleId, flagName) => flagName === 'translationShards'
+        ? shards
+        : { translationBatchId: 'batch-old', translationBatchIndex: 0, translationProvider: 'monitor-provider', translationQueued: true }[flagName]);
+
+      const html = await monitor._renderHTML(await monitor._prepareContext());
+
+      expect(provider.getStatus).toHaveBeenCalledWith('batch-old-2');
+      expect(html).toContain('batch-old · split into 2 batches');
+      expect(html).toContain('<progress value="2" max="8"');
+    });
+
+    it('should escape the status error in the row title', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      provider.getStatus.mockRejectedValue(new Error('Polling Error: "<html>Bad Gateway</html>"'));
+
+      const html = await monitor._renderHTML(await monitor._prepareContext());
+
+      expect(html).toContain('title="Polling Error: &quot;&lt;html&gt;Bad Gateway&lt;/html&gt;&quot;"');
+      expect(html).not.toContain('<html>');
+      consoleError.mockRestore();
+    });
+
+    it('should escape the journal names and provider label', async () => {
+      journals[0].name = '<img src=x onerror=alert(1)>';
+      provider.label = 'Provider <b>"Pro"</b>';
+
+      const html = await monitor._renderHTML(await monitor._prepareContext());
+
+      expect(html).toContain('&lt;img src=x onerror=alert(1)&gt;');
+      expect(html).toContain('Provider &lt;b&gt;&quot;Pro&quot;&lt;/b&gt;');
+      expect(html).not.toContain('<img');
+      expect(html).not.toContain('<b>');
+    });
+
+    it('should say so when there are no batches', async () => {
+      journals = [];
+
+      const html = await monitor._renderHTML(await monitor._prepareContext());
+
+      expect(html).toContain('No translation batches are waiting for results.');
+    });
+  });
+
+  describe('actions', () => {
+    const { actions } = BatchMonitor.DEFAULT_OPTIONS;
+    const target = (batchId) => ({ dataset: { batchId } });
+
+    it('should restore the selected batch with its pages', async () => {
+      await actions.restore.call(monitor, new Event('click'), target('batch-new'));
+
+      expect(attemptBatchRestoration).toHaveBeenCalledWith('batch-new', journals[0].pages);
+      expect(monitor.render).toHaveBeenCalled();
+    });
+
+    it('should not restore a batch that is already monitored', async () => {
+      await addBatchToQueue('batch-new');
+
+      await actions.restore.call(monitor, new Event('click'), target('batch-new'));
+
+      expect(attemptBatchRestoration).not.toHaveBeenCalled();
+      expect(notifyBatchMonitored).toHaveBeenCalledWith('batch-new');
+    });
+
+    it('should cancel the selected batch after confirmation', async () => {
+      foundry.applications.api.DialogV2.confirm.mockResolvedValue(true);
+
+      await actions.cancel.call(monitor, new Event('click'), target('batch-old'));
+
+      expect(cancelTranslationBatch).toHaveBeenCalledWith('batch-old', journals[1].pages);
+    });
+
+    it('should clear the selected batch only after confirmation', async () => {
+      foundry.applications.api.DialogV2.confirm.mockResolvedValue(false);
+      await actions.clear.call(monitor, new Event('click'), target('batch-old'));
+      expect(clearTranslationBatch).not.toHaveBeenCalled();
+
+      foundry.applications.api.DialogV2.confirm.mockResolvedValue(true);
+      await actions.clear.call(monitor, new Event('click'), target('batch-old'));
+      expect(clearTranslationBatch).toHaveBeenCalledWith('batch-old', journals[1].pages);
+    });
+  });
+});
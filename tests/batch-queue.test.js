@@ -0,0 +1,127 @@
+/**
+ * Tests for batch-queue.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  addBatchToQueue,
+  removeBatchFromQueue,
+  isBatchInQueue,
+  isBatchMonitoredHere,
+  getBatchLease,
+  getActiveBatches,
+  clearBatchQueue,
+  renewLeases
+} from '../src/batch-queue.js';
+
+describe('batch-queue.js', () => {
+  let storedSettings;
+
+  // A lease written by another browser tab
+  const foreignLease = (expiresAt) => ({ userId: 'user-2', clientId: 'other-client', heartbeat: expiresAt - 120000, expiresAt });
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    storedSettings = {};
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    game.settings.set.mockImplementation(async (moduleId, key, value) => { storedSettings[key] = value; });
+    game.user = { id: 'user-1' };
+    await clearBatchQueue();
+    game.settings.set.mockClear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete game.user;
+  });
+
+  describe('addBatchToQueue', () => {
+    it('should store a lease for the batch in the world setting', async () => {
+      expect(await addBatchToQueue('batch-1')).toBe(true);
+
+      expect(isBatchInQueue('batch-1')).toBe(true);
+      expect(isBatchMonitoredHere('batch-1')).toBe(true);
+      expect(getBatchLease('batch-1')).toEqual(expect.objectContaining({ userId: 'user-1' }));
+      expect(game.settings.set).toHaveBeenCalledWith('foundry-translation', 'batchQueue', expect.objectContaining({ 'batch-1': expect.any(Object) }));
+    });
+
+    it('should not take a batch monitored by another client', async () => {
+      storedSettings.batchQueue = { 'batch-1': foreignLease(Date.now() + 60000) };
+
+      expect(await addBatchToQueue('batch-1')).toBe(false);
+
+      expect(isBatchInQueue('batch-1')).toBe(true);
+      expect(isBatchMonitoredHere('batch-1')).toBe(false);
+      expect(getBatchLease('batch-1').userId).toBe('user-2');
+    });
+
+    it('should reclaim an expired lease', async () => {
+      storedSettings.batchQueue = { 'batch-1': foreignLease(Date.now() - 1000) };
+      expect(isBatchInQueue('batch-1')).toBe(false);
+
+      expect(await addBatchToQueue('batch-1')).toBe(true);
+
+      expect(getBatchLease('batch-1').userId).toBe('user-1');
+      expect(isBatchMonitoredHere('batch-1')).toBe(true);
+    });
+
+    it('should keep every lease when several batches are added at once', async () => {
+      await Promise.all([addBatchToQueue('batch-1'), addBatchToQueue('batch-2'), addBatchToQueue('batch-3')]);
+
+      expect(getActiveBatches()).toEqual(['batch-1', 'batch-2', 'batch-3']);
+    });
+
+    it('should still monitor locally when the world setting cannot be written', async () => {
+      const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      game.settings.set.mockRejectedValue(new Error('You do not have permission to modify this setting.'));
+
+      expect(await addBatchToQueue('batch-1')).toBe(true);
+
+      expect(isBatchMonitoredHere('batch-1')).toBe(true);
+      consoleWarn.mockRestore();
+    });
+  });
+
+  describe('removeBatchFromQueue', () => {
+    it('should release the lease of this client', async () => {
+      await addBatchToQueue('batch-1');
+
+      await removeBatchFromQueue('batch-1');
+
+      expect(isBatchInQueue('batch-1')).toBe(false);
+      expect(storedSettings.batchQueue).toEqual({});
+    });
+
+    it('should leave the leases of other clients alone', async () => {
+      storedSettings.batchQueue = { 'batch-1': foreignLease(Date.now() + 60000) };
+
+      await removeBatchFromQueue('batch-1');
+
+      expect(isBatchInQueue('batch-1')).toBe(true);
+      expect(game.settings.set).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should renew the leases of this client periodically', async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+      await addBatchToQueue('batch-1');
+      const { expiresAt } = getBatchLease('batch-1');
+
+      await vi.advanceTimersByTimeAsync(30000);
+
+      expect(getBatchLease('batch-1').expiresAt).toBe(expiresAt + 30000);
+    });
+
+    it('should give up a lease taken over by another client', async () => {
+      await addBatchToQueue('batch-1');
+      storedSettings.batchQueue = { 'batch-1': foreignLease(Date.now() + 60000) };
+
+      await renewLeases();
+
+      expect(isBatchMonitoredHere('batch-1')).toBe(false);
+      expect(getBatchLease('batch-1').userId).toBe('user-2');
+    });
+  });
+});
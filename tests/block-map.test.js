@@ -0,0 +1,172 @@
+/**
+ * Tests for block-map.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SEPARATOR, alignBlocks, getBlockMap, getBlockUpdate, getRequestContents, getSourceContent, planBlockUpdate, spliceBlockTranslation } from '../src/block-map.js';
+import { getSettingsHash } from '../src/stale-translations.js';
+
+const provider = { id: 'openai-batch', getModel: () => 'gpt-4o' };
+const pageTitle = '<h1 class="journal-translator-page-title">Page 1</h1>';
+
+// Builds a page with the given content and translation flags
+function createPage(content, flags = {}, uuid = 'JournalEntry.journal1.JournalEntryPage.page1') {
+  return { uuid, name: 'Page 1', text: { content }, getFlag: vi.fn((moduleId, flagName) => flags[flagName]) };
+}
+
+// Marks a page as translated with the given mode and content, as completeTranslation does
+async function completePage(content, mode, uuid) {
+  const flags = { translationCompleted: true, translationSettingsHash: await getSettingsHash(provider) };
+  const page = createPage(content, flags, uuid);
+  flags.translationBlockMap = await getBlockMap(page, mode);
+  return page;
+}
+
+describe('block-map.js', () => {
+  let storedSettings;
+  const originalJournal = game.journal;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedSettings = { translationMode: 'append', systemPrompt: 'You are a translator' };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+  });
+
+  afterEach(() => {
+    game.journal = originalJournal;
+  });
+
+  describe('alignBlocks', () => {
+    it('should keep the longest run of unchanged blocks in order', () => {
+      expect(alignBlocks(['a', 'b', 'c'], ['a', 'x', 'c', 'd'])).toEqual([0, null, 2, null]);
+      expect(alignBlocks(['a', 'b', 'c'], ['c', 'a', 'b'])).toEqual([null, 0, 1]);
+      expect(alignBlocks([], ['a'])).toEqual([null]);
+    });
+  });
+
+  describe('getRequestContents', () => {
+    it('should number the blocks of whole pages in the modes that keep the original', () => {
+      const page = createPage('<p>One</p><h2>Two</h2>');
+
+      expect(getRequestContents([page], () => null, [null])).toEqual([pageTitle + '<p data-translation-block="0">One</p><h2 data-translation-block="1">Two</h2>']);
+
+      storedSettings.translationMode = 'replace';
+      expect(getRequestContents([page], () => null, [null])).toEqual([pageTitle + '<p>One</p><h2>Two</h2>']);
+    });
+
+    it('should leave content with text outside of blocks unnumbered', () => {
+      const page = createPage('Loose text<p>One</p>');
+
+      expect(getRequestContents([page], () => null, [null])).toEqual([pageTitle + 'Loose text<p>One</p>']);
+    });
+  });
+
+  describe('getSourceContent', () => {
+    it('should leave out the translation a page already holds, on the side of the mode it was applied with', async () => {
+      const appended = await completePage('<p>One</p>' + SEPARATOR + '<p data-translation-block="0">Jeden</p>', 'append');
+      const prepended = await completePage('<p data-translation-block="0">Jeden</p>' + SEPARATOR + '<p>One</p>', 'prepend');
+
+      expect(getSourceContent(appended)).toBe('<p>One</p>');
+      expect(getSourceContent(prepended)).toBe('<p>One</p>');
+      expect(getSourceContent(createPage('<p>One</p>'))).toBe('<p>One</p>');
+    });
+
+    it('should only send the original of a page translated whole again', async () => {
+      const page = await completePage('<p>One</p>' + SEPARATOR + '<p data-translation-block="0">Jeden</p>', 'append');
+
+      expect(getRequestContents([page], () => null, [null])).toEqual([pageTitle + '<p data-translation-block="0">One</p>']);
+    });
+  });
+
+  describe('appended translations', () => {
+    const translation = '<p data-translation-block="0">Jeden</p><p data-translation-block="1">Dwa</p><p data-translation-block="2">Trzy</p>';
+    let page;
+
+    beforeEach(async () => {
+      page = await completePage('<p>One</p><p>Two</p><p>Three</p>' + SEPARATOR + translation, 'append');
+    });
+
+    it('should send only the changed and added blocks, without the titles', async () => {
+      page.text.content = '<p>One</p><p>Two, edited</p><p>Three</p><p>Four</p>' + SEPARATOR + translation;
+
+      const matches = await planBlockUpdate(page, provider);
+
+      expect(matches).toEqual([0, null, 2, null]);
+      expect(getRequestContents([page], () => null, [matches])).toEqual([
+        '<p data-translation-block="1">Two, edited</p><p data-translation-block="3">Four</p>'
+      ]);
+    });
+
+    it('should splice the translated blocks between the kept ones', async () => {
+      page.text.content = '<p>Zero</p><p>One</p><p>Three</p>' + SEPARATOR + translation;
+      const update = getBlockUpdate(page, await planBlockUpdate(page, provider));
+
+      expect(spliceBlockTranslation(update, '<p data-translation-block="0">Zero PL</p>')).toBe(
+        '<p>Zero</p><p>One</p><p>Three</p>' + SEPARATOR +
+        '<p data-translation-block="0">Zero PL</p><p data-translation-block="1">Jeden</p><p data-translation-block="2">Trzy</p>'
+      );
+    });
+
+    it('should fail when the provider dropped the number of a changed block', async () => {
+      page.text.content = '<p>One</p><p>Two, edited</p><p>Three</p>' + SEPARATOR + translation;
+      const update = getBlockUpdate(page, await planBlockUpdate(page, provider));
+
+      expect(spliceBlockTranslation(update, '<p>Dwa, zmienione</p>')).toBeNull();
+    });
+
+    it('should translate the page whole when the settings have changed', async () => {
+      page.text.content = '<p>One</p><p>Two, edited</p><p>Three</p>' + SEPARATOR + translation;
+      storedSettings.systemPrompt = 'You are a literary translator';
+
+      expect(await planBlockUpdate(page, provider)).toBeNull();
+    });
+  });
+
+  describe('prepended translations', () => {
+    it('should keep the translation before the original', async () => {
+      const translation = '<p data-translation-block="0">Jeden</p><p data-translation-block="1">Dwa</p>';
+      const page = await completePage(translation + SEPARATOR + '<p>One</p><p>Two</p>', 'prepend');
+      page.text.content = translation + SEPARATOR + '<p>One, edited</p><p>Two</p>';
+      const update = getBlockUpdate(page, await planBlockUpdate(page, provider));
+
+      expect(spliceBlockTranslation(update, '<p data-translation-block="0">Jeden, zmienione</p>')).toBe(
+        '<p data-translation-block="0">Jeden, zmienione</p><p data-translation-block="1">Dwa</p>' + SEPARATOR + '<p>One, edited</p><p>Two</p>'
+      );
+    });
+  });
+
+  describe('translations in a new journal', () => {
+    it('should update the translated page the original was translated into', async () => {
+      const page = await completePage('<p>One</p><p>Two</p>', 'new');
+      const translatedPage = createPage('<p data-translation-block="0">Jeden</p><p data-translation-block="1">Dwa</p>', {
+        translationSourceUuid: page.uuid
+      }, 'JournalEntry.journal2.JournalEntryPage.page1');
+      game.journal = [{ pages: [translatedPage] }];
+      page.text.content = '<p>One</p><p>Two, edited</p>';
+
+      const update = getBlockUpdate(page, await planBlockUpdate(page, provider));
+
+      expect(update.target).toBe(translatedPage);
+      expect(spliceBlockTranslation(update, '<p data-translation-block="1">Dwa, zmienione</p>')).toBe(
+        '<p data-translation-block="0">Jeden</p><p data-translation-block="1">Dwa, zmienione</p>'
+      );
+    });
+
+    it('should translate the page whole when its translated page is gone', async () => {
+      const page = await completePage('<p>One</p><p>Two</p>', 'new');
+      game.journal = [];
+      page.text.content = '<p>One</p><p>Two, edited</p>';
+
+      expect(await planBlockUpdate(page, provider)).toBeNull();
+    });
+  });
+
+  describe('getBlockMap', () => {
+    it('should only map pages translated with a mode that keeps the original', async () => {
+      const page = createPage('<p>One</p><p>Two</p>');
+
+      expect((await getBlockMap(page, 'new')).hashes).toHaveLength(2);
+      expect(await getBlockMap(page, 'replace')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for cost-estimate.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { parseModelPrices, findModelPrice, calculateCost, estimateTranslationCost, renderCostEstimate } from '../src/cost-estimate.js';
+import { getRequestPrompt } from '../src/translation-providers.js';
+import { getTitledContents } from '../src/page-titles.js';
+import { splitIntoChunks } from '../src/page-chunks.js';
+
+describe('cost-estimate.js', () => {
+  let settings;
+  let provider;
+
+  // A page whose content is the given number of characters long
+  const createPage = (name, length) => ({ name, text: { content: 'x'.repeat(length) } });
+
+  // The length of a page's content with its title heading, as it is sent
+  const titledLength = (name, length) => getTitledContents([createPage(name, length)], () => null)[0].length;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    settings = {
+      systemPrompt: 's'.repeat(60),
+      customPrompt: 'c'.repeat(40),
+      modelPrices: 'gpt-4o=2.50/10.00',
+      batchDiscount: 50,
+      processingMode: 'batch',
+      pageChunkSizes: '*=0'
+    };
+    game.settings.get.mockImplementation((moduleId, key) => settings[key]);
+    provider = { id: 'openai-batch', submit: vi.fn(), translate: vi.fn(), getModel: () => 'gpt-4o' };
+  });
+
+  describe('parseModelPrices', () => {
+    it('should read model=input/output prices', () => {
+      expect(parseModelPrices('gpt-4o=2.50/10.00,\nclaude-sonnet-4-5 = 3 / 15')).toEqual(new Map([
+        ['gpt-4o', { input: 2.5, output: 10 }],
+        ['claude-sonnet-4-5', { input: 3, output: 15 }]
+      ]));
+    });
+
+    it('should ignore invalid entries', () => {
+      expect(parseModelPrices('gpt-4o=2.50, mini=cheap/free, =1/2')).toEqual(new Map());
+      expect(parseModelPrices(undefined)).toEqual(new Map());
+    });
+  });
+
+  describe('findModelPrice', () => {
+    const prices = parseModelPrices('gpt-4o=2.50/10.00, gpt-4o-mini=0.15/0.60, claude-sonnet-4-5=3/15');
+
+    it('should use the price of the model a dated snapshot belongs to', () => {
+      expect(findModelPrice(prices, 'gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+      expect(findModelPrice(prices, 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+      expect(findModelPrice(prices, 'claude-sonnet-4-5-20250929')).toEqual({ input: 3, output: 15 });
+    });
+
+    it('should not mistake a different model for a snapshot', () => {
+      expect(findModelPrice(prices, 'gpt-4o-audio-preview')).toBeNull();
+      expect(findModelPrice(prices, undefined)).toBeNull();
+    });
+  });
+
+  describe('calculateCost', () => {
+    it('should price tokens per million and apply the batch discount to batches only', () => {
+      expect(calculateCost('gpt-4o', 1000000, 100000, false)).toBeCloseTo(3.5);
+      expect(calculateCost('gpt-4o', 1000000, 100000, true)).toBeCloseTo(1.75);
+    });
+
+    it('should return null for models without a price', () => {
+      expect(calculateCost('llama3.1', 1000, 1000, false)).toBeNull();
+    });
+  });
+
+  describe('estimateTranslationCost', () => {
+    it('should estimate the tokens of each page including the prompts and title headings', () => {
+      const promptLength = getRequestPrompt().length;
+      const introLength = titledLength('Intro', 400);
+      const dungeonLength = titledLength('Dungeon', 4000);
+
+      const estimate = estimateTranslationCost([createPage('Intro', 400), createPage('Dungeon', 4000)], provider);
+
+      expect(estimate.pages).toEqual([
+        expect.objectContaining({ name: 'Intro', inputTokens: Math.ceil((introLength + promptLength) / 4), outputTokens: Math.ceil(introLength / 4) }),
+        expect.objectContaining({ name: 'Dungeon', inputTokens: Math.ceil((dungeonLength + promptLength) / 4), outputTokens: Math.ceil(dungeonLength / 4) })
+      ]);
+      expect(estimate.inputTokens).toBe(estimate.pages[0].inputTokens + estimate.pages[1].inputTokens);
+      expect(estimate.outputTokens).toBe(estimate.pages[0].outputTokens + estimate.pages[1].outputTokens);
+    });
+
+    it('should measure the prompts as they are sent', () => {
+      const prompt = getRequestPrompt();
+
+      expect(prompt).toContain(settings.systemPrompt);
+      expect(prompt).toContain(`${settings.customPrompt}\n\n---\n\n`);
+      expect(prompt.length).toBeGreaterThan(settings.systemPrompt.length + settings.customPrompt.length);
+    });
+
+    it('should apply the batch discount to the model price', () => {
+      const estimate = estimateTranslationCost([createPage('Dungeon', 4000)], provider);
+      const { inputTokens, outputTokens } = estimate.pages[0];
+
+      expect(estimate.batch).toBe(true);
+      expect(estimate.discount).toBe(50);
+      expect(estimate.cost).toBeCloseTo((inputTokens * 2.5 + outputTokens * 10) / 1e6 / 2);
+    });
+
+    it('should not apply the discount to immediate translations', () => {
+      settings.processingMode = 'immediate';
+
+      const estimate = estimateTranslationCost([createPage('Dungeon', 4000)], provider);
+      const { inputTokens, outputTokens } = estimate.pages[0];
+
+      expect(estimate.batch).toBe(false);
+      expect(estimate.cost).toBeCloseTo((inputTokens * 2.5 + outputTokens * 10) / 1e6);
+    });
+
+    it('should count the prompts once per chunk of a split page', () => {
+      settings.pageChunkSizes = '*=50';
+      const page = { name: 'Key', text: { content: '<p>' + 'a'.repeat(40) + '</p><p>' + 'b'.repeat(40) + '</p>' } };
+      const chunks = splitIntoChunks(getTitledContents([page], () => null)[0], 50);
+      const contentLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+
+      const [estimate] = estimateTranslationCost([page], provider).pages;
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(estimate.inputTokens).toBe(Math.ceil((contentLength + getRequestPrompt().length * chunks.length) / 4));
+    });
+
+    it('should leave the cost empty for models without a price', () => {
+      provider.getModel = () => 'llama3.1';
+
+      const estimate = estimateTranslationCost([createPage('Intro', 400)], provider);
+
+      expect(estimate.cost).toBeNull();
+      expect(estimate.pages[0].cost).toBeNull();
+    });
+  });
+
+  describe('renderCostEstimate', () => {
+    it('should show the tokens and cost of each page and the total', () => {
+      const html = renderCostEstimate(estimateTranslationCost([createPage('Intro', 400), createPage('Dungeon', 40000)], provider));
+
+      expect(html).toContain('<td>Intro</td>');
+      expect(html).toContain('<td>Dungeon</td>');
+      expect(html).toContain('Total');
+      expect(html).toContain('Estimated cost: <strong>$0.06</strong> with gpt-4o including the 50% batch discount.');
+      expect(html).toContain('$0.0008');
+    });
+
+    it('should escape the page names', () => {
+      const html = renderCostEstimate(estimateTranslationCost([createPage('<img src=x onerror=alert(1)>', 400)], provider));
+
+      expect(html).toContain('<td>&lt;img src=x onerror=alert(1)&gt;</td>');
+      expect(html).not.toContain('<img');
+    });
+
+    it('should point to the price table when the model has no price', () => {
+      provider.getModel = () => 'llama3.1';
+
+      const html = renderCostEstimate(estimateTranslationCost([createPage('Intro', 400)], provider));
+
+      expect(html).not.toContain('<th style="text-align: right;">Cost</th>');
+      expect(html).toContain('No price is configured for llama3.1.');
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Tests for deepl.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { deepLProvider, resolveDeepLTargetLanguage } from '../src/deepl.js';
+
+describe('deepl.js', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = {
+      deeplApiKey: 'deepl-key',
+      deeplTargetLanguage: '',
+      deeplSourceLanguage: '',
+      deeplGlossaryId: '',
+      deeplApiUrl: '',
+      customPrompt: 'Translate to Polish.'
+    };
+    game.settings.get.mockImplementation((moduleId, setting) => settings[setting]);
+  });
+
+  describe('resolveDeepLTargetLanguage', () => {
+    it('should map the language named in the prompt to a DeepL code', () => {
+      expect(resolveDeepLTargetLanguage('Translate to Polish.')).toBe('PL');
+      expect(resolveDeepLTargetLanguage('Translate the following text to English, preserving all original HTML formatting.')).toBe('EN-US');
+      expect(resolveDeepLTargetLanguage('Please translate this into Brazilian Portuguese')).toBe('PT-BR');
+    });
+
+    it('should return null when no known language is named', () => {
+      expect(resolveDeepLTargetLanguage('Translate to Klingon.')).toBeNull();
+      expect(resolveDeepLTargetLanguage('Make it sound archaic.')).toBeNull();
+    });
+  });
+
+  describe('validate', () => {
+    it('should accept a key with a language from the prompt', () => {
+      expect(deepLProvider.validate()).toBeNull();
+    });
+
+    it('should require an API key', () => {
+      settings.deeplApiKey = '';
+
+      expect(deepLProvider.validate()).toBe('DeepL API Key is missing. Please enter your API key in the module settings.');
+    });
+
+    it('should require a target language when the prompt has none', () => {
+      settings.customPrompt = 'Translate to Klingon.';
+
+      expect(deepLProvider.validate()).toBe('Could not determine the DeepL target language from the custom prompt. Please set the DeepL Target Language in the module settings.');
+
+      settings.deeplTargetLanguage = 'de';
+      expect(deepLProvider.validate()).toBeNull();
+    });
+
+    it('should require a source language when a glossary is set', () => {
+      settings.deeplGlossaryId = 'glossary-1';
+
+      expect(deepLProvider.validate()).toBe('DeepL glossaries require a source language. Please set the DeepL Source Language in the module settings.');
+    });
+  });
+
+  describe('translate', () => {
+    it('should send the HTML with tag handling to the Pro API', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ translations: [{ detected_source_language: 'EN', text: '<p>Witaj</p>' }] })
+      });
+
+      const result = await deepLProvider.translate('<p>Hello</p>');
+
+      expect(fetch).toHaveBeenCalledWith('https://api.deepl.com/v2/translate', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'DeepL-Auth-Key deepl-key'
+        },
+        body: JSON.stringify({ text: ['<p>Hello</p>'], target_lang: 'PL', tag_handling: 'html' })
+      });
+      expect(result).toBe('<p>Witaj</p>');
+    });
+
+    it('should use the Free API for :fx keys and pass the glossary', async () => {
+      settings.deeplApiKey = 'deepl-key:fx';
+      settings.deeplSourceLanguage = 'en';
+      settings.deeplGlossaryId = 'glossary-1';
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ translations: [{ text: 'Witaj' }] })
+      });
+
+      await deepLProvider.translate('Hello');
+
+      const [url, options] = fetch.mock.calls[0];
+      expect(url).toBe('https://api-free.deepl.com/v2/translate');
+      expect(JSON.parse(options.body)).toEqual({
+        text: ['Hello'],
+        target_lang: 'PL',
+        tag_handling: 'html',
+        source_lang: 'EN',
+        glossary_id: 'glossary-1'
+      });
+    });
+
+    it('should use a configured API URL', async () => {
+      settings.deeplApiUrl = 'https://proxy.example.com/v2/';
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ translations: [{ text: 'Witaj' }] })
+      });
+
+      await deepLProvider.translate('Hello');
+
+      expect(fetch.mock.calls[0][0]).toBe('https://proxy.example.com/v2/translate');
+    });
+
+    it('should report quota errors', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 456 });
+
+      await expect(deepLProvider.translate('Hello')).rejects.toThrow('DeepL quota exceeded. Your character limit for this billing period has been reached.');
+    });
+
+    it('should include the DeepL message for other errors', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        status: 400,
+        json: () => Promise.resolve({ message: 'Value for \'target_lang\' not supported.' })
+      });
+
+      await expect(deepLProvider.translate('Hello')).rejects.toThrow('DeepL request failed (400): Value for \'target_lang\' not supported.');
+    });
+  });
+});
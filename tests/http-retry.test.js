@@ -0,0 +1,185 @@
+/**
+ * Tests for http-retry.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { fetchWithRetry, getRequestedDelay, parseResetDuration, getBackoffDelay } from '../src/http-retry.js';
+
+function createResponse(status, headers = {}) {
+  return { ok: status >= 200 && status < 300, status, headers: new Headers(headers) };
+}
+
+describe('http-retry.js', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    game.settings.get.mockImplementation((moduleId, setting) => ({ transientFailureRetries: 3 })[setting]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('fetchWithRetry', () => {
+    it('should return successful responses right away', async () => {
+      global.fetch.mockResolvedValueOnce(createResponse(200));
+
+      const response = await fetchWithRetry('https://api.example.com/batches', { method: 'POST' });
+
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(fetch).toHaveBeenCalledWith('https://api.example.com/batches', { method: 'POST' });
+    });
+
+    it('should retry rate limited and unavailable responses', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createResponse(429, { 'Retry-After': '0' }))
+        .mockResolvedValueOnce(createResponse(503, { 'Retry-After': '0' }))
+        .mockResolvedValueOnce(createResponse(200));
+
+      const response = await fetchWithRetry('https://api.example.com/batches/batch-1');
+
+      expect(response.status).toBe(200);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('The translation provider is busy. Retrying in 0 second(s)...');
+    });
+
+    it('should not retry client errors', async () => {
+      global.fetch.mockResolvedValueOnce(createResponse(401));
+
+      const response = await fetchWithRetry('https://api.example.com/batches/batch-1');
+
+      expect(response.status).toBe(401);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return the last response once the consecutive retries are used up', async () => {
+      global.fetch.mockResolvedValue(createResponse(429, { 'Retry-After': '0' }));
+
+      const response = await fetchWithRetry('https://api.example.com/batches/batch-1');
+
+      expect(response.status).toBe(429);
+      expect(fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should retry network errors and rethrow the last one', async () => {
+      vi.useFakeTimers();
+      game.settings.get.mockImplementation(() => 1);
+      global.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+      const request = fetchWithRetry('https://api.example.com/files');
+      const assertion = expect(request).rejects.toThrow('Failed to fetch');
+      await vi.advanceTimersByTimeAsync(1000);
+
+      await assertion;
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should back off exponentially when the provider does not say how long to wait', async () => {
+      vi.useFakeTimers();
+      vi.spyOn(Math, 'random').mockReturnValue(1);
+      global.fetch
+        .mockResolvedValueOnce(createResponse(502))
+        .mockResolvedValueOnce(createResponse(502))
+        .mockResolvedValueOnce(createResponse(200));
+
+      const request = fetchWithRetry('https://api.example.com/files');
+      await vi.advanceTimersByTimeAsync(999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+      await vi.advanceTimersByTimeAsync(2000);
+
+      await expect(request).resolves.toEqual(expect.objectContaining({ status: 200 }));
+      Math.random.mockRestore();
+    });
+
+    it('should retry requests that are not idempotent only when the provider did not process them', async () => {
+      global.fetch
+        .mockResolvedValueOnce(createResponse(429, { 'Retry-After': '0' }))
+        .mockResolvedValueOnce(createResponse(500));
+
+      const response = await fetchWithRetry('https://api.example.com/batches', { method: 'POST' }, { idempotent: false });
+
+      expect(response.status).toBe(500);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      global.fetch.mockReset();
+      global.fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+      await expect(fetchWithRetry('https://api.example.com/batches', { method: 'POST' }, { idempotent: false })).rejects.toThrow('Failed to fetch');
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry when retries are disabled', async () => {
+      game.settings.get.mockImplementation(() => 0);
+      global.fetch.mockResolvedValueOnce(createResponse(503));
+
+      const response = await fetchWithRetry('https://api.example.com/files');
+
+      expect(response.status).toBe(503);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getRequestedDelay', () => {
+    it('should read Retry-After in seconds or as a date', () => {
+      expect(getRequestedDelay(new Headers({ 'Retry-After': '20' }))).toBe(20000);
+
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-01-01T12:00:00Z'));
+      expect(getRequestedDelay(new Headers({ 'Retry-After': 'Thu, 01 Jan 2026 12:00:30 GMT' }))).toBe(30000);
+    });
+
+    it('should prefer retry-after-ms', () => {
+      expect(getRequestedDelay(new Headers({ 'retry-after-ms': '250', 'Retry-After': '1' }))).toBe(250);
+    });
+
+    it('should wait for the reset of the exhausted rate limits', () => {
+      expect(getRequestedDelay(new Headers({
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '2s',
+        'x-ratelimit-remaining-tokens': '0',
+        'x-ratelimit-reset-tokens': '1m30s'
+      }))).toBe(90000);
+
+      expect(getRequestedDelay(new Headers({
+        'x-ratelimit-remaining-requests': '12',
+        'x-ratelimit-reset-requests': '2s'
+      }))).toBeNull();
+    });
+
+    it('should cap requested delays at ten minutes', () => {
+      expect(getRequestedDelay(new Headers({ 'Retry-After': '86400' }))).toBe(600000);
+    });
+
+    it('should return null without usable headers', () => {
+      expect(getRequestedDelay(new Headers())).toBeNull();
+      expect(getRequestedDelay(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseResetDuration', () => {
+    it('should parse OpenAI reset durations', () => {
+      expect(parseResetDuration('20ms')).toBe(20);
+      expect(parseResetDuration('1s')).toBe(1000);
+      expect(parseResetDuration('6m0s')).toBe(360000);
+      expect(parseResetDuration('1h2m3.5s')).toBe(3723500);
+      expect(parseResetDuration('7')).toBe(7000);
+      expect(parseResetDuration('soon')).toBeNull();
+      expect(parseResetDuration(null)).toBeNull();
+    });
+  });
+
+  describe('getBackoffDelay', () => {
+    it('should double the delay per attempt, keep at least half of it and stop at one minute', () => {
+      vi.spyOn(Math, 'random').mockReturnValue(0);
+      expect(getBackoffDelay(0)).toBe(500);
+      expect(getBackoffDelay(3)).toBe(4000);
+      expect(getBackoffDelay(10)).toBe(30000);
+
+      Math.random.mockReturnValue(1);
+      expect(getBackoffDelay(3)).toBe(8000);
+      Math.random.mockRestore();
+    });
+  });
+});
@@ -7,8 +7,9 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 // Import all modules
 import { registerSettings, MODULE_ID } from '../src/settings.js';
 import { createPageUpdates, createTranslatedPagesData } from '../src/utils.js';
-import { callOpenAIBatch } from '../src/openai-batch.js';
+import '../src/openai-batch.js';
 import { translateJournal } from '../src/translation-handlers.js';
+import { registerProvider } from '../src/translation-providers.js';
 
 describe('Integration Tests', () => {
   beforeEach(() => {
@@ -24,6 +25,7 @@ describe('Integration Tests', () => {
         apiKey: 'sk-test-api-key-123',
         customPrompt: 'Translate to Polish',
         translationMode: 'new',
+        titleTemplate: '{translatedName}',
         modelVersion: 'gpt-4o',
         systemPrompt: 'You are a helpful translator for RPG content',
         pollingDelay: 30,
@@ -81,6 +83,11 @@ describe('Integration Tests', () => {
         '<h1>Początek</h1><p>Nasi bohaterowie rozpoczynają swoją podróż...</p>',
         '<h1>Wyzwanie</h1><p>Stają przed wielkim @Check{type=perception,dc=15}...</p>'
       ];
+      // The translated titles come back in front of the content, as they were sent
+      const mockTitles = [
+        '<h1 class=\\"journal-translator-journal-title\\">Moduł przygodowy</h1><h1 class=\\"journal-translator-page-title\\">Rozdział 1</h1>',
+        '<h1 class=\\"journal-translator-page-title\\">Rozdział 2</h1>'
+      ];
 
       // Mock successful API calls
       const mockFileResponse = { json: vi.fn().mockResolvedValue({ id: 'file-123' }) };
@@ -92,8 +99,8 @@ describe('Integration Tests', () => {
       };
       const mockResultsResponse = { 
         text: vi.fn().mockResolvedValue(
-          '{"custom_id": "request-0", "response": {"body": {"choices": [{"message": {"content": "' + mockBatchResponses[0] + '"}}]}}}\n' +
-          '{"custom_id": "request-1", "response": {"body": {"choices": [{"message": {"content": "' + mockBatchResponses[1] + '"}}]}}}'
+          '{"custom_id": "request-0", "response": {"body": {"choices": [{"message": {"content": "' + mockTitles[0] + mockBatchResponses[0] + '"}}]}}}\n' +
+          '{"custom_id": "request-1", "response": {"body": {"choices": [{"message": {"content": "' + mockTitles[1] + mockBatchResponses[1] + '"}}]}}}'
         ) 
       };
 
@@ -114,10 +121,10 @@ describe('Integration Tests', () => {
 
       // Verify new journal was created
       expect(JournalEntry.create).toHaveBeenCalledWith({
-        name: 'Adventure Module (Translated)',
+        name: 'Moduł przygodowy',
         pages: expect.arrayContaining([
           expect.objectContaining({
-            name: 'Chapter 1 (Translated)',
+            name: 'Rozdział 1',
             type: 'text',
             text: {
               content: mockBatchResponses[0],
@@ -125,7 +132,7 @@ describe('Integration Tests', () => {
             }
           }),
           expect.objectContaining({
-            name: 'Chapter 2 (Translated)',
+            name: 'Rozdział 2',
             type: 'text', 
             text: {
               content: mockBatchResponses[1],
@@ -139,7 +146,7 @@ describe('Integration Tests', () => {
 
       // Verify success notification
       expect(ui.notifications.info).toHaveBeenCalledWith('All translations completed successfully!');
-      expect(ui.notifications.info).toHaveBeenCalledWith('Successfully created a new journal "Adventure Module (Translated)" with translations from "Adventure Module".');
+      expect(ui.notifications.info).toHaveBeenCalledWith('Successfully created a new journal "Moduł przygodowy" with translations from "Adventure Module".');
     });
   });
 
@@ -202,7 +209,7 @@ describe('Integration Tests', () => {
       expect(mockJournal.updateEmbeddedDocuments).toHaveBeenCalledWith('JournalEntryPage', [
         {
           _id: 'page1',
-          'text.content': 'Translated content<hr style="margin: 1em 0;">Original content'
+          'text.content': 'Translated content<hr class="journal-translator-separator" style="margin: 1em 0;">Original content'
         }
       ]);
 
@@ -210,6 +217,65 @@ describe('Integration Tests', () => {
     });
   });
 
+  describe('Translating Again - Append Mode', () => {
+    it('should replace the translation of an outdated page instead of adding another one', async () => {
+      const settings = {
+        translationMode: 'append',
+        translationProvider: 'echo-provider',
+        processingMode: 'immediate',
+        customPrompt: 'Translate to Polish',
+        systemPrompt: 'You are a translator'
+      };
+      game.settings.get.mockImplementation((moduleId, setting) => settings[setting]);
+      registerProvider({
+        id: 'echo-provider',
+        label: 'Echo Provider',
+        validate: () => null,
+        translate: vi.fn(async (text) => text.replaceAll('Hello', 'Cześć').replaceAll('World', 'Świat'))
+      });
+
+      // A page that keeps its content and flags, as Foundry does
+      const flags = {};
+      const page = {
+        id: 'page1',
+        name: 'Greeting',
+        text: { content: '<p>Hello</p><p>World</p>' },
+        getFlag: (moduleId, flagName) => flags[flagName],
+        unsetFlag: async (moduleId, flagName) => { delete flags[flagName]; },
+        update: async (changes) => {
+          for (const [key, value] of Object.entries(changes)) {
+            if (key === `flags.${MODULE_ID}`) Object.assign(flags, value);
+            else if (key.startsWith(`flags.${MODULE_ID}.`)) flags[key.slice(`flags.${MODULE_ID}.`.length)] = value;
+          }
+        }
+      };
+      const journal = {
+        name: 'Greetings',
+        pages: [page],
+        update: vi.fn(),
+        updateEmbeddedDocuments: vi.fn(async (type, updates) => {
+          for (const update of updates) {
+            page.text.content = update['text.content'];
+            page.name = update.name ?? page.name;
+          }
+        })
+      };
+
+      await translateJournal(journal);
+      // Changing the prompt outdates the translation, so the page is translated whole again
+      settings.systemPrompt = 'You are a careful translator';
+      await translateJournal(journal, [page]);
+      settings.systemPrompt = 'You are a very careful translator';
+      await translateJournal(journal, [page]);
+
+      const content = page.text.content;
+      expect(content.match(/journal-translator-separator/g)).toHaveLength(1);
+      expect(content.match(/Hello/g)).toHaveLength(1);
+      expect(content.match(/Cześć/g)).toHaveLength(1);
+      expect(content.indexOf('Hello')).toBeLessThan(content.indexOf('Cześć'));
+    });
+  });
+
   describe('Error Handling Integration', () => {
     it('should handle API key missing gracefully', async () => {
       game.settings.get.mockImplementation((moduleId, setting) => {
@@ -267,7 +333,8 @@ describe('Integration Tests', () => {
               if (flagName === 'translationBatchIndex') return 0;
               return false;
             }),
-            update: vi.fn()
+            update: vi.fn(),
+            unsetFlag: vi.fn()
           },
           { 
             id: 'page2', 
@@ -277,7 +344,8 @@ describe('Integration Tests', () => {
               if (flagName === 'translationBatchIndex') return 1;
               return false;
             }),
-            update: vi.fn()
+            update: vi.fn(),
+            unsetFlag: vi.fn()
           }
         ]
       };
@@ -309,7 +377,7 @@ describe('Integration Tests', () => {
       expect(JournalEntry.create).toHaveBeenCalledWith(expect.objectContaining({
         pages: expect.arrayContaining([
           expect.objectContaining({
-            name: 'Page 1 (Translated)',
+            name: 'Page 1',
             text: { content: 'Translated content 1' }
           })
           // Page 2 should be skipped due to failed translation
@@ -318,6 +386,7 @@ describe('Integration Tests', () => {
       
       // Verify warning was shown for the failed translation
       expect(ui.notifications.warn).toHaveBeenCalledWith('Translation returned empty for page "Page 2" (batch index 1). Skipping this page.');
+      expect(ui.notifications.error).toHaveBeenCalledWith('1 page(s) of "Test Journal" could not be translated: "Page 2". You can translate them again later.');
     });
   });
 
@@ -327,6 +396,7 @@ describe('Integration Tests', () => {
         { 
           id: 'page1', 
           name: 'Valid Page', 
+          uuid: 'JournalEntry.journal1.JournalEntryPage.page1',
           text: { content: 'Valid content', format: 'html' }, 
           sort: 0, 
           ownership: {},
@@ -370,14 +440,15 @@ describe('Integration Tests', () => {
       
       expect(translatedPages).toHaveLength(1); // Only valid page should be included
       expect(translatedPages[0]).toEqual({
-        name: 'Valid Page (Translated)',
+        name: 'Valid Page',
         type: undefined, // Not set in test data
         text: {
           content: 'Translated valid content',
           format: 'html'
         },
         sort: 0,
-        ownership: {}
+        ownership: {},
+        flags: { 'foundry-translation': { translationSourceUuid: 'JournalEntry.journal1.JournalEntryPage.page1' } }
       });
 
       // Verify warnings were shown for invalid pages
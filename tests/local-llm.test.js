@@ -0,0 +1,154 @@
+/**
+ * Tests for local-llm.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { localLLMProvider, isOllamaEndpoint, readOllamaChatStream } from '../src/local-llm.js';
+import { TITLE_INSTRUCTION } from '../src/page-titles.js';
+import { PLACEHOLDER_INSTRUCTION } from '../src/placeholders.js';
+
+/**
+ * Builds a mock streaming response that yields the given string chunks.
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => queue.length > 0
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined }
+      })
+    }
+  };
+}
+
+describe('local-llm.js', () => {
+  let settings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    settings = {
+      localLlmEndpoint: 'http://localhost:11434/api/chat',
+      localLlmModel: 'llama3.1',
+      localLlmConcurrency: 2,
+      customPrompt: 'Translate to German',
+      systemPrompt: 'You are a translator'
+    };
+    game.settings.get.mockImplementation((moduleId, setting) => settings[setting]);
+  });
+
+  describe('validate', () => {
+    it('should accept a complete configuration', () => {
+      expect(localLLMProvider.validate()).toBeNull();
+    });
+
+    it('should require an endpoint', () => {
+      settings.localLlmEndpoint = '  ';
+
+      expect(localLLMProvider.validate()).toBe('Local LLM endpoint is missing. Please enter the server URL in the module settings.');
+    });
+
+    it('should reject endpoints that are not URLs', () => {
+      settings.localLlmEndpoint = 'localhost:11434';
+
+      expect(localLLMProvider.validate()).toBe('Local LLM endpoint "localhost:11434" is not a valid URL.');
+    });
+
+    it('should validate endpoints in browsers without URL.parse', () => {
+      const parse = URL.parse;
+      delete URL.parse;
+      try {
+        settings.localLlmEndpoint = 'not a url';
+        expect(localLLMProvider.validate()).toBe('Local LLM endpoint "not a url" is not a valid URL.');
+        settings.localLlmEndpoint = 'http://localhost:11434';
+        expect(localLLMProvider.validate()).toBeNull();
+      } finally {
+        URL.parse = parse;
+      }
+    });
+
+    it('should require a model', () => {
+      settings.localLlmModel = '';
+
+      expect(localLLMProvider.validate()).toBe('Local LLM model is missing. Please enter the model name in the module settings.');
+    });
+  });
+
+  describe('isOllamaEndpoint', () => {
+    it('should detect Ollama chat endpoints', () => {
+      expect(isOllamaEndpoint('http://localhost:11434/api/chat')).toBe(true);
+      expect(isOllamaEndpoint('http://localhost:11434/api/chat/')).toBe(true);
+    });
+
+    it('should treat other endpoints as OpenAI-compatible', () => {
+      expect(isOllamaEndpoint('http://localhost:8080/v1/chat/completions')).toBe(false);
+    });
+  });
+
+  describe('translate', () => {
+    it('should send the shared prompt to Ollama and read the NDJSON stream', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        '{"message":{"role":"assistant","content":"<p>Hallo"},"done":false}\n',
+        '{"message":{"role":"assistant","content":" Welt</p>"},"done":false}\n{"done":true}\n'
+      ]));
+
+      const result = await localLLMProvider.translate('<p>Hello world</p>');
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:11434/api/chat', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          model: 'llama3.1',
+          messages: [
+            { role: 'system', content: `You are a translator\n\n${TITLE_INSTRUCTION}\n\n${PLACEHOLDER_INSTRUCTION}` },
+            { role: 'user', content: 'Translate to German\n\n---\n\n<p>Hello world</p>' }
+          ],
+          stream: true
+        })
+      });
+      expect(result).toBe('<p>Hallo Welt</p>');
+    });
+
+    it('should use the OpenAI streaming format for llama.cpp servers', async () => {
+      settings.localLlmEndpoint = 'http://localhost:8080/v1/chat/completions';
+      global.fetch.mockResolvedValueOnce(createStreamResponse([
+        `data: ${JSON.stringify({ choices: [{ delta: { content: 'Hallo' } }] })}\n\ndata: [DONE]\n\n`
+      ]));
+
+      const result = await localLLMProvider.translate('Hello');
+
+      expect(fetch).toHaveBeenCalledWith('http://localhost:8080/v1/chat/completions', expect.objectContaining({ method: 'POST' }));
+      expect(result).toBe('Hallo');
+    });
+
+    it('should throw with the Ollama error message when the request fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: 'model "llama3.1" not found, try pulling it first' })
+      });
+
+      await expect(localLLMProvider.translate('Hello')).rejects.toThrow('Translation Request Failed: model "llama3.1" not found, try pulling it first');
+    });
+  });
+
+  describe('readOllamaChatStream', () => {
+    it('should report progress and handle lines split across chunks', async () => {
+      const onProgress = vi.fn();
+      const response = createStreamResponse(['{"message":{"content":"Guten"', '}}\n{"message":{"content":" Tag"}}']);
+
+      const result = await readOllamaChatStream(response, onProgress);
+
+      expect(result).toBe('Guten Tag');
+      expect(onProgress).toHaveBeenNthCalledWith(1, 'Guten');
+      expect(onProgress).toHaveBeenNthCalledWith(2, 'Guten Tag');
+    });
+  });
+
+  it('should expose the configured concurrency', () => {
+    expect(localLLMProvider.getConcurrency()).toBe(2);
+  });
+});
@@ -2,7 +2,7 @@
  * Tests for main.js
  */
 
-import { describe, it, expect, beforeEach, beforeAll, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, beforeAll, vi } from 'vitest';
 
 // Mock the imported functions before importing main.js
 vi.mock('../src/settings.js', () => ({
@@ -11,16 +11,42 @@ vi.mock('../src/settings.js', () => ({
 }));
 
 vi.mock('../src/translation-handlers.js', () => ({
-  translateJournal: vi.fn()
+  translateJournal: vi.fn(),
+  translateJournals: vi.fn(),
+  cancelTranslationBatch: vi.fn(),
+  resumeQueuedBatches: vi.fn(async () => {})
 }));
 
 vi.mock('../src/utils.js', () => ({
-  showPageSelectionDialog: vi.fn()
+  showPageSelectionDialog: vi.fn(),
+  getJournalsInFolder: vi.fn(),
+  showFolderSelectionDialog: vi.fn()
+}));
+
+vi.mock('../src/cost-estimate.js', () => ({
+  estimateTranslationCost: vi.fn(() => ({})),
+  renderCostEstimate: vi.fn(() => '<table class="estimate"></table>')
+}));
+
+vi.mock('../src/batch-monitor.js', () => ({
+  openBatchMonitor: vi.fn()
+}));
+
+vi.mock('../src/usage-report.js', () => ({
+  openUsageReport: vi.fn()
+}));
+
+vi.mock('../src/memory-browser.js', () => ({
+  openMemoryBrowser: vi.fn()
 }));
 
 import { registerSettings } from '../src/settings.js';
-import { translateJournal } from '../src/translation-handlers.js';
-import { showPageSelectionDialog } from '../src/utils.js';
+import { translateJournal, translateJournals, cancelTranslationBatch, resumeQueuedBatches } from '../src/translation-handlers.js';
+import { showPageSelectionDialog, getJournalsInFolder, showFolderSelectionDialog } from '../src/utils.js';
+import { openBatchMonitor } from '../src/batch-monitor.js';
+import { openUsageReport } from '../src/usage-report.js';
+import { openMemoryBrowser } from '../src/memory-browser.js';
+import { estimateTranslationCost } from '../src/cost-estimate.js';
 
 describe('main.js', () => {
   beforeAll(async () => {
@@ -34,6 +60,8 @@ describe('main.js', () => {
     // Only clear the functions that should be reset between tests
     registerSettings.mockClear();
     translateJournal.mockClear();
+    translateJournals.mockClear();
+    cancelTranslationBatch.mockClear();
     showPageSelectionDialog.mockClear();
     global.game.journal.get.mockClear();
     global.ui.notifications.info.mockClear();
@@ -53,6 +81,31 @@ describe('main.js', () => {
       
       expect(registerSettings).toHaveBeenCalled();
     });
+
+    it('should offer to resume queued batches on ready for GMs only', () => {
+      const readyCallback = global.Hooks.on.mock.calls.find(call => call[0] === 'ready')[1];
+      resumeQueuedBatches.mockClear();
+
+      global.game.user = { isGM: false };
+      readyCallback();
+      expect(resumeQueuedBatches).not.toHaveBeenCalled();
+
+      global.game.user = { isGM: true };
+      readyCallback();
+      expect(resumeQueuedBatches).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report an error while resuming queued batches', async () => {
+      const readyCallback = global.Hooks.on.mock.calls.find(call => call[0] === 'ready')[1];
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      resumeQueuedBatches.mockRejectedValueOnce(new Error('Queue unreadable'));
+      global.game.user = { isGM: true };
+
+      readyCallback();
+      await vi.waitFor(() => expect(ui.notifications.error).toHaveBeenCalledWith('Failed to resume queued translation batches: Queue unreadable'));
+      expect(consoleError).toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
   });
 
   describe('context menu integration', () => {
@@ -74,7 +127,7 @@ describe('main.js', () => {
       
       contextMenuCallback(mockApplication, mockOptions);
       
-      expect(mockOptions).toHaveLength(1);
+      expect(mockOptions).toHaveLength(2);
       expect(mockOptions[0].name).toBe('Translate');
       expect(mockOptions[0].icon).toBe('<i class="fas fa-language"></i>');
       expect(typeof mockOptions[0].callback).toBe('function');
@@ -143,6 +196,24 @@ describe('main.js', () => {
       expect(translateJournal).toHaveBeenCalledWith(mockJournal, selectedPages);
     });
 
+    it('should show the estimated tokens and cost of the selected pages in the confirmation', async () => {
+      const mockJournal = {
+        name: 'Test Journal',
+        pages: [{ id: 'page1', name: 'Page 1', text: { content: 'Content 1' }, getFlag: vi.fn(() => false) }]
+      };
+      global.game.journal.get.mockReturnValue(mockJournal);
+      showPageSelectionDialog.mockResolvedValue(mockJournal.pages);
+      global.foundry.applications.api.DialogV2.confirm.mockResolvedValue(false);
+
+      contextMenuCallback({}, mockOptions);
+      await mockOptions[0].callback({ dataset: { entryId: 'journal-123' } });
+
+      expect(estimateTranslationCost).toHaveBeenCalledWith(mockJournal.pages);
+      const { content } = global.foundry.applications.api.DialogV2.confirm.mock.calls[0][0];
+      expect(content).toContain('You are about to translate 1 page(s).');
+      expect(content).toContain('<table class="estimate"></table>');
+    });
+
     it('should handle documentId fallback for journal identification', async () => {
       const mockJournal = {
         name: 'Test Journal',
@@ -282,12 +353,142 @@ describe('main.js', () => {
     });
   });
 
+  describe('cancel batch context menu', () => {
+    let cancelOption;
+
+    // A journal with one page flagged as queued in the given batch
+    const createJournalWithBatch = (batchId) => ({
+      name: 'Test Journal',
+      pages: [{
+        id: 'page1',
+        name: 'Page 1',
+        text: { content: 'Content 1' },
+        getFlag: vi.fn((moduleId, flagName) => ({
+          translationBatchId: batchId,
+          translationBatchIndex: 0,
+          translationQueued: true,
+          translationCompleted: false
+        })[flagName])
+      }]
+    });
+
+    beforeEach(() => {
+      const options = [];
+      const contextMenuHookCall = global.Hooks.on.mock.calls.find(call => call[0] === 'getJournalEntryContextOptions');
+      contextMenuHookCall[1]({}, options);
+      cancelOption = options.find(option => option.name === 'Cancel Translation Batch');
+    });
+
+    it('should only be shown for journals with a running batch', () => {
+      global.game.journal.get.mockReturnValue(createJournalWithBatch('batch-123'));
+      expect(cancelOption.condition({ dataset: { entryId: 'journal-123' } })).toBe(true);
+
+      global.game.journal.get.mockReturnValue(createJournalWithBatch(undefined));
+      expect(cancelOption.condition({ dataset: { entryId: 'journal-123' } })).toBe(false);
+    });
+
+    afterEach(() => {
+      delete global.game.journal[Symbol.iterator];
+    });
+
+    it('should cancel every running batch of the journal after confirmation', async () => {
+      const mockJournal = createJournalWithBatch('batch-123');
+      global.game.journal.get.mockReturnValue(mockJournal);
+      global.game.journal[Symbol.iterator] = () => [mockJournal][Symbol.iterator]();
+      global.foundry.applications.api.DialogV2.confirm.mockResolvedValue(true);
+
+      await cancelOption.callback({ dataset: { entryId: 'journal-123' } });
+
+      expect(cancelTranslationBatch).toHaveBeenCalledWith('batch-123', mockJournal.pages);
+    });
+
+    it('should include the pages of other journals sharing the batch', async () => {
+      const mockJournal = createJournalWithBatch('batch-123');
+      const otherJournal = createJournalWithBatch('batch-123');
+      global.game.journal.get.mockReturnValue(mockJournal);
+      global.game.journal[Symbol.iterator] = () => [mockJournal, otherJournal][Symbol.iterator]();
+      global.foundry.applications.api.DialogV2.confirm.mockResolvedValue(true);
+
+      await cancelOption.callback({ dataset: { entryId: 'journal-123' } });
+
+      expect(cancelTranslationBatch).toHaveBeenCalledWith('batch-123', [...mockJournal.pages, ...otherJournal.pages]);
+    });
+
+    it('should not cancel anything when the user declines', async () => {
+      global.game.journal.get.mockReturnValue(createJournalWithBatch('batch-123'));
+      global.foundry.applications.api.DialogV2.confirm.mockResolvedValue(false);
+
+      await cancelOption.callback({ dataset: { entryId: 'journal-123' } });
+
+      expect(cancelTranslationBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('journal directory header', () => {
+    let renderCallback;
+
+    beforeEach(() => {
+      renderCallback = global.Hooks.on.mock.calls.find(call => call[0] === 'renderJournalDirectory')[1];
+      openBatchMonitor.mockClear();
+    });
+
+    it('should add a button that opens the Batch Monitor', () => {
+      const html = document.createElement('div');
+      html.innerHTML = '<div class="header-actions"></div>';
+
+      renderCallback({}, html);
+      const button = html.querySelector('.journal-translator-batch-monitor');
+      button.click();
+
+      expect(button.textContent).toContain('Translation Batches');
+      expect(openBatchMonitor).toHaveBeenCalled();
+    });
+
+    it('should add a button that opens the Usage Report', () => {
+      const html = document.createElement('div');
+      html.innerHTML = '<div class="header-actions"></div>';
+
+      renderCallback({}, html);
+      const button = html.querySelector('.journal-translator-usage-report');
+      button.click();
+
+      expect(button.textContent).toContain('Translation Usage');
+      expect(openUsageReport).toHaveBeenCalled();
+    });
+
+    it('should add a button that opens the Translation Memory', () => {
+      const html = document.createElement('div');
+      html.innerHTML = '<div class="header-actions"></div>';
+
+      renderCallback({}, html);
+      const button = html.querySelector('.journal-translator-translation-memory');
+      button.click();
+
+      expect(button.textContent).toContain('Translation Memory');
+      expect(openMemoryBrowser).toHaveBeenCalled();
+    });
+
+    it('should not add the button twice when the directory re-renders', () => {
+      const html = document.createElement('div');
+      html.innerHTML = '<div class="header-actions"></div>';
+
+      renderCallback({}, html);
+      renderCallback({}, html);
+
+      expect(html.querySelectorAll('.journal-translator-batch-monitor')).toHaveLength(1);
+      expect(html.querySelectorAll('.journal-translator-usage-report')).toHaveLength(1);
+      expect(html.querySelectorAll('.journal-translator-translation-memory')).toHaveLength(1);
+    });
+  });
+
   describe('hook registration', () => {
     it('should register all required hooks', () => {
       expect(global.Hooks.on).toHaveBeenCalledWith('init', expect.any(Function));
       expect(global.Hooks.on).toHaveBeenCalledWith('getJournalEntryContextOptions', expect.any(Function));
       expect(global.Hooks.on).toHaveBeenCalledWith('getJournalDirectoryFolderContext', expect.any(Function));
-      expect(global.Hooks.on).toHaveBeenCalledTimes(3);
+      expect(global.Hooks.on).toHaveBeenCalledWith('renderJournalDirectory', expect.any(Function));
+      expect(global.Hooks.on).toHaveBeenCalledWith('ready', expect.any(Function));
+      expect(global.Hooks.on).toHaveBeenCalledTimes(5);
     });
   });
 
@@ -340,5 +541,44 @@ describe('main.js', () => {
         'Could not identify the selected folder.'
       );
     });
+
+    it('should translate the selected pages of all journals in one job', async () => {
+      global.game.settings.get.mockImplementation((moduleId, key) =>
+        key === 'enableFolderMenu' ? true : undefined
+      );
+      const folder = { id: 'folder-1', name: 'Adventure' };
+      const journals = [{ name: 'Chapter 1' }, { name: 'Chapter 2' }];
+      const selections = [
+        { journal: journals[0], pages: [{ name: 'Page 1' }] },
+        { journal: journals[1], pages: [{ name: 'Page 2' }] }
+      ];
+      global.game.folders.get.mockReturnValue(folder);
+      getJournalsInFolder.mockReturnValue(journals);
+      showFolderSelectionDialog.mockResolvedValue(selections);
+      global.foundry.applications.api.DialogV2.confirm.mockResolvedValue(true);
+
+      folderContextCallback({}, mockOptions);
+      await mockOptions[0].callback({ dataset: { folderId: 'folder-1' } });
+
+      expect(estimateTranslationCost).toHaveBeenCalledWith([selections[0].pages[0], selections[1].pages[0]]);
+      expect(global.foundry.applications.api.DialogV2.confirm.mock.calls[0][0].content).toContain('You are about to translate 2 page(s) from "Adventure".');
+      expect(translateJournals).toHaveBeenCalledWith(selections);
+      expect(translateJournal).not.toHaveBeenCalled();
+    });
+
+    it('should not translate the folder when the confirmation is declined', async () => {
+      global.game.settings.get.mockImplementation((moduleId, key) =>
+        key === 'enableFolderMenu' ? true : undefined
+      );
+      global.game.folders.get.mockReturnValue({ id: 'folder-1', name: 'Adventure' });
+      getJournalsInFolder.mockReturnValue([{ name: 'Chapter 1' }]);
+      showFolderSelectionDialog.mockResolvedValue([{ journal: { name: 'Chapter 1' }, pages: [{ name: 'Page 1' }] }]);
+      global.foundry.applications.api.DialogV2.confirm.mockResolvedValue(false);
+
+      folderContextCallback({}, mockOptions);
+      await mockOptions[0].callback({ dataset: { folderId: 'folder-1' } });
+
+      expect(translateJournals).not.toHaveBeenCalled();
+    });
   });
 });
@@ -0,0 +1,86 @@
+/**
+ * Tests for memory-browser.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MemoryBrowser } from '../src/memory-browser.js';
+
+describe('memory-browser.js', () => {
+  let storedSettings;
+  let browser;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedSettings = {
+      translationMemory: {
+        'key-1': {
+          key: 'key-1',
+          provider: 'openai-batch',
+          model: 'gpt-4o',
+          preview: 'Hello <friend>',
+          translation: '<p>Cześć</p>',
+          createdAt: new Date(2026, 9, 5).getTime(),
+          lastUsedAt: new Date(2026, 9, 6).getTime(),
+          hits: 2
+        },
+        'key-2': {
+          key: 'key-2',
+          provider: 'deepl',
+          model: 'deepl',
+          preview: 'Goodbye',
+          translation: '<p>Do widzenia</p>',
+          createdAt: new Date(2026, 9, 7).getTime(),
+          lastUsedAt: new Date(2026, 9, 7).getTime(),
+          hits: 1
+        }
+      }
+    };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    game.settings.set.mockImplementation(async (moduleId, key, value) => { storedSettings[key] = value; });
+    browser = new MemoryBrowser();
+    browser.render = vi.fn();
+  });
+
+  describe('_renderHTML', () => {
+    it('should list the stored translations, most recently used first', async () => {
+      const html = await browser._renderHTML(await browser._prepareContext());
+
+      expect(html).toContain('2 translation(s) stored, reused 3 time(s).');
+      expect(html).toContain('Hello &lt;friend&gt;');
+      expect(html).toContain('Cześć');
+      expect(html).toContain('data-key="key-1"');
+      expect(html.indexOf('Goodbye')).toBeLessThan(html.indexOf('Hello'));
+    });
+
+    it('should say so when the memory is empty', async () => {
+      storedSettings.translationMemory = {};
+
+      const html = await browser._renderHTML(await browser._prepareContext());
+
+      expect(html).toContain('The translation memory is empty.');
+      expect(html).toContain('data-action="clearAll" disabled');
+    });
+  });
+
+  describe('actions', () => {
+    const { actions } = MemoryBrowser.DEFAULT_OPTIONS;
+
+    it('should remove the selected entry', async () => {
+      await actions.deleteEntry.call(browser, new Event('click'), { dataset: { key: 'key-1' } });
+
+      expect(Object.keys(storedSettings.translationMemory)).toEqual(['key-2']);
+      expect(browser.render).toHaveBeenCalled();
+    });
+
+    it('should clear the memory only after confirmation', async () => {
+      foundry.applications.api.DialogV2.confirm.mockResolvedValue(false);
+      await actions.clearAll.call(browser);
+      expect(Object.keys(storedSettings.translationMemory)).toHaveLength(2);
+
+      foundry.applications.api.DialogV2.confirm.mockResolvedValue(true);
+      await actions.clearAll.call(browser);
+      expect(storedSettings.translationMemory).toEqual({});
+      expect(ui.notifications.info).toHaveBeenCalledWith('Cleared the translation memory.');
+    });
+  });
+});
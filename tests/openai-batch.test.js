@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { callOpenAIBatch } from '../src/openai-batch.js';
+import { openAIBatchProvider } from '../src/openai-batch.js';
+import { callTranslationProvider } from '../src/translation-providers.js';
 
 describe('openai-batch.js', () => {
   beforeEach(() => {
@@ -13,25 +14,27 @@ describe('openai-batch.js', () => {
     // Setup default mock responses
     game.settings.get.mockImplementation((moduleId, setting) => {
       const defaults = {
+        translationProvider: 'openai-batch',
         apiKey: 'test-api-key',
         customPrompt: 'Translate to English',
         modelVersion: 'gpt-4o',
         systemPrompt: 'You are a helpful translator',
         pollingDelay: 30,
-        maxPollingAttempts: 120
+        maxPollingAttempts: 120,
+        transientFailureRetries: 2
       };
       return defaults[setting];
     });
   });
 
-  describe('callOpenAIBatch', () => {
+  describe('callTranslationProvider with the OpenAI batch provider', () => {
     it('should return empty result when API key is missing', async () => {
       game.settings.get.mockImplementation((moduleId, setting) => {
         if (setting === 'apiKey') return '';
         return 'default-value';
       });
 
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ batchId: null, translations: [] });
       expect(ui.notifications.error).toHaveBeenCalledWith('OpenAI API Key is missing. Please enter your API key in the module settings.');
@@ -43,7 +46,7 @@ describe('openai-batch.js', () => {
         return 'default-value';
       });
 
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ batchId: null, translations: [] });
       expect(ui.notifications.error).toHaveBeenCalledWith('OpenAI API Key is missing. Please enter your API key in the module settings.');
@@ -60,7 +63,7 @@ describe('openai-batch.js', () => {
       };
       const mockResultsResponse = { 
         text: vi.fn().mockResolvedValue(
-          '{"custom_id": "request-0", "response": {"body": {"choices": [{"message": {"content": "Translated text 1"}}]}}}\n' +
+          '{"custom_id": "request-0", "response": {"body": {"model": "gpt-4o-2024-08-06", "usage": {"prompt_tokens": 120, "completion_tokens": 95}, "choices": [{"message": {"content": "Translated text 1"}}]}}}\n' +
           '{"custom_id": "request-1", "response": {"body": {"choices": [{"message": {"content": "Translated text 2"}}]}}}'
         ) 
       };
@@ -72,22 +75,84 @@ describe('openai-batch.js', () => {
         .mockResolvedValueOnce({ ok: true, ...mockResultsResponse }); // Results download
 
       const textsToTranslate = ['Text 1', 'Text 2'];
-      const result = await callOpenAIBatch(textsToTranslate);
+      const result = await callTranslationProvider(textsToTranslate);
 
       expect(result).toEqual({ 
         batchId: 'batch-123', 
-        translations: ['Translated text 1', 'Translated text 2'] 
+        translations: ['Translated text 1', 'Translated text 2'],
+        errors: [null, null],
+        usage: [{ promptTokens: 120, completionTokens: 95, model: 'gpt-4o-2024-08-06' }, null]
       });
       expect(ui.notifications.info).toHaveBeenCalledWith('All translations completed successfully!');
     });
 
+    it('should retry transient failures of every step instead of aborting the translation', async () => {
+      const rateLimited = { ok: false, status: 429, headers: new Headers({ 'Retry-After': '0' }) };
+      const unavailable = { ok: false, status: 503, headers: new Headers({ 'retry-after-ms': '0' }) };
+      const mockCompletedBatch = { id: 'batch-123', status: 'completed', output_file_id: 'output-file-123' };
+
+      global.fetch
+        .mockResolvedValueOnce(rateLimited) // File upload
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'file-123' }) })
+        .mockResolvedValueOnce(rateLimited) // Batch creation
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'batch-123' }) })
+        .mockResolvedValueOnce(rateLimited) // Batch status
+        .mockResolvedValueOnce(unavailable)
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockCompletedBatch) })
+        .mockResolvedValueOnce(unavailable) // Results download
+        .mockResolvedValueOnce({
+          ok: true,
+          text: () => Promise.resolve('{"custom_id": "request-0", "response": {"body": {"choices": [{"message": {"content": "Translated"}}]}}}')
+        });
+
+      const result = await callTranslationProvider(['Text']);
+
+      expect(fetch).toHaveBeenCalledTimes(9);
+      expect(result.translations).toEqual(['Translated']);
+    });
+
+    it('should not retry a server error on batch creation, which may already have created the batch', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'file-123' }) })
+        .mockResolvedValueOnce({
+          ok: false,
+          status: 500,
+          headers: new Headers({ 'retry-after-ms': '0' }),
+          json: () => Promise.resolve({ error: { message: 'Internal server error' } })
+        });
+
+      const result = await callTranslationProvider(['Text']);
+
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ batchId: null, translations: [] });
+      expect(ui.notifications.error).toHaveBeenCalledWith('Batch translation failed: Batch Creation Failed: Internal server error');
+    });
+
+    it('should give up after the configured number of consecutive transient failures', async () => {
+      global.fetch
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'file-123' }) })
+        .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({ id: 'batch-123' }) })
+        .mockResolvedValue({
+          ok: false,
+          status: 429,
+          headers: new Headers({ 'Retry-After': '0' }),
+          json: () => Promise.resolve({ error: { message: 'Rate limit reached' } })
+        });
+
+      const result = await callTranslationProvider(['Text']);
+
+      expect(fetch).toHaveBeenCalledTimes(5);
+      expect(result).toEqual({ batchId: null, translations: [] });
+      expect(ui.notifications.error).toHaveBeenCalledWith('Batch translation failed: Polling Error: Rate limit reached');
+    });
+
     it('should handle file upload error', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: false,
         json: () => Promise.resolve({ error: { message: 'File upload failed' } })
       });
 
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ batchId: null, translations: [] });
       expect(ui.notifications.error).toHaveBeenCalledWith('Batch translation failed: File Upload Failed: File upload failed');
@@ -103,7 +168,7 @@ describe('openai-batch.js', () => {
           json: () => Promise.resolve({ error: { message: 'Batch creation failed' } })
         });
 
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ batchId: null, translations: [] });
       expect(ui.notifications.error).toHaveBeenCalledWith('Batch translation failed: Batch Creation Failed: Batch creation failed');
@@ -122,7 +187,7 @@ describe('openai-batch.js', () => {
         .mockResolvedValueOnce({ ok: true, ...mockBatchResponse }) // Batch creation
         .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(mockFailedBatch) }); // Batch status
 
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ batchId: null, translations: [] });
       expect(ui.notifications.error).toHaveBeenCalledWith('Batch job failed with status: failed');
@@ -146,7 +211,7 @@ describe('openai-batch.js', () => {
           json: () => Promise.resolve({ error: { message: 'Download failed' } })
         });
 
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ batchId: null, translations: [] });
       expect(ui.notifications.error).toHaveBeenCalledWith('Batch translation failed: Failed to download results: Download failed');
@@ -174,11 +239,13 @@ describe('openai-batch.js', () => {
         .mockResolvedValueOnce({ ok: true, ...mockResultsResponse }); // Results download
 
       const textsToTranslate = ['Text 1', 'Text 2'];
-      const result = await callOpenAIBatch(textsToTranslate);
+      const result = await callTranslationProvider(textsToTranslate);
 
       expect(result).toEqual({ 
         batchId: 'batch-123', 
-        translations: ['Translated text 1', ''] // Second translation should be empty due to error
+        translations: ['Translated text 1', ''], // Second translation should be empty due to error
+        errors: [null, { code: 'missing_result', message: 'The provider returned no translation for this page.' }],
+        usage: [null, null]
       });
       expect(ui.notifications.info).toHaveBeenCalledWith('All translations completed successfully!');
     });
@@ -193,7 +260,7 @@ describe('openai-batch.js', () => {
         return { ok: false };
       });
 
-      await callOpenAIBatch(['Text 1', 'Text 2']).catch(() => {
+      await callTranslationProvider(['Text 1', 'Text 2']).catch(() => {
         // Expected to fail after file upload since we're not mocking the rest
       });
 
@@ -226,15 +293,17 @@ describe('openai-batch.js', () => {
 
       const onBatchCreatedCallback = vi.fn().mockResolvedValue();
       
-      const result = await callOpenAIBatch(['Test text'], { 
+      const result = await callTranslationProvider(['Test text'], { 
         onBatchCreated: onBatchCreatedCallback 
       });
 
-      expect(onBatchCreatedCallback).toHaveBeenCalledWith('batch-123');
+      expect(onBatchCreatedCallback).toHaveBeenCalledWith('batch-123', [{ batchId: 'batch-123', offset: 0, count: 1 }]);
       expect(onBatchCreatedCallback).toHaveBeenCalledTimes(1);
       expect(result).toEqual({ 
         batchId: 'batch-123', 
-        translations: ['Translated text'] 
+        translations: ['Translated text'],
+        errors: [null],
+        usage: [null]
       });
     });
 
@@ -260,14 +329,16 @@ describe('openai-batch.js', () => {
 
       const onBatchCreatedCallback = vi.fn().mockRejectedValue(new Error('Callback failed'));
       
-      const result = await callOpenAIBatch(['Test text'], { 
+      const result = await callTranslationProvider(['Test text'], { 
         onBatchCreated: onBatchCreatedCallback 
       });
 
-      expect(onBatchCreatedCallback).toHaveBeenCalledWith('batch-123');
+      expect(onBatchCreatedCallback).toHaveBeenCalledWith('batch-123', [{ batchId: 'batch-123', offset: 0, count: 1 }]);
       expect(result).toEqual({ 
         batchId: 'batch-123', 
-        translations: ['Translated text'] 
+        translations: ['Translated text'],
+        errors: [null],
+        usage: [null]
       });
     });
 
@@ -292,13 +363,88 @@ describe('openai-batch.js', () => {
         .mockResolvedValueOnce({ ok: true, ...mockResultsResponse }); // Results download
 
       // Test with no options parameter (backward compatibility)
-      const result = await callOpenAIBatch(['Test text']);
+      const result = await callTranslationProvider(['Test text']);
 
       expect(result).toEqual({ 
         batchId: 'batch-123', 
-        translations: ['Translated text'] 
+        translations: ['Translated text'],
+        errors: [null],
+        usage: [null]
       });
     });
 
   });
+
+  describe('openAIBatchProvider', () => {
+    it('should report a missing API key from validate', () => {
+      game.settings.get.mockReturnValue('');
+
+      expect(openAIBatchProvider.validate()).toBe('OpenAI API Key is missing. Please enter your API key in the module settings.');
+    });
+
+    it('should pass validation when an API key is set', () => {
+      expect(openAIBatchProvider.validate()).toBeNull();
+    });
+
+    it('should post to the cancel endpoint when cancelling a batch', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve({ id: 'batch-123', status: 'cancelling' })
+      });
+
+      const result = await openAIBatchProvider.cancel('batch-123');
+
+      expect(fetch).toHaveBeenCalledWith('https://api.openai.com/v1/batches/batch-123/cancel', {
+        method: 'POST',
+        headers: { 'Authorization': 'Bearer test-api-key' }
+      });
+      expect(result).toEqual({ id: 'batch-123', status: 'cancelling' });
+    });
+
+    it('should not download an output file when every request failed', async () => {
+      const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const results = await openAIBatchProvider.fetchResults({ id: 'batch-123', status: 'completed', output_file_id: null, error_file_id: 'error-file-123' });
+
+      expect(results.size).toBe(0);
+      expect(fetch).not.toHaveBeenCalled();
+      consoleWarn.mockRestore();
+    });
+
+    it('should download the error file and map errors to custom IDs', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        text: () => Promise.resolve(
+          '{"custom_id": "request-1", "response": {"status_code": 400, "body": {"error": {"message": "Maximum context length exceeded", "type": "invalid_request_error", "code": "context_length_exceeded"}}}, "error": null}\n' +
+          '{"custom_id": "request-2", "response": null, "error": {"code": "batch_expired", "message": "This request could not be executed before the completion window expired."}}\n' +
+          '{"custom_id": "request-3", "response": {"status_code": 500, "body": {}}, "error": null}'
+        )
+      });
+
+      const errors = await openAIBatchProvider.fetchErrors({ id: 'batch-123', error_file_id: 'error-file-123' });
+
+      expect(fetch).toHaveBeenCalledWith('https://api.openai.com/v1/files/error-file-123/content', {
+        headers: { 'Authorization': 'Bearer test-api-key' }
+      });
+      expect(errors.get('request-1')).toEqual({ code: 'context_length_exceeded', message: 'Maximum context length exceeded' });
+      expect(errors.get('request-2')).toEqual({ code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' });
+      expect(errors.get('request-3')).toEqual({ code: 'http_500', message: 'The request failed without an error message.' });
+    });
+
+    it('should not download anything when the batch has no error file', async () => {
+      const errors = await openAIBatchProvider.fetchErrors({ id: 'batch-123', error_file_id: null });
+
+      expect(errors.size).toBe(0);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('should throw when the cancel request fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: { message: 'Batch already completed' } })
+      });
+
+      await expect(openAIBatchProvider.cancel('batch-123')).rejects.toThrow('Batch Cancellation Failed: Batch already completed');
+    });
+  });
 });
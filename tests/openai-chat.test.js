@@ -0,0 +1,116 @@
+/**
+ * Tests for openai-chat.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { streamChatCompletion, readChatCompletionStream } from '../src/openai-chat.js';
+
+/**
+ * Builds a mock streaming response that yields the given string chunks.
+ */
+function createStreamResponse(chunks) {
+  const encoder = new TextEncoder();
+  const queue = chunks.map(chunk => encoder.encode(chunk));
+  return {
+    ok: true,
+    body: {
+      getReader: () => ({
+        read: async () => queue.length > 0
+          ? { done: false, value: queue.shift() }
+          : { done: true, value: undefined }
+      })
+    }
+  };
+}
+
+function deltaEvent(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`;
+}
+
+describe('openai-chat.js', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('streamChatCompletion', () => {
+    it('should send a streaming request with the given headers and body', async () => {
+      global.fetch.mockResolvedValueOnce(createStreamResponse([deltaEvent('Hola'), 'data: [DONE]\n\n']));
+
+      const result = await streamChatCompletion('https://example.test/v1/chat/completions', { 'Authorization': 'Bearer key' }, {
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'Hello' }]
+      });
+
+      expect(fetch).toHaveBeenCalledWith('https://example.test/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': 'Bearer key'
+        },
+        body: JSON.stringify({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }], stream: true })
+      });
+      expect(result).toBe('Hola');
+    });
+
+    it('should ask for the token usage when it is wanted and report it', async () => {
+      const onUsage = vi.fn();
+      const usageEvent = `data: ${JSON.stringify({ model: 'gpt-4o-2024-08-06', choices: [], usage: { prompt_tokens: 42, completion_tokens: 7 } })}\n\n`;
+      global.fetch.mockResolvedValueOnce(createStreamResponse([deltaEvent('Hola'), usageEvent, 'data: [DONE]\n\n']));
+
+      const result = await streamChatCompletion('https://example.test/v1/chat/completions', {}, { model: 'gpt-4o', messages: [] }, undefined, onUsage);
+
+      expect(JSON.parse(fetch.mock.calls[0][1].body).stream_options).toEqual({ include_usage: true });
+      expect(onUsage).toHaveBeenCalledWith({ promptTokens: 42, completionTokens: 7, model: 'gpt-4o-2024-08-06' });
+      expect(result).toBe('Hola');
+    });
+
+    it('should throw with the API error message when the request fails', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: false,
+        json: () => Promise.resolve({ error: { message: 'Invalid model' } })
+      });
+
+      await expect(streamChatCompletion('https://example.test', {}, {})).rejects.toThrow('Translation Request Failed: Invalid model');
+    });
+
+    it('should fall back to the body text when the error is not JSON', async () => {
+      global.fetch.mockResolvedValueOnce(new Response('<html>Bad Gateway</html>', { status: 502, statusText: 'Bad Gateway' }));
+
+      await expect(streamChatCompletion('https://example.test', {}, {})).rejects.toThrow('Translation Request Failed: <html>Bad Gateway</html>');
+    });
+
+    it('should fall back to the HTTP status when the error has no body', async () => {
+      global.fetch.mockResolvedValueOnce(new Response(null, { status: 503, statusText: 'Service Unavailable' }));
+
+      await expect(streamChatCompletion('https://example.test', {}, {})).rejects.toThrow('Translation Request Failed: HTTP 503 Service Unavailable');
+    });
+  });
+
+  describe('readChatCompletionStream', () => {
+    it('should concatenate deltas and report progress after each chunk', async () => {
+      const onProgress = vi.fn();
+      const response = createStreamResponse([deltaEvent('<p>Hola'), deltaEvent(' mundo</p>'), 'data: [DONE]\n\n']);
+
+      const result = await readChatCompletionStream(response, onProgress);
+
+      expect(result).toBe('<p>Hola mundo</p>');
+      expect(onProgress).toHaveBeenNthCalledWith(1, '<p>Hola');
+      expect(onProgress).toHaveBeenNthCalledWith(2, '<p>Hola mundo</p>');
+    });
+
+    it('should handle events split across chunks', async () => {
+      const event = deltaEvent('Bonjour');
+      const response = createStreamResponse([event.slice(0, 15), event.slice(15), ': keep-alive\n', deltaEvent('!')]);
+
+      const result = await readChatCompletionStream(response);
+
+      expect(result).toBe('Bonjour!');
+    });
+
+    it('should throw when the stream reports an error', async () => {
+      const response = createStreamResponse([deltaEvent('Partial'), `data: ${JSON.stringify({ error: { message: 'Server overloaded' } })}\n\n`]);
+
+      await expect(readChatCompletionStream(response)).rejects.toThrow('Translation Request Failed: Server overloaded');
+    });
+  });
+});
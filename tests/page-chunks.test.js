@@ -0,0 +1,157 @@
+/**
+ * Tests for page-chunks.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getChunkSize, parseChunkSizes, splitIntoChunks, chunkTexts, joinChunks } from '../src/page-chunks.js';
+import { checkTranslations } from '../src/translation-validation.js';
+
+describe('page-chunks.js', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('parseChunkSizes', () => {
+    it('should read model=characters pairs separated by commas or new lines', () => {
+      const sizes = parseChunkSizes('gpt-4o=40000, llama3.1 = 6000\n*=20000');
+
+      expect(sizes).toEqual(new Map([['gpt-4o', 40000], ['llama3.1', 6000], ['*', 20000]]));
+    });
+
+    it('should ignore invalid entries', () => {
+      expect(parseChunkSizes('gpt-4o, claude=lots, =500, mistral=-1')).toEqual(new Map());
+      expect(parseChunkSizes(undefined)).toEqual(new Map());
+    });
+  });
+
+  describe('getChunkSize', () => {
+    beforeEach(() => {
+      game.settings.get.mockImplementation((moduleId, key) => key === 'pageChunkSizes' ? 'gpt-4o=40000, deepl=100000, *=20000' : undefined);
+    });
+
+    it('should use the size configured for the model of the provider', () => {
+      expect(getChunkSize({ id: 'openai-batch', getModel: () => 'gpt-4o' })).toBe(40000);
+    });
+
+    it('should fall back to the provider ID and then to the default size', () => {
+      expect(getChunkSize({ id: 'deepl' })).toBe(100000);
+      expect(getChunkSize({ id: 'local-llm', getModel: () => 'llama3.1' })).toBe(20000);
+    });
+
+    it('should not split pages when no size applies', () => {
+      game.settings.get.mockReturnValue('gpt-4o=40000');
+
+      expect(getChunkSize({ id: 'local-llm', getModel: () => 'llama3.1' })).toBe(0);
+    });
+  });
+
+  describe('splitIntoChunks', () => {
+    const paragraph = (text) => `<p>${text}</p>`;
+
+    it('should keep pages that fit unchanged', () => {
+      const html = '<p>Short page</p>';
+
+      expect(splitIntoChunks(html, 100)).toEqual([html]);
+      expect(splitIntoChunks(html, 0)).toEqual([html]);
+    });
+
+    it('should split between top-level blocks without exceeding the chunk size', () => {
+      const blocks = ['A', 'B', 'C', 'D'].map(letter => paragraph(letter.repeat(20)));
+
+      const chunks = splitIntoChunks(blocks.join(''), 60);
+
+      expect(chunks).toEqual([blocks[0] + blocks[1], blocks[2] + blocks[3]]);
+      expect(chunks.join('')).toBe(blocks.join(''));
+    });
+
+    it('should start a new chunk at a heading once the current one is half full', () => {
+      const html = paragraph('A'.repeat(40)) + '<h2>Room 2</h2>' + paragraph('B'.repeat(10));
+
+      expect(splitIntoChunks(html, 70)).toEqual([paragraph('A'.repeat(40)), '<h2>Room 2</h2>' + paragraph('B'.repeat(10))]);
+    });
+
+    it('should split large containers between their children and wrap each part', () => {
+      const rows = ['1', '2', '3', '4'].map(cell => `<tr><td>${cell.repeat(30)}</td></tr>`);
+      const html = `<table class="loot"><tbody>${rows.join('')}</tbody></table>`;
+
+      const chunks = splitIntoChunks(html, 150);
+
+      expect(chunks).toEqual([
+        `<table class="loot"><tbody>${rows[0] + rows[1]}</tbody></table>`,
+        `<table class="loot"><tbody>${rows[2] + rows[3]}</tbody></table>`
+      ]);
+    });
+
+    it('should keep a single paragraph longer than the chunk size whole', () => {
+      const html = paragraph('A'.repeat(100)) + paragraph('B');
+
+      expect(splitIntoChunks(html, 50)).toEqual([paragraph('A'.repeat(100)), paragraph('B')]);
+    });
+
+    it('should keep text between blocks with its escaping', () => {
+      const html = paragraph('A'.repeat(20)) + 'Fish &amp; chips' + paragraph('B'.repeat(20));
+
+      expect(splitIntoChunks(html, 50).join('')).toBe(html);
+    });
+  });
+
+  describe('chunkTexts and joinChunks', () => {
+    it('should count the chunks of each page', () => {
+      const long = '<p>' + 'A'.repeat(30) + '</p><p>' + 'B'.repeat(30) + '</p>';
+
+      const { chunks, chunkCounts } = chunkTexts(['<p>Short</p>', long], 40);
+
+      expect(chunks).toHaveLength(3);
+      expect(chunkCounts).toEqual([1, 2]);
+    });
+
+    it('should record which chunks continue a split container', () => {
+      const rows = ['1', '2', '3', '4'].map(cell => `<tr><td>${cell.repeat(30)}</td></tr>`);
+      const html = `<p>Loot</p><table class="loot"><tbody>${rows.join('')}</tbody></table><p>End</p>`;
+
+      const { chunks, continuations } = chunkTexts([html], 150);
+
+      expect(chunks).toHaveLength(4);
+      expect(continuations).toEqual([0, 0, 2, 0]);
+    });
+
+    it('should merge the parts of a split table and list back into one element', () => {
+      const rows = ['1', '2', '3', '4', '5', '6'].map(cell => `<tr><td>Row ${cell.repeat(40)}</td></tr>`);
+      const items = ['1', '2', '3', '4', '5', '6'].map(item => `<li>Step ${item.repeat(40)}</li>`);
+      const html = `<h2>Treasure</h2><table class="loot"><tbody>${rows.join('')}</tbody></table><ol start="3">${items.join('')}</ol>`;
+
+      const { chunks, chunkCounts, continuations } = chunkTexts([html], 200);
+      const translations = chunks.map(chunk => chunk.replaceAll('Row', 'Wiersz').replaceAll('Step', 'Krok'));
+      const { translations: [joined] } = joinChunks({ translations }, chunkCounts, continuations);
+
+      expect(chunks.length).toBeGreaterThan(4);
+      expect(joined).toBe(html.replaceAll('Row', 'Wiersz').replaceAll('Step', 'Krok'));
+      const template = document.createElement('template');
+      template.innerHTML = joined;
+      expect(template.content.querySelectorAll('table')).toHaveLength(1);
+      expect(template.content.querySelectorAll('ol')).toHaveLength(1);
+      expect(template.content.querySelectorAll('li')).toHaveLength(6);
+      expect(checkTranslations([html], [joined]).problems).toEqual([null]);
+    });
+
+    it('should append the parts of a container whose tags the provider changed', () => {
+      const result = joinChunks({ translations: ['<ul><li>Jeden</li></ul>', '<ol><li>Dwa</li></ol>'] }, [2], [0, 1]);
+
+      expect(result.translations).toEqual(['<ul><li>Jeden</li></ul><ol><li>Dwa</li></ol>']);
+    });
+
+    it('should join the translated chunks of each page in order', () => {
+      const result = joinChunks({ translations: ['One', 'Two A', 'Two B'], failedIndices: [], errors: [] }, [1, 2]);
+
+      expect(result).toEqual({ translations: ['One', 'Two ATwo B'], failedIndices: [], errors: [null, null] });
+    });
+
+    it('should fail a page when any of its chunks failed', () => {
+      const error = { code: 'context_length_exceeded', message: 'Too long' };
+
+      const result = joinChunks({ translations: ['One', 'Two A', ''], failedIndices: [2], errors: [null, null, error] }, [1, 2]);
+
+      expect(result).toEqual({ translations: ['One', ''], failedIndices: [1], errors: [null, error] });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for page-titles.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { getTitledContents, extractTitles, restoreTitleClasses, formatTranslatedName } from '../src/page-titles.js';
+
+describe('page-titles.js', () => {
+  let storedSettings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedSettings = { titleTemplate: '{translatedName}', targetLanguageLabel: '', deeplTargetLanguage: '' };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+  });
+
+  describe('getTitledContents', () => {
+    it('should put the page title in front of each page and the journal title in front of its first page', () => {
+      const chapters = { name: 'Chapters' };
+      const appendix = { name: 'Maps & <Handouts>' };
+      const pages = [
+        { name: 'Intro', text: { content: '<p>One</p>' }, journal: chapters },
+        { name: 'Ending', text: { content: '<p>Two</p>' }, journal: chapters },
+        { name: 'Map', text: { content: '<p>Three</p>' }, journal: appendix }
+      ];
+
+      expect(getTitledContents(pages, page => page.journal)).toEqual([
+        '<h1 class="journal-translator-journal-title">Chapters</h1><h1 class="journal-translator-page-title">Intro</h1><p>One</p>',
+        '<h1 class="journal-translator-page-title">Ending</h1><p>Two</p>',
+        '<h1 class="journal-translator-journal-title">Maps &amp; &lt;Handouts&gt;</h1><h1 class="journal-translator-page-title">Map</h1><p>Three</p>'
+      ]);
+    });
+
+    it('should send the original names of a journal and page renamed before', () => {
+      const getFlag = (originalName) => vi.fn((moduleId, flagName) => flagName === 'translationOriginalName' ? originalName : undefined);
+      const journal = { name: '[PL] Rozdziały', getFlag: getFlag('Chapters') };
+      const page = { name: '[PL] Wstęp', text: { content: '<p>One</p>' }, getFlag: getFlag('Intro') };
+
+      expect(getTitledContents([page], () => journal)).toEqual([
+        '<h1 class="journal-translator-journal-title">Chapters</h1><h1 class="journal-translator-page-title">Intro</h1><p>One</p>'
+      ]);
+    });
+  });
+
+  describe('extractTitles', () => {
+    it('should take the translated titles out of the content', () => {
+      const html = '<h1 class="journal-translator-journal-title">Rozdziały</h1>\n<h1 class="journal-translator-page-title">Wstęp &amp; <em>mapa</em></h1>\n<p>Jeden</p>';
+
+      expect(extractTitles(html)).toEqual({ content: '<p>Jeden</p>', pageName: 'Wstęp & mapa', journalName: 'Rozdziały' });
+    });
+
+    it('should find title headings whose attributes were changed by the provider', () => {
+      const html = '<H1 id="x" class="journal-translator-page-title">Wstęp</H1><p>Jeden</p>';
+
+      expect(extractTitles(html)).toEqual({ content: '<p>Jeden</p>', pageName: 'Wstęp', journalName: null });
+    });
+
+    it('should keep a translation without title headings unchanged', () => {
+      expect(extractTitles('<h1>Wstęp</h1><p>Jeden</p>')).toEqual({ content: '<h1>Wstęp</h1><p>Jeden</p>', pageName: null, journalName: null });
+      expect(extractTitles('')).toEqual({ content: '', pageName: null, journalName: null });
+    });
+  });
+
+  describe('restoreTitleClasses', () => {
+    const source = '<h1 class="journal-translator-journal-title">Chapters</h1><h1 class="journal-translator-page-title">Intro</h1><h1>Cave</h1><p>One</p>';
+
+    it('should mark the first headings of a translation that lost the title classes', () => {
+      const restored = restoreTitleClasses(source, '<h1>Rozdziały</h1><h1 class="title">Wstęp</h1><h1>Jaskinia</h1><p>Jeden</p>');
+
+      expect(restored).toBe('<h1 class="journal-translator-journal-title">Rozdziały</h1><h1 class="journal-translator-page-title title">Wstęp</h1><h1>Jaskinia</h1><p>Jeden</p>');
+      expect(extractTitles(restored)).toEqual({ content: '<h1>Jaskinia</h1><p>Jeden</p>', pageName: 'Wstęp', journalName: 'Rozdziały' });
+    });
+
+    it('should keep translations that kept the classes or whose headings do not match', () => {
+      const kept = '<h1 class="journal-translator-journal-title">Rozdziały</h1><h1 class="journal-translator-page-title">Wstęp</h1><h1>Jaskinia</h1>';
+
+      expect(restoreTitleClasses(source, kept)).toBe(kept);
+      expect(restoreTitleClasses(source, '<h1>Wstęp</h1><h1>Jaskinia</h1><p>Jeden</p>')).toBe('<h1>Wstęp</h1><h1>Jaskinia</h1><p>Jeden</p>');
+      expect(restoreTitleClasses('<p>One</p>', '<h1>Jeden</h1>')).toBe('<h1>Jeden</h1>');
+    });
+  });
+
+  describe('formatTranslatedName', () => {
+    it('should use the translated name with the default template', () => {
+      expect(formatTranslatedName('Intro', 'Wstęp')).toBe('Wstęp');
+    });
+
+    it('should fill in the original name and the language label', () => {
+      storedSettings.titleTemplate = '{translatedName} ({originalName}) [{lang}]';
+      storedSettings.targetLanguageLabel = 'PL';
+
+      expect(formatTranslatedName('Intro', 'Wstęp')).toBe('Wstęp (Intro) [PL]');
+    });
+
+    it('should fall back to the DeepL target language for the language label', () => {
+      storedSettings.titleTemplate = '{translatedName} [{lang}]';
+      storedSettings.deeplTargetLanguage = 'DE';
+
+      expect(formatTranslatedName('Intro', 'Einleitung')).toBe('Einleitung [DE]');
+    });
+
+    it('should use the original name when the name was not translated', () => {
+      expect(formatTranslatedName('Intro', null)).toBe('Intro');
+    });
+  });
+});
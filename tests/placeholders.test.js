@@ -0,0 +1,94 @@
+/**
+ * Tests for placeholders.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { protectPlaceholders, restorePlaceholders, reportPlaceholderIssues } from '../src/placeholders.js';
+
+describe('placeholders.js', () => {
+  let storedSettings;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedSettings = { translateLinkLabels: true, protectedPatterns: '' };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+  });
+
+  describe('protectPlaceholders', () => {
+    it('should replace enrichers, inline rolls and document IDs with numbered tokens', () => {
+      const { texts, placeholders } = protectPlaceholders([
+        '<p>@Check[dex|dc:15] or [[/r 2d6[fire]]] against @Embed[Compendium.dnd5e.items.Item.abcdEFGH12345678 inline], see Actor.abcdEFGH12345678.</p>'
+      ]);
+
+      expect(texts).toEqual(['<p>⟦0⟧ or ⟦1⟧ against ⟦2⟧, see ⟦3⟧.</p>']);
+      expect(placeholders).toEqual([[
+        '@Check[dex|dc:15]',
+        '[[/r 2d6[fire]]]',
+        '@Embed[Compendium.dnd5e.items.Item.abcdEFGH12345678 inline]',
+        'Actor.abcdEFGH12345678'
+      ]]);
+    });
+
+    it('should send link labels for translation unless they are kept', () => {
+      const text = '<p>Fight @UUID[Actor.abcdEFGH12345678]{the Goblin} and roll [[/r 1d20]]{Initiative}.</p>';
+
+      expect(protectPlaceholders([text]).texts).toEqual(['<p>Fight ⟦0⟧the Goblin⟦1⟧ and roll ⟦2⟧Initiative⟦3⟧.</p>']);
+
+      storedSettings.translateLinkLabels = false;
+      expect(protectPlaceholders([text]).texts).toEqual(['<p>Fight ⟦0⟧ and roll ⟦1⟧.</p>']);
+    });
+
+    it('should number the tokens of each text from zero', () => {
+      const { texts } = protectPlaceholders(['@Check[dex]', '', 'Plain text', '@Check[str]']);
+
+      expect(texts).toEqual(['⟦0⟧', '', 'Plain text', '⟦0⟧']);
+    });
+
+    it('should protect the configured patterns and ignore an invalid one', () => {
+      storedSettings.protectedPatterns = '\\{\\{[^}]*\\}\\}';
+      expect(protectPlaceholders(['<p>Hello {{name}}</p>']).texts).toEqual(['<p>Hello ⟦0⟧</p>']);
+
+      storedSettings.protectedPatterns = '([';
+      expect(protectPlaceholders(['<p>Hello @Check[dex]</p>']).texts).toEqual(['<p>Hello ⟦0⟧</p>']);
+      expect(ui.notifications.warn).toHaveBeenCalledWith(expect.stringContaining('The Protected Patterns setting is not a valid regular expression'));
+    });
+  });
+
+  describe('restorePlaceholders', () => {
+    it('should put the protected text back and report lost and duplicated tokens', () => {
+      const placeholders = [['@Check[dex]', '[[/r 1d20]]'], ['@Check[str]'], []];
+
+      const { translations, issues } = restorePlaceholders([
+        '<p>⟦ 1 ⟧ i ⟦0⟧</p>',
+        '<p>⟦0⟧ oraz ⟦0⟧, ⟦7⟧</p>',
+        ''
+      ], placeholders);
+
+      expect(translations).toEqual(['<p>[[/r 1d20]] i @Check[dex]</p>', '<p>@Check[str] oraz @Check[str], ⟦7⟧</p>', '']);
+      expect(issues).toEqual([null, { lost: [], duplicated: ['@Check[str]'] }, null]);
+
+      expect(restorePlaceholders(['<p>Rzuć</p>'], [['[[/r 1d20]]']]).issues).toEqual([{ lost: ['[[/r 1d20]]'], duplicated: [] }]);
+    });
+
+    it('should restore the texts it protected unchanged', () => {
+      const text = '<p>See @UUID[JournalEntry.abcdEFGH12345678.JournalEntryPage.ijklMNOP12345678]{the map} and [[/gmr 1d4]].</p>';
+      const { texts, placeholders } = protectPlaceholders([text]);
+
+      expect(restorePlaceholders(texts, placeholders)).toEqual({ translations: [text], issues: [null] });
+    });
+  });
+
+  describe('reportPlaceholderIssues', () => {
+    it('should warn about the affected pages only', () => {
+      const pages = [{ name: 'Page 1' }, { name: 'Page 2' }];
+
+      reportPlaceholderIssues(pages, [null, { lost: ['@Check[dex]'], duplicated: [] }]);
+
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Enrichers, rolls or IDs were lost or duplicated in the translation of 1 page(s): "Page 2". Please check them against the original.');
+
+      vi.clearAllMocks();
+      reportPlaceholderIssues(pages, [null, null]);
+      expect(ui.notifications.warn).not.toHaveBeenCalled();
+    });
+  });
+});
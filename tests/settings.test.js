@@ -23,9 +23,17 @@ describe('settings.js', () => {
       registerSettings();
 
       // Check that game.settings.register was called the correct number of times
-      expect(game.settings.register).toHaveBeenCalledTimes(9);
+      expect(game.settings.register).toHaveBeenCalledTimes(42);
       
       // Check specific settings registrations
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'translationProvider', expect.objectContaining({
+        name: 'Translation Provider',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: 'openai-batch'
+      }));
+
       expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'apiKey', expect.objectContaining({
         name: 'OpenAI API Key',
         scope: 'client',
@@ -56,6 +64,116 @@ describe('settings.js', () => {
         default: 'new'
       }));
 
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'titleTemplate', expect.objectContaining({
+        name: 'Translated Name Template',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: '{translatedName}'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'targetLanguageLabel', expect.objectContaining({
+        name: 'Target Language Label',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: ''
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'azureEndpoint', expect.objectContaining({
+        name: 'Azure OpenAI Endpoint',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: ''
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'azureApiKey', expect.objectContaining({
+        name: 'Azure OpenAI API Key',
+        type: String,
+        default: ''
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'azureDeployment', expect.objectContaining({
+        name: 'Azure OpenAI Deployment',
+        type: String,
+        default: ''
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'azureApiVersion', expect.objectContaining({
+        name: 'Azure OpenAI API Version',
+        type: String,
+        default: '2024-10-21'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'anthropicModel', expect.objectContaining({
+        name: 'Anthropic Model',
+        type: String,
+        default: 'claude-sonnet-4-5'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'anthropicMaxTokens', expect.objectContaining({
+        type: Number,
+        default: 8192
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'deeplApiKey', expect.objectContaining({
+        name: 'DeepL API Key',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: ''
+      }));
+
+      for (const key of ['deeplTargetLanguage', 'deeplSourceLanguage', 'deeplGlossaryId', 'deeplApiUrl']) {
+        expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, key, expect.objectContaining({
+          type: String,
+          default: ''
+        }));
+      }
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'localLlmEndpoint', expect.objectContaining({
+        name: 'Local LLM Endpoint',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: 'http://localhost:11434/api/chat'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'localLlmModel', expect.objectContaining({
+        name: 'Local LLM Model',
+        type: String,
+        default: 'llama3.1'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'localLlmConcurrency', expect.objectContaining({
+        name: 'Local LLM Concurrent Requests',
+        type: Number,
+        range: { min: 1, max: 8, step: 1 },
+        default: 1
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'processingMode', expect.objectContaining({
+        name: 'Processing Mode',
+        scope: 'client',
+        config: true,
+        type: String,
+        choices: {
+          'batch': 'Batch',
+          'immediate': 'Immediate',
+          'auto': 'Automatic by Size'
+        },
+        default: 'batch'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'immediateModeThreshold', expect.objectContaining({
+        name: 'Immediate Mode Size Limit (characters)',
+        scope: 'client',
+        config: true,
+        type: Number,
+        default: 10000
+      }));
+
       expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'modelVersion', expect.objectContaining({
         name: 'OpenAI Model Version',
         scope: 'client',
@@ -98,6 +216,51 @@ describe('settings.js', () => {
         default: 120
       }));
 
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'batchTokenLimit', expect.objectContaining({
+        name: 'Batch Token Limit',
+        scope: 'client',
+        group: 'advanced',
+        type: Number,
+        default: 2000000
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'pageChunkSizes', expect.objectContaining({
+        name: 'Page Chunk Size per Model (characters)',
+        scope: 'client',
+        group: 'advanced',
+        type: String,
+        default: '*=40000'
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'transientFailureRetries', expect.objectContaining({
+        name: 'Retries for Rate Limits and Server Errors',
+        scope: 'client',
+        group: 'advanced',
+        type: Number,
+        range: {
+          min: 0,
+          max: 10,
+          step: 1
+        },
+        default: 5
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'modelPrices', expect.objectContaining({
+        name: 'Model Prices (USD per million tokens)',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: expect.stringContaining('gpt-4o=2.50/10.00')
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'batchDiscount', expect.objectContaining({
+        name: 'Batch Discount (%)',
+        group: 'advanced',
+        type: Number,
+        range: { min: 0, max: 100, step: 5 },
+        default: 50
+      }));
+
       expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'enableFolderMenu', expect.objectContaining({
         name: 'Enable Folder Translate Menu',
         scope: 'client',
@@ -113,6 +276,51 @@ describe('settings.js', () => {
         type: Boolean,
         default: true
       }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'batchQueue', expect.objectContaining({
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'usageLedger', expect.objectContaining({
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'useTranslationMemory', expect.objectContaining({
+        name: 'Use Translation Memory',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'translateLinkLabels', expect.objectContaining({
+        name: 'Translate Link Labels',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: true
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'protectedPatterns', expect.objectContaining({
+        name: 'Protected Patterns',
+        scope: 'client',
+        config: true,
+        type: String,
+        default: ''
+      }));
+
+      expect(game.settings.register).toHaveBeenCalledWith(MODULE_ID, 'translationMemory', expect.objectContaining({
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+      }));
     });
 
     it('should have correct setting hints', () => {
@@ -149,8 +357,8 @@ describe('settings.js', () => {
     it('should have all settings as client scope', () => {
       registerSettings();
 
-      // Check that all registered settings have client scope
-      game.settings.register.mock.calls.forEach(call => {
+      // Check that all registered settings have client scope, except the batch queue, usage ledger and translation memory shared by all clients
+      game.settings.register.mock.calls.filter(call => !['batchQueue', 'usageLedger', 'translationMemory'].includes(call[1])).forEach(call => {
         const settingConfig = call[2];
         expect(settingConfig.scope).toBe('client');
       });
@@ -159,8 +367,8 @@ describe('settings.js', () => {
     it('should have all main settings visible in config', () => {
       registerSettings();
 
-      // Check that all registered settings have config: true
-      game.settings.register.mock.calls.forEach(call => {
+      // Check that all registered settings have config: true, except the hidden batch queue, usage ledger and translation memory
+      game.settings.register.mock.calls.filter(call => !['batchQueue', 'usageLedger', 'translationMemory'].includes(call[1])).forEach(call => {
         const settingConfig = call[2];
         expect(settingConfig.config).toBe(true);
       });
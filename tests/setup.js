@@ -7,6 +7,7 @@
 global.game = {
   settings: {
     get: vi.fn(),
+    set: vi.fn(),
     register: vi.fn(),
     registerMenu: vi.fn(),
     settings: new Map()
@@ -39,13 +40,20 @@ global.Hooks = {
 
 global.foundry = {
   utils: {
-    mergeObject: (original, other) => ({ ...original, ...other })
+    mergeObject: (original, other) => ({ ...original, ...other }),
+    randomID: () => Math.random().toString(36).slice(2, 18),
+    saveDataToFile: vi.fn()
   },
   applications: {
     api: {
       DialogV2: {
         confirm: vi.fn(),
         wait: vi.fn()
+      },
+      ApplicationV2: class MockApplicationV2 {
+        render() {
+          return this;
+        }
       }
     }
   }
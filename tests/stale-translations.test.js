@@ -0,0 +1,95 @@
+/**
+ * Tests for stale-translations.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../src/translation-providers.js', () => ({
+  getActiveProvider: vi.fn(() => ({ id: 'openai-batch', getModel: () => 'gpt-4o' })),
+  getProviderChoices: vi.fn(() => ({})),
+  DEFAULT_PROVIDER_ID: 'openai-batch'
+}));
+
+import { getSourceHash, getSettingsHash, findOutdatedPages } from '../src/stale-translations.js';
+import { getActiveProvider } from '../src/translation-providers.js';
+import { registerSettings } from '../src/settings.js';
+
+// Builds a page with the given content and translation flags
+function createPage(content, flags) {
+  return { text: { content }, getFlag: vi.fn((moduleId, flagName) => flags[flagName]) };
+}
+
+describe('stale-translations.js', () => {
+  let storedSettings;
+  let provider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedSettings = { systemPrompt: 'You are a translator', customPrompt: 'Translate to Polish' };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    provider = getActiveProvider();
+  });
+
+  describe('getSettingsHash', () => {
+    it('should change with the prompts, model and DeepL language settings', async () => {
+      const hash = await getSettingsHash(provider);
+
+      expect(await getSettingsHash(provider)).toBe(hash);
+      expect(await getSettingsHash({ ...provider, getModel: () => 'gpt-4o-mini' })).not.toBe(hash);
+
+      storedSettings.customPrompt = 'Translate to German';
+      expect(await getSettingsHash(provider)).not.toBe(hash);
+
+      const deepLHash = await getSettingsHash({ id: 'deepl' });
+      storedSettings.deeplTargetLanguage = 'DE';
+      expect(await getSettingsHash({ id: 'deepl' })).not.toBe(deepLHash);
+    });
+
+    it('should not change for the default prompt when the module adds instructions to every request', async () => {
+      // The default system prompt before placeholders were protected, which older translations were hashed with
+      const previousDefault = 'You are a helpful assistant that translates text found inside journal entries for a tabletop roleplaying game. You should preserve the original HTML formatting (headings, paragraphs, lists, bold, italics, classes etc.) in your translation as well as any tags starting with @ such as @Check.';
+      storedSettings.systemPrompt = previousDefault;
+      const previousHash = await getSettingsHash(provider);
+
+      registerSettings();
+      const [, , { default: currentDefault }] = game.settings.register.mock.calls.find(([, key]) => key === 'systemPrompt');
+      storedSettings.systemPrompt = currentDefault;
+
+      expect(await getSettingsHash(provider)).toBe(previousHash);
+    });
+  });
+
+  describe('findOutdatedPages', () => {
+    let sourceHash;
+    let settingsHash;
+
+    beforeEach(async () => {
+      sourceHash = await getSourceHash({ text: { content: '<p>Original</p>' } });
+      settingsHash = await getSettingsHash(provider);
+    });
+
+    it('should find translated pages that were edited since', async () => {
+      const unchanged = createPage('<p>Original</p>', { translationCompleted: true, translationSourceHash: sourceHash, translationSettingsHash: settingsHash });
+      const edited = createPage('<p>Original, with a new paragraph</p>', { translationCompleted: true, translationSourceHash: sourceHash, translationSettingsHash: settingsHash });
+
+      const outdated = await findOutdatedPages([unchanged, edited]);
+
+      expect([...outdated]).toEqual([[edited, 'source']]);
+    });
+
+    it('should find translated pages whose translation settings have changed since', async () => {
+      const page = createPage('<p>Original</p>', { translationCompleted: true, translationSourceHash: sourceHash, translationSettingsHash: settingsHash });
+
+      storedSettings.customPrompt = 'Translate to German';
+
+      expect((await findOutdatedPages([page])).get(page)).toBe('settings');
+    });
+
+    it('should skip pages that are not translated or were translated without hashes', async () => {
+      const untranslated = createPage('<p>Edited</p>', { translationCompleted: false, translationSourceHash: sourceHash });
+      const legacy = createPage('<p>Edited</p>', { translationCompleted: true });
+
+      expect((await findOutdatedPages([untranslated, legacy])).size).toBe(0);
+    });
+  });
+});
@@ -2,33 +2,73 @@
  * Tests for translation-handlers.js
  */
 
-import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { translateJournal } from '../src/translation-handlers.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { translateJournal, translateJournals, attemptBatchRestoration, cancelTranslationBatch, resumeQueuedBatches } from '../src/translation-handlers.js';
 
 // Mock the imported functions
-vi.mock('../src/openai-batch.js', () => ({
-  callOpenAIBatch: vi.fn()
+vi.mock('../src/translation-providers.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  callTranslationProvider: vi.fn(),
+  getProvider: vi.fn(),
+  getActiveProvider: vi.fn(() => ({ id: 'openai-batch' })),
+  shouldTranslateImmediately: vi.fn(() => false),
+  translateTextsImmediately: vi.fn(),
+  retryFailedTranslations: vi.fn(async (texts, translations, provider, errors, usage) => ({ translations, failedIndices: [], errors, usage }))
+}));
+
+vi.mock('../src/usage-ledger.js', () => ({
+  recordUsage: vi.fn().mockResolvedValue([])
 }));
 
 vi.mock('../src/utils.js', () => ({
   createPageUpdates: vi.fn(),
-  createTranslatedPagesData: vi.fn()
+  createTranslatedPagesData: vi.fn(),
+  showTranslationErrorReport: vi.fn(),
+  showTranslationReview: vi.fn(async () => []),
+  escapeText: vi.fn(text => String(text ?? '').replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;').replaceAll('"', '&quot;'))
+}));
+
+// Pages are sent without their titles, so the expected requests stay readable
+vi.mock('../src/page-titles.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  getTitledContents: vi.fn((pages) => pages.map(page => page.text.content)),
+  formatTranslatedName: vi.fn((originalName, translatedName) => translatedName || originalName)
+}));
+
+vi.mock('../src/translation-memory.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  lookupTranslationMemory: vi.fn(async (texts) => texts.map(() => null)),
+  fillFromTranslationMemory: vi.fn(async (texts, translations) => translations),
+  rememberTranslations: vi.fn().mockResolvedValue()
 }));
 
 vi.mock('../src/batch-queue.js', () => ({
-  addBatchToQueue: vi.fn(),
-  removeBatchFromQueue: vi.fn()
+  addBatchToQueue: vi.fn().mockResolvedValue(true),
+  removeBatchFromQueue: vi.fn().mockResolvedValue(),
+  isBatchInQueue: vi.fn(() => false),
+  isBatchMonitoredHere: vi.fn(() => true),
+  getBatchLease: vi.fn(() => null),
+  stopBatchPolling: vi.fn()
 }));
 
 vi.mock('../src/translation-flags.js', () => ({
   setTranslationStartedFlags: vi.fn().mockResolvedValue(),
-  setTranslationCompletedFlags: vi.fn().mockResolvedValue()
+  setTranslationCompletedFlags: vi.fn().mockResolvedValue(),
+  clearTranslationFlags: vi.fn().mockResolvedValue(),
+  setTranslationErrorFlag: vi.fn().mockResolvedValue(),
+  getTranslationFlags: vi.fn(() => ({ provider: 'openai-batch' })),
+  findAllTranslationBatches: vi.fn(() => [])
 }));
 
-import { callOpenAIBatch } from '../src/openai-batch.js';
-import { createPageUpdates, createTranslatedPagesData } from '../src/utils.js';
-import { addBatchToQueue, removeBatchFromQueue } from '../src/batch-queue.js';
-import { setTranslationStartedFlags, setTranslationCompletedFlags } from '../src/translation-flags.js';
+import { callTranslationProvider, getProvider, getActiveProvider, shouldTranslateImmediately, translateTextsImmediately, retryFailedTranslations } from '../src/translation-providers.js';
+import { createPageUpdates, createTranslatedPagesData, showTranslationErrorReport, showTranslationReview } from '../src/utils.js';
+import { addBatchToQueue, removeBatchFromQueue, isBatchInQueue, isBatchMonitoredHere, getBatchLease, stopBatchPolling } from '../src/batch-queue.js';
+import { setTranslationStartedFlags, setTranslationCompletedFlags, clearTranslationFlags, setTranslationErrorFlag, getTranslationFlags, findAllTranslationBatches } from '../src/translation-flags.js';
+import { recordUsage } from '../src/usage-ledger.js';
+import { getTitledContents, formatTranslatedName } from '../src/page-titles.js';
+import { lookupTranslationMemory, rememberTranslations } from '../src/translation-memory.js';
+import { SEPARATOR, getBlockMap } from '../src/block-map.js';
+import { getSettingsHash } from '../src/stale-translations.js';
 
 describe('translation-handlers.js', () => {
   let mockJournal;
@@ -82,7 +122,7 @@ describe('translation-handlers.js', () => {
       return 'default-value';
     });
 
-    callOpenAIBatch.mockResolvedValue({ 
+    callTranslationProvider.mockResolvedValue({ 
       batchId: 'test-batch-123', 
       translations: ['Translated content 1', 'Translated content 2'] 
     });
@@ -95,19 +135,19 @@ describe('translation-handlers.js', () => {
       await translateJournal(mockJournal);
 
       expect(ui.notifications.warn).toHaveBeenCalledWith('No pages selected for translation in "Test Journal".');
-      expect(callOpenAIBatch).not.toHaveBeenCalled();
+      expect(callTranslationProvider).not.toHaveBeenCalled();
     });
 
     it('should warn when no pages are selected for translation', async () => {
       await translateJournal(mockJournal, []);
 
       expect(ui.notifications.warn).toHaveBeenCalledWith('No pages selected for translation in "Test Journal".');
-      expect(callOpenAIBatch).not.toHaveBeenCalled();
+      expect(callTranslationProvider).not.toHaveBeenCalled();
     });
 
     it('should use selected pages when provided', async () => {
       const selectedPages = [mockJournal.pages[0]]; // Only first page
-      callOpenAIBatch.mockResolvedValue({ 
+      callTranslationProvider.mockResolvedValue({ 
         batchId: 'test-batch-456', 
         translations: ['Translated content 1'] 
       });
@@ -117,12 +157,13 @@ describe('translation-handlers.js', () => {
 
       await translateJournal(mockJournal, selectedPages);
 
-      expect(callOpenAIBatch).toHaveBeenCalledWith(['Content 1'], expect.objectContaining({
+      expect(callTranslationProvider).toHaveBeenCalledWith(['Content 1'], expect.objectContaining({
         onBatchCreated: expect.any(Function)
       }));
       expect(createTranslatedPagesData).toHaveBeenCalledWith(
         selectedPages,
-        ['Translated content 1']
+        ['Translated content 1'],
+        [null]
       );
     });
 
@@ -134,7 +175,7 @@ describe('translation-handlers.js', () => {
         { id: 'page4', name: 'Page 4', text: { content: 'Content 4' } }
       ];
 
-      callOpenAIBatch.mockResolvedValue({ 
+      callTranslationProvider.mockResolvedValue({ 
         batchId: 'test-batch-789', 
         translations: ['Translated 1', 'Translated 4'] 
       });
@@ -145,7 +186,7 @@ describe('translation-handlers.js', () => {
 
       await translateJournal(mockJournal);
 
-      expect(callOpenAIBatch).toHaveBeenCalledWith(['Content 1', 'Content 4'], expect.objectContaining({
+      expect(callTranslationProvider).toHaveBeenCalledWith(['Content 1', 'Content 4'], expect.objectContaining({
         onBatchCreated: expect.any(Function)
       }));
     });
@@ -161,10 +202,11 @@ describe('translation-handlers.js', () => {
 
       expect(createTranslatedPagesData).toHaveBeenCalledWith(
         mockJournal.pages,
-        ['Translated content 1', 'Translated content 2']
+        ['Translated content 1', 'Translated content 2'],
+        [null, null]
       );
       expect(JournalEntry.create).toHaveBeenCalledWith({
-        name: 'Test Journal (Translated)',
+        name: 'Test Journal',
         pages: [
           { name: 'Page 1 (Translated)', text: { content: 'Translated content 1' } },
           { name: 'Page 2 (Translated)', text: { content: 'Translated content 2' } }
@@ -172,7 +214,7 @@ describe('translation-handlers.js', () => {
         ownership: { default: 0 },
         folder: 'folder1'
       });
-      expect(ui.notifications.info).toHaveBeenCalledWith('Successfully created a new journal "Test Journal (Translated)" with translations from "Test Journal".');
+      expect(ui.notifications.info).toHaveBeenCalledWith('Successfully created a new journal "Test Journal" with translations from "Test Journal".');
     });
 
     it('should handle new journal mode with no folder', async () => {
@@ -192,8 +234,8 @@ describe('translation-handlers.js', () => {
     it('should handle append mode', async () => {
       game.settings.get.mockReturnValue('append');
       createPageUpdates.mockReturnValue([
-        { _id: 'page1', 'text.content': 'Content 1<hr style="margin: 1em 0;">Translated content 1' },
-        { _id: 'page2', 'text.content': 'Content 2<hr style="margin: 1em 0;">Translated content 2' }
+        { _id: 'page1', 'text.content': 'Content 1<hr class="journal-translator-separator" style="margin: 1em 0;">Translated content 1' },
+        { _id: 'page2', 'text.content': 'Content 2<hr class="journal-translator-separator" style="margin: 1em 0;">Translated content 2' }
       ]);
 
       await translateJournal(mockJournal);
@@ -201,17 +243,18 @@ describe('translation-handlers.js', () => {
       expect(createPageUpdates).toHaveBeenCalledWith(
         mockJournal.pages,
         ['Translated content 1', 'Translated content 2'],
-        expect.any(Function)
+        expect.any(Function),
+        [null, null]
       );
 
       // Test the content transformer function
       const contentTransformer = createPageUpdates.mock.calls[0][2];
       const result = contentTransformer('Original', 'Translated');
-      expect(result).toBe('Original<hr style="margin: 1em 0;">Translated');
+      expect(result).toBe('Original<hr class="journal-translator-separator" style="margin: 1em 0;">Translated');
 
       expect(mockJournal.updateEmbeddedDocuments).toHaveBeenCalledWith('JournalEntryPage', [
-        { _id: 'page1', 'text.content': 'Content 1<hr style="margin: 1em 0;">Translated content 1' },
-        { _id: 'page2', 'text.content': 'Content 2<hr style="margin: 1em 0;">Translated content 2' }
+        { _id: 'page1', 'text.content': 'Content 1<hr class="journal-translator-separator" style="margin: 1em 0;">Translated content 1' },
+        { _id: 'page2', 'text.content': 'Content 2<hr class="journal-translator-separator" style="margin: 1em 0;">Translated content 2' }
       ]);
       expect(ui.notifications.info).toHaveBeenCalledWith('Successfully appended translations to "Test Journal".');
     });
@@ -219,8 +262,8 @@ describe('translation-handlers.js', () => {
     it('should handle prepend mode', async () => {
       game.settings.get.mockReturnValue('prepend');
       createPageUpdates.mockReturnValue([
-        { _id: 'page1', 'text.content': 'Translated content 1<hr style="margin: 1em 0;">Content 1' },
-        { _id: 'page2', 'text.content': 'Translated content 2<hr style="margin: 1em 0;">Content 2' }
+        { _id: 'page1', 'text.content': 'Translated content 1<hr class="journal-translator-separator" style="margin: 1em 0;">Content 1' },
+        { _id: 'page2', 'text.content': 'Translated content 2<hr class="journal-translator-separator" style="margin: 1em 0;">Content 2' }
       ]);
 
       await translateJournal(mockJournal);
@@ -228,17 +271,18 @@ describe('translation-handlers.js', () => {
       expect(createPageUpdates).toHaveBeenCalledWith(
         mockJournal.pages,
         ['Translated content 1', 'Translated content 2'],
-        expect.any(Function)
+        expect.any(Function),
+        [null, null]
       );
 
       // Test the content transformer function
       const contentTransformer = createPageUpdates.mock.calls[0][2];
       const result = contentTransformer('Original', 'Translated');
-      expect(result).toBe('Translated<hr style="margin: 1em 0;">Original');
+      expect(result).toBe('Translated<hr class="journal-translator-separator" style="margin: 1em 0;">Original');
 
       expect(mockJournal.updateEmbeddedDocuments).toHaveBeenCalledWith('JournalEntryPage', [
-        { _id: 'page1', 'text.content': 'Translated content 1<hr style="margin: 1em 0;">Content 1' },
-        { _id: 'page2', 'text.content': 'Translated content 2<hr style="margin: 1em 0;">Content 2' }
+        { _id: 'page1', 'text.content': 'Translated content 1<hr class="journal-translator-separator" style="margin: 1em 0;">Content 1' },
+        { _id: 'page2', 'text.content': 'Translated content 2<hr class="journal-translator-separator" style="margin: 1em 0;">Content 2' }
       ]);
       expect(ui.notifications.info).toHaveBeenCalledWith('Successfully prepended translations to "Test Journal".');
     });
@@ -255,7 +299,8 @@ describe('translation-handlers.js', () => {
       expect(createPageUpdates).toHaveBeenCalledWith(
         mockJournal.pages,
         ['Translated content 1', 'Translated content 2'],
-        expect.any(Function)
+        expect.any(Function),
+        [null, null]
       );
 
       // Test the content transformer function
@@ -270,6 +315,146 @@ describe('translation-handlers.js', () => {
       expect(ui.notifications.info).toHaveBeenCalledWith('Successfully replaced original with translations in "Test Journal".');
     });
 
+    it('should send enrichers and inline rolls as tokens and restore them in the translation', async () => {
+      mockJournal.pages[0].text.content = '<p>Attack @UUID[Actor.abcdEFGH12345678]{Goblin} for [[/r 1d20+5]].</p>';
+      mockJournal.pages = [mockJournal.pages[0]];
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['<p>Zaatakuj ⟦0⟧Goblina⟦1⟧ za ⟦2⟧.</p>'] });
+
+      await translateJournal(mockJournal);
+
+      expect(callTranslationProvider).toHaveBeenCalledWith(['<p>Attack ⟦0⟧Goblin⟦1⟧ for ⟦2⟧.</p>'], expect.any(Object));
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(
+        mockJournal.pages,
+        ['<p>Zaatakuj @UUID[Actor.abcdEFGH12345678]{Goblina} za [[/r 1d20+5]].</p>'],
+        [null]
+      );
+      expect(ui.notifications.warn).not.toHaveBeenCalled();
+    });
+
+    it('should report pages whose translation lost a token', async () => {
+      mockJournal.pages[0].text.content = '<p>Roll [[/r 1d20]].</p>';
+      mockJournal.pages = [mockJournal.pages[0]];
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['<p>Rzuć.</p>'] });
+
+      await translateJournal(mockJournal);
+
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Enrichers, rolls or IDs were lost or duplicated in the translation of 1 page(s): "Page 1". Please check them against the original.');
+    });
+
+    it('should remove a code fence around the translation before applying it', async () => {
+      mockJournal.pages = [{ id: 'page1', name: 'Page 1', text: { content: '<p>Content 1</p>' } }];
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['```html\n<p>Treść 1</p>\n```'] });
+
+      await translateJournal(mockJournal);
+
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(mockJournal.pages, ['<p>Treść 1</p>'], [null]);
+      expect(showTranslationReview).not.toHaveBeenCalled();
+    });
+
+    it('should hold back translations that lost an image and report them unless they are accepted', async () => {
+      mockJournal.pages = [{ id: 'page1', name: 'Page 1', text: { content: '<p>Content 1</p><img src="map.webp">' } }];
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['<p>Treść 1</p>'] });
+
+      await translateJournal(mockJournal);
+
+      expect(showTranslationReview).toHaveBeenCalledWith(mockJournal, [{
+        page: mockJournal.pages[0],
+        problems: ['The translation has 0 images where the original has 1.'],
+        translation: '<p>Treść 1</p>'
+      }]);
+      expect(createTranslatedPagesData).not.toHaveBeenCalled();
+      expect(setTranslationCompletedFlags).not.toHaveBeenCalled();
+      expect(rememberTranslations).toHaveBeenCalledWith(expect.any(Object), ['<p>Content 1</p><img src="map.webp">'], ['']);
+      expect(setTranslationErrorFlag).toHaveBeenCalledWith(mockJournal.pages[0], {
+        code: 'suspicious_translation',
+        message: 'The translation has 0 images where the original has 1.'
+      });
+    });
+
+    it('should apply held back translations the user accepts', async () => {
+      mockJournal.pages = [{ id: 'page1', name: 'Page 1', text: { content: '<p>Content 1</p><img src="map.webp">' } }];
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['<p>Treść 1</p>'] });
+      showTranslationReview.mockResolvedValueOnce([mockJournal.pages[0]]);
+
+      await translateJournal(mockJournal);
+
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(mockJournal.pages, ['<p>Treść 1</p>'], [null]);
+      expect(setTranslationErrorFlag).not.toHaveBeenCalled();
+    });
+
+    it('should send the titles of the pages and the journal with their content', async () => {
+      await translateJournal(mockJournal);
+
+      expect(getTitledContents).toHaveBeenCalledWith(mockJournal.pages, expect.any(Function), expect.any(Function));
+      const getJournal = getTitledContents.mock.calls[0][1];
+      expect(getJournal(mockJournal.pages[1])).toBe(mockJournal);
+    });
+
+    it('should rename the journal and pages with their translated titles in replace mode', async () => {
+      game.settings.get.mockReturnValue('replace');
+      mockJournal.update = vi.fn().mockResolvedValue(true);
+      callTranslationProvider.mockResolvedValue({
+        batchId: 'test-batch-123',
+        translations: [
+          '<h1 class="journal-translator-journal-title">Dziennik</h1><h1 class="journal-translator-page-title">Strona 1</h1>Translated content 1',
+          'Translated content 2'
+        ]
+      });
+      createPageUpdates.mockReturnValue([{ _id: 'page1', 'text.content': 'Translated content 1', name: 'Strona 1' }]);
+
+      await translateJournal(mockJournal);
+
+      expect(createPageUpdates).toHaveBeenCalledWith(
+        mockJournal.pages,
+        ['Translated content 1', 'Translated content 2'],
+        expect.any(Function),
+        ['Strona 1', null]
+      );
+      expect(mockJournal.update).toHaveBeenCalledWith({ name: 'Dziennik', 'flags.foundry-translation.translationOriginalName': 'Test Journal' });
+    });
+
+    it('should not store a content hash for pages whose content was replaced', async () => {
+      game.settings.get.mockReturnValue('replace');
+      mockJournal.update = vi.fn().mockResolvedValue(true);
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['Translated content 1', 'Translated content 2'] });
+      createPageUpdates.mockReturnValue([{ _id: 'page1', 'text.content': 'Translated content 1' }, { _id: 'page2', 'text.content': 'Translated content 2' }]);
+
+      await translateJournal(mockJournal);
+
+      expect(setTranslationCompletedFlags).toHaveBeenCalledWith(mockJournal.pages[0], expect.objectContaining({ sourceHash: null }));
+      expect(setTranslationCompletedFlags).toHaveBeenCalledWith(mockJournal.pages[1], expect.objectContaining({ sourceHash: null }));
+    });
+
+    it('should rename a journal renamed before from its original name', async () => {
+      game.settings.get.mockReturnValue('replace');
+      mockJournal.name = 'Dziennik';
+      mockJournal.getFlag = vi.fn((moduleId, flagName) => flagName === 'translationOriginalName' ? 'Test Journal' : undefined);
+      mockJournal.update = vi.fn().mockResolvedValue(true);
+      formatTranslatedName.mockImplementationOnce((originalName, translatedName) => `${translatedName} (${originalName})`);
+      callTranslationProvider.mockResolvedValue({
+        batchId: 'test-batch-123',
+        translations: ['<h1 class="journal-translator-journal-title">Dziennik</h1>Translated content 1', 'Translated content 2']
+      });
+      createPageUpdates.mockReturnValue([{ _id: 'page1', 'text.content': 'Translated content 1' }]);
+
+      await translateJournal(mockJournal);
+
+      expect(mockJournal.update).toHaveBeenCalledWith({ name: 'Dziennik (Test Journal)', 'flags.foundry-translation.translationOriginalName': 'Test Journal' });
+    });
+
+    it('should name a new journal with its translated title', async () => {
+      callTranslationProvider.mockResolvedValue({
+        batchId: 'test-batch-123',
+        translations: ['<h1 class="journal-translator-journal-title">Dziennik</h1>Translated content 1', 'Translated content 2']
+      });
+      createTranslatedPagesData.mockReturnValue([{ name: 'Page 1', text: { content: 'Translated content 1' } }]);
+
+      await translateJournal(mockJournal);
+
+      expect(JournalEntry.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Dziennik' }));
+      expect(ui.notifications.info).toHaveBeenCalledWith('Successfully created a new journal "Dziennik" with translations from "Test Journal".');
+    });
+
     it('should handle empty page updates gracefully', async () => {
       game.settings.get.mockReturnValue('append');
       createPageUpdates.mockReturnValue([]); // No valid updates
@@ -343,14 +528,14 @@ describe('translation-handlers.js', () => {
 
       await translateJournal(mockJournal);
 
-      expect(callOpenAIBatch).toHaveBeenCalledWith(['First content', 'Second content', 'Third content'], expect.objectContaining({
+      expect(callTranslationProvider).toHaveBeenCalledWith(['First content', 'Second content', 'Third content'], expect.objectContaining({
         onBatchCreated: expect.any(Function)
       }));
     });
 
     it('should properly handle batch queue operations and translation flags', async () => {
-      // Mock callOpenAIBatch to simulate the callback behavior
-      callOpenAIBatch.mockImplementation(async (texts, options) => {
+      // Mock callTranslationProvider to simulate the callback behavior
+      callTranslationProvider.mockImplementation(async (texts, options) => {
         // Simulate the callback being called during batch creation
         if (options && options.onBatchCreated) {
           await options.onBatchCreated('test-batch-callback-123');
@@ -374,17 +559,17 @@ describe('translation-handlers.js', () => {
 
       // Verify translation flags are set for each page
       expect(setTranslationStartedFlags).toHaveBeenCalledTimes(2);
-      expect(setTranslationStartedFlags).toHaveBeenNthCalledWith(1, mockJournal.pages[0], 'test-batch-callback-123', 0);
-      expect(setTranslationStartedFlags).toHaveBeenNthCalledWith(2, mockJournal.pages[1], 'test-batch-callback-123', 1);
+      expect(setTranslationStartedFlags).toHaveBeenNthCalledWith(1, mockJournal.pages[0], 'test-batch-callback-123', 0, 'openai-batch', null, 1, null, null);
+      expect(setTranslationStartedFlags).toHaveBeenNthCalledWith(2, mockJournal.pages[1], 'test-batch-callback-123', 1, 'openai-batch', null, 1, null, null);
 
       // Verify completion flags are set for each page
       expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(2);
-      expect(setTranslationCompletedFlags).toHaveBeenNthCalledWith(1, mockJournal.pages[0]);
-      expect(setTranslationCompletedFlags).toHaveBeenNthCalledWith(2, mockJournal.pages[1]);
+      expect(setTranslationCompletedFlags).toHaveBeenNthCalledWith(1, mockJournal.pages[0], { sourceHash: expect.any(String), settingsHash: expect.any(String), blockMap: null });
+      expect(setTranslationCompletedFlags).toHaveBeenNthCalledWith(2, mockJournal.pages[1], { sourceHash: expect.any(String), settingsHash: expect.any(String), blockMap: null });
     });
 
     it('should handle case when no batch ID is returned', async () => {
-      callOpenAIBatch.mockResolvedValue({
+      callTranslationProvider.mockResolvedValue({
         batchId: null,
         translations: []
       });
@@ -399,8 +584,29 @@ describe('translation-handlers.js', () => {
       expect(ui.notifications.warn).toHaveBeenCalledWith('No translations received for "Test Journal".');
     });
 
+    it('should release the lease when the provider fails after the batch was created', async () => {
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const { callTranslationProvider: callProvider } = await vi.importActual('../src/translation-providers.js');
+      const provider = {
+        id: 'openai-batch',
+        validate: vi.fn(() => null),
+        submit: vi.fn(async () => ({ id: 'test-batch-poll-123' })),
+        poll: vi.fn(async () => { throw new Error('Polling Error: Bad Gateway'); })
+      };
+      getActiveProvider.mockReturnValueOnce(provider);
+      callTranslationProvider.mockImplementationOnce(callProvider);
+
+      await translateJournal(mockJournal);
+
+      expect(addBatchToQueue).toHaveBeenCalledWith('test-batch-poll-123');
+      expect(removeBatchFromQueue).toHaveBeenCalledWith('test-batch-poll-123');
+      expect(setTranslationStartedFlags).toHaveBeenCalledWith(mockJournal.pages[0], 'test-batch-poll-123', 0, 'openai-batch', null, 1, null, null);
+      expect(setTranslationCompletedFlags).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
     it('should not mark pages as completed when all translations are empty strings', async () => {
-      callOpenAIBatch.mockImplementation(async (texts, options) => {
+      callTranslationProvider.mockImplementation(async (texts, options) => {
         if (options?.onBatchCreated) {
           await options.onBatchCreated('test-batch-empty-123');
         }
@@ -416,7 +622,7 @@ describe('translation-handlers.js', () => {
     });
 
     it('should still remove batch from queue even if translation fails', async () => {
-      callOpenAIBatch.mockImplementation(async (texts, options) => {
+      callTranslationProvider.mockImplementation(async (texts, options) => {
         if (options && options.onBatchCreated) {
           await options.onBatchCreated('test-batch-fail-123');
         }
@@ -436,4 +642,663 @@ describe('translation-handlers.js', () => {
       expect(removeBatchFromQueue).toHaveBeenCalledWith('test-batch-fail-123');
     });
   });
+
+  describe('translateJournal with failed pages', () => {
+    const contextError = { code: 'context_length_exceeded', message: 'This model maximum context length is 128000 tokens.' };
+
+    it('should retry empty translations and apply the merged results', async () => {
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['Translated content 1', ''], errors: [null, contextError] });
+      retryFailedTranslations.mockResolvedValueOnce({
+        translations: ['Translated content 1', 'Translated content 2'],
+        failedIndices: [],
+        errors: [null, null]
+      });
+      createTranslatedPagesData.mockReturnValue([{ name: 'Page 1 (Translated)' }, { name: 'Page 2 (Translated)' }]);
+
+      await translateJournal(mockJournal);
+
+      expect(retryFailedTranslations).toHaveBeenCalledWith(['Content 1', 'Content 2'], ['Translated content 1', ''], { id: 'openai-batch' }, [null, contextError], undefined);
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(mockJournal.pages, ['Translated content 1', 'Translated content 2'], [null, null]);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(2);
+      expect(clearTranslationFlags).not.toHaveBeenCalled();
+    });
+
+    it('should report pages that still failed, clear their flags and keep the error', async () => {
+      callTranslationProvider.mockResolvedValue({ batchId: 'test-batch-123', translations: ['Translated content 1', ''], errors: [null, contextError] });
+      retryFailedTranslations.mockResolvedValueOnce({
+        translations: ['Translated content 1', ''],
+        failedIndices: [1],
+        errors: [null, contextError]
+      });
+      createTranslatedPagesData.mockReturnValue([{ name: 'Page 1 (Translated)' }]);
+
+      await translateJournal(mockJournal);
+
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(1);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledWith(mockJournal.pages[0], { sourceHash: expect.any(String), settingsHash: expect.any(String), blockMap: null });
+      expect(clearTranslationFlags).toHaveBeenCalledWith(mockJournal.pages[1]);
+      expect(setTranslationErrorFlag).toHaveBeenCalledWith(mockJournal.pages[1], contextError);
+      expect(ui.notifications.error).toHaveBeenCalledWith('1 page(s) of "Test Journal" could not be translated: "Page 2". You can translate them again later.');
+      expect(showTranslationErrorReport).toHaveBeenCalledWith(mockJournal, [{ page: mockJournal.pages[1], error: contextError }]);
+    });
+
+    it('should not retry when the batch returned nothing at all', async () => {
+      callTranslationProvider.mockResolvedValue({ batchId: null, translations: [] });
+
+      await translateJournal(mockJournal);
+
+      expect(retryFailedTranslations).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('translateJournal in immediate mode', () => {
+    beforeEach(() => {
+      shouldTranslateImmediately.mockReturnValue(true);
+      translateTextsImmediately.mockResolvedValue({
+        batchId: null,
+        translations: ['Translated content 1', 'Translated content 2']
+      });
+      createTranslatedPagesData.mockReturnValue([
+        { name: 'Page 1 (Translated)', text: { content: 'Translated content 1' } },
+        { name: 'Page 2 (Translated)', text: { content: 'Translated content 2' } }
+      ]);
+    });
+
+    afterEach(() => {
+      shouldTranslateImmediately.mockReturnValue(false);
+    });
+
+    it('should translate immediately without creating a batch', async () => {
+      await translateJournal(mockJournal);
+
+      expect(translateTextsImmediately).toHaveBeenCalledWith(['Content 1', 'Content 2'], { provider: { id: 'openai-batch' } });
+      expect(callTranslationProvider).not.toHaveBeenCalled();
+      expect(addBatchToQueue).not.toHaveBeenCalled();
+      expect(JournalEntry.create).toHaveBeenCalled();
+    });
+
+    it('should record page indices before applying and mark pages completed', async () => {
+      await translateJournal(mockJournal);
+
+      expect(setTranslationStartedFlags).toHaveBeenNthCalledWith(1, mockJournal.pages[0], null, 0, 'openai-batch', null, null, null, null);
+      expect(setTranslationStartedFlags).toHaveBeenNthCalledWith(2, mockJournal.pages[1], null, 1, 'openai-batch', null, null, null, null);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not flag pages when every immediate translation failed', async () => {
+      translateTextsImmediately.mockResolvedValue({ batchId: null, translations: ['', ''] });
+
+      await translateJournal(mockJournal);
+
+      expect(setTranslationStartedFlags).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('No translations received for "Test Journal".');
+    });
+  });
+
+  describe('translateJournal with edited translated pages', () => {
+    const original = '<p>One</p><p>Two</p>';
+    const translation = '<p data-translation-block="0">Jeden</p><p data-translation-block="1">Dwa</p>';
+    let page;
+    let flags;
+
+    beforeEach(async () => {
+      game.settings.get.mockImplementation((moduleId, setting) => setting === 'translationMode' ? 'append' : 'default-value');
+      page = { id: 'page1', name: 'Page 1', text: { content: original + SEPARATOR + translation }, update: vi.fn().mockResolvedValue(true) };
+      flags = {
+        provider: 'openai-batch',
+        completed: true,
+        settingsHash: await getSettingsHash({ id: 'openai-batch' }),
+        blockMap: await getBlockMap(page, 'append')
+      };
+      getTranslationFlags.mockImplementation(() => flags);
+      setTranslationStartedFlags.mockImplementation(async (page, batchId, batchIndex, providerId, shards, chunkCount, requestIndices, blockMatches) => {
+        flags = { ...flags, completed: false, blockMatches };
+      });
+    });
+
+    // Translates the changed blocks, flagging the page once the batch is created
+    function mockBatchTranslation(translations) {
+      callTranslationProvider.mockImplementation(async (requests, options) => {
+        await options.onBatchCreated('test-batch-123');
+        return { batchId: 'test-batch-123', translations };
+      });
+    }
+
+    it('should send only the changed blocks and splice their translation into the page', async () => {
+      page.text.content = '<p>One</p><p>Two, edited</p>' + SEPARATOR + translation;
+      mockBatchTranslation(['<p data-translation-block="1">Dwa, zmienione</p>']);
+
+      await translateJournal(mockJournal, [page]);
+
+      expect(callTranslationProvider).toHaveBeenCalledWith(['<p data-translation-block="1">Two, edited</p>'], expect.any(Object));
+      expect(setTranslationStartedFlags).toHaveBeenCalledWith(page, 'test-batch-123', 0, 'openai-batch', null, 1, null, [0, null]);
+      expect(page.update).toHaveBeenCalledWith({
+        'text.content': '<p>One</p><p>Two, edited</p>' + SEPARATOR + '<p data-translation-block="0">Jeden</p><p data-translation-block="1">Dwa, zmienione</p>'
+      });
+      expect(mockJournal.updateEmbeddedDocuments).not.toHaveBeenCalled();
+      expect(setTranslationCompletedFlags).toHaveBeenCalledWith(page, {
+        sourceHash: expect.any(String),
+        settingsHash: flags.settingsHash,
+        blockMap: { mode: 'append', hashes: expect.any(Array) }
+      });
+    });
+
+    it('should remove the translation of removed blocks without calling the provider', async () => {
+      page.text.content = '<p>Two</p>' + SEPARATOR + translation;
+
+      await translateJournal(mockJournal, [page]);
+
+      expect(callTranslationProvider).not.toHaveBeenCalled();
+      expect(page.update).toHaveBeenCalledWith({ 'text.content': '<p>Two</p>' + SEPARATOR + '<p data-translation-block="0">Dwa</p>' });
+    });
+
+    it('should report pages whose translated blocks cannot be lined up', async () => {
+      page.text.content = '<p>One</p><p>Two, edited</p>' + SEPARATOR + translation;
+      mockBatchTranslation(['<p>Dwa, zmienione</p>']);
+
+      await translateJournal(mockJournal, [page]);
+
+      expect(page.update).not.toHaveBeenCalled();
+      expect(clearTranslationFlags).toHaveBeenCalledWith(page);
+      expect(setTranslationErrorFlag).toHaveBeenCalledWith(page, expect.objectContaining({ code: 'block_mismatch' }));
+    });
+  });
+
+  describe('cancelTranslationBatch', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = {
+        id: 'openai-batch',
+        label: 'OpenAI Batch API',
+        validate: vi.fn(() => null),
+        cancel: vi.fn().mockResolvedValue({ id: 'batch-123', status: 'cancelling' }),
+        poll: vi.fn().mockResolvedValue({ id: 'batch-123', status: 'cancelled' })
+      };
+      getProvider.mockReturnValue(provider);
+    });
+
+    it('should stop polling, cancel remotely and clear flags once cancelled', async () => {
+      const result = await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(stopBatchPolling).toHaveBeenCalledWith('batch-123');
+      expect(removeBatchFromQueue).toHaveBeenCalledWith('batch-123');
+      expect(provider.cancel).toHaveBeenCalledWith('batch-123');
+      expect(provider.poll).toHaveBeenCalledWith('batch-123');
+      expect(clearTranslationFlags).toHaveBeenCalledTimes(2);
+      expect(ui.notifications.info).toHaveBeenCalledWith('Batch batch-123 was cancelled.');
+      expect(result).toBe(true);
+    });
+
+    it('should not wait when the batch is cancelled right away', async () => {
+      provider.cancel.mockResolvedValue({ id: 'batch-123', status: 'cancelled' });
+
+      await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(provider.poll).not.toHaveBeenCalled();
+      expect(clearTranslationFlags).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep the flags when the batch finished before the cancellation', async () => {
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed' });
+
+      const result = await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(clearTranslationFlags).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Batch batch-123 ended with status "completed" before it could be cancelled. You can still restore it.');
+      expect(result).toBe(false);
+    });
+
+    it('should report a failed cancel request and keep the flags', async () => {
+      provider.cancel.mockRejectedValue(new Error('Batch Cancellation Failed: Batch already completed'));
+
+      const result = await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(clearTranslationFlags).not.toHaveBeenCalled();
+      expect(ui.notifications.error).toHaveBeenCalledWith('Failed to cancel batch batch-123: Batch Cancellation Failed: Batch already completed');
+      expect(result).toBe(false);
+    });
+
+    it('should cancel every shard of a split job', async () => {
+      const shards = [
+        { batchId: 'batch-123', offset: 0, count: 1 },
+        { batchId: 'batch-456', offset: 1, count: 1 }
+      ];
+      getTranslationFlags.mockReturnValue({ provider: 'openai-batch', shards });
+      provider.cancel.mockImplementation(async (batchId) => ({ id: batchId, status: 'cancelled' }));
+
+      const result = await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(stopBatchPolling).toHaveBeenCalledWith('batch-456');
+      expect(provider.cancel).toHaveBeenCalledWith('batch-123');
+      expect(provider.cancel).toHaveBeenCalledWith('batch-456');
+      expect(clearTranslationFlags).toHaveBeenCalledTimes(2);
+      expect(result).toBe(true);
+      getTranslationFlags.mockReturnValue({ provider: 'openai-batch' });
+    });
+
+    it('should keep the flags when a shard completed before the cancellation', async () => {
+      getTranslationFlags.mockReturnValue({
+        provider: 'openai-batch',
+        shards: [
+          { batchId: 'batch-123', offset: 0, count: 1 },
+          { batchId: 'batch-456', offset: 1, count: 1 }
+        ]
+      });
+      provider.cancel.mockImplementation(async (batchId) => {
+        if (batchId === 'batch-123') throw new Error('Batch Cancellation Failed: Batch already completed');
+        return { id: batchId, status: 'cancelled' };
+      });
+      provider.poll.mockImplementation(async (batchId) => ({
+        id: batchId,
+        status: batchId === 'batch-123' ? 'completed' : 'cancelled',
+        request_counts: { total: 1, completed: batchId === 'batch-123' ? 1 : 0, failed: 0 }
+      }));
+
+      const result = await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(clearTranslationFlags).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Part of batch batch-123 completed before it could be cancelled. Restore it to apply the finished pages.');
+      expect(result).toBe(false);
+      getTranslationFlags.mockReturnValue({ provider: 'openai-batch' });
+    });
+
+    it('should refuse providers without a cancel endpoint', async () => {
+      delete provider.cancel;
+
+      const result = await cancelTranslationBatch('batch-123', mockJournal.pages);
+
+      expect(stopBatchPolling).not.toHaveBeenCalled();
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Batches of OpenAI Batch API cannot be cancelled.');
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('translateJournals', () => {
+    let otherJournal;
+
+    beforeEach(() => {
+      otherJournal = {
+        ...mockJournal,
+        name: 'Other Journal',
+        pages: [{ id: 'page3', name: 'Page 3', text: { content: 'Content 3' } }],
+        updateEmbeddedDocuments: vi.fn().mockResolvedValue(true)
+      };
+      game.settings.get.mockImplementation((moduleId, setting) => setting === 'translationMode' ? 'replace' : 'default-value');
+      createPageUpdates.mockImplementation(pages => pages.map(page => ({ _id: page.id })));
+    });
+
+    it('should send the pages of all journals as one job and apply the results per journal', async () => {
+      callTranslationProvider.mockResolvedValue({
+        batchId: 'folder-batch',
+        translations: ['Translated 1', 'Translated 2', 'Translated 3']
+      });
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(callTranslationProvider).toHaveBeenCalledTimes(1);
+      expect(callTranslationProvider).toHaveBeenCalledWith(['Content 1', 'Content 2', 'Content 3'], expect.any(Object));
+      expect(ui.notifications.info).toHaveBeenCalledWith('Translating 3 page(s) from 2 journal(s) in one job...');
+      expect(createPageUpdates).toHaveBeenCalledWith(mockJournal.pages, ['Translated 1', 'Translated 2'], expect.any(Function), [null, null]);
+      expect(createPageUpdates).toHaveBeenCalledWith(otherJournal.pages, ['Translated 3'], expect.any(Function), [null]);
+      expect(mockJournal.updateEmbeddedDocuments).toHaveBeenCalledWith('JournalEntryPage', [{ _id: 'page1' }, { _id: 'page2' }]);
+      expect(otherJournal.updateEmbeddedDocuments).toHaveBeenCalledWith('JournalEntryPage', [{ _id: 'page3' }]);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(3);
+      expect(removeBatchFromQueue).toHaveBeenCalledWith('folder-batch');
+    });
+
+    it('should record the tokens of the job with the journal of each request', async () => {
+      const usage = [
+        { promptTokens: 100, completionTokens: 80, model: 'gpt-4o' },
+        { promptTokens: 120, completionTokens: 90, model: 'gpt-4o' },
+        null
+      ];
+      callTranslationProvider.mockResolvedValue({ batchId: 'folder-batch', translations: ['Translated 1', 'Translated 2', 'Translated 3'], usage });
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(recordUsage).toHaveBeenCalledWith({
+        provider: { id: 'openai-batch' },
+        batchId: 'folder-batch',
+        journals: [mockJournal, mockJournal, otherJournal],
+        usage
+      });
+    });
+
+    it('should leave recording to the client that applies the batch', async () => {
+      callTranslationProvider.mockResolvedValue({ batchId: 'folder-batch', translations: ['Translated 1', 'Translated 2', 'Translated 3'] });
+      isBatchMonitoredHere.mockReturnValue(false);
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(recordUsage).not.toHaveBeenCalled();
+      isBatchMonitoredHere.mockReturnValue(true);
+    });
+
+    it('should flag every page of the shared job with its position in the job', async () => {
+      callTranslationProvider.mockImplementation(async (texts, { onBatchCreated }) => {
+        await onBatchCreated('folder-batch', [{ batchId: 'folder-batch', offset: 0, count: 3 }]);
+        return { batchId: 'folder-batch', translations: ['Translated 1', 'Translated 2', 'Translated 3'] };
+      });
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(setTranslationStartedFlags).toHaveBeenCalledWith(otherJournal.pages[0], 'folder-batch', 2, 'openai-batch', null, 1, null, null);
+    });
+
+    it('should send long pages as several requests and join their translations', async () => {
+      game.settings.get.mockImplementation((moduleId, setting) => ({ translationMode: 'replace', pageChunkSizes: '*=40' })[setting]);
+      otherJournal.pages[0].text.content = '<p>' + 'A'.repeat(30) + '</p><p>' + 'B'.repeat(30) + '</p>';
+      callTranslationProvider.mockImplementation(async (texts, { onBatchCreated }) => {
+        await onBatchCreated('folder-batch', [{ batchId: 'folder-batch', offset: 0, count: texts.length }]);
+        return { batchId: 'folder-batch', translations: ['Translated 1', 'Translated 2', '<p>Part A</p>', '<p>Part B</p>'] };
+      });
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(callTranslationProvider).toHaveBeenCalledWith(['Content 1', 'Content 2', '<p>' + 'A'.repeat(30) + '</p>', '<p>' + 'B'.repeat(30) + '</p>'], expect.any(Object));
+      expect(ui.notifications.info).toHaveBeenCalledWith('Translating 3 pages in batch (split into 4 requests)...');
+      expect(setTranslationStartedFlags).toHaveBeenCalledWith(otherJournal.pages[0], 'folder-batch', 2, 'openai-batch', null, 2, null, null);
+      expect(createPageUpdates).toHaveBeenCalledWith(otherJournal.pages, ['<p>Part A</p><p>Part B</p>'], expect.any(Function), [null]);
+    });
+
+    it('should reuse remembered translations and send repeated pages once', async () => {
+      lookupTranslationMemory.mockImplementationOnce(async () => [null, 'Remembered 2', null]);
+      otherJournal.pages[0].text.content = 'Content 1';
+      callTranslationProvider.mockImplementation(async (texts, { onBatchCreated }) => {
+        await onBatchCreated('folder-batch', [{ batchId: 'folder-batch', offset: 0, count: texts.length }]);
+        return { batchId: 'folder-batch', translations: ['Translated 1'] };
+      });
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(callTranslationProvider).toHaveBeenCalledWith(['Content 1'], expect.any(Object));
+      expect(ui.notifications.info).toHaveBeenCalledWith('Reusing 1 translation(s) from the translation memory.');
+      expect(setTranslationStartedFlags).toHaveBeenCalledWith(mockJournal.pages[1], 'folder-batch', 1, 'openai-batch', null, 1, [null], null);
+      expect(setTranslationStartedFlags).toHaveBeenCalledWith(otherJournal.pages[0], 'folder-batch', 2, 'openai-batch', null, 1, [0], null);
+      expect(rememberTranslations).toHaveBeenCalledWith({ id: 'openai-batch' }, ['Content 1'], ['Translated 1']);
+      expect(createPageUpdates).toHaveBeenCalledWith(mockJournal.pages, ['Translated 1', 'Remembered 2'], expect.any(Function), [null, null]);
+      expect(createPageUpdates).toHaveBeenCalledWith(otherJournal.pages, ['Translated 1'], expect.any(Function), [null]);
+    });
+
+    it('should not call the provider when every page is remembered', async () => {
+      lookupTranslationMemory.mockImplementationOnce(async () => ['Remembered 1', 'Remembered 2', 'Remembered 3']);
+
+      await translateJournals([
+        { journal: mockJournal, pages: mockJournal.pages },
+        { journal: otherJournal, pages: otherJournal.pages }
+      ]);
+
+      expect(callTranslationProvider).not.toHaveBeenCalled();
+      expect(translateTextsImmediately).not.toHaveBeenCalled();
+      expect(recordUsage).not.toHaveBeenCalled();
+      expect(createPageUpdates).toHaveBeenCalledWith(otherJournal.pages, ['Remembered 3'], expect.any(Function), [null]);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(3);
+    });
+
+    it('should skip journals without selected pages and warn when nothing is selected', async () => {
+      await translateJournals([{ journal: mockJournal, pages: [] }]);
+
+      expect(ui.notifications.warn).toHaveBeenCalledWith('No pages selected for translation.');
+      expect(callTranslationProvider).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attemptBatchRestoration', () => {
+    let provider;
+    let pages;
+
+    beforeEach(() => {
+      pages = mockJournal.pages.map((page, index) => ({ ...page, batchIndex: index, parent: mockJournal }));
+      getTranslationFlags.mockImplementation(page => ({ provider: 'openai-batch', batchIndex: page.batchIndex, chunkCount: 1 }));
+      provider = {
+        id: 'openai-batch',
+        validate: vi.fn(() => null),
+        poll: vi.fn(),
+        fetchResults: vi.fn().mockResolvedValue(new Map([['request-0', 'Translated content 1']])),
+        fetchErrors: vi.fn().mockResolvedValue(new Map([['request-1', { code: 'batch_expired', message: 'Expired' }]]))
+      };
+      getProvider.mockReturnValue(provider);
+      createTranslatedPagesData.mockReturnValue([]);
+    });
+
+    afterEach(() => {
+      getTranslationFlags.mockImplementation(() => ({ provider: 'openai-batch' }));
+    });
+
+    it('should apply the finished pages of an expired batch and mark only the rest for retry', async () => {
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'expired', request_counts: { total: 2, completed: 1, failed: 1 } });
+      retryFailedTranslations.mockImplementationOnce(async (texts, translations, provider, errors) => ({ translations, failedIndices: [1], errors }));
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Batch batch-123 expired after 1 of 2 requests finished. Applying the finished translations...');
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(pages, ['Translated content 1', ''], [null, null]);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(1);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledWith(pages[0], { sourceHash: expect.any(String), settingsHash: expect.any(String), blockMap: null });
+      expect(clearTranslationFlags).toHaveBeenCalledTimes(1);
+      expect(clearTranslationFlags).toHaveBeenCalledWith(pages[1]);
+      expect(setTranslationErrorFlag).toHaveBeenCalledWith(pages[1], { code: 'batch_expired', message: 'Expired' });
+      expect(removeBatchFromQueue).toHaveBeenCalledWith('batch-123');
+    });
+
+    it('should wait for every shard of a split job and reassemble the pages in order', async () => {
+      const shards = [
+        { batchId: 'batch-123', offset: 0, count: 1 },
+        { batchId: 'batch-456', offset: 1, count: 1 }
+      ];
+      getTranslationFlags.mockImplementation(page => ({ provider: 'openai-batch', batchIndex: page.batchIndex, chunkCount: 1, shards }));
+      provider.poll.mockImplementation(async (batchId) => ({ id: batchId, status: 'completed', request_counts: { total: 1, completed: 1, failed: 0 } }));
+      provider.fetchResults.mockImplementation(async (batch) => new Map([['request-0', `Translated by ${batch.id}`]]));
+      provider.fetchErrors.mockResolvedValue(new Map());
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(provider.poll).toHaveBeenCalledWith('batch-123');
+      expect(provider.poll).toHaveBeenCalledWith('batch-456');
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(pages, ['Translated by batch-123', 'Translated by batch-456'], [null, null]);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(2);
+    });
+
+    it('should record the tokens reported in the results of the restored batch', async () => {
+      const results = new Map([['request-0', 'Translated 1'], ['request-1', 'Translated 2']]);
+      results.usage = new Map([['request-1', { promptTokens: 50, completionTokens: 40, model: 'gpt-4o' }]]);
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed', request_counts: { total: 2, completed: 2, failed: 0 } });
+      provider.fetchResults.mockResolvedValue(results);
+      provider.fetchErrors.mockResolvedValue(new Map());
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(recordUsage).toHaveBeenCalledWith({
+        provider,
+        batchId: 'batch-123',
+        journals: [mockJournal, mockJournal],
+        usage: [null, { promptTokens: 50, completionTokens: 40, model: 'gpt-4o' }]
+      });
+    });
+
+    it('should apply the results of a batch shared by several journals to each journal', async () => {
+      const otherJournal = { ...mockJournal, name: 'Other Journal', updateEmbeddedDocuments: vi.fn().mockResolvedValue(true) };
+      const sharedPages = [
+        { id: 'page3', name: 'Page 3', text: { content: 'Content 3' }, batchIndex: 2, parent: otherJournal },
+        ...pages
+      ];
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed', request_counts: { total: 3, completed: 3, failed: 0 } });
+      provider.fetchResults.mockResolvedValue(new Map([
+        ['request-0', 'Translated 1'],
+        ['request-1', 'Translated 2'],
+        ['request-2', 'Translated 3']
+      ]));
+      provider.fetchErrors.mockResolvedValue(new Map());
+
+      await attemptBatchRestoration('batch-123', sharedPages);
+
+      expect(retryFailedTranslations).toHaveBeenCalledWith(['Content 1', 'Content 2', 'Content 3'], ['Translated 1', 'Translated 2', 'Translated 3'], provider, [null, null, null], [null, null, null]);
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(pages, ['Translated 1', 'Translated 2'], [null, null]);
+      expect(createTranslatedPagesData).toHaveBeenCalledWith([sharedPages[0]], ['Translated 3'], [null]);
+      expect(setTranslationCompletedFlags).toHaveBeenCalledTimes(3);
+    });
+
+    it('should join the chunks of a page that was split into several requests', async () => {
+      pages[1].text = { content: '<p>' + 'A'.repeat(30) + '</p><p>' + 'B'.repeat(30) + '</p>' };
+      getTranslationFlags.mockImplementation(page => ({ provider: 'openai-batch', batchIndex: page.batchIndex, chunkCount: page.batchIndex === 1 ? 2 : 1 }));
+      game.settings.get.mockImplementation((moduleId, setting) => ({ translationMode: 'new', pageChunkSizes: '*=40' })[setting]);
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed', request_counts: { total: 3, completed: 3, failed: 0 } });
+      provider.fetchResults.mockResolvedValue(new Map([['request-0', 'One'], ['request-1', '<p>Two A</p>'], ['request-2', '<p>Two B</p>']]));
+      provider.fetchErrors.mockResolvedValue(new Map());
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(retryFailedTranslations).toHaveBeenCalledWith(['Content 1', '<p>' + 'A'.repeat(30) + '</p>', '<p>' + 'B'.repeat(30) + '</p>'], ['One', '<p>Two A</p>', '<p>Two B</p>'], provider, [null, null, null], [null, null, null]);
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(pages, ['One', '<p>Two A</p><p>Two B</p>'], [null, null]);
+    });
+
+    it('should give pages that shared a request its translation', async () => {
+      getTranslationFlags.mockImplementation(page => ({ provider: 'openai-batch', batchIndex: page.batchIndex, chunkCount: 1, requestIndices: page.batchIndex === 1 ? [0] : null }));
+      game.settings.get.mockImplementation((moduleId, setting) => setting === 'translationMode' ? 'new' : 'default-value');
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed', request_counts: { total: 1, completed: 1, failed: 0 } });
+      provider.fetchErrors.mockResolvedValue(new Map());
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(retryFailedTranslations).toHaveBeenCalledWith(['Content 1', 'Content 2'], ['Translated content 1', 'Translated content 1'], provider, [null, null], [null, null]);
+      expect(createTranslatedPagesData).toHaveBeenCalledWith(pages, ['Translated content 1', 'Translated content 1'], [null, null]);
+    });
+
+    it('should retry a split page whole when its chunks no longer match the requests', async () => {
+      getTranslationFlags.mockImplementation(page => ({ provider: 'openai-batch', batchIndex: page.batchIndex, chunkCount: page.batchIndex === 1 ? 2 : 1 }));
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed', request_counts: { total: 3, completed: 2, failed: 1 } });
+      provider.fetchResults.mockResolvedValue(new Map([['request-0', 'One'], ['request-1', 'Two A']]));
+      provider.fetchErrors.mockResolvedValue(new Map());
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(retryFailedTranslations).toHaveBeenCalledWith(['Content 1', 'Content 2'], ['One', ''], provider, [null, expect.objectContaining({ code: 'missing_result' })], [null, null]);
+    });
+
+    it('should not restore a batch monitored by another client', async () => {
+      addBatchToQueue.mockResolvedValueOnce(false);
+      getBatchLease.mockReturnValueOnce({ userId: 'user-2' });
+      global.game.users = { get: vi.fn(() => ({ name: 'Other GM' })) };
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(ui.notifications.info).toHaveBeenCalledWith('Batch batch-123 is already being monitored by Other GM.');
+      expect(provider.poll).not.toHaveBeenCalled();
+    });
+
+    it('should not apply a batch another client took over while it was running', async () => {
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'completed', request_counts: { total: 2, completed: 2, failed: 0 } });
+      isBatchMonitoredHere.mockReturnValueOnce(false);
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(ui.notifications.info).toHaveBeenCalledWith('Batch batch-123 is being applied by another client.');
+      expect(provider.fetchResults).not.toHaveBeenCalled();
+      expect(createTranslatedPagesData).not.toHaveBeenCalled();
+    });
+
+    it('should clear all flags of a batch that expired before any request finished', async () => {
+      provider.poll.mockResolvedValue({ id: 'batch-123', status: 'expired', request_counts: { total: 2, completed: 0, failed: 2 } });
+
+      await attemptBatchRestoration('batch-123', pages);
+
+      expect(provider.fetchResults).not.toHaveBeenCalled();
+      expect(clearTranslationFlags).toHaveBeenCalledTimes(2);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Batch batch-123 expired before any page was translated. Clearing flags so you can retry.');
+    });
+  });
+
+  describe('resumeQueuedBatches', () => {
+    let provider;
+    let confirm;
+    let journalA;
+    let journalB;
+
+    beforeEach(() => {
+      provider = {
+        id: 'openai-batch',
+        validate: vi.fn(() => null),
+        poll: vi.fn(async (batchId) => ({ id: batchId, status: 'failed' }))
+      };
+      getProvider.mockReturnValue(provider);
+
+      confirm = vi.fn().mockResolvedValue(true);
+      global.foundry = { applications: { api: { DialogV2: { confirm } } } };
+
+      journalA = { name: 'Journal A' };
+      journalB = { name: 'Journal B' };
+      findAllTranslationBatches.mockReturnValue([
+        { batchId: 'batch-a', provider: 'openai-batch', pages: [{ name: 'A1', parent: journalA }, { name: 'A2', parent: journalA }] },
+        { batchId: 'batch-b', provider: 'openai-batch', pages: [{ name: 'B1', parent: journalB }] }
+      ]);
+    });
+
+    it('should resume every distinct batch after confirmation', async () => {
+      await resumeQueuedBatches();
+
+      expect(confirm).toHaveBeenCalledTimes(1);
+      const { content } = confirm.mock.calls[0][0];
+      expect(content).toContain('<strong>Journal A</strong> - 2 page(s)');
+      expect(content).toContain('<strong>Journal B</strong> - 1 page(s)');
+      expect(provider.poll).toHaveBeenCalledWith('batch-a');
+      expect(provider.poll).toHaveBeenCalledWith('batch-b');
+      expect(addBatchToQueue).toHaveBeenCalledTimes(2);
+    });
+
+    it('should escape journal names in the prompt', async () => {
+      journalA.name = '<img src=x onerror=alert(1)>';
+
+      await resumeQueuedBatches();
+
+      const { content } = confirm.mock.calls[0][0];
+      expect(content).toContain('<strong>&lt;img src=x onerror=alert(1)&gt;</strong>');
+      expect(content).not.toContain('<img');
+    });
+
+    it('should not resume anything when the prompt is declined', async () => {
+      confirm.mockResolvedValue(false);
+
+      await resumeQueuedBatches();
+
+      expect(provider.poll).not.toHaveBeenCalled();
+      expect(addBatchToQueue).not.toHaveBeenCalled();
+    });
+
+    it('should skip batches that are already being monitored', async () => {
+      isBatchInQueue.mockImplementation(batchId => batchId === 'batch-a');
+
+      await resumeQueuedBatches();
+
+      expect(provider.poll).toHaveBeenCalledTimes(1);
+      expect(provider.poll).toHaveBeenCalledWith('batch-b');
+      isBatchInQueue.mockReturnValue(false);
+    });
+
+    it('should not prompt when no batch is waiting', async () => {
+      findAllTranslationBatches.mockReturnValue([]);
+
+      await resumeQueuedBatches();
+
+      expect(confirm).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,197 @@
+/**
+ * Tests for translation-memory.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  lookupTranslationMemory,
+  fillFromTranslationMemory,
+  rememberTranslations,
+  deduplicateRequests,
+  expandRequestResults,
+  getMemoryEntries,
+  deleteMemoryEntries,
+  clearTranslationMemory,
+  getTextPreview
+} from '../src/translation-memory.js';
+
+describe('translation-memory.js', () => {
+  let storedSettings;
+  let provider;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    storedSettings = {
+      useTranslationMemory: true,
+      systemPrompt: 'You are a translator',
+      customPrompt: 'Translate to Polish',
+      modelVersion: 'gpt-4o'
+    };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    game.settings.set.mockImplementation(async (moduleId, key, value) => { storedSettings[key] = value; });
+    provider = { id: 'openai-batch', getModel: () => storedSettings.modelVersion };
+    await clearTranslationMemory();
+    game.settings.set.mockClear();
+  });
+
+  describe('rememberTranslations and lookupTranslationMemory', () => {
+    it('should return the stored translation of a text translated before', async () => {
+      await rememberTranslations(provider, ['<p>Hello</p>', '<p>Bye</p>'], ['<p>Cześć</p>', '']);
+
+      expect(await lookupTranslationMemory(['<p>Bye</p>', '<p>Hello</p>'], provider)).toEqual([null, '<p>Cześć</p>']);
+      expect(getMemoryEntries()).toHaveLength(1);
+      expect(getMemoryEntries()[0]).toEqual(expect.objectContaining({ provider: 'openai-batch', model: 'gpt-4o', preview: 'Hello', translation: '<p>Cześć</p>', hits: 1 }));
+    });
+
+    it('should not write the memory on lookups, but store the reuses with the next write', async () => {
+      await rememberTranslations(provider, ['<p>Hello</p>'], ['<p>Cześć</p>']);
+      game.settings.set.mockClear();
+
+      await lookupTranslationMemory(['<p>Hello</p>'], provider);
+      await lookupTranslationMemory(['<p>Hello</p>'], provider);
+      expect(game.settings.set).not.toHaveBeenCalled();
+      expect(storedSettings.translationMemory[getMemoryEntries()[0].key].hits).toBe(0);
+
+      await rememberTranslations(provider, ['<p>Bye</p>'], ['<p>Pa</p>']);
+      expect(game.settings.set).toHaveBeenCalledTimes(1);
+      expect(Object.values(storedSettings.translationMemory).find(entry => entry.preview === 'Hello').hits).toBe(2);
+    });
+
+    it('should remove the entries reused least recently once the memory is full', async () => {
+      vi.useFakeTimers();
+      storedSettings.translationMemorySize = 2;
+      vi.setSystemTime(1000);
+      await rememberTranslations(provider, ['<p>One</p>', '<p>Two</p>'], ['<p>Jeden</p>', '<p>Dwa</p>']);
+      vi.setSystemTime(2000);
+      await lookupTranslationMemory(['<p>One</p>'], provider);
+      vi.setSystemTime(3000);
+      await rememberTranslations(provider, ['<p>Three</p>'], ['<p>Trzy</p>']);
+      vi.useRealTimers();
+
+      expect(getMemoryEntries().map(entry => entry.preview)).toEqual(['Three', 'One']);
+    });
+
+    it('should remove the entries reused least recently once the memory holds too much text', async () => {
+      vi.useFakeTimers();
+      const longText = (letter) => `<p>${letter.repeat(800000)}</p>`;
+      vi.setSystemTime(1000);
+      await rememberTranslations(provider, ['<p>One</p>'], [longText('a')]);
+      vi.setSystemTime(2000);
+      await rememberTranslations(provider, ['<p>Two</p>'], [longText('b')]);
+      vi.setSystemTime(3000);
+      await rememberTranslations(provider, ['<p>Three</p>'], [longText('c')]);
+      vi.useRealTimers();
+
+      expect(getMemoryEntries().map(entry => entry.preview)).toEqual(['Three', 'Two']);
+    });
+
+    it('should find a page again after it was renamed, and store its translation without the titles', async () => {
+      const titled = (pageName, content) => `<h1 class="journal-translator-page-title">${pageName}</h1>${content}`;
+      await rememberTranslations(provider, [titled('Intro', '<p>Hello</p>')], [titled('Wstęp', '<p>Cześć</p>')]);
+
+      expect(await lookupTranslationMemory([titled('Introduction', '<p>Hello</p>')], provider)).toEqual(['<p>Cześć</p>']);
+      expect(getMemoryEntries()[0]).toEqual(expect.objectContaining({ preview: 'Hello', translation: '<p>Cześć</p>' }));
+    });
+
+    it('should not reuse a translation made with another prompt or model', async () => {
+      await rememberTranslations(provider, ['<p>Hello</p>'], ['<p>Cześć</p>']);
+
+      storedSettings.customPrompt = 'Translate to German';
+      expect(await lookupTranslationMemory(['<p>Hello</p>'], provider)).toEqual([null]);
+
+      storedSettings.customPrompt = 'Translate to Polish';
+      storedSettings.modelVersion = 'gpt-4o-mini';
+      expect(await lookupTranslationMemory(['<p>Hello</p>'], provider)).toEqual([null]);
+    });
+
+    it('should include the language settings of DeepL in the key', async () => {
+      const deepL = { id: 'deepl' };
+      storedSettings.deeplTargetLanguage = 'PL';
+      await rememberTranslations(deepL, ['<p>Hello</p>'], ['<p>Cześć</p>']);
+
+      storedSettings.deeplTargetLanguage = 'DE';
+      expect(await lookupTranslationMemory(['<p>Hello</p>'], deepL)).toEqual([null]);
+    });
+
+    it('should neither read nor store anything when the memory is turned off', async () => {
+      storedSettings.useTranslationMemory = false;
+
+      await rememberTranslations(provider, ['<p>Hello</p>'], ['<p>Cześć</p>']);
+
+      expect(game.settings.set).not.toHaveBeenCalled();
+      expect(await lookupTranslationMemory(['<p>Hello</p>'], provider)).toEqual([null]);
+    });
+  });
+
+  describe('fillFromTranslationMemory', () => {
+    it('should only fill the translations that are empty', async () => {
+      await rememberTranslations(provider, ['<p>One</p>', '<p>Two</p>'], ['<p>Jeden</p>', '<p>Dwa</p>']);
+
+      const filled = await fillFromTranslationMemory(['<p>One</p>', '<p>Two</p>', '<p>Three</p>'], ['<p>Raz</p>', '', ''], provider);
+
+      expect(filled).toEqual(['<p>Raz</p>', '<p>Dwa</p>', '']);
+    });
+  });
+
+  describe('deduplicateRequests', () => {
+    it('should skip remembered texts and send repeated texts once', () => {
+      const texts = ['<p>A</p>', '<p>B</p>', '<p>A</p>', '<p>C</p>'];
+
+      expect(deduplicateRequests(texts, [null, '<p>Be</p>', null, null])).toEqual({
+        requests: ['<p>A</p>', '<p>C</p>'],
+        requestIndices: [0, null, 0, 1]
+      });
+    });
+  });
+
+  describe('expandRequestResults', () => {
+    it('should spread the results of the requests over the texts of the job', () => {
+      const usage = { promptTokens: 10, completionTokens: 5, model: 'gpt-4o' };
+      const results = {
+        translations: ['<p>Ą</p>', ''],
+        failedIndices: [1],
+        errors: [null, { code: 'missing_result', message: 'No translation' }],
+        usage: [usage, null]
+      };
+
+      expect(expandRequestResults(results, [0, null, 0, 1], [null, '<p>Be</p>', null, null])).toEqual({
+        translations: ['<p>Ą</p>', '<p>Be</p>', '<p>Ą</p>', ''],
+        failedIndices: [3],
+        errors: [null, null, null, { code: 'missing_result', message: 'No translation' }],
+        usage: [usage, null, null, null],
+        sent: [true, false, false, true]
+      });
+    });
+  });
+
+  describe('deleteMemoryEntries and clearTranslationMemory', () => {
+    it('should remove single entries or all of them', async () => {
+      await rememberTranslations(provider, ['<p>One</p>', '<p>Two</p>'], ['<p>Jeden</p>', '<p>Dwa</p>']);
+      const [first] = getMemoryEntries();
+
+      await deleteMemoryEntries([first.key]);
+      expect(getMemoryEntries()).toHaveLength(1);
+      expect(getMemoryEntries()[0].key).not.toBe(first.key);
+
+      await clearTranslationMemory();
+      expect(getMemoryEntries()).toEqual([]);
+    });
+
+    it('should only log when the world setting cannot be written', async () => {
+      const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      game.settings.set.mockRejectedValueOnce(new Error('Not allowed'));
+
+      await expect(rememberTranslations(provider, ['<p>One</p>'], ['<p>Jeden</p>'])).resolves.toBeUndefined();
+
+      expect(consoleWarn).toHaveBeenCalledWith('Journal Translator | Could not update the translation memory:', expect.any(Error));
+      consoleWarn.mockRestore();
+    });
+  });
+
+  describe('getTextPreview', () => {
+    it('should return the beginning of the text without markup', () => {
+      expect(getTextPreview('<h1>Title</h1>\n<p>Some   <em>text</em></p>')).toBe('Title Some text');
+      expect(getTextPreview(`<p>${'a'.repeat(200)}</p>`)).toBe(`${'a'.repeat(120)}…`);
+    });
+  });
+});
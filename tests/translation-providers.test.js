@@ -0,0 +1,595 @@
+/**
+ * Tests for translation-providers.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { registerProvider, getProvider, getActiveProvider, getProviderChoices, callTranslationProvider, assembleFinalResults, shouldTranslateImmediately, translateTextsImmediately, retryFailedTranslations, assembleFinalErrors, assembleFinalUsage, addTokenUsage, pollUntilFinished, hasPartialResults, splitIntoShards, submitJob, getJobStatus, getSystemPrompt, getRequestPrompt } from '../src/translation-providers.js';
+import { TITLE_INSTRUCTION } from '../src/page-titles.js';
+import { PLACEHOLDER_INSTRUCTION } from '../src/placeholders.js';
+import { stopBatchPolling } from '../src/batch-queue.js';
+import '../src/openai-batch.js';
+
+describe('translation-providers.js', () => {
+  let mockProvider;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+
+    mockProvider = {
+      id: 'mock-provider',
+      label: 'Mock Provider',
+      validate: vi.fn(() => null),
+      submit: vi.fn().mockResolvedValue({ id: 'mock-batch-1' }),
+      poll: vi.fn().mockResolvedValue({ id: 'mock-batch-1', status: 'completed' }),
+      fetchResults: vi.fn().mockResolvedValue(new Map([['request-0', 'Hola'], ['request-1', 'Mundo']])),
+      cancel: vi.fn(),
+      translate: vi.fn(async (text, options) => {
+        options?.onProgress?.(`${text} (partial)`);
+        return `Translated ${text}`;
+      })
+    };
+    registerProvider(mockProvider);
+  });
+
+  describe('registry', () => {
+    it('should return registered providers by ID', () => {
+      expect(getProvider('mock-provider')).toBe(mockProvider);
+      expect(getProvider('openai-batch').label).toBe('OpenAI Batch API');
+    });
+
+    it('should reject providers without an ID', () => {
+      expect(() => registerProvider({ label: 'Nameless' })).toThrow('Translation providers must have an id.');
+    });
+
+    it('should list every registered provider as a setting choice', () => {
+      expect(getProviderChoices()).toEqual(expect.objectContaining({
+        'openai-batch': 'OpenAI Batch API',
+        'mock-provider': 'Mock Provider'
+      }));
+    });
+
+    it('should return the provider selected in the settings', () => {
+      game.settings.get.mockReturnValue('mock-provider');
+
+      expect(getActiveProvider()).toBe(mockProvider);
+    });
+
+    it('should fall back to the OpenAI batch provider for unknown IDs', () => {
+      game.settings.get.mockReturnValue('removed-provider');
+
+      expect(getActiveProvider().id).toBe('openai-batch');
+    });
+  });
+
+  describe('callTranslationProvider', () => {
+    it('should run the full submit, poll and fetch cycle on the given provider', async () => {
+      const onBatchCreated = vi.fn();
+
+      const result = await callTranslationProvider(['Hello', 'World'], { provider: mockProvider, onBatchCreated });
+
+      expect(mockProvider.submit).toHaveBeenCalledWith(['Hello', 'World']);
+      expect(onBatchCreated).toHaveBeenCalledWith('mock-batch-1', [{ batchId: 'mock-batch-1', offset: 0, count: 2 }]);
+      expect(mockProvider.poll).toHaveBeenCalledWith('mock-batch-1');
+      expect(mockProvider.fetchResults).toHaveBeenCalledWith({ id: 'mock-batch-1', status: 'completed' });
+      expect(result).toEqual({ batchId: 'mock-batch-1', translations: ['Hola', 'Mundo'], errors: [null, null], usage: [null, null] });
+    });
+
+    it('should show the provider validation error and skip submission', async () => {
+      mockProvider.validate.mockReturnValue('Mock Provider is not configured.');
+
+      const result = await callTranslationProvider(['Hello'], { provider: mockProvider });
+
+      expect(ui.notifications.error).toHaveBeenCalledWith('Mock Provider is not configured.');
+      expect(mockProvider.submit).not.toHaveBeenCalled();
+      expect(result).toEqual({ batchId: null, translations: [] });
+    });
+
+    it('should not fetch results for batches that did not complete', async () => {
+      mockProvider.poll.mockResolvedValue({ id: 'mock-batch-1', status: 'cancelled' });
+
+      const result = await callTranslationProvider(['Hello'], { provider: mockProvider });
+
+      expect(mockProvider.fetchResults).not.toHaveBeenCalled();
+      expect(ui.notifications.error).toHaveBeenCalledWith('Batch job failed with status: cancelled');
+      expect(result).toEqual({ batchId: null, translations: [] });
+    });
+
+    it('should return the finished translations of an expired batch', async () => {
+      const expiredBatch = { id: 'mock-batch-1', status: 'expired', request_counts: { total: 2, completed: 1, failed: 1 } };
+      mockProvider.poll.mockResolvedValue(expiredBatch);
+      mockProvider.fetchResults.mockResolvedValue(new Map([['request-0', 'Hola']]));
+      mockProvider.fetchErrors = vi.fn().mockResolvedValue(new Map([
+        ['request-1', { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }]
+      ]));
+
+      const result = await callTranslationProvider(['Hello', 'World'], { provider: mockProvider });
+
+      expect(mockProvider.fetchResults).toHaveBeenCalledWith(expiredBatch);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Batch job expired after 1 of 2 requests finished. Applying the finished translations...');
+      expect(ui.notifications.info).not.toHaveBeenCalledWith('All translations completed successfully!');
+      expect(result).toEqual({
+        batchId: 'mock-batch-1',
+        translations: ['Hola', ''],
+        errors: [null, { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }],
+        usage: [null, null]
+      });
+    });
+
+    it('should fail for expired batches without any finished request', async () => {
+      mockProvider.poll.mockResolvedValue({ id: 'mock-batch-1', status: 'expired', request_counts: { total: 1, completed: 0, failed: 1 } });
+
+      const result = await callTranslationProvider(['Hello'], { provider: mockProvider });
+
+      expect(mockProvider.fetchResults).not.toHaveBeenCalled();
+      expect(ui.notifications.error).toHaveBeenCalledWith('Batch job failed with status: expired');
+      expect(result).toEqual({ batchId: null, translations: [] });
+    });
+  });
+
+  describe('getSystemPrompt', () => {
+    it('should follow the configured prompt with the instructions for the title headings and placeholders', () => {
+      game.settings.get.mockImplementation((moduleId, setting) => ({ systemPrompt: 'You are a translator ' })[setting]);
+      expect(getSystemPrompt()).toBe(`You are a translator\n\n${TITLE_INSTRUCTION}\n\n${PLACEHOLDER_INSTRUCTION}`);
+
+      game.settings.get.mockImplementation(() => '');
+      expect(getSystemPrompt()).toBe(`${TITLE_INSTRUCTION}\n\n${PLACEHOLDER_INSTRUCTION}`);
+    });
+  });
+
+  describe('splitIntoShards', () => {
+    let settings;
+
+    beforeEach(() => {
+      settings = { batchTokenLimit: 0, systemPrompt: '', customPrompt: '' };
+      game.settings.get.mockImplementation((moduleId, setting) => settings[setting]);
+    });
+
+    it('should keep jobs within the limits in a single batch', () => {
+      mockProvider.batchLimits = { maxRequests: 10, maxBytes: 100000 };
+
+      expect(splitIntoShards(mockProvider, ['One', 'Two', 'Three'])).toEqual([{ offset: 0, count: 3 }]);
+    });
+
+    it('should split by request count', () => {
+      mockProvider.batchLimits = { maxRequests: 2, maxBytes: 100000 };
+
+      expect(splitIntoShards(mockProvider, ['1', '2', '3', '4', '5'])).toEqual([
+        { offset: 0, count: 2 },
+        { offset: 2, count: 2 },
+        { offset: 4, count: 1 }
+      ]);
+    });
+
+    it('should split by estimated file size including the prompts', () => {
+      settings.systemPrompt = 'x'.repeat(488);
+      settings.customPrompt = 'Übersetze ins Deutsche';
+      const promptBytes = new TextEncoder().encode(getRequestPrompt()).length;
+      mockProvider.batchLimits = { maxRequests: 100, maxBytes: 2 * (100 + promptBytes + 512) - 1 };
+
+      // Each request takes 100 bytes of text, the bytes of the prompts as sent and 512 bytes of envelope
+      expect(splitIntoShards(mockProvider, ['a'.repeat(100), 'b'.repeat(100), 'c'.repeat(100)])).toEqual([
+        { offset: 0, count: 1 },
+        { offset: 1, count: 1 },
+        { offset: 2, count: 1 }
+      ]);
+    });
+
+    it('should split by the configured token limit', () => {
+      // The prompts sent with every request count towards the limit, then 25 and 20 tokens of text
+      settings.batchTokenLimit = Math.ceil(getRequestPrompt().length / 4) * 2 + 50;
+
+      expect(splitIntoShards(mockProvider, ['a'.repeat(100), 'b'.repeat(80), 'c'.repeat(100)])).toEqual([
+        { offset: 0, count: 2 },
+        { offset: 2, count: 1 }
+      ]);
+    });
+
+    it('should give a text larger than the limits a batch of its own', () => {
+      settings.batchTokenLimit = 10;
+
+      expect(splitIntoShards(mockProvider, ['a'.repeat(400), 'b'])).toEqual([
+        { offset: 0, count: 1 },
+        { offset: 1, count: 1 }
+      ]);
+    });
+  });
+
+  describe('split jobs', () => {
+    beforeEach(() => {
+      game.settings.get.mockImplementation(() => undefined);
+      mockProvider.batchLimits = { maxRequests: 2, maxBytes: 100000 };
+      let batchNumber = 0;
+      mockProvider.submit.mockImplementation(async () => ({ id: `shard-${++batchNumber}` }));
+      mockProvider.poll.mockImplementation(async (batchId) => ({
+        id: batchId,
+        status: 'completed',
+        request_counts: { total: 2, completed: 2, failed: 0 }
+      }));
+      mockProvider.fetchResults.mockImplementation(async (batch) => new Map([
+        ['request-0', `${batch.id} first`],
+        ['request-1', `${batch.id} second`]
+      ]));
+    });
+
+    it('should submit each shard as its own batch and reassemble the results in order', async () => {
+      const onBatchCreated = vi.fn();
+
+      const result = await callTranslationProvider(['1', '2', '3', '4'], { provider: mockProvider, onBatchCreated });
+
+      expect(mockProvider.submit).toHaveBeenNthCalledWith(1, ['1', '2']);
+      expect(mockProvider.submit).toHaveBeenNthCalledWith(2, ['3', '4']);
+      expect(onBatchCreated).toHaveBeenCalledWith('shard-1', [
+        { batchId: 'shard-1', offset: 0, count: 2 },
+        { batchId: 'shard-2', offset: 2, count: 2 }
+      ]);
+      expect(result).toEqual({
+        batchId: 'shard-1',
+        translations: ['shard-1 first', 'shard-1 second', 'shard-2 first', 'shard-2 second'],
+        errors: [null, null, null, null],
+        usage: [null, null, null, null]
+      });
+    });
+
+    it('should move the token usage of each shard to its position in the job', async () => {
+      mockProvider.fetchResults.mockImplementation(async (batch) => {
+        const results = new Map([['request-0', `${batch.id} first`], ['request-1', `${batch.id} second`]]);
+        results.usage = new Map([['request-1', { promptTokens: 10, completionTokens: 8, model: batch.id }]]);
+        return results;
+      });
+
+      const result = await callTranslationProvider(['1', '2', '3', '4'], { provider: mockProvider });
+
+      expect(result.usage).toEqual([
+        null,
+        { promptTokens: 10, completionTokens: 8, model: 'shard-1' },
+        null,
+        { promptTokens: 10, completionTokens: 8, model: 'shard-2' }
+      ]);
+    });
+
+    it('should apply the shards that completed when another shard failed', async () => {
+      mockProvider.poll.mockImplementation(async (batchId) => batchId === 'shard-2'
+        ? { id: batchId, status: 'failed', request_counts: { total: 2, completed: 0, failed: 2 } }
+        : { id: batchId, status: 'completed', request_counts: { total: 2, completed: 2, failed: 0 } });
+
+      const result = await callTranslationProvider(['1', '2', '3', '4'], { provider: mockProvider });
+
+      expect(mockProvider.fetchResults).toHaveBeenCalledTimes(1);
+      expect(ui.notifications.warn).toHaveBeenCalledWith('Batch job failed after 2 of 4 requests finished. Applying the finished translations...');
+      expect(result.translations).toEqual(['shard-1 first', 'shard-1 second', '', '']);
+    });
+
+    it('should cancel the shards already created when a later one cannot be submitted', async () => {
+      mockProvider.submit
+        .mockResolvedValueOnce({ id: 'shard-1' })
+        .mockRejectedValueOnce(new Error('Batch Creation Failed: Quota exceeded'));
+
+      await expect(submitJob(mockProvider, ['1', '2', '3'])).rejects.toThrow('Batch Creation Failed: Quota exceeded');
+      expect(mockProvider.cancel).toHaveBeenCalledWith('shard-1');
+    });
+
+    it('should report a split job as running until every shard has finished', async () => {
+      mockProvider.getStatus = vi.fn(async (batchId) => ({
+        id: batchId,
+        status: batchId === 'shard-1' ? 'completed' : 'in_progress',
+        request_counts: { total: 2, completed: batchId === 'shard-1' ? 2 : 1, failed: 0 }
+      }));
+
+      const job = await getJobStatus(mockProvider, [
+        { batchId: 'shard-1', offset: 0, count: 2 },
+        { batchId: 'shard-2', offset: 2, count: 2 }
+      ]);
+
+      expect(job.status).toBe('in_progress');
+      expect(job.request_counts).toEqual({ total: 4, completed: 3, failed: 0 });
+    });
+  });
+
+  describe('hasPartialResults', () => {
+    it('should only accept unfinished batches with completed requests', () => {
+      expect(hasPartialResults({ status: 'expired', request_counts: { total: 3, completed: 2, failed: 0 } })).toBe(true);
+      expect(hasPartialResults({ status: 'cancelled', request_counts: { total: 3, completed: 1, failed: 0 } })).toBe(true);
+      expect(hasPartialResults({ status: 'expired', request_counts: { total: 3, completed: 0, failed: 3 } })).toBe(false);
+      expect(hasPartialResults({ status: 'expired' })).toBe(false);
+      expect(hasPartialResults({ status: 'failed', request_counts: { total: 3, completed: 0, failed: 3 } })).toBe(false);
+      expect(hasPartialResults({ status: 'in_progress', request_counts: { total: 3, completed: 2, failed: 0 } })).toBe(false);
+    });
+  });
+
+  describe('shouldTranslateImmediately', () => {
+    const mockSettings = (processingMode, immediateModeThreshold = 10) => {
+      game.settings.get.mockImplementation((moduleId, setting) => ({ processingMode, immediateModeThreshold })[setting]);
+    };
+
+    it('should use batches in batch mode', () => {
+      mockSettings('batch');
+
+      expect(shouldTranslateImmediately(mockProvider, ['Hello'])).toBe(false);
+    });
+
+    it('should translate immediately in immediate mode', () => {
+      mockSettings('immediate');
+
+      expect(shouldTranslateImmediately(mockProvider, ['A much longer text than the threshold'])).toBe(true);
+    });
+
+    it('should compare the total size against the threshold in automatic mode', () => {
+      mockSettings('auto', 10);
+
+      expect(shouldTranslateImmediately(mockProvider, ['Hello', 'World'])).toBe(true);
+      expect(shouldTranslateImmediately(mockProvider, ['Hello', 'World!'])).toBe(false);
+    });
+
+    it('should always translate immediately for providers without a batch API', () => {
+      mockSettings('batch');
+      delete mockProvider.submit;
+
+      expect(shouldTranslateImmediately(mockProvider, ['Hello'])).toBe(true);
+    });
+
+    it('should always use batches for providers without immediate translation', () => {
+      mockSettings('immediate');
+      delete mockProvider.translate;
+
+      expect(shouldTranslateImmediately(mockProvider, ['Hello'])).toBe(false);
+    });
+  });
+
+  describe('translateTextsImmediately', () => {
+    it('should translate each text in order and report streaming progress', async () => {
+      const progress = { update: vi.fn() };
+      ui.notifications.info.mockReturnValue(progress);
+
+      const result = await translateTextsImmediately(['Hello', 'World'], { provider: mockProvider });
+
+      expect(result).toEqual({ batchId: null, translations: ['Translated Hello', 'Translated World'], errors: [null, null], usage: [null, null] });
+      expect(ui.notifications.info).toHaveBeenCalledWith('Translating page 1 of 2...', { progress: true });
+      expect(progress.update).toHaveBeenCalledWith({ pct: 0.99, message: 'Translating page 1 of 2...' });
+      expect(progress.update).toHaveBeenCalledWith({ pct: 1 });
+      ui.notifications.info.mockReset();
+    });
+
+    it('should keep the token usage reported by the provider', async () => {
+      mockProvider.translate.mockImplementation(async (text, { onUsage }) => {
+        onUsage({ promptTokens: 12, completionTokens: 9, model: 'gpt-4o' });
+        return `Translated ${text}`;
+      });
+
+      const result = await translateTextsImmediately(['Hello'], { provider: mockProvider });
+
+      expect(result.usage).toEqual([{ promptTokens: 12, completionTokens: 9, model: 'gpt-4o' }]);
+    });
+
+    it('should leave an empty translation for texts that fail', async () => {
+      mockProvider.translate.mockRejectedValueOnce(new Error('Context length exceeded'));
+
+      const result = await translateTextsImmediately(['Hello', 'World'], { provider: mockProvider });
+
+      expect(result.translations).toEqual(['', 'Translated World']);
+      expect(ui.notifications.error).toHaveBeenCalledWith('Translation failed: Context length exceeded');
+    });
+
+    it('should run up to the provider concurrency limit in parallel and keep input order', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      mockProvider.getConcurrency = () => 2;
+      mockProvider.translate.mockImplementation(async (text) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, text.length));
+        running--;
+        return `Translated ${text}`;
+      });
+
+      const result = await translateTextsImmediately(['Long text', 'A', 'Bb'], { provider: mockProvider });
+
+      expect(maxRunning).toBe(2);
+      expect(result.translations).toEqual(['Translated Long text', 'Translated A', 'Translated Bb']);
+    });
+
+    it('should show the provider validation error and translate nothing', async () => {
+      mockProvider.validate.mockReturnValue('Mock Provider is not configured.');
+
+      const result = await translateTextsImmediately(['Hello'], { provider: mockProvider });
+
+      expect(mockProvider.translate).not.toHaveBeenCalled();
+      expect(result).toEqual({ batchId: null, translations: [] });
+    });
+  });
+
+  describe('retryFailedTranslations', () => {
+    const mockSettings = (processingMode, failedRequestRetries = 2) => {
+      game.settings.get.mockImplementation((moduleId, setting) => ({ processingMode, failedRequestRetries, immediateModeThreshold: 10 })[setting]);
+    };
+
+    it('should resubmit only the failed texts as a follow-up batch', async () => {
+      mockSettings('batch');
+      mockProvider.fetchResults.mockResolvedValueOnce(new Map([['request-0', 'Mundo']]));
+
+      const result = await retryFailedTranslations(['Hello', 'World', 'Again'], ['Hola', '', 'Otra vez'], mockProvider);
+
+      expect(mockProvider.submit).toHaveBeenCalledWith(['World']);
+      expect(result).toEqual({ translations: ['Hola', 'Mundo', 'Otra vez'], failedIndices: [], errors: [null, null, null], usage: [null, null, null] });
+    });
+
+    it('should resubmit failed texts immediately when the processing mode allows it', async () => {
+      mockSettings('immediate');
+
+      const result = await retryFailedTranslations(['Hello', 'World'], ['', 'Mundo'], mockProvider);
+
+      expect(mockProvider.submit).not.toHaveBeenCalled();
+      expect(mockProvider.translate).toHaveBeenCalledWith('Hello', expect.any(Object));
+      expect(result.translations).toEqual(['Translated Hello', 'Mundo']);
+    });
+
+    it('should treat missing translations as failed', async () => {
+      mockSettings('immediate');
+
+      const result = await retryFailedTranslations(['Hello', 'World'], ['Hola'], mockProvider);
+
+      expect(mockProvider.translate).toHaveBeenCalledTimes(1);
+      expect(result.translations).toEqual(['Hola', 'Translated World']);
+    });
+
+    it('should add the tokens of every retry to the usage of the request, marking those of immediate retries', async () => {
+      mockSettings('immediate', 2);
+      mockProvider.translate
+        .mockImplementationOnce(async (text, { onUsage }) => { onUsage({ promptTokens: 5, completionTokens: 0, model: 'gpt-4o' }); return ''; })
+        .mockImplementationOnce(async (text, { onUsage }) => { onUsage({ promptTokens: 5, completionTokens: 4, model: 'gpt-4o' }); return 'Mundo'; });
+
+      const result = await retryFailedTranslations(['Hello', 'World'], ['Hola', ''], mockProvider, [], [{ promptTokens: 5, completionTokens: 3, model: 'gpt-4o' }, { promptTokens: 5, completionTokens: 0, model: 'gpt-4o' }]);
+
+      expect(result.translations).toEqual(['Hola', 'Mundo']);
+      expect(result.usage).toEqual([
+        { promptTokens: 5, completionTokens: 3, model: 'gpt-4o' },
+        { promptTokens: 15, completionTokens: 4, model: 'gpt-4o', immediate: { promptTokens: 10, completionTokens: 4 } }
+      ]);
+    });
+
+    it('should stop after the configured number of retries and report what still failed', async () => {
+      mockSettings('immediate', 2);
+      mockProvider.translate.mockResolvedValue('');
+
+      const result = await retryFailedTranslations(['Hello', 'World'], ['Hola', ''], mockProvider);
+
+      expect(mockProvider.translate).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({
+        translations: ['Hola', ''],
+        failedIndices: [1],
+        errors: [null, { code: 'missing_result', message: 'The provider returned no translation for this page.' }],
+        usage: [null, null]
+      });
+    });
+
+    it('should keep going when a follow-up batch fails', async () => {
+      mockSettings('batch', 2);
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockProvider.poll.mockResolvedValueOnce({ id: 'mock-batch-1', status: 'failed' });
+      mockProvider.fetchResults.mockResolvedValueOnce(new Map([['request-0', 'Mundo']]));
+
+      const result = await retryFailedTranslations(['Hello', 'World'], ['Hola', ''], mockProvider);
+
+      expect(mockProvider.submit).toHaveBeenCalledTimes(2);
+      expect(result.failedIndices).toEqual([]);
+      consoleError.mockRestore();
+    });
+
+    it('should not retry when retries are disabled', async () => {
+      mockSettings('batch', 0);
+
+      const result = await retryFailedTranslations(['Hello'], [''], mockProvider);
+
+      expect(mockProvider.submit).not.toHaveBeenCalled();
+      expect(result.failedIndices).toEqual([0]);
+    });
+  });
+
+  describe('request errors', () => {
+    it('should return the provider errors of failed requests from callTranslationProvider', async () => {
+      mockProvider.fetchResults.mockResolvedValueOnce(new Map([['request-0', 'Hola']]));
+      mockProvider.fetchErrors = vi.fn().mockResolvedValue(new Map([['request-1', { code: 'context_length_exceeded', message: 'Too long' }]]));
+
+      const result = await callTranslationProvider(['Hello', 'World'], { provider: mockProvider });
+
+      expect(result.errors).toEqual([null, { code: 'context_length_exceeded', message: 'Too long' }]);
+    });
+
+    it('should still return the translations when the error details cannot be downloaded', async () => {
+      const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      mockProvider.fetchErrors = vi.fn().mockRejectedValue(new Error('Network error'));
+
+      const result = await callTranslationProvider(['Hello', 'World'], { provider: mockProvider });
+
+      expect(result.translations).toEqual(['Hola', 'Mundo']);
+      consoleWarn.mockRestore();
+    });
+
+    it('should record the error of failed immediate translations', async () => {
+      mockProvider.translate.mockRejectedValueOnce(new Error('Context length exceeded'));
+
+      const result = await translateTextsImmediately(['Hello', 'World'], { provider: mockProvider });
+
+      expect(result.errors).toEqual([{ code: 'request_failed', message: 'Context length exceeded' }, null]);
+    });
+
+    it('should keep the latest error of requests that failed again on retry', async () => {
+      game.settings.get.mockImplementation((moduleId, setting) => ({ processingMode: 'batch', failedRequestRetries: 1 })[setting]);
+      mockProvider.fetchResults.mockResolvedValueOnce(new Map());
+      mockProvider.fetchErrors = vi.fn().mockResolvedValue(new Map([['request-0', { code: 'rate_limit_exceeded', message: 'Slow down' }]]));
+
+      const result = await retryFailedTranslations(['Hello', 'World'], ['Hola', ''], mockProvider, [null, { code: 'server_error', message: 'Oops' }]);
+
+      expect(result.errors).toEqual([null, { code: 'rate_limit_exceeded', message: 'Slow down' }]);
+    });
+
+    it('should give requests without a reported error a generic one', () => {
+      expect(assembleFinalErrors(new Map(), ['Hola', ''])).toEqual([
+        null,
+        { code: 'missing_result', message: 'The provider returned no translation for this page.' }
+      ]);
+    });
+  });
+
+  describe('pollUntilFinished', () => {
+    beforeEach(() => {
+      game.settings.get.mockImplementation((moduleId, setting) => ({ pollingDelay: 30, maxPollingAttempts: 5 })[setting]);
+    });
+
+    it('should return the batch once it reaches a terminal status', async () => {
+      const fetchStatus = vi.fn().mockResolvedValue({ id: 'batch-1', status: 'completed' });
+
+      await expect(pollUntilFinished('batch-1', fetchStatus)).resolves.toEqual({ id: 'batch-1', status: 'completed' });
+    });
+
+    it('should treat expired batches as finished', async () => {
+      const fetchStatus = vi.fn().mockResolvedValue({ id: 'batch-1', status: 'expired' });
+
+      await expect(pollUntilFinished('batch-1', fetchStatus)).resolves.toEqual({ id: 'batch-1', status: 'expired' });
+      expect(fetchStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting when polling of the batch is stopped', async () => {
+      const fetchStatus = vi.fn().mockResolvedValue({ id: 'batch-1', status: 'in_progress' });
+
+      const polling = pollUntilFinished('batch-1', fetchStatus);
+      await vi.waitFor(() => expect(fetchStatus).toHaveBeenCalled());
+      stopBatchPolling('batch-1');
+
+      await expect(polling).rejects.toThrow('Stopped waiting for batch batch-1 because it is being cancelled.');
+      expect(fetchStatus).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not affect polling loops started after the stop', async () => {
+      stopBatchPolling('batch-1');
+      const fetchStatus = vi.fn().mockResolvedValue({ id: 'batch-1', status: 'cancelled' });
+
+      await expect(pollUntilFinished('batch-1', fetchStatus)).resolves.toEqual({ id: 'batch-1', status: 'cancelled' });
+    });
+  });
+
+  describe('assembleFinalResults', () => {
+    it('should order results by request index and fill gaps with empty strings', () => {
+      const translationsMap = new Map([['request-2', 'Third'], ['request-0', 'First']]);
+
+      expect(assembleFinalResults(translationsMap, 3)).toEqual(['First', '', 'Third']);
+    });
+  });
+
+  describe('token usage', () => {
+    it('should order the usage by request index and leave gaps for unreported requests', () => {
+      const translationsMap = new Map([['request-0', 'First'], ['request-1', 'Second']]);
+      translationsMap.usage = new Map([['request-1', { promptTokens: 3, completionTokens: 2, model: 'gpt-4o' }]]);
+
+      expect(assembleFinalUsage(translationsMap, 2)).toEqual([null, { promptTokens: 3, completionTokens: 2, model: 'gpt-4o' }]);
+      expect(assembleFinalUsage(new Map(), 2)).toEqual([null, null]);
+    });
+
+    it('should add up usages and keep the first reported model', () => {
+      const total = addTokenUsage({ promptTokens: 3, completionTokens: 2, model: null }, { promptTokens: 4, completionTokens: 1, model: 'gpt-4o' });
+
+      expect(total).toEqual({ promptTokens: 7, completionTokens: 3, model: 'gpt-4o' });
+      expect(addTokenUsage(null, total)).toBe(total);
+      expect(addTokenUsage(null, undefined)).toBeNull();
+    });
+  });
+});
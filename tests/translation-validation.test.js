@@ -0,0 +1,97 @@
+/**
+ * Tests for translation-validation.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { checkTranslations, getSoundTranslations, cleanTranslation, validateTranslation } from '../src/translation-validation.js';
+
+describe('translation-validation.js', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('cleanTranslation', () => {
+    it('should remove a code fence around the translation', () => {
+      expect(cleanTranslation('<p>Hello</p>', '```html\n<p>Cześć</p>\n```')).toEqual({
+        translation: '<p>Cześć</p>',
+        fixes: ['removed the code fence']
+      });
+    });
+
+    it('should remove a preamble before the HTML, also when it is followed by a fence', () => {
+      expect(cleanTranslation('<p>Hello</p>', 'Here is the translation:\n<p>Cześć</p>').translation).toBe('<p>Cześć</p>');
+      expect(cleanTranslation('<p>Hello</p>', 'Sure, here you go:\n```\n<p>Cześć</p>\n```')).toEqual({
+        translation: '<p>Cześć</p>',
+        fixes: ['removed the preamble "Sure, here you go:"', 'removed the code fence']
+      });
+    });
+
+    it('should mark the title headings again when the provider dropped their class', () => {
+      const source = '<h1 class="journal-translator-page-title">Cave</h1><h2>Entrance</h2><p>Dark</p>';
+      const { translation, fixes } = cleanTranslation(source, '<h1>Jaskinia</h1><h2>Wejście</h2><p>Ciemno</p>');
+
+      expect(translation).toBe('<h1 class="journal-translator-page-title">Jaskinia</h1><h2>Wejście</h2><p>Ciemno</p>');
+      expect(fixes).toEqual(['restored the classes of the title headings']);
+      expect(validateTranslation(source, translation)).toEqual([]);
+    });
+
+    it('should keep text before the HTML when the original starts with text too', () => {
+      expect(cleanTranslation('Note:\n<p>Hello</p>', 'Uwaga:\n<p>Cześć</p>').translation).toBe('Uwaga:\n<p>Cześć</p>');
+    });
+  });
+
+  describe('validateTranslation', () => {
+    it('should accept a translation with the structure of the original', () => {
+      const source = '<h1 class="journal-translator-page-title">Cave</h1><h2>Entrance</h2><p>See <a href="#">the map</a>.</p><img src="map.webp"><section class="secret"><p>Trap</p></section>';
+      const translation = '<h2>Wejście</h2><p>Zobacz <a href="#">mapę</a>.</p><img src="map.webp"><section class="secret"><p>Pułapka</p></section>';
+
+      expect(validateTranslation(source, translation)).toEqual([]);
+    });
+
+    it('should find dropped images, tables and secret sections', () => {
+      const source = '<p>Room</p><img src="a.webp"><table><tr><td>1</td></tr></table><section class="secret"><p>GM only</p></section>';
+
+      expect(validateTranslation(source, '<p>Pokój</p>')).toEqual([
+        'The translation has 0 images where the original has 1.',
+        'The translation has 0 tables where the original has 1.',
+        'The translation has 0 secret sections where the original has 1.'
+      ]);
+    });
+
+    it('should find translations that were cut off', () => {
+      const source = `<p>${'A long paragraph. '.repeat(20)}</p><ul><li>One</li><li>Two</li></ul>`;
+      const problems = validateTranslation(source, '<p>Długi akapit.</p><ul><li>Jeden');
+
+      expect(problems).toContain('The translation has unclosed or extra tags, e.g. because it was cut off: <ul>, <li>.');
+      expect(problems).toContain('The translation ends with text that is not in the original: "Jeden".');
+      expect(problems.some(problem => /The translation is \d+% as long as the original\./.test(problem))).toBe(true);
+    });
+
+    it('should find refusals, preambles and fences that could not be removed', () => {
+      expect(validateTranslation('<p>Hello</p>', "I'm sorry, but I can't help with that.")).toEqual([
+        'The provider declined to translate the page.',
+        'The translation starts with text that is not in the original: "I\'m sorry, but I can\'t help with that.".',
+        'The translation ends with text that is not in the original: "I\'m sorry, but I can\'t help with that.".'
+      ]);
+      expect(validateTranslation('<p>Hello</p>', '<p>Cześć</p>\n```')).toContain('The translation contains a code fence.');
+    });
+  });
+
+  describe('checkTranslations', () => {
+    it('should clean every translation and skip empty ones', () => {
+      const { translations, problems } = checkTranslations(
+        ['<p>One</p>', '<p>Two</p><img src="a.webp">', '<p>Three</p>'],
+        ['```html\n<p>Jeden</p>\n```', '<p>Dwa</p>', '']
+      );
+
+      expect(translations).toEqual(['<p>Jeden</p>', '<p>Dwa</p>', '']);
+      expect(problems).toEqual([null, ['The translation has 0 images where the original has 1.'], null]);
+    });
+  });
+
+  describe('getSoundTranslations', () => {
+    it('should leave out the translations that look broken', () => {
+      expect(getSoundTranslations(['<p>One</p>', '<p>Two</p><img src="a.webp">'], ['```html\n<p>Jeden</p>\n```', '<p>Dwa</p>'])).toEqual(['<p>Jeden</p>', '']);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests for usage-ledger.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { recordUsage, getUsageEntries, clearUsageLedger, summarizeUsage, exportUsageCsv, getUsageMonth } from '../src/usage-ledger.js';
+
+describe('usage-ledger.js', () => {
+  let storedSettings;
+  let provider;
+  const chapters = { id: 'journal-1', name: 'Chapters' };
+  const appendix = { id: 'journal-2', name: 'Appendix' };
+
+  // A ledger entry with the given fields, the rest filled with defaults
+  const createEntry = (fields) => ({
+    timestamp: new Date(2026, 9, 5).getTime(),
+    userId: 'user-1',
+    userName: 'Alice',
+    journalId: 'journal-1',
+    journalName: 'Chapters',
+    batchId: 'batch-1',
+    provider: 'openai-batch',
+    model: 'gpt-4o',
+    requests: 1,
+    promptTokens: 1000,
+    completionTokens: 500,
+    cost: 0.01,
+    ...fields
+  });
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    storedSettings = { modelPrices: 'gpt-4o=2.50/10.00', batchDiscount: 50 };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    game.settings.set.mockImplementation(async (moduleId, key, value) => { storedSettings[key] = value; });
+    game.user = { id: 'user-1', name: 'Alice' };
+    game.users = { get: vi.fn(() => undefined) };
+    game.journal.get.mockReturnValue(undefined);
+    provider = { id: 'openai-batch', getModel: () => 'gpt-4o' };
+    await clearUsageLedger();
+    game.settings.set.mockClear();
+  });
+
+  afterEach(() => {
+    delete game.user;
+    delete game.users;
+  });
+
+  describe('recordUsage', () => {
+    it('should add one entry per journal with the tokens and cost of its requests', async () => {
+      await recordUsage({
+        provider,
+        batchId: 'batch-1',
+        journals: [chapters, chapters, appendix],
+        usage: [
+          { promptTokens: 1000, completionTokens: 800, model: 'gpt-4o-2024-08-06' },
+          { promptTokens: 3000, completionTokens: 1200, model: 'gpt-4o-2024-08-06' },
+          null
+        ]
+      });
+
+      const entries = getUsageEntries();
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toEqual(expect.objectContaining({
+        userId: 'user-1',
+        userName: 'Alice',
+        journalId: 'journal-1',
+        journalName: 'Chapters',
+        batchId: 'batch-1',
+        provider: 'openai-batch',
+        model: 'gpt-4o-2024-08-06',
+        requests: 2,
+        promptTokens: 4000,
+        completionTokens: 2000
+      }));
+      // (4000 * 2.50 + 2000 * 10.00) / 1M with the 50% batch discount
+      expect(entries[0].cost).toBeCloseTo(0.015);
+      expect(entries[1]).toEqual(expect.objectContaining({ journalId: 'journal-2', model: 'gpt-4o', requests: 1, promptTokens: 0, completionTokens: 0, cost: 0 }));
+      expect(game.settings.set).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not apply the batch discount to immediate translations', async () => {
+      await recordUsage({ provider, journals: [chapters], usage: [{ promptTokens: 4000, completionTokens: 2000, model: 'gpt-4o' }] });
+
+      expect(getUsageEntries()[0].batchId).toBeNull();
+      expect(getUsageEntries()[0].cost).toBeCloseTo(0.03);
+    });
+
+    it('should not apply the batch discount to requests of a batch job that were resent immediately', async () => {
+      await recordUsage({
+        provider,
+        batchId: 'batch-1',
+        journals: [chapters],
+        usage: [{ promptTokens: 8000, completionTokens: 4000, model: 'gpt-4o', immediate: { promptTokens: 4000, completionTokens: 2000 } }]
+      });
+
+      // 0.015 for the batch half with the 50% discount and 0.03 for the immediate half without it
+      expect(getUsageEntries()[0].cost).toBeCloseTo(0.045);
+    });
+
+    it('should leave the cost empty for models without a price', async () => {
+      await recordUsage({ provider: { id: 'local-llm', getModel: () => 'llama3.1' }, journals: [chapters], usage: [null] });
+
+      expect(getUsageEntries()[0]).toEqual(expect.objectContaining({ model: 'llama3.1', cost: null }));
+    });
+
+    it('should keep the entries of runs recorded at the same time', async () => {
+      await Promise.all([
+        recordUsage({ provider, batchId: 'batch-1', journals: [chapters] }),
+        recordUsage({ provider, batchId: 'batch-2', journals: [appendix] })
+      ]);
+
+      expect(getUsageEntries().map(entry => entry.batchId)).toEqual(['batch-1', 'batch-2']);
+    });
+
+    it('should only log when the world setting cannot be written', async () => {
+      const consoleWarn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      game.settings.set.mockRejectedValueOnce(new Error('Not allowed'));
+
+      await expect(recordUsage({ provider, journals: [chapters] })).resolves.toHaveLength(1);
+
+      expect(consoleWarn).toHaveBeenCalledWith('Journal Translator | Could not update the usage ledger:', expect.any(Error));
+      consoleWarn.mockRestore();
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    it('should total the spend per month, journal and user', () => {
+      const entries = [
+        createEntry({ timestamp: new Date(2026, 8, 20).getTime(), cost: 0.5 }),
+        createEntry({ userId: 'user-2', userName: 'Bob', cost: 1.5 }),
+        createEntry({ journalId: 'journal-2', journalName: 'Appendix', cost: 0.25 })
+      ];
+
+      const summary = summarizeUsage(entries);
+
+      expect(summary.months.map(({ key, runs, cost }) => ({ key, runs, cost }))).toEqual([
+        { key: '2026-10', runs: 2, cost: 1.75 },
+        { key: '2026-09', runs: 1, cost: 0.5 }
+      ]);
+      expect(summary.journals.map(({ label, cost }) => ({ label, cost }))).toEqual([
+        { label: 'Chapters', cost: 2 },
+        { label: 'Appendix', cost: 0.25 }
+      ]);
+      expect(summary.users.map(({ label, cost }) => ({ label, cost }))).toEqual([
+        { label: 'Bob', cost: 1.5 },
+        { label: 'Alice', cost: 0.75 }
+      ]);
+      expect(summary.total).toEqual(expect.objectContaining({ runs: 3, promptTokens: 3000, completionTokens: 1500, cost: 2.25, unpriced: 0 }));
+    });
+
+    it('should show the current names of journals and users', () => {
+      game.journal.get.mockReturnValue({ name: 'Chapters (renamed)' });
+      game.users.get.mockReturnValue({ name: 'Alice the GM' });
+
+      const summary = summarizeUsage([createEntry({})]);
+
+      expect(summary.journals[0].label).toBe('Chapters (renamed)');
+      expect(summary.users[0].label).toBe('Alice the GM');
+    });
+
+    it('should count runs without a price separately', () => {
+      const summary = summarizeUsage([createEntry({ cost: null }), createEntry({ cost: 0.5 })]);
+
+      expect(summary.total).toEqual(expect.objectContaining({ runs: 2, cost: 0.5, unpriced: 1 }));
+    });
+
+    it('should return empty totals for an empty ledger', () => {
+      expect(summarizeUsage([])).toEqual({
+        months: [],
+        journals: [],
+        users: [],
+        total: { key: 'total', label: 'Total', runs: 0, promptTokens: 0, completionTokens: 0, cost: 0, unpriced: 0 }
+      });
+    });
+  });
+
+  describe('exportUsageCsv', () => {
+    it('should write a header and one row per entry, quoting values that need it', () => {
+      const timestamp = Date.UTC(2026, 9, 5, 12, 0, 0);
+      const csv = exportUsageCsv([
+        createEntry({ timestamp, journalName: 'Maps, "Old" & New', cost: 0.0125 }),
+        createEntry({ timestamp, batchId: null, cost: null })
+      ]);
+
+      expect(csv.split('\n')).toEqual([
+        'Date,User,Journal,Provider,Model,Batch ID,Requests,Prompt tokens,Completion tokens,Cost (USD)',
+        '2026-10-05T12:00:00.000Z,Alice,"Maps, ""Old"" & New",openai-batch,gpt-4o,batch-1,1,1000,500,0.012500',
+        '2026-10-05T12:00:00.000Z,Alice,Chapters,openai-batch,gpt-4o,,1,1000,500,'
+      ]);
+    });
+  });
+
+  describe('getUsageMonth', () => {
+    it('should format the local month of a timestamp', () => {
+      expect(getUsageMonth(new Date(2026, 0, 31, 23, 59).getTime())).toBe('2026-01');
+    });
+  });
+});
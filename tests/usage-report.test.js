@@ -0,0 +1,84 @@
+/**
+ * Tests for usage-report.js
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { UsageReport } from '../src/usage-report.js';
+
+describe('usage-report.js', () => {
+  let storedSettings;
+  let report;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    storedSettings = {
+      usageLedger: [
+        {
+          timestamp: new Date(2026, 9, 5).getTime(),
+          userId: 'user-1',
+          userName: 'Alice',
+          journalId: 'journal-1',
+          journalName: 'Chapters',
+          batchId: 'batch-1',
+          provider: 'openai-batch',
+          model: 'gpt-4o',
+          requests: 2,
+          promptTokens: 4000,
+          completionTokens: 2000,
+          cost: 0.25
+        },
+        {
+          timestamp: new Date(2026, 9, 6).getTime(),
+          userId: 'user-2',
+          userName: 'Bob',
+          journalId: 'journal-2',
+          journalName: 'Appendix',
+          batchId: null,
+          provider: 'local-llm',
+          model: 'llama3.1',
+          requests: 1,
+          promptTokens: 500,
+          completionTokens: 400,
+          cost: null
+        }
+      ]
+    };
+    game.settings.get.mockImplementation((moduleId, key) => storedSettings[key]);
+    game.journal.get.mockReturnValue(undefined);
+    report = new UsageReport();
+    report.render = vi.fn();
+  });
+
+  describe('_renderHTML', () => {
+    it('should show the totals per month, journal and user', async () => {
+      const html = await report._renderHTML(await report._prepareContext());
+
+      expect(html).toContain('<strong>$0.25</strong> spent on 2 run(s)');
+      expect(html).toContain('By month');
+      expect(html).toContain('2026-10');
+      expect(html).toContain('Chapters');
+      expect(html).toContain('Appendix');
+      expect(html).toContain('Alice');
+      expect(html).toContain('Bob');
+      expect(html).toContain('1 run(s) used a model without a price');
+    });
+
+    it('should say so when nothing has been recorded', async () => {
+      storedSettings.usageLedger = [];
+
+      const html = await report._renderHTML(await report._prepareContext());
+
+      expect(html).toContain('No translation runs have been recorded yet.');
+      expect(html).toContain('data-action="exportCsv" disabled');
+    });
+  });
+
+  describe('actions', () => {
+    it('should download the ledger as a CSV file', () => {
+      UsageReport.DEFAULT_OPTIONS.actions.exportCsv.call(report);
+
+      expect(foundry.utils.saveDataToFile).toHaveBeenCalledWith(expect.stringContaining('Date,User,Journal'), 'text/csv', 'journal-translator-usage.csv');
+      expect(foundry.utils.saveDataToFile.mock.calls[0][0].split('\n')).toHaveLength(3);
+    });
+  });
+});
@@ -3,7 +3,8 @@
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import { createPageUpdates, createTranslatedPagesData, showPageSelectionDialog, getJournalsInFolder, showFolderSelectionDialog } from '../src/utils.js';
+import { createPageUpdates, createTranslatedPagesData, showPageSelectionDialog, getJournalsInFolder, showFolderSelectionDialog, showTranslationErrorReport, showTranslationReview } from '../src/utils.js';
+import { getSourceHash } from '../src/stale-translations.js';
 
 describe('utils.js', () => {
   beforeEach(() => {
@@ -193,6 +194,52 @@ describe('utils.js', () => {
         'text.content': 'Translated content<hr>Original content'
       });
     });
+
+    it('should rename pages whose names were translated', () => {
+      const pagesToTranslate = ['Page 1', 'Page 2'].map((name, index) => ({
+        id: `page${index + 1}`,
+        name,
+        text: { content: 'Original content' },
+        getFlag: vi.fn((moduleId, flagName) => flagName === 'translationBatchIndex' ? index : false)
+      }));
+
+      const result = createPageUpdates(pagesToTranslate, ['Translated 1', 'Translated 2'], (original, translated) => translated, ['Strona 1', null]);
+
+      expect(result).toEqual([
+        { _id: 'page1', 'text.content': 'Translated 1', name: 'Strona 1', 'flags.foundry-translation.translationOriginalName': 'Page 1' },
+        { _id: 'page2', 'text.content': 'Translated 2' }
+      ]);
+    });
+
+    it('should apply the name template to the original name of a page renamed before', () => {
+      game.settings.get.mockImplementation((moduleId, key) => key === 'titleTemplate' ? '[PL] {translatedName}' : undefined);
+      const flags = { translationBatchIndex: 0, translationOriginalName: 'Page 1' };
+      const page = { id: 'page1', name: '[PL] Strona 1', text: { content: 'Original content' }, getFlag: vi.fn((moduleId, flagName) => flags[flagName]) };
+
+      const [update] = createPageUpdates([page], ['Translated 1'], (original, translated) => translated, ['Strona 1']);
+
+      expect(update.name).toBe('[PL] Strona 1');
+      expect(update['flags.foundry-translation.translationOriginalName']).toBe('Page 1');
+      game.settings.get.mockReset();
+    });
+
+    it('should match translations to pages by position, not by the job-wide batch index', () => {
+      // Pages of the second journal of a shared job, whose requests come after those of the first journal
+      const pagesToTranslate = [3, 5].map(batchIndex => ({
+        id: `page${batchIndex}`,
+        name: `Page ${batchIndex}`,
+        text: { content: 'Original content' },
+        getFlag: vi.fn((moduleId, flagName) => flagName === 'translationBatchIndex' ? batchIndex : false)
+      }));
+
+      const result = createPageUpdates(pagesToTranslate, ['Translated 3', 'Translated 5'], (original, translated) => translated);
+
+      expect(result).toEqual([
+        { _id: 'page3', 'text.content': 'Translated 3' },
+        { _id: 'page5', 'text.content': 'Translated 5' }
+      ]);
+      expect(ui.notifications.warn).not.toHaveBeenCalled();
+    });
   });
 
   describe('createTranslatedPagesData', () => {
@@ -200,6 +247,7 @@ describe('utils.js', () => {
       const pagesToTranslate = [
         {
           name: 'Page 1',
+          uuid: 'JournalEntry.journal1.JournalEntryPage.page1',
           type: 'text',
           text: { 
             content: 'Original content 1',
@@ -214,6 +262,7 @@ describe('utils.js', () => {
         },
         {
           name: 'Page 2',
+          uuid: 'JournalEntry.journal1.JournalEntryPage.page2',
           type: 'text',
           text: {
             content: 'Original content 2', 
@@ -233,28 +282,30 @@ describe('utils.js', () => {
         'Translated content 2'
       ];
 
-      const result = createTranslatedPagesData(pagesToTranslate, translatedContents);
+      const result = createTranslatedPagesData(pagesToTranslate, translatedContents, ['Strona 1', null]);
 
       expect(result).toHaveLength(2);
       expect(result[0]).toEqual({
-        name: 'Page 1 (Translated)',
+        name: 'Strona 1',
         type: 'text',
         text: {
           content: 'Translated content 1',
           format: 'html'
         },
         sort: 0,
-        ownership: { default: 0 }
+        ownership: { default: 0 },
+        flags: { 'foundry-translation': { translationSourceUuid: 'JournalEntry.journal1.JournalEntryPage.page1' } }
       });
       expect(result[1]).toEqual({
-        name: 'Page 2 (Translated)',
+        name: 'Page 2',
         type: 'text',
         text: {
           content: 'Translated content 2',
           format: 'html'
         },
         sort: 100,
-        ownership: { default: 0 }
+        ownership: { default: 0 },
+        flags: { 'foundry-translation': { translationSourceUuid: 'JournalEntry.journal1.JournalEntryPage.page2' } }
       });
     });
 
@@ -298,7 +349,7 @@ describe('utils.js', () => {
       const result = createTranslatedPagesData(pagesToTranslate, translatedContents);
 
       expect(result).toHaveLength(1);
-      expect(result[0].name).toBe('Page 1 (Translated)');
+      expect(result[0].name).toBe('Page 1');
       expect(ui.notifications.warn).toHaveBeenCalledWith('Translation returned empty for page "Page 2" (batch index 1). Skipping this page.');
     });
 
@@ -332,6 +383,7 @@ describe('utils.js', () => {
       const pagesToTranslate = [
         {
           name: 'Complex Page',
+          uuid: 'JournalEntry.journal1.JournalEntryPage.page3',
           type: 'image',
           text: { 
             content: 'Original content',
@@ -356,7 +408,7 @@ describe('utils.js', () => {
 
       expect(result).toHaveLength(1);
       expect(result[0]).toEqual({
-        name: 'Complex Page (Translated)',
+        name: 'Complex Page',
         type: 'image',
         text: {
           content: 'Translated content',
@@ -367,7 +419,8 @@ describe('utils.js', () => {
           default: 0,
           user1: 3,
           user2: 2
-        }
+        },
+        flags: { 'foundry-translation': { translationSourceUuid: 'JournalEntry.journal1.JournalEntryPage.page3' } }
       });
     });
   });
@@ -437,6 +490,48 @@ describe('utils.js', () => {
         })
       );
     });
+
+    it('should show the error of the last failed attempt', async () => {
+      mockJournal.pages[1].getFlag = vi.fn((moduleId, flagName) => {
+        if (flagName === 'translationError') return { code: 'context_length_exceeded', message: 'Too long' };
+        return false;
+      });
+
+      await showPageSelectionDialog(mockJournal);
+
+      const { content } = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(content).toContain('(Last attempt failed: context_length_exceeded)');
+      expect(content).toContain('title="Too long"');
+    });
+
+    it('should escape quotes and tags in the error message', async () => {
+      mockJournal.pages[1].getFlag = vi.fn((moduleId, flagName) => {
+        if (flagName === 'translationError') return { code: 'suspicious_translation', message: 'Starts with "Here is <b>it</b>"' };
+        return false;
+      });
+
+      await showPageSelectionDialog(mockJournal);
+
+      const { content } = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(content).toContain('title="Starts with &quot;Here is &lt;b&gt;it&lt;/b&gt;&quot;"');
+      expect(content).not.toContain('<b>it</b>');
+    });
+
+    it('should offer translated pages that were edited since their translation', async () => {
+      const sourceHash = await getSourceHash({ text: { content: 'Content for page 1' } });
+      const flags = { translationCompleted: true, translationSourceHash: sourceHash };
+      mockJournal.pages[0].getFlag = vi.fn((moduleId, flagName) => flags[flagName]);
+      mockJournal.pages[1].getFlag = vi.fn((moduleId, flagName) => flags[flagName]);
+      mockJournal.pages[1].text.content = 'Edited content for page 2';
+
+      await showPageSelectionDialog(mockJournal);
+
+      const { content } = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(content).toContain('Page 2');
+      expect(content).toContain('(Outdated - the page was edited since its translation)');
+      expect(content).not.toContain('Page 1');
+      expect(content).toContain('1 page already translated (hidden from selection)');
+    });
   });
 
   describe('getJournalsInFolder', () => {
@@ -537,6 +632,21 @@ describe('utils.js', () => {
       );
     });
 
+    it('pre-checks translated pages that were edited since their translation', async () => {
+      const sourceHash = await getSourceHash({ text: { content: 'Hello' } });
+      const flags = { translationCompleted: true, translationSourceHash: sourceHash };
+      mockJournals[0].pages[0].getFlag = vi.fn((moduleId, flagName) => flags[flagName]);
+      mockJournals[0].pages[1].getFlag = vi.fn((moduleId, flagName) => flags[flagName]);
+
+      await showFolderSelectionDialog(mockFolder, mockJournals);
+
+      const { content } = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(content).toContain('(translated)');
+      expect(content).toContain('(outdated: the page was edited since its translation)');
+      expect(content).toContain('data-journal-index="0" data-page-index="1" style="margin-right:6px;" checked');
+      expect(content).not.toContain('data-journal-index="0" data-page-index="0" style="margin-right:6px;" checked');
+    });
+
     it('returns empty array on cancel', async () => {
       global.foundry.applications.api.DialogV2.wait.mockResolvedValue([]);
 
@@ -545,4 +655,67 @@ describe('utils.js', () => {
       expect(result).toEqual([]);
     });
   });
+
+  describe('showTranslationErrorReport', () => {
+    it('should list every failed page with its error code and message', async () => {
+      global.foundry.applications.api.DialogV2.wait.mockReset();
+      const failures = [
+        { page: { name: 'Chapter 3' }, error: { code: 'context_length_exceeded', message: 'Too long' } },
+        { page: { name: 'Chapter 4' }, error: { code: 'content_policy_violation', message: 'Refused' } }
+      ];
+
+      await showTranslationErrorReport({ name: 'Test Journal' }, failures);
+
+      const options = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(options.window).toEqual({ title: 'Translation Report' });
+      expect(options.content).toContain('2 pages of "Test Journal" could not be translated:');
+      expect(options.content).toContain('Chapter 3');
+      expect(options.content).toContain('context_length_exceeded');
+      expect(options.content).toContain('Refused');
+    });
+
+    it('should escape quotes and tags in error messages', async () => {
+      global.foundry.applications.api.DialogV2.wait.mockReset();
+      const failures = [
+        { page: { name: 'Chapter 3' }, error: { code: 'suspicious_translation', message: 'The translation starts with text that is not in the original: "<script>x</script>".' } }
+      ];
+
+      await showTranslationErrorReport({ name: 'Test Journal' }, failures);
+
+      const { content } = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(content).toContain('original: &quot;&lt;script&gt;x&lt;/script&gt;&quot;.');
+      expect(content).not.toContain('<script>');
+    });
+  });
+
+  describe('showTranslationReview', () => {
+    it('should list the held back pages with their problems and return the checked ones', async () => {
+      const heldBack = [
+        { page: { name: 'Chapter 3' }, problems: ['The translation has 0 images where the original has 1.'], translation: '<p>Rozdział</p>' },
+        { page: { name: 'Chapter 4' }, problems: ['The provider declined to translate the page.'], translation: "I'm sorry" }
+      ];
+      global.foundry.applications.api.DialogV2.wait.mockReset();
+      global.foundry.applications.api.DialogV2.wait.mockImplementation(async options => {
+        const element = document.createElement('div');
+        element.innerHTML = options.content;
+        element.querySelector('input[data-page-index="1"]').checked = true;
+        return options.buttons[0].callback(null, null, { element });
+      });
+
+      const approved = await showTranslationReview({ name: 'Test Journal' }, heldBack);
+
+      const options = global.foundry.applications.api.DialogV2.wait.mock.calls[0][0];
+      expect(options.content).toContain('The translation of 2 pages of "Test Journal" looks broken and was held back:');
+      expect(options.content).toContain('The translation has 0 images where the original has 1.');
+      expect(options.content).toContain('&lt;p&gt;Rozdział&lt;/p&gt;');
+      expect(approved).toEqual([heldBack[1].page]);
+    });
+
+    it('should apply nothing when the dialog is closed', async () => {
+      global.foundry.applications.api.DialogV2.wait.mockReset();
+      global.foundry.applications.api.DialogV2.wait.mockResolvedValue(null);
+
+      expect(await showTranslationReview({ name: 'Test Journal' }, [{ page: { name: 'Chapter 3' }, problems: [], translation: '' }])).toEqual([]);
+    });
+  });
 });